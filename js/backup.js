@@ -0,0 +1,272 @@
+/**
+ * Pure helpers for the JSON backup file that holds every tool's saved state.
+ * A backup is a versioned envelope around a data object:
+ * `{ format, version, createdAt, data: { inputs, theme, activeBlendId, beanMixData, priceListCoffeeData, ... } }`.
+ * Reading a backup validates it and migrates older versions to the current one; merging combines
+ * a backup with the data already on the device. In the browser the module is exposed as `window.CoffeeBackup`.
+ */
+(function (root, factory) {
+    const isNode = typeof module === 'object' && module.exports;
+    const api = factory(
+        isNode ? require('./menu-costing') : root.MenuCosting,
+        isNode ? require('./brew-recipes') : root.BrewRecipes
+    );
+    if (isNode) {
+        module.exports = api;
+    } else {
+        root.CoffeeBackup = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (MenuCosting, BrewRecipes) {
+    'use strict';
+
+    /**
+     * The marker stored in every backup file.
+     * @type {string}
+     */
+    const BACKUP_FORMAT = 'majid-coffee-tools-backup';
+
+    /**
+     * The current backup version. Bump it and add a migration whenever the data layout changes.
+     * @type {number}
+     */
+    const BACKUP_VERSION = 2;
+
+    /**
+     * The saved lists and the key that identifies an entry of each list when two lists are merged.
+     * @type {Object<string, function(object): string>}
+     */
+    const LIST_KEYS = {
+        beanMixData: entry => entry.name,
+        priceListCoffeeData: entry => `${entry.name}|${entry.roastType}`,
+        priceListPowderData: entry => entry.name,
+        roastBatchLog: entry => entry.id,
+        greenInventory: entry => entry.id,
+        backwashPrograms: entry => entry.id,
+        maintenanceLog: entry => entry.id,
+        maintenanceSchedules: entry => entry.id,
+        brewRecipes: entry => entry.id,
+        shotLog: entry => entry.id,
+        salesLedger: entry => entry.date,
+        menuItems: entry => entry.id,
+        cafeOverheads: entry => entry.id,
+        cafeScenarios: entry => entry.id,
+        blendLibrary: entry => entry.id,
+        priceListImages: entry => entry.id,
+        priceListHistory: entry => entry.id
+    };
+
+    /**
+     * An error raised for a backup file that cannot be read. Its message is shown to the user.
+     */
+    class BackupError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'BackupError';
+        }
+    }
+
+    /**
+     * Returns an empty data object with every known field.
+     * @returns {object} The empty data.
+     */
+    function emptyData() {
+        const data = { inputs: {}, theme: null, activeBlendId: null };
+        Object.keys(LIST_KEYS).forEach(key => { data[key] = []; });
+        return data;
+    }
+
+    /**
+     * Wraps the saved state into a backup envelope.
+     * @param {object} data - The saved state, see `emptyData` for its fields.
+     * @param {Date} [now=new Date()] - The creation time.
+     * @returns {object} The backup, ready for `JSON.stringify`.
+     */
+    function createBackup(data, now = new Date()) {
+        return {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            createdAt: now.toISOString(),
+            data: Object.assign(emptyData(), data)
+        };
+    }
+
+    /**
+     * Migrations from each older version to the next one, keyed by the version they upgrade from.
+     * Version 0 is a plain dump of localStorage (every value a string), as produced by copying
+     * `JSON.stringify(localStorage)` from the browser console before backups existed; only the theme, the lists and
+     * the given input ids are taken from it, and an object with none of them is not a backup. Version 1 may still hold
+     * the two stage fields of the original stopwatch, the single and double shot fields of the cafe revenue calculator
+     * and sales ledger entries recorded with them; they are converted to a brew recipe, menu items and menu sales as
+     * the store does on start-up, see `BrewRecipes.legacyStopwatchMigration` and `MenuCosting.legacyCafeMigration`.
+     * @type {Object<number, function(object, string[]): object>}
+     */
+    const MIGRATIONS = {
+        0: (dump, inputIds) => {
+            const data = emptyData();
+            const keys = Object.keys(dump).filter(key => key === 'theme' || isListKey(key) || inputIds.includes(key));
+            if (keys.length === 0) throw new BackupError('فایل انتخاب شده یک فایل پشتیبان نیست.');
+            keys.forEach(key => {
+                const value = dump[key];
+                if (key === 'theme') {
+                    data.theme = value;
+                } else if (isListKey(key)) {
+                    try {
+                        data[key] = typeof value === 'string' ? JSON.parse(value) || [] : value;
+                    } catch (e) {
+                        throw new BackupError(`مقدار «${key}» در فایل پشتیبان خراب است.`);
+                    }
+                } else {
+                    data.inputs[key] = String(value);
+                }
+            });
+            return { format: BACKUP_FORMAT, version: 1, createdAt: null, data };
+        },
+        1: data => {
+            const next = Object.assign({}, data);
+            if (isPlainObject(next.inputs)) {
+                // The timer always keeps a recipe, so an empty list means none were saved and the default recipes apply.
+                const savedRecipes = Array.isArray(next.brewRecipes) && next.brewRecipes.length > 0 ? next.brewRecipes : null;
+                const recipes = BrewRecipes.migrateLegacyStopwatchInputs(next.inputs, savedRecipes);
+                if (recipes) Object.assign(next, recipes);
+                const menu = MenuCosting.migrateLegacyCafeInputs(next.inputs, Array.isArray(next.menuItems) ? next.menuItems : null);
+                if (menu) Object.assign(next, menu);
+            }
+            if (Array.isArray(next.salesLedger)) next.salesLedger = next.salesLedger.map(MenuCosting.migrateLegacySalesEntry);
+            return { format: BACKUP_FORMAT, version: 2, createdAt: null, data: next };
+        }
+    };
+
+    /**
+     * Checks whether a key names one of the saved lists.
+     * @param {string} key - The key to check.
+     * @returns {boolean} True for a key of `LIST_KEYS`.
+     */
+    function isListKey(key) {
+        return Object.prototype.hasOwnProperty.call(LIST_KEYS, key);
+    }
+
+    /**
+     * Checks whether a value is an object, and neither null nor an array.
+     * @param {*} value - The value to check.
+     * @returns {boolean} True for an object such as `{}`.
+     */
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Checks the data of a current-version backup.
+     * @param {object} data - The backup data.
+     * @returns {string[]} Human readable problems; an empty array means the data is valid.
+     */
+    function validateData(data) {
+        const problems = [];
+        if (!data || typeof data !== 'object') return ['بخش داده در فایل پشتیبان وجود ندارد.'];
+        if (data.inputs !== undefined && !isPlainObject(data.inputs)) problems.push('بخش «inputs» معتبر نیست.');
+        if (data.activeBlendId !== undefined && data.activeBlendId !== null && typeof data.activeBlendId !== 'string') {
+            problems.push('بخش «activeBlendId» معتبر نیست.');
+        }
+        Object.keys(LIST_KEYS).forEach(key => {
+            if (data[key] === undefined) return;
+            if (!Array.isArray(data[key])) {
+                problems.push(`بخش «${key}» باید یک لیست باشد.`);
+            } else if (!data[key].every(isPlainObject)) {
+                problems.push(`همه موارد بخش «${key}» باید شیء باشند.`);
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Parses, migrates and validates the text of a backup file.
+     * @param {string} text - The file contents.
+     * @param {string[]} [inputIds=[]] - The ids of the input fields a plain localStorage dump may hold, including
+     *        those of earlier versions; other keys of a dump are left out.
+     * @returns {object} The backup upgraded to `BACKUP_VERSION`.
+     * @throws {BackupError} If the file is not valid JSON, not a backup, from a newer version, or has invalid data.
+     */
+    function readBackup(text, inputIds = []) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (e) {
+            throw new BackupError('فایل انتخاب شده یک فایل JSON معتبر نیست.');
+        }
+        if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+            throw new BackupError('فایل انتخاب شده یک فایل پشتیبان نیست.');
+        }
+
+        if (backup.format !== BACKUP_FORMAT) backup = { version: 0, data: backup };
+        let version = Number(backup.version);
+        if (!Number.isInteger(version) || version < 0) {
+            throw new BackupError('نسخه فایل پشتیبان مشخص نیست.');
+        }
+        if (version > BACKUP_VERSION) {
+            throw new BackupError('این فایل پشتیبان با نسخه جدیدتری از برنامه ساخته شده است.');
+        }
+
+        while (version < BACKUP_VERSION) {
+            const createdAt = backup.createdAt || null;
+            backup = MIGRATIONS[version](backup.data, inputIds);
+            backup.createdAt = backup.createdAt || createdAt;
+            version = backup.version;
+        }
+
+        const problems = validateData(backup.data);
+        if (problems.length > 0) throw new BackupError(problems.join('\n'));
+
+        backup.data = Object.assign(emptyData(), backup.data);
+        return backup;
+    }
+
+    /**
+     * Combines the data on the device with the data of a backup.
+     * In "replace" mode the backup data is used as is. In "merge" mode saved inputs, the theme and the selected
+     * blend from the backup overwrite the current ones, and the lists are combined: entries with the same
+     * identity (see `LIST_KEYS`) are taken from the backup, other entries from both sides are kept.
+     * @param {object} current - The data currently on the device.
+     * @param {object} incoming - The data of the backup.
+     * @param {'merge'|'replace'} mode - How to combine the two.
+     * @returns {object} The data to store.
+     */
+    function combineData(current, incoming, mode) {
+        const base = Object.assign(emptyData(), current);
+        const next = Object.assign(emptyData(), incoming);
+        if (mode === 'replace') return next;
+
+        const result = {
+            inputs: Object.assign({}, base.inputs, next.inputs),
+            theme: next.theme || base.theme,
+            activeBlendId: next.activeBlendId || base.activeBlendId
+        };
+        Object.keys(LIST_KEYS).forEach(key => {
+            const identify = LIST_KEYS[key];
+            const incomingIds = new Set(next[key].map(identify));
+            result[key] = base[key].filter(entry => !incomingIds.has(identify(entry))).concat(next[key]);
+        });
+        return result;
+    }
+
+    /**
+     * Counts the entries of a data object, for the restore confirmation.
+     * @param {object} data - The data to describe.
+     * @returns {Object<string, number>} The number of saved inputs and of entries in every list.
+     */
+    function describeData(data) {
+        const counts = { inputs: Object.keys(data.inputs || {}).length };
+        Object.keys(LIST_KEYS).forEach(key => { counts[key] = (data[key] || []).length; });
+        return counts;
+    }
+
+    return {
+        BACKUP_FORMAT,
+        BACKUP_VERSION,
+        LIST_KEYS,
+        BackupError,
+        emptyData,
+        createBackup,
+        readBackup,
+        combineData,
+        describeData
+    };
+});
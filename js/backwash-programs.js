@@ -0,0 +1,150 @@
+/**
+ * Pure helpers for backwash programs.
+ * A program is a named list of phases repeated for a number of rounds. Each phase switches the
+ * group head on (pump running) or off (resting) for a number of seconds and can carry an
+ * instruction for the barista, e.g. "add detergent". In the browser the module is exposed as
+ * `window.BackwashPrograms`.
+ */
+(function (root, factory) {
+    const api = factory(typeof module === 'object' && module.exports ? require('./calculations') : root.CoffeeCalc);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.BackwashPrograms = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (CoffeeCalc) {
+    'use strict';
+
+    const { toNumber } = CoffeeCalc;
+
+    /**
+     * The programs offered before the user creates their own; they match the original fixed
+     * 10-second and 5-second buttons.
+     * @type {object[]}
+     */
+    const DEFAULT_PROGRAMS = [
+        {
+            id: 'default-10',
+            name: 'مرحله ۱۰ ثانیه‌ای',
+            rounds: 5,
+            phases: [
+                { label: '', state: 'on', seconds: 10, instruction: '' },
+                { label: '', state: 'off', seconds: 10, instruction: '' }
+            ]
+        },
+        {
+            id: 'default-5',
+            name: 'مرحله ۵ ثانیه‌ای',
+            rounds: 10,
+            phases: [
+                { label: '', state: 'on', seconds: 5, instruction: '' },
+                { label: '', state: 'off', seconds: 5, instruction: '' }
+            ]
+        }
+    ];
+
+    /**
+     * Builds a normalized phase from raw editor fields.
+     * @param {object} fields - The raw phase fields.
+     * @param {string} [fields.label] - An optional phase name, e.g. "شستشو با پودر".
+     * @param {'on'|'off'} [fields.state='on'] - Whether the pump runs during the phase.
+     * @param {number|string} fields.seconds - The phase length (s).
+     * @param {string} [fields.instruction] - An optional instruction shown while the phase runs.
+     * @returns {{label: string, state: string, seconds: number, instruction: string}} The phase.
+     */
+    function createPhase(fields = {}) {
+        return {
+            label: String(fields.label || '').trim(),
+            state: fields.state === 'off' ? 'off' : 'on',
+            seconds: Math.round(toNumber(fields.seconds)),
+            instruction: String(fields.instruction || '').trim()
+        };
+    }
+
+    /**
+     * Builds a normalized program from raw editor fields.
+     * @param {object} fields - The raw program fields.
+     * @param {string} fields.id - A unique id for the program.
+     * @param {string} fields.name - The program name.
+     * @param {number|string} [fields.rounds=1] - How many times the phases are repeated.
+     * @param {object[]} fields.phases - The raw phases, see `createPhase`.
+     * @returns {object} The program.
+     */
+    function createProgram(fields) {
+        return {
+            id: fields.id,
+            name: String(fields.name || '').trim(),
+            rounds: Math.round(toNumber(fields.rounds, 1)),
+            phases: (fields.phases || []).map(createPhase)
+        };
+    }
+
+    /**
+     * Checks a program before it is saved.
+     * @param {object} program - The program, see `createProgram`.
+     * @returns {string[]} The invalid fields: `name`, `rounds`, `phases` (no phase at all),
+     *          or `phase-<index>` for a phase without a positive length. An empty array means the program is valid.
+     */
+    function validateProgram(program) {
+        const invalidFields = [];
+        if (!String(program.name || '').trim()) invalidFields.push('name');
+        if (!(toNumber(program.rounds) >= 1)) invalidFields.push('rounds');
+        if (!program.phases || program.phases.length === 0) invalidFields.push('phases');
+        (program.phases || []).forEach((phase, index) => {
+            if (!(toNumber(phase.seconds) > 0)) invalidFields.push(`phase-${index}`);
+        });
+        return invalidFields;
+    }
+
+    /**
+     * Flattens a program into the sequence of timed steps it runs through.
+     * @param {object} program - The program.
+     * @returns {Array<{round: number, totalRounds: number, phaseIndex: number, label: string, state: string, seconds: number, instruction: string}>}
+     *          The steps in order; `round` starts at 1.
+     */
+    function expandProgram(program) {
+        const steps = [];
+        for (let round = 1; round <= program.rounds; round++) {
+            program.phases.forEach((phase, phaseIndex) => {
+                steps.push(Object.assign({ round, totalRounds: program.rounds, phaseIndex }, phase));
+            });
+        }
+        return steps;
+    }
+
+    /**
+     * Calculates how long a program runs.
+     * @param {object} program - The program.
+     * @returns {number} The total length (s).
+     */
+    function programDuration(program) {
+        return expandProgram(program).reduce((total, step) => total + step.seconds, 0);
+    }
+
+    /**
+     * Moves a program up or down in the list.
+     * @param {object[]} programs - The program list.
+     * @param {string} id - The id of the program to move.
+     * @param {number} offset - -1 to move it up, 1 to move it down.
+     * @returns {object[]} A new, reordered list. The list is returned unchanged if the move is not possible.
+     */
+    function moveProgram(programs, id, offset) {
+        const index = programs.findIndex(program => program.id === id);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= programs.length) return programs.slice();
+        const reordered = programs.slice();
+        const [program] = reordered.splice(index, 1);
+        reordered.splice(target, 0, program);
+        return reordered;
+    }
+
+    return {
+        DEFAULT_PROGRAMS,
+        createPhase,
+        createProgram,
+        validateProgram,
+        expandProgram,
+        programDuration,
+        moveProgram
+    };
+});
@@ -0,0 +1,198 @@
+/**
+ * Pure helpers for the roast batch log.
+ * A batch records one roast: the bean origin, roast level, green and roasted weights (grams),
+ * start/end time and free-form notes. These functions normalize, validate and aggregate batches
+ * without touching the DOM or storage. In the browser the module is exposed as `window.RoastBatchLog`.
+ */
+(function (root, factory) {
+    const api = factory(typeof module === 'object' && module.exports ? require('./calculations') : root.CoffeeCalc);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.RoastBatchLog = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (CoffeeCalc) {
+    'use strict';
+
+    const { toNumber } = CoffeeCalc;
+
+    /**
+     * Formats a date as a local `YYYY-MM-DD` key, the format used by `<input type="date">`
+     * and by the `date` field of every batch.
+     * @param {Date} date - The date to format.
+     * @returns {string} The date key.
+     */
+    function toDateKey(date) {
+        const y = date.getFullYear();
+        const m = String(date.getMonth() + 1).padStart(2, '0');
+        const d = String(date.getDate()).padStart(2, '0');
+        return `${y}-${m}-${d}`;
+    }
+
+    /**
+     * Checks the fields of a batch before it is logged.
+     * The origin is required, the green weight must be positive and the roasted weight
+     * must be between zero and the green weight.
+     * @param {object} fields - The raw batch fields, see `createBatch`.
+     * @returns {string[]} The names of the invalid fields; an empty array means the batch is valid.
+     */
+    function validateBatch(fields) {
+        const invalidFields = [];
+        const greenWeight = toNumber(fields.greenWeight, NaN);
+        const roastedWeight = toNumber(fields.roastedWeight, NaN);
+        if (!fields.origin || !String(fields.origin).trim()) invalidFields.push('origin');
+        if (isNaN(greenWeight) || greenWeight <= 0) invalidFields.push('greenWeight');
+        if (isNaN(roastedWeight) || roastedWeight < 0 || roastedWeight > greenWeight) invalidFields.push('roastedWeight');
+        return invalidFields;
+    }
+
+    /**
+     * Builds a normalized batch entry from raw form fields.
+     * @param {object} fields - The raw batch fields.
+     * @param {string} fields.id - A unique id for the batch.
+     * @param {string} fields.date - The roast day as `YYYY-MM-DD`.
+     * @param {string} fields.origin - The bean origin, e.g. "برزیل".
+     * @param {string} [fields.roastLevel] - The roast level, e.g. "مدیوم".
+     * @param {number|string} fields.greenWeight - Green weight put into the roaster (g).
+     * @param {number|string} fields.roastedWeight - Roasted weight taken out (g).
+     * @param {string} [fields.startTime] - Start time as `HH:MM`.
+     * @param {string} [fields.endTime] - End time as `HH:MM`.
+     * @param {string} [fields.notes] - Free-form notes.
+     * @returns {object} The batch entry.
+     */
+    function createBatch(fields) {
+        return {
+            id: fields.id,
+            date: fields.date,
+            origin: String(fields.origin || '').trim(),
+            roastLevel: fields.roastLevel || '',
+            greenWeight: toNumber(fields.greenWeight),
+            roastedWeight: toNumber(fields.roastedWeight),
+            startTime: fields.startTime || '',
+            endTime: fields.endTime || '',
+            notes: String(fields.notes || '').trim()
+        };
+    }
+
+    /**
+     * Calculates the weight loss of a single batch.
+     * @param {{greenWeight: number, roastedWeight: number}} batch - The batch.
+     * @returns {number} The weight loss in percent, or 0 if the batch has no green weight.
+     */
+    function batchWeightLoss(batch) {
+        const greenWeight = toNumber(batch.greenWeight);
+        if (greenWeight <= 0) return 0;
+        return ((greenWeight - toNumber(batch.roastedWeight)) / greenWeight) * 100;
+    }
+
+    /**
+     * Calculates the length of a batch from its start and end time.
+     * Batches that run past midnight are handled by wrapping around 24 hours.
+     * @param {{startTime: string, endTime: string}} batch - The batch.
+     * @returns {number|null} The duration in minutes, or null if either time is missing.
+     */
+    function batchDurationMinutes(batch) {
+        const parse = time => {
+            const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+            return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+        };
+        const start = parse(batch.startTime);
+        const end = parse(batch.endTime);
+        if (start === null || end === null) return null;
+        return end >= start ? end - start : end + 24 * 60 - start;
+    }
+
+    /**
+     * Returns the batches of one day, in the order they were logged.
+     * @param {object[]} batches - All logged batches.
+     * @param {string} dateKey - The day as `YYYY-MM-DD`.
+     * @returns {object[]} The batches of that day.
+     */
+    function batchesForDate(batches, dateKey) {
+        return batches.filter(batch => batch.date === dateKey);
+    }
+
+    /**
+     * Aggregates a set of batches into totals.
+     * The weight loss is the overall loss of the set (total lost weight over total green weight),
+     * so heavy batches weigh more than light ones.
+     * @param {object[]} batches - The batches to aggregate.
+     * @returns {{batchCount: number, totalGreenKg: number, totalRoastedKg: number, weightLossPercent: number}} The totals.
+     */
+    function summarizeBatches(batches) {
+        let totalGreen = 0;
+        let totalRoasted = 0;
+        batches.forEach(batch => {
+            totalGreen += toNumber(batch.greenWeight);
+            totalRoasted += toNumber(batch.roastedWeight);
+        });
+        return {
+            batchCount: batches.length,
+            totalGreenKg: totalGreen / 1000,
+            totalRoastedKg: totalRoasted / 1000,
+            weightLossPercent: totalGreen > 0 ? ((totalGreen - totalRoasted) / totalGreen) * 100 : 0
+        };
+    }
+
+    /**
+     * Aggregates batches per day.
+     * @param {object[]} batches - All logged batches.
+     * @returns {Array<object>} One summary per day (see `summarizeBatches`) with its `date`, newest day first.
+     */
+    function dailyAggregates(batches) {
+        const byDate = {};
+        batches.forEach(batch => {
+            (byDate[batch.date] = byDate[batch.date] || []).push(batch);
+        });
+        return Object.keys(byDate)
+            .sort()
+            .reverse()
+            .map(date => Object.assign({ date }, summarizeBatches(byDate[date])));
+    }
+
+    /**
+     * Calculates the average weight loss per bean origin over the given batches.
+     * @param {object[]} batches - The batches to aggregate.
+     * @returns {Array<object>} One summary per origin (see `summarizeBatches`) with its `origin`, sorted by origin name.
+     */
+    function averageLossByOrigin(batches) {
+        const byOrigin = {};
+        batches.forEach(batch => {
+            (byOrigin[batch.origin] = byOrigin[batch.origin] || []).push(batch);
+        });
+        return Object.keys(byOrigin)
+            .sort((a, b) => a.localeCompare(b, 'fa'))
+            .map(origin => Object.assign({ origin }, summarizeBatches(byOrigin[origin])));
+    }
+
+    /**
+     * Converts a set of batches into the input expected by `CoffeeCalc.calculateRoast`.
+     * The combined batches act as the weight-loss sample and their green weight as the day's total.
+     * @param {object[]} batches - The batches of the day.
+     * @param {{greenPrice: number, roastWage: number}} prices - Green coffee price and roasting fee (toman/kg).
+     * @returns {object} The roast calculation input.
+     */
+    function toRoastInput(batches, prices) {
+        const summary = summarizeBatches(batches);
+        return {
+            greenPrice: prices.greenPrice,
+            roastWage: prices.roastWage,
+            batchInput: summary.totalGreenKg * 1000,
+            batchOutput: summary.totalRoastedKg * 1000,
+            totalGreen: summary.totalGreenKg
+        };
+    }
+
+    return {
+        toDateKey,
+        validateBatch,
+        createBatch,
+        batchWeightLoss,
+        batchDurationMinutes,
+        batchesForDate,
+        summarizeBatches,
+        dailyAggregates,
+        averageLossByOrigin,
+        toRoastInput
+    };
+});
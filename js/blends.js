@@ -0,0 +1,126 @@
+/**
+ * Pure helpers for the blend library of the bean mix tool.
+ * A blend is a named set of mix rows (bean, price and whether it is green, percentage, weight and the solver
+ * constraints) that can be loaded back into the tool. Every blend remembers the last price calculated for it and
+ * the day it was calculated, so a later price can be compared with it. In the browser the module is exposed as
+ * `window.BlendLibrary`.
+ */
+(function (root, factory) {
+    const api = factory(typeof module === 'object' && module.exports ? require('./calculations') : root.CoffeeCalc);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.BlendLibrary = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (CoffeeCalc) {
+    'use strict';
+
+    const { toNumber } = CoffeeCalc;
+
+    /**
+     * The fields of a mix row stored in a blend, as saved by the mix tool.
+     * @type {string[]}
+     */
+    const COMPONENT_FIELDS = ['name', 'price', 'percentage', 'weight', 'priceSource', 'state', 'species', 'minPercent', 'maxPercent'];
+
+    /**
+     * Checks the fields of a blend before it is saved.
+     * @param {object} fields - The raw blend fields, see `createBlend`.
+     * @returns {string[]} `name` when the name is empty and `components` when no row has a bean name or a price.
+     *          An empty array means the blend is valid.
+     */
+    function validateBlend(fields) {
+        const invalidFields = [];
+        if (!String(fields.name || '').trim()) invalidFields.push('name');
+        if (!(fields.components || []).some(component => String(component.name || '').trim() || toNumber(component.price) > 0)) {
+            invalidFields.push('components');
+        }
+        return invalidFields;
+    }
+
+    /**
+     * Builds a normalized blend.
+     * The rows are copied as the mix tool saves them, so a blend can be loaded back without changing its inputs.
+     * @param {object} fields - The raw blend fields.
+     * @param {string} fields.id - A unique id for the blend.
+     * @param {string} fields.name - The blend name, e.g. "اسپرسو هاوس".
+     * @param {object[]} fields.components - The mix rows, see `COMPONENT_FIELDS`.
+     * @param {number|null} [fields.lastPrice=null] - The last price calculated for the blend (toman/kg).
+     * @param {string|null} [fields.lastPriceDate=null] - The day of the last price as `YYYY-MM-DD`.
+     * @returns {object} The blend.
+     */
+    function createBlend(fields) {
+        const lastPrice = toNumber(fields.lastPrice, NaN);
+        return {
+            id: fields.id,
+            name: String(fields.name || '').trim(),
+            components: (fields.components || []).map(component => {
+                const copy = {};
+                COMPONENT_FIELDS.forEach(field => { copy[field] = component[field] === undefined || component[field] === null ? '' : String(component[field]); });
+                return copy;
+            }),
+            lastPrice: lastPrice > 0 ? lastPrice : null,
+            lastPriceDate: lastPrice > 0 ? fields.lastPriceDate || null : null
+        };
+    }
+
+    /**
+     * Copies a blend under a new id and name. The copy keeps the rows and the last price.
+     * @param {object} blend - The blend to copy.
+     * @param {string} id - The id of the copy.
+     * @param {string} name - The name of the copy.
+     * @returns {object} The copy.
+     */
+    function duplicateBlend(blend, id, name) {
+        return createBlend(Object.assign({}, blend, { id, name }));
+    }
+
+    /**
+     * Calculates the price of a set of mix rows the way the mix tool shows it: by percentage when the
+     * percentages add up to 100, otherwise by weight.
+     * @param {object[]} components - The mix rows.
+     * @param {function(object): number} [priceOf] - Returns the price of a row (toman/kg), e.g. the current inventory cost
+     *        of its linked origin; by default the row's own price.
+     * @returns {number|null} The price (toman/kg), or null when it cannot be calculated.
+     */
+    function blendPrice(components, priceOf = component => toNumber(component.price)) {
+        const result = CoffeeCalc.calculateMixPrice(components.map(component => ({
+            price: priceOf(component),
+            percentage: component.percentage,
+            weight: component.weight
+        })));
+        return result.isPercentageComplete ? result.priceFromPercentage : result.pricePerKgFromWeight;
+    }
+
+    /**
+     * Stores a newly calculated price as the last price of a blend.
+     * @param {object} blend - The blend.
+     * @param {number} price - The price (toman/kg).
+     * @param {string} dateKey - The day of the calculation as `YYYY-MM-DD`.
+     * @returns {object} A copy of the blend with the new last price.
+     */
+    function recordPrice(blend, price, dateKey) {
+        return Object.assign({}, blend, { lastPrice: price, lastPriceDate: dateKey });
+    }
+
+    /**
+     * Compares a price with the last price of a blend.
+     * @param {number|null} lastPrice - The last price (toman/kg).
+     * @param {number|null} price - The new price (toman/kg).
+     * @returns {{amount: number, percent: number}|null} The change, or null when either price is missing.
+     */
+    function priceChange(lastPrice, price) {
+        if (!(lastPrice > 0) || price === null || price === undefined) return null;
+        return { amount: price - lastPrice, percent: (price - lastPrice) / lastPrice * 100 };
+    }
+
+    return {
+        COMPONENT_FIELDS,
+        validateBlend,
+        createBlend,
+        duplicateBlend,
+        blendPrice,
+        recordPrice,
+        priceChange
+    };
+});
@@ -0,0 +1,208 @@
+/**
+ * Pure helpers for the brew recipe timer.
+ * A recipe is a named list of stages (e.g. bloom, pours and drawdown). Every stage has a length,
+ * the water poured during it (g) and a cue telling the barista what to do. The stopwatch runs the
+ * stages one after another. In the browser the module is exposed as `window.BrewRecipes`.
+ */
+(function (root, factory) {
+    const api = factory(typeof module === 'object' && module.exports ? require('./calculations') : root.CoffeeCalc);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.BrewRecipes = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (CoffeeCalc) {
+    'use strict';
+
+    const { toNumber } = CoffeeCalc;
+
+    /**
+     * The recipes offered before the user saves their own. The first one matches the default
+     * timings of the original two-stage stopwatch.
+     * @type {object[]}
+     */
+    const DEFAULT_RECIPES = [
+        {
+            id: 'default-two-stage',
+            name: 'دو مرحله‌ای',
+            stages: [
+                { name: 'مرحله ۱', seconds: 930, water: 0, cue: '' },
+                { name: 'مرحله ۲', seconds: 30, water: 0, cue: '' }
+            ]
+        },
+        {
+            id: 'default-v60',
+            name: 'V60',
+            stages: [
+                { name: 'شکوفایی', seconds: 45, water: 50, cue: 'آب را آرام روی کل بستر قهوه بریزید' },
+                { name: 'ریختن اول', seconds: 30, water: 100, cue: 'آب را دایره‌ای از مرکز به بیرون بریزید' },
+                { name: 'ریختن دوم', seconds: 30, water: 100, cue: 'آب را دایره‌ای بریزید و دریپر را آرام بچرخانید' },
+                { name: 'خالی شدن', seconds: 75, water: 0, cue: 'صبر کنید تا آب کامل از بستر عبور کند' }
+            ]
+        },
+        {
+            id: 'default-aeropress',
+            name: 'ایروپرس',
+            stages: [
+                { name: 'شکوفایی', seconds: 30, water: 50, cue: 'آب بریزید و هم بزنید' },
+                { name: 'ریختن', seconds: 20, water: 150, cue: 'باقی آب را بریزید و پیستون را بگذارید' },
+                { name: 'دم کشیدن', seconds: 70, water: 0, cue: 'صبر کنید' },
+                { name: 'فشردن', seconds: 30, water: 0, cue: 'پیستون را آرام و یکنواخت فشار دهید' }
+            ]
+        }
+    ];
+
+    /**
+     * Builds a normalized stage from raw editor fields.
+     * @param {object} fields - The raw stage fields.
+     * @param {string} [fields.name] - The stage name, e.g. "شکوفایی".
+     * @param {number|string} fields.seconds - The stage length (s).
+     * @param {number|string} [fields.water=0] - The water poured during the stage (g).
+     * @param {string} [fields.cue] - What to do during the stage.
+     * @returns {{name: string, seconds: number, water: number, cue: string}} The stage.
+     */
+    function createStage(fields = {}) {
+        return {
+            name: String(fields.name || '').trim(),
+            seconds: Math.max(0, Math.round(toNumber(fields.seconds))),
+            water: Math.max(0, toNumber(fields.water)),
+            cue: String(fields.cue || '').trim()
+        };
+    }
+
+    /**
+     * Builds a normalized recipe from raw editor fields.
+     * @param {object} fields - The raw recipe fields.
+     * @param {string} fields.id - A unique id for the recipe.
+     * @param {string} fields.name - The recipe name.
+     * @param {object[]} fields.stages - The raw stages, see `createStage`.
+     * @returns {object} The recipe.
+     */
+    function createRecipe(fields) {
+        return {
+            id: fields.id,
+            name: String(fields.name || '').trim(),
+            stages: (fields.stages || []).map(createStage)
+        };
+    }
+
+    /**
+     * Checks a recipe before it is run.
+     * @param {object} recipe - The recipe, see `createRecipe`.
+     * @returns {string[]} The invalid fields: `name`, `stages` (no stage with a length) or `stage-<index>` for a
+     *          stage with a negative length or water amount. An empty array means the recipe is valid.
+     */
+    function validateRecipe(recipe) {
+        const invalidFields = [];
+        const stages = recipe.stages || [];
+        if (!String(recipe.name || '').trim()) invalidFields.push('name');
+        if (!stages.some(stage => toNumber(stage.seconds) > 0)) invalidFields.push('stages');
+        stages.forEach((stage, index) => {
+            if (toNumber(stage.seconds) < 0 || toNumber(stage.water) < 0) invalidFields.push(`stage-${index}`);
+        });
+        return invalidFields;
+    }
+
+    /**
+     * Calculates the water that should be in the brewer at the end of every stage.
+     * @param {object[]} stages - The stages.
+     * @returns {number[]} The cumulative water (g), one entry per stage.
+     */
+    function cumulativeWater(stages) {
+        let total = 0;
+        return stages.map(stage => (total += toNumber(stage.water)));
+    }
+
+    /**
+     * Describes a stage for the stage indicator.
+     * @param {object} recipe - The recipe.
+     * @param {number} index - The index of the running stage.
+     * @returns {{name: string, number: number, total: number, targetWater: number, cue: string, nextName: string|null}}
+     *          The stage name (or "مرحله N" when unnamed), its 1-based number, the number of stages, the cumulative
+     *          target water at the end of the stage, its cue and the name of the following stage.
+     */
+    function describeStage(recipe, index) {
+        const stageName = i => recipe.stages[i].name || `مرحله ${i + 1}`;
+        const stage = recipe.stages[index];
+        return {
+            name: stageName(index),
+            number: index + 1,
+            total: recipe.stages.length,
+            targetWater: cumulativeWater(recipe.stages)[index],
+            cue: stage.cue,
+            nextName: index + 1 < recipe.stages.length ? stageName(index + 1) : null
+        };
+    }
+
+    /**
+     * Calculates how long a recipe runs.
+     * @param {object} recipe - The recipe.
+     * @returns {number} The total length (s).
+     */
+    function totalSeconds(recipe) {
+        return recipe.stages.reduce((total, stage) => total + toNumber(stage.seconds), 0);
+    }
+
+    /**
+     * The ids of the inputs that held the two fixed stages of the original stopwatch.
+     * @type {string[]}
+     */
+    const LEGACY_STAGE_IDS = ['stage1-minutes', 'stage1-seconds', 'stage2-minutes', 'stage2-seconds'];
+
+    /**
+     * Turns the two fixed stages of the original stopwatch in the saved inputs into a recipe and selects it.
+     * @param {Object<string, string>} inputs - The saved inputs.
+     * @param {object[]|null} recipes - The saved recipes, or null when none are saved and the default recipes apply.
+     * @returns {{inputs: Object<string, string>, brewRecipes: object[]}|null} Copies of the inputs without the stage
+     *          fields and with the recipe selected, and of the recipes with the migrated one added, or null when the
+     *          inputs hold none of the stage fields.
+     */
+    function migrateLegacyStopwatchInputs(inputs, recipes) {
+        if (!LEGACY_STAGE_IDS.some(id => id in inputs)) return null;
+        const seconds = (minutesId, secondsId) => (parseInt(inputs[minutesId], 10) || 0) * 60 + (parseInt(inputs[secondsId], 10) || 0);
+        const recipe = createRecipe({
+            id: 'migrated-two-stage',
+            name: 'دو مرحله‌ای (تنظیمات قبلی)',
+            stages: [
+                { name: 'مرحله ۱', seconds: seconds('stage1-minutes', 'stage1-seconds') },
+                { name: 'مرحله ۲', seconds: seconds('stage2-minutes', 'stage2-seconds') }
+            ]
+        });
+        const rest = Object.assign({}, inputs, { 'brew-recipe': recipe.id });
+        LEGACY_STAGE_IDS.forEach(id => delete rest[id]);
+        return {
+            inputs: rest,
+            brewRecipes: (recipes || DEFAULT_RECIPES.map(createRecipe)).filter(item => item.id !== recipe.id).concat(recipe)
+        };
+    }
+
+    /**
+     * Creates the storage migration that turns the two fixed stages of the original stopwatch
+     * (the `stage1-minutes` … `stage2-seconds` inputs) into a saved recipe, next to the default recipes,
+     * and selects it so the user keeps their timings, see `migrateLegacyStopwatchInputs`.
+     * @returns {{version: number, migrate: function(object): void}} The migration, for schema version 2.
+     */
+    function legacyStopwatchMigration() {
+        return {
+            version: 2,
+            migrate(store) {
+                const migrated = migrateLegacyStopwatchInputs(store.get('inputs', {}), store.get('brewRecipes', null));
+                if (!migrated) return;
+                store.set('brewRecipes', migrated.brewRecipes);
+                store.set('inputs', migrated.inputs);
+            }
+        };
+    }
+
+    return {
+        DEFAULT_RECIPES,
+        createStage,
+        createRecipe,
+        validateRecipe,
+        cumulativeWater,
+        describeStage,
+        totalSeconds,
+        migrateLegacyStopwatchInputs,
+        legacyStopwatchMigration
+    };
+});
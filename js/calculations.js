@@ -0,0 +1,239 @@
+/**
+ * Pure calculation functions shared by the roast, cafe revenue and bean mix tools.
+ * None of these functions touch the DOM or localStorage: they take a plain input object
+ * and return a plain result object, so they can be reused from spreadsheets, Node scripts
+ * and the unit tests in `test/`. In the browser the module is exposed as `window.CoffeeCalc`.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.CoffeeCalc = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Converts a loosely typed value (a number, a numeric string from an input field, or nothing)
+     * into a number. Empty and non-numeric values fall back to the given default.
+     * @param {*} value - The value to convert.
+     * @param {number} [defaultValue=0] - The value to return if `value` is not a valid number.
+     * @returns {number} The numeric value.
+     */
+    function toNumber(value, defaultValue = 0) {
+        if (value === null || value === undefined || value === '') return defaultValue;
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        return isNaN(number) ? defaultValue : number;
+    }
+
+    // ####################################
+    // Roast Calculation
+    // ####################################
+    /**
+     * Checks the batch sample of a roast calculation.
+     * The green (input) weight must be positive and the roasted (output) weight must be
+     * between zero and the input weight.
+     * @param {object} input - The roast input, see `calculateRoast`.
+     * @returns {string[]} The names of the invalid fields; an empty array means the input is valid.
+     */
+    function validateRoastInput(input) {
+        const invalidFields = [];
+        const batchInput = toNumber(input.batchInput, NaN);
+        const batchOutput = toNumber(input.batchOutput, NaN);
+        if (isNaN(batchInput) || batchInput <= 0) invalidFields.push('batchInput');
+        if (isNaN(batchOutput) || batchOutput < 0 || batchOutput > batchInput) invalidFields.push('batchOutput');
+        return invalidFields;
+    }
+
+    /**
+     * Calculates the roast analysis for a day of roasting.
+     * The weight loss is measured on a sample batch (`batchInput` grams of green coffee giving
+     * `batchOutput` grams of roasted coffee) and applied to the total green coffee of the day.
+     * @param {object} input - The roast input.
+     * @param {number} input.greenPrice - Price of green coffee (toman/kg).
+     * @param {number} input.roastWage - Roasting fee (toman/kg of green coffee).
+     * @param {number} input.batchInput - Green weight of the sample batch (g).
+     * @param {number} input.batchOutput - Roasted weight of the sample batch (g).
+     * @param {number} input.totalGreen - Total green coffee roasted in the day (kg).
+     * @returns {{weightLossPercent: number, totalRawGreenCost: number, totalProductionCost: number, totalRoastedOutput: number, costOfRoastedCoffee: number, totalRoastedValue: number, profit: number}}
+     *          The roast results. `costOfRoastedCoffee` is in toman/kg and `totalRoastedOutput` in kg.
+     */
+    function calculateRoast(input) {
+        const greenPrice = toNumber(input.greenPrice);
+        const roastWage = toNumber(input.roastWage);
+        const batchInput = toNumber(input.batchInput);
+        const batchOutput = toNumber(input.batchOutput);
+        const totalGreen = toNumber(input.totalGreen);
+
+        const totalRawGreenCost = greenPrice * totalGreen;
+        const totalProductionCost = totalRawGreenCost + (roastWage * totalGreen);
+
+        const weightLossPercent = batchInput > 0 ? ((batchInput - batchOutput) / batchInput) * 100 : 0;
+        const totalRoastedOutput = totalGreen * (1 - (weightLossPercent / 100));
+
+        let costOfRoastedCoffee = 0;
+        if (totalRoastedOutput > 0) {
+            costOfRoastedCoffee = totalProductionCost / totalRoastedOutput;
+        }
+
+        // The "value" is the total cost of production
+        const totalRoastedValue = totalProductionCost;
+
+        // Per user request, "profit" is the difference between total value and raw green cost
+        const profit = totalRoastedValue - totalRawGreenCost;
+
+        return {
+            weightLossPercent,
+            totalRawGreenCost,
+            totalProductionCost,
+            totalRoastedOutput,
+            costOfRoastedCoffee,
+            totalRoastedValue,
+            profit
+        };
+    }
+
+    // ####################################
+    // Monthly Projection
+    // ####################################
+    /**
+     * The number of days used to project daily figures, e.g. the cafe revenue of `MenuCosting.calculateMenuRevenue`,
+     * to a month when the caller does not pass the length of the actual month.
+     * @type {number}
+     */
+    const DAYS_IN_MONTH = 30;
+
+    // ####################################
+    // Bean Mix Calculation
+    // ####################################
+    /**
+     * Calculates the price of a coffee bean mix.
+     * Two prices are produced, just like the mix tool shows them:
+     * 1. By weight: the total cost of the entered weights divided by the total weight.
+     * 2. By percentage: the percentage-weighted average of the prices, only when the percentages sum to 100.
+     * Components without a price are ignored.
+     * @param {Array<{price: number, percentage: number, weight: number}>} beans - The mix components.
+     *        `price` is in toman/kg and `weight` in grams.
+     * @returns {{totalPercentage: number, totalWeight: number, pricePerKgFromWeight: number|null, priceFromPercentage: number|null, isPercentageComplete: boolean}}
+     *          The mix results. A price is `null` when it cannot be calculated from the given components.
+     */
+    function calculateMixPrice(beans) {
+        let totalPercentage = 0;
+        let totalWeight = 0;
+        let totalCostFromWeight = 0;
+        let finalPriceFromPercentage = 0;
+
+        beans.forEach(bean => {
+            const percentage = toNumber(bean.percentage);
+            const price = toNumber(bean.price);
+            const weight = toNumber(bean.weight);
+
+            totalPercentage += percentage;
+
+            if (weight > 0 && price > 0) {
+                totalWeight += weight;
+                totalCostFromWeight += (weight / 1000) * price;
+            }
+
+            if (percentage > 0 && price > 0) {
+                finalPriceFromPercentage += (percentage / 100) * price;
+            }
+        });
+
+        const isPercentageComplete = Math.round(totalPercentage) === 100;
+
+        return {
+            totalPercentage,
+            totalWeight,
+            pricePerKgFromWeight: totalWeight > 0 ? totalCostFromWeight / (totalWeight / 1000) : null,
+            priceFromPercentage: isPercentageComplete ? finalPriceFromPercentage : null,
+            isPercentageComplete
+        };
+    }
+
+    /**
+     * The bag sizes (grams) a mix is priced for on the shelf.
+     * @type {number[]}
+     */
+    const BAG_SIZES = [250, 500, 1000];
+
+    /**
+     * Checks the shelf pricing settings of a mix.
+     * @param {object} input - The shelf pricing input, see `calculateMixShelfPrice`.
+     * @returns {string[]} The invalid fields: `roastLossPercent` (0 up to but not including 100), `roastWage` (not negative),
+     *          `marginPercent` (0 up to but not including 100) and `packaging-<grams>` (not negative) for a bag size.
+     *          An empty array means the input is valid.
+     */
+    function validateMixShelfInput(input) {
+        const invalidFields = [];
+        const roastLossPercent = toNumber(input.roastLossPercent, NaN);
+        const roastWage = toNumber(input.roastWage, NaN);
+        const marginPercent = toNumber(input.marginPercent, NaN);
+        if (!(roastLossPercent >= 0 && roastLossPercent < 100)) invalidFields.push('roastLossPercent');
+        if (!(roastWage >= 0)) invalidFields.push('roastWage');
+        if (!(marginPercent >= 0 && marginPercent < 100)) invalidFields.push('marginPercent');
+        BAG_SIZES.forEach(grams => {
+            if (!(toNumber((input.packaging || {})[grams], 0) >= 0)) invalidFields.push(`packaging-${grams}`);
+        });
+        return invalidFields;
+    }
+
+    /**
+     * Prices a coffee bean mix from the purchase prices of its components to the shelf.
+     * Green components are converted to the cost of a kilogram of roasted coffee with `calculateRoast`, so the
+     * roast weight loss and the roasting fee are included; roasted components are used at their price. The mix
+     * of the roasted costs is priced with `calculateMixPrice` (by percentage when the percentages sum to 100,
+     * otherwise by weight, the weights being roasted weights). Every bag size then gets its coffee cost, its
+     * packaging and a retail price that leaves the target margin of the retail price.
+     * @param {object} input - The shelf pricing input.
+     * @param {Array<{price: number, percentage: number, weight: number, state?: string}>} input.beans - The mix components;
+     *        `state` is `green` or `roasted` (the default).
+     * @param {number} input.roastLossPercent - The roast weight loss of green components (%).
+     * @param {number} input.roastWage - The roasting fee (toman/kg of green coffee).
+     * @param {number} input.marginPercent - The target margin as a percentage of the retail price.
+     * @param {Object<number, number>} [input.packaging] - The packaging cost of a bag (toman) by bag size in grams.
+     * @returns {{roastedPrices: number[], mix: object, roastedCostPerKg: number|null, bags: Array<{grams: number, coffeeCost: number, packagingCost: number, totalCost: number, retailPrice: number, profit: number}>}}
+     *          The roasted cost per kilogram of every component, the `calculateMixPrice` result of the roasted costs, the
+     *          roasted cost of a kilogram of the mix and the bag prices. Without a mix cost there are no bags.
+     */
+    function calculateMixShelfPrice(input) {
+        const roastLossPercent = toNumber(input.roastLossPercent);
+        const roastWage = toNumber(input.roastWage);
+        const marginPercent = toNumber(input.marginPercent);
+        const packaging = input.packaging || {};
+
+        const roastedPrices = input.beans.map(bean => {
+            const price = toNumber(bean.price);
+            if (bean.state !== 'green') return price;
+            return calculateRoast({ greenPrice: price, roastWage, batchInput: 100, batchOutput: 100 - roastLossPercent, totalGreen: 1 }).costOfRoastedCoffee;
+        });
+        const mix = calculateMixPrice(input.beans.map((bean, index) => ({
+            price: roastedPrices[index],
+            percentage: bean.percentage,
+            weight: bean.weight
+        })));
+        const roastedCostPerKg = mix.isPercentageComplete ? mix.priceFromPercentage : mix.pricePerKgFromWeight;
+
+        const bags = roastedCostPerKg === null ? [] : BAG_SIZES.map(grams => {
+            const coffeeCost = roastedCostPerKg * grams / 1000;
+            const packagingCost = toNumber(packaging[grams]);
+            const totalCost = coffeeCost + packagingCost;
+            const retailPrice = totalCost / (1 - marginPercent / 100);
+            return { grams, coffeeCost, packagingCost, totalCost, retailPrice, profit: retailPrice - totalCost };
+        });
+
+        return { roastedPrices, mix, roastedCostPerKg, bags };
+    }
+
+    return {
+        toNumber,
+        validateRoastInput,
+        calculateRoast,
+        DAYS_IN_MONTH,
+        calculateMixPrice,
+        BAG_SIZES,
+        validateMixShelfInput,
+        calculateMixShelfPrice
+    };
+});
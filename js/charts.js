@@ -0,0 +1,217 @@
+/**
+ * Dependency-free line charts drawn on a `<canvas>`.
+ * The layout follows the app's right-to-left direction: the y axis is on the right, the x axis runs
+ * from right to left and the title and legend are right-aligned. Colors and the font are passed in
+ * by the caller, so charts follow the current theme. The scale helpers are pure and have no DOM access.
+ * In the browser the module is exposed as `window.CoffeeCharts`.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.CoffeeCharts = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+    /**
+     * Converts a `YYYY-MM-DD` date key to a day number, so dates can be placed on a linear axis.
+     * @param {string} dateKey - The date key.
+     * @returns {number} The number of days since 1970-01-01.
+     */
+    function dateKeyToDayNumber(dateKey) {
+        const [y, m, d] = dateKey.split('-').map(Number);
+        return Date.UTC(y, m - 1, d) / MS_PER_DAY;
+    }
+
+    /**
+     * Converts a day number back to a `YYYY-MM-DD` date key.
+     * @param {number} dayNumber - The number of days since 1970-01-01; fractions are rounded.
+     * @returns {string} The date key.
+     */
+    function dayNumberToDateKey(dayNumber) {
+        const date = new Date(Math.round(dayNumber) * MS_PER_DAY);
+        return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-${String(date.getUTCDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Chooses round tick values that cover a range, e.g. 0, 5, 10, 15 for 1.2 to 13.8.
+     * A range without width is widened around its value by `minStep`, or else by a tenth of the value.
+     * @param {number} min - The smallest value to cover.
+     * @param {number} max - The largest value to cover.
+     * @param {number} [maxTicks=5] - The wanted number of intervals; the result may have a few more or fewer.
+     * @param {number} [minStep=0] - The smallest allowed step, e.g. 1 for whole days.
+     * @returns {{min: number, max: number, step: number, ticks: number[]}} The covered range and its ticks.
+     */
+    function niceTicks(min, max, maxTicks = 5, minStep = 0) {
+        if (!(max > min)) {
+            const padding = minStep || Math.abs(min) * 0.1 || 1;
+            min -= padding;
+            max += padding;
+        }
+        const roughStep = (max - min) / Math.max(1, maxTicks);
+        const magnitude = Math.pow(10, Math.floor(Math.log10(roughStep)));
+        const residual = roughStep / magnitude;
+        const niceStep = residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1;
+        const step = Math.max(niceStep * magnitude, minStep);
+        const niceMin = Math.floor(min / step) * step;
+        const niceMax = Math.ceil(max / step) * step;
+        const ticks = [];
+        for (let index = 0; niceMin + index * step <= niceMax + step / 2; index++) {
+            ticks.push(Number((niceMin + index * step).toPrecision(12)));
+        }
+        return { min: niceMin, max: niceMax, step, ticks };
+    }
+
+    /**
+     * Creates a linear scale from data values to pixels. The range may run backwards, e.g. from right to left.
+     * @param {number} domainMin - The smallest data value.
+     * @param {number} domainMax - The largest data value.
+     * @param {number} rangeStart - The pixel of `domainMin`.
+     * @param {number} rangeEnd - The pixel of `domainMax`.
+     * @returns {function(number): number} The scale; a domain without width maps every value to the middle of the range.
+     */
+    function createScale(domainMin, domainMax, rangeStart, rangeEnd) {
+        if (domainMax === domainMin) return () => (rangeStart + rangeEnd) / 2;
+        return value => rangeStart + (value - domainMin) / (domainMax - domainMin) * (rangeEnd - rangeStart);
+    }
+
+    /**
+     * Finds the extent of the points of several series.
+     * @param {Array<{points: Array<{x: number, y: number}>}>} series - The series.
+     * @returns {{minX: number, maxX: number, minY: number, maxY: number}|null} The extent, or null when there are no points.
+     */
+    function seriesBounds(series) {
+        const points = [].concat(...series.map(item => item.points));
+        if (points.length === 0) return null;
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+    }
+
+    /**
+     * Draws a line chart with a title, a legend, a grid and one line with dots per series.
+     * Points are joined in the order of their x value.
+     * @param {CanvasRenderingContext2D} ctx - The context to draw on, already scaled to CSS pixels.
+     * @param {object} options - The chart.
+     * @param {number} options.width - The width (CSS pixels).
+     * @param {number} options.height - The height (CSS pixels).
+     * @param {string} options.title - The title, drawn at the top.
+     * @param {Array<{name: string, color: string, points: Array<{x: number, y: number}>}>} options.series - The lines.
+     * @param {function(number): string} options.formatX - Formats an x tick.
+     * @param {function(number): string} options.formatY - Formats a y tick.
+     * @param {number[]} [options.xDomain] - A fixed `[min, max]` for the x axis instead of the extent of the points.
+     * @param {number} [options.xMinStep=0] - The smallest step between x ticks, e.g. 1 for days.
+     * @param {boolean} [options.yIncludesZero=false] - Whether the y axis always shows zero.
+     * @param {string} [options.emptyText] - The text shown when there are no points.
+     * @param {{background: string, text: string, grid: string, font: string}} options.theme - The colors and font family.
+     * @returns {void} This function does not return a value.
+     */
+    function drawLineChart(ctx, options) {
+        const { width, height, theme } = options;
+        const padding = 12;
+        const fontSize = 12;
+        const font = weight => `${weight} ${fontSize}px ${theme.font}`;
+
+        ctx.save();
+        ctx.direction = 'rtl';
+        ctx.fillStyle = theme.background;
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.fillStyle = theme.text;
+        ctx.font = font('bold');
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        ctx.fillText(options.title, width - padding, padding);
+
+        let legendRight = width - padding;
+        let legendTop = padding + fontSize + 10;
+        ctx.font = font('normal');
+        options.series.forEach(item => {
+            const itemWidth = ctx.measureText(item.name).width + fontSize + 16;
+            if (legendRight - itemWidth < padding && legendRight < width - padding) {
+                legendRight = width - padding;
+                legendTop += fontSize + 8;
+            }
+            ctx.fillStyle = item.color;
+            ctx.fillRect(legendRight - fontSize, legendTop, fontSize, fontSize);
+            ctx.fillStyle = theme.text;
+            ctx.fillText(item.name, legendRight - fontSize - 4, legendTop);
+            legendRight -= itemWidth;
+        });
+
+        const bounds = seriesBounds(options.series);
+        const plotTop = legendTop + fontSize + 16;
+        const plotBottom = height - padding - fontSize - 8;
+        if (!bounds) {
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(options.emptyText || '', width / 2, (plotTop + plotBottom) / 2);
+            ctx.restore();
+            return;
+        }
+
+        const [minX, maxX] = options.xDomain || [bounds.minX, bounds.maxX];
+        const minY = options.yIncludesZero ? Math.min(0, bounds.minY) : bounds.minY;
+        const maxY = options.yIncludesZero ? Math.max(0, bounds.maxY) : bounds.maxY;
+        const yTicks = niceTicks(minY, maxY, Math.max(2, Math.floor((plotBottom - plotTop) / 40)));
+        const yLabelWidth = Math.max(...yTicks.ticks.map(tick => ctx.measureText(options.formatY(tick)).width)) + 8;
+        const plotLeft = padding;
+        const plotRight = width - padding - yLabelWidth;
+        const xTicks = niceTicks(minX, maxX, Math.max(1, Math.floor((plotRight - plotLeft) / 90)), options.xMinStep || 0);
+        const xFrom = options.xDomain ? minX : xTicks.min;
+        const xTo = options.xDomain ? maxX : xTicks.max;
+        const scaleX = createScale(xFrom, xTo, plotRight, plotLeft);
+        const scaleY = createScale(yTicks.min, yTicks.max, plotBottom, plotTop);
+
+        ctx.strokeStyle = theme.grid;
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        yTicks.ticks.forEach(tick => {
+            const y = scaleY(tick);
+            ctx.beginPath();
+            ctx.moveTo(plotLeft, y);
+            ctx.lineTo(plotRight, y);
+            ctx.stroke();
+            ctx.fillText(options.formatY(tick), plotRight + 6, y);
+        });
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        xTicks.ticks.filter(tick => tick >= xFrom && tick <= xTo).forEach(tick => {
+            ctx.fillText(options.formatX(tick), scaleX(tick), plotBottom + 6);
+        });
+
+        ctx.lineWidth = 2;
+        options.series.forEach(item => {
+            const points = item.points.slice().sort((a, b) => a.x - b.x);
+            ctx.strokeStyle = item.color;
+            ctx.fillStyle = item.color;
+            ctx.beginPath();
+            points.forEach((point, index) => {
+                if (index === 0) ctx.moveTo(scaleX(point.x), scaleY(point.y));
+                else ctx.lineTo(scaleX(point.x), scaleY(point.y));
+            });
+            ctx.stroke();
+            points.forEach(point => {
+                ctx.beginPath();
+                ctx.arc(scaleX(point.x), scaleY(point.y), 3, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        });
+        ctx.restore();
+    }
+
+    return {
+        dateKeyToDayNumber,
+        dayNumberToDateKey,
+        niceTicks,
+        createScale,
+        seriesBounds,
+        drawLineChart
+    };
+});
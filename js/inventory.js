@@ -0,0 +1,138 @@
+/**
+ * Pure helpers for the green coffee inventory.
+ * The inventory is a ledger of purchases (date, supplier, origin, kg and price per kg).
+ * Stock is not stored separately: the remaining kilograms of an origin are its purchased
+ * kilograms minus the green weight of the roast batches logged for that origin.
+ * In the browser the module is exposed as `window.GreenInventory`.
+ */
+(function (root, factory) {
+    const api = factory(typeof module === 'object' && module.exports ? require('./calculations') : root.CoffeeCalc);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.GreenInventory = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (CoffeeCalc) {
+    'use strict';
+
+    const { toNumber } = CoffeeCalc;
+
+    /**
+     * The default stock level (kg) under which an origin is reported as running low.
+     * @type {number}
+     */
+    const DEFAULT_LOW_STOCK_KG = 5;
+
+    /**
+     * Normalizes an origin name so that purchases and batches typed slightly differently still match.
+     * @param {string} origin - The origin name.
+     * @returns {string} The trimmed origin name with collapsed whitespace.
+     */
+    function normalizeOrigin(origin) {
+        return String(origin || '').trim().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Checks the fields of a purchase before it is added to the ledger.
+     * @param {object} fields - The raw purchase fields, see `createPurchase`.
+     * @returns {string[]} The names of the invalid fields; an empty array means the purchase is valid.
+     */
+    function validatePurchase(fields) {
+        const invalidFields = [];
+        if (!fields.date) invalidFields.push('date');
+        if (!normalizeOrigin(fields.origin)) invalidFields.push('origin');
+        if (!(toNumber(fields.kg) > 0)) invalidFields.push('kg');
+        if (!(toNumber(fields.pricePerKg) > 0)) invalidFields.push('pricePerKg');
+        return invalidFields;
+    }
+
+    /**
+     * Builds a normalized purchase entry from raw form fields.
+     * @param {object} fields - The raw purchase fields.
+     * @param {string} fields.id - A unique id for the purchase.
+     * @param {string} fields.date - The purchase day as `YYYY-MM-DD`.
+     * @param {string} [fields.supplier] - The supplier name.
+     * @param {string} fields.origin - The bean origin, e.g. "برزیل".
+     * @param {number|string} fields.kg - The purchased amount (kg).
+     * @param {number|string} fields.pricePerKg - The purchase price (toman/kg).
+     * @returns {object} The purchase entry.
+     */
+    function createPurchase(fields) {
+        return {
+            id: fields.id,
+            date: fields.date,
+            supplier: String(fields.supplier || '').trim(),
+            origin: normalizeOrigin(fields.origin),
+            kg: toNumber(fields.kg),
+            pricePerKg: toNumber(fields.pricePerKg)
+        };
+    }
+
+    /**
+     * Calculates the stock of every purchased origin.
+     * Batches whose origin was never purchased are ignored.
+     * @param {object[]} purchases - The purchase ledger.
+     * @param {object[]} batches - The roast batch log; `greenWeight` is in grams.
+     * @returns {Array<{origin: string, purchasedKg: number, usedKg: number, remainingKg: number, averageCost: number, lastPurchaseDate: string}>}
+     *          One entry per origin, sorted by origin name. `averageCost` is the purchase price weighted by kilograms.
+     */
+    function summarizeInventory(purchases, batches) {
+        const byOrigin = {};
+        purchases.forEach(purchase => {
+            const origin = normalizeOrigin(purchase.origin);
+            const entry = byOrigin[origin] = byOrigin[origin] || { origin, purchasedKg: 0, totalCost: 0, usedKg: 0, lastPurchaseDate: '' };
+            entry.purchasedKg += toNumber(purchase.kg);
+            entry.totalCost += toNumber(purchase.kg) * toNumber(purchase.pricePerKg);
+            if (purchase.date > entry.lastPurchaseDate) entry.lastPurchaseDate = purchase.date;
+        });
+
+        (batches || []).forEach(batch => {
+            const entry = byOrigin[normalizeOrigin(batch.origin)];
+            if (entry) entry.usedKg += toNumber(batch.greenWeight) / 1000;
+        });
+
+        return Object.values(byOrigin)
+            .sort((a, b) => a.origin.localeCompare(b.origin, 'fa'))
+            .map(entry => ({
+                origin: entry.origin,
+                purchasedKg: entry.purchasedKg,
+                usedKg: entry.usedKg,
+                remainingKg: entry.purchasedKg - entry.usedKg,
+                averageCost: entry.purchasedKg > 0 ? entry.totalCost / entry.purchasedKg : 0,
+                lastPurchaseDate: entry.lastPurchaseDate
+            }));
+    }
+
+    /**
+     * Returns the origins whose remaining stock is below a threshold.
+     * @param {object[]} summary - The result of `summarizeInventory`.
+     * @param {number} [thresholdKg=DEFAULT_LOW_STOCK_KG] - The low-stock threshold (kg).
+     * @returns {object[]} The low-stock entries, lowest stock first.
+     */
+    function findLowStock(summary, thresholdKg = DEFAULT_LOW_STOCK_KG) {
+        return summary
+            .filter(entry => entry.remainingKg < thresholdKg)
+            .sort((a, b) => a.remainingKg - b.remainingKg);
+    }
+
+    /**
+     * Looks up the weighted-average cost of one origin.
+     * @param {object[]} summary - The result of `summarizeInventory`.
+     * @param {string} origin - The origin to look up.
+     * @returns {number|null} The average cost (toman/kg), or null if the origin is not in stock.
+     */
+    function averageCostFor(summary, origin) {
+        const entry = summary.find(item => item.origin === normalizeOrigin(origin));
+        return entry ? entry.averageCost : null;
+    }
+
+    return {
+        DEFAULT_LOW_STOCK_KG,
+        normalizeOrigin,
+        validatePurchase,
+        createPurchase,
+        summarizeInventory,
+        findLowStock,
+        averageCostFor
+    };
+});
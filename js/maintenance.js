@@ -0,0 +1,185 @@
+/**
+ * Pure helpers for the machine maintenance log and cleaning schedules.
+ * The log records every completed task (a backwash run or a manual check) with its time, machine
+ * and group head. A schedule repeats a task on one machine every N days; it is complete for a day
+ * when the log holds a matching entry, either marked with the schedule's id or, for schedules tied
+ * to a backwash program, a run of that program on the same machine.
+ * In the browser the module is exposed as `window.MaintenanceLog`.
+ */
+(function (root, factory) {
+    const isNode = typeof module === 'object' && module.exports;
+    const api = factory(
+        isNode ? require('./calculations') : root.CoffeeCalc,
+        isNode ? require('./batch-log') : root.RoastBatchLog
+    );
+    if (isNode) {
+        module.exports = api;
+    } else {
+        root.MaintenanceLog = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (CoffeeCalc, RoastBatchLog) {
+    'use strict';
+
+    const { toNumber } = CoffeeCalc;
+
+    /**
+     * Checks the fields of a schedule before it is saved.
+     * @param {object} fields - The raw schedule fields, see `createSchedule`.
+     * @returns {string[]} The names of the invalid fields; an empty array means the schedule is valid.
+     */
+    function validateSchedule(fields) {
+        const invalidFields = [];
+        if (!String(fields.machine || '').trim()) invalidFields.push('machine');
+        if (!String(fields.task || '').trim()) invalidFields.push('task');
+        if (!(toNumber(fields.intervalDays) >= 1)) invalidFields.push('intervalDays');
+        return invalidFields;
+    }
+
+    /**
+     * Builds a normalized schedule from raw form fields.
+     * @param {object} fields - The raw schedule fields.
+     * @param {string} fields.id - A unique id for the schedule.
+     * @param {string} fields.machine - The machine name, e.g. "دستگاه اصلی".
+     * @param {string} fields.task - The task name, e.g. "بک‌واش با پودر".
+     * @param {number|string} fields.intervalDays - How often the task is due (days).
+     * @param {string} [fields.programId] - A backwash program whose completed runs count as doing the task.
+     * @returns {object} The schedule.
+     */
+    function createSchedule(fields) {
+        return {
+            id: fields.id,
+            machine: String(fields.machine || '').trim(),
+            task: String(fields.task || '').trim(),
+            intervalDays: Math.round(toNumber(fields.intervalDays)),
+            programId: fields.programId || ''
+        };
+    }
+
+    /**
+     * Builds a normalized log entry.
+     * @param {object} fields - The raw entry fields.
+     * @param {string} fields.id - A unique id for the entry.
+     * @param {string} fields.timestamp - When the task was completed, as an ISO string.
+     * @param {string} fields.machine - The machine name.
+     * @param {string} [fields.groupHead] - The group head the task was done on, e.g. "1".
+     * @param {string} fields.task - The task or program name.
+     * @param {string} [fields.programId] - The backwash program that was run.
+     * @param {string} [fields.scheduleId] - The schedule that was marked as done.
+     * @param {string} [fields.notes] - Free-form notes.
+     * @returns {object} The log entry.
+     */
+    function createLogEntry(fields) {
+        return {
+            id: fields.id,
+            timestamp: fields.timestamp,
+            machine: String(fields.machine || '').trim(),
+            groupHead: String(fields.groupHead || '').trim(),
+            task: String(fields.task || '').trim(),
+            programId: fields.programId || '',
+            scheduleId: fields.scheduleId || '',
+            notes: String(fields.notes || '').trim()
+        };
+    }
+
+    /**
+     * Adds a number of days to a `YYYY-MM-DD` date key.
+     * @param {string} dateKey - The date key.
+     * @param {number} days - The number of days to add.
+     * @returns {string} The resulting date key.
+     */
+    function addDays(dateKey, days) {
+        const [y, m, d] = dateKey.split('-').map(Number);
+        return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Counts the days from one date key to another.
+     * @param {string} fromKey - The start date key.
+     * @param {string} toKey - The end date key.
+     * @returns {number} The number of days; negative when `toKey` is before `fromKey`.
+     */
+    function daysBetween(fromKey, toKey) {
+        const toUtc = key => { const [y, m, d] = key.split('-').map(Number); return Date.UTC(y, m - 1, d); };
+        return Math.round((toUtc(toKey) - toUtc(fromKey)) / 86400000);
+    }
+
+    /**
+     * Tells whether a log entry completes a schedule.
+     * @param {object} schedule - The schedule.
+     * @param {object} entry - The log entry.
+     * @returns {boolean} True if the entry is marked with the schedule, or is a run of its program on the same machine.
+     */
+    function entryCompletes(schedule, entry) {
+        if (entry.scheduleId) return entry.scheduleId === schedule.id;
+        return Boolean(schedule.programId) && entry.programId === schedule.programId && entry.machine === schedule.machine;
+    }
+
+    /**
+     * Works out when every schedule was last completed and when it is due next.
+     * A schedule that was never completed is due today.
+     * @param {object[]} schedules - The schedules.
+     * @param {object[]} log - The maintenance log.
+     * @param {string} todayKey - Today as `YYYY-MM-DD`.
+     * @returns {Array<{schedule: object, lastDone: string|null, dueDate: string, daysLeft: number, status: 'overdue'|'due'|'ok'}>}
+     *          One entry per schedule, the most urgent first. `lastDone` is the timestamp of the latest matching entry.
+     */
+    function scheduleStatus(schedules, log, todayKey) {
+        return schedules.map(schedule => {
+            const lastDone = log
+                .filter(entry => entryCompletes(schedule, entry))
+                .reduce((latest, entry) => (!latest || entry.timestamp > latest ? entry.timestamp : latest), null);
+            const dueDate = lastDone ? addDays(RoastBatchLog.toDateKey(new Date(lastDone)), schedule.intervalDays) : todayKey;
+            const daysLeft = daysBetween(todayKey, dueDate);
+            const status = daysLeft < 0 ? 'overdue' : (daysLeft === 0 ? 'due' : 'ok');
+            return { schedule, lastDone, dueDate, daysLeft, status };
+        }).sort((a, b) => a.daysLeft - b.daysLeft);
+    }
+
+    /**
+     * Returns the schedules that are due today or overdue.
+     * @param {object[]} statuses - The result of `scheduleStatus`.
+     * @returns {object[]} The due and overdue entries, most urgent first.
+     */
+    function findDueTasks(statuses) {
+        return statuses.filter(item => item.status !== 'ok');
+    }
+
+    /**
+     * Quotes a value for a CSV cell.
+     * @param {*} value - The cell value.
+     * @returns {string} The quoted cell.
+     */
+    function csvCell(value) {
+        return `"${String(value === undefined || value === null ? '' : value).replace(/"/g, '""')}"`;
+    }
+
+    /**
+     * Converts the maintenance log to CSV, oldest entry first, with the local date and time of every entry.
+     * @param {object[]} log - The maintenance log.
+     * @returns {string} The CSV text with a header row and CRLF line endings.
+     */
+    function toCsv(log) {
+        const header = ['تاریخ', 'ساعت', 'دستگاه', 'گروپ هد', 'کار', 'یادداشت'];
+        const rows = log
+            .slice()
+            .sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0))
+            .map(entry => {
+                const date = new Date(entry.timestamp);
+                const time = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+                return [RoastBatchLog.toDateKey(date), time, entry.machine, entry.groupHead, entry.task, entry.notes];
+            });
+        return [header].concat(rows).map(row => row.map(csvCell).join(',')).join('\r\n');
+    }
+
+    return {
+        validateSchedule,
+        createSchedule,
+        createLogEntry,
+        addDays,
+        daysBetween,
+        entryCompletes,
+        scheduleStatus,
+        findDueTasks,
+        toCsv
+    };
+});
@@ -0,0 +1,385 @@
+/**
+ * Pure helpers for the cafe's drink menu and recipe costing.
+ * Every menu item has a sell price, a recipe and the number sold per day. A recipe is made of
+ * espresso shots (priced with the single and double doses), extra ground coffee (g), milk (ml),
+ * syrup (ml), a powder from the price list (g), cups, lids and any other cost per drink. The cafe
+ * revenue calculator builds its daily and monthly summary from the costed menu.
+ * In the browser the module is exposed as `window.MenuCosting`.
+ */
+(function (root, factory) {
+    const api = factory(typeof module === 'object' && module.exports ? require('./calculations') : root.CoffeeCalc);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.MenuCosting = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (CoffeeCalc) {
+    'use strict';
+
+    const { toNumber } = CoffeeCalc;
+
+    /**
+     * The numeric recipe fields of a menu item.
+     * @type {string[]}
+     */
+    const RECIPE_FIELDS = ['singleShots', 'doubleShots', 'coffeeGrams', 'milkMl', 'syrupMl', 'powderGrams', 'cups', 'lids', 'otherCost'];
+
+    /**
+     * The menu offered before the user edits it. The two espresso items replace the single and double
+     * shot fields of earlier versions of the calculator.
+     * @type {object[]}
+     */
+    const DEFAULT_MENU = [
+        { id: 'espresso-single', name: 'اسپرسو تک', sellPrice: 45000, dailySales: 100, recipe: { singleShots: 1, cups: 1 } },
+        { id: 'espresso-double', name: 'اسپرسو دبل', sellPrice: 60000, dailySales: 50, recipe: { doubleShots: 1, cups: 1 } },
+        { id: 'latte', name: 'لاته', sellPrice: 85000, dailySales: 0, recipe: { doubleShots: 1, milkMl: 200, cups: 1 } },
+        { id: 'cappuccino', name: 'کاپوچینو', sellPrice: 80000, dailySales: 0, recipe: { doubleShots: 1, milkMl: 150, cups: 1 } },
+        { id: 'iced-latte', name: 'آیس لاته', sellPrice: 95000, dailySales: 0, recipe: { doubleShots: 1, milkMl: 180, cups: 1, lids: 1 } },
+        { id: 'hot-chocolate', name: 'شکلات داغ', sellPrice: 75000, dailySales: 0, recipe: { powderName: 'شکلات داغ', powderGrams: 30, milkMl: 200, cups: 1 } },
+        { id: 'masala-chai', name: 'چای ماسالا', sellPrice: 70000, dailySales: 0, recipe: { powderName: 'چای ماسالا', powderGrams: 25, milkMl: 200, cups: 1 } }
+    ];
+
+    /**
+     * Builds a normalized menu item from raw editor fields.
+     * @param {object} fields - The raw item fields.
+     * @param {string} fields.id - A unique id for the item.
+     * @param {string} fields.name - The drink name, e.g. "لاته".
+     * @param {number|string} fields.sellPrice - The sell price (toman).
+     * @param {number|string} [fields.dailySales=0] - The number sold per day.
+     * @param {object} [fields.recipe] - The amounts per drink, see `RECIPE_FIELDS`, and the `powderName` of the
+     *        price list powder it uses.
+     * @returns {object} The menu item.
+     */
+    function createMenuItem(fields) {
+        const rawRecipe = fields.recipe || {};
+        const recipe = { powderName: String(rawRecipe.powderName || '').trim() };
+        RECIPE_FIELDS.forEach(field => { recipe[field] = toNumber(rawRecipe[field]); });
+        return {
+            id: fields.id,
+            name: String(fields.name || '').trim(),
+            sellPrice: toNumber(fields.sellPrice),
+            dailySales: toNumber(fields.dailySales),
+            recipe
+        };
+    }
+
+    /**
+     * Checks a menu item before it is saved.
+     * @param {object} item - The item, see `createMenuItem`.
+     * @returns {string[]} The invalid fields: `name`, `sellPrice`, `dailySales` or a recipe field with a negative
+     *          amount. A powder amount needs a powder name. An empty array means the item is valid.
+     */
+    function validateMenuItem(item) {
+        const invalidFields = [];
+        const recipe = item.recipe || {};
+        if (!String(item.name || '').trim()) invalidFields.push('name');
+        if (!(toNumber(item.sellPrice) > 0)) invalidFields.push('sellPrice');
+        if (toNumber(item.dailySales) < 0) invalidFields.push('dailySales');
+        RECIPE_FIELDS.forEach(field => {
+            if (toNumber(recipe[field]) < 0) invalidFields.push(field);
+        });
+        if (toNumber(recipe.powderGrams) > 0 && !String(recipe.powderName || '').trim() && !invalidFields.includes('powderGrams')) {
+            invalidFields.push('powderGrams');
+        }
+        return invalidFields;
+    }
+
+    /**
+     * Checks the ingredient prices shared by the menu.
+     * @param {object} supplies - The ingredient prices, see `costMenuItem`.
+     * @returns {string[]} The invalid fields: `costPerKG` when the coffee has no positive price, and any other
+     *          negative price. An empty array means the prices are valid.
+     */
+    function validateSupplies(supplies) {
+        const invalidFields = [];
+        if (!(toNumber(supplies.costPerKG, NaN) > 0)) invalidFields.push('costPerKG');
+        ['gramSingle', 'gramDouble', 'milkPricePerLiter', 'syrupPricePerLiter', 'cupPrice', 'lidPrice'].forEach(field => {
+            if (toNumber(supplies[field]) < 0) invalidFields.push(field);
+        });
+        return invalidFields;
+    }
+
+    /**
+     * Calculates the ground coffee a drink uses.
+     * @param {object} item - The menu item.
+     * @param {object} supplies - The ingredient prices, for the single and double doses.
+     * @returns {number} The coffee per drink (g).
+     */
+    function coffeeGrams(item, supplies) {
+        const recipe = item.recipe;
+        return recipe.singleShots * toNumber(supplies.gramSingle) + recipe.doubleShots * toNumber(supplies.gramDouble) + recipe.coffeeGrams;
+    }
+
+    /**
+     * Costs one drink.
+     * @param {object} item - The menu item.
+     * @param {object} supplies - The ingredient prices.
+     * @param {number} supplies.costPerKG - Purchase price of the coffee (toman/kg).
+     * @param {number} supplies.gramSingle - Coffee used for a single shot (g).
+     * @param {number} supplies.gramDouble - Coffee used for a double shot (g).
+     * @param {number} supplies.milkPricePerLiter - Price of milk (toman/l).
+     * @param {number} supplies.syrupPricePerLiter - Price of syrup (toman/l).
+     * @param {number} supplies.cupPrice - Price of a cup (toman).
+     * @param {number} supplies.lidPrice - Price of a lid (toman).
+     * @param {Object<string, number>} [supplies.powders] - Purchase prices of the price list powders by name (toman/kg).
+     * @returns {{coffeeGrams: number, costs: {coffee: number, milk: number, syrup: number, powder: number, packaging: number, other: number},
+     *          unitCost: number, margin: number, marginPercent: number|null, missingPowder: boolean}}
+     *          The cost of every ingredient group, the total cost, the margin per drink and the margin as a percentage of the
+     *          sell price. `missingPowder` is true when the recipe's powder has no price, which is then counted as free.
+     */
+    function costMenuItem(item, supplies) {
+        const recipe = item.recipe;
+        const powders = supplies.powders || {};
+        const grams = coffeeGrams(item, supplies);
+        const missingPowder = recipe.powderGrams > 0 && !(toNumber(powders[recipe.powderName]) > 0);
+        const costs = {
+            coffee: grams / 1000 * toNumber(supplies.costPerKG),
+            milk: recipe.milkMl / 1000 * toNumber(supplies.milkPricePerLiter),
+            syrup: recipe.syrupMl / 1000 * toNumber(supplies.syrupPricePerLiter),
+            powder: missingPowder ? 0 : recipe.powderGrams / 1000 * toNumber(powders[recipe.powderName]),
+            packaging: recipe.cups * toNumber(supplies.cupPrice) + recipe.lids * toNumber(supplies.lidPrice),
+            other: recipe.otherCost
+        };
+        const unitCost = Object.values(costs).reduce((total, cost) => total + cost, 0);
+        const margin = item.sellPrice - unitCost;
+        return {
+            coffeeGrams: grams,
+            costs,
+            unitCost,
+            margin,
+            marginPercent: item.sellPrice > 0 ? margin / item.sellPrice * 100 : null,
+            missingPowder
+        };
+    }
+
+    /**
+     * Calculates the cafe's daily revenue, cost and profit from the menu and projects them to a month.
+     * @param {object} input - The cafe input.
+     * @param {object[]} input.items - The menu; every item's `dailySales` is the number sold per day.
+     * @param {object} input.supplies - The ingredient prices, see `costMenuItem`.
+     * @param {number} [input.sellPriceKG=0] - Sell price of the coffee mix sold by weight (toman/kg).
+     * @param {number} [input.salesMixKG=0] - Coffee mix sold per day (kg).
+     * @param {number} [input.daysInMonth=CoffeeCalc.DAYS_IN_MONTH] - The length of the month to project to.
+     * @returns {object} `lines`, one per menu item with its `count`, `unitCost`, `coffeeGrams`, `revenue`, `cost`,
+     *          `contribution` and `marginPercent`, followed by the daily figures (`totalDailyRevenue`, `totalDailyCost`,
+     *          `totalDailyProfit`, `totalKGUsed`, ...) and the monthly projection (`totalMonthlyRevenue`,
+     *          `totalMonthlyProfit`, `totalMonthlyKGUsed`).
+     */
+    function calculateMenuRevenue(input) {
+        const supplies = input.supplies;
+        const salesMixKG = toNumber(input.salesMixKG);
+        const daysInMonth = toNumber(input.daysInMonth, CoffeeCalc.DAYS_IN_MONTH) || CoffeeCalc.DAYS_IN_MONTH;
+
+        const lines = input.items.map(item => {
+            const costing = costMenuItem(item, supplies);
+            const count = toNumber(item.dailySales);
+            return {
+                id: item.id,
+                name: item.name,
+                count,
+                sellPrice: item.sellPrice,
+                unitCost: costing.unitCost,
+                coffeeGrams: costing.coffeeGrams,
+                revenue: count * item.sellPrice,
+                cost: count * costing.unitCost,
+                contribution: count * costing.margin,
+                marginPercent: costing.marginPercent
+            };
+        });
+
+        const revenueMenu = lines.reduce((total, line) => total + line.revenue, 0);
+        const revenueMix = salesMixKG * toNumber(input.sellPriceKG);
+        const totalDailyRevenue = revenueMenu + revenueMix;
+
+        const menuKGUsed = lines.reduce((total, line) => total + line.count * line.coffeeGrams, 0) / 1000;
+        const totalKGUsed = menuKGUsed + salesMixKG;
+        const costOfCoffeeUsed = totalKGUsed * toNumber(supplies.costPerKG);
+        const totalOtherCost = lines.reduce((total, line) => total + line.cost, 0) - menuKGUsed * toNumber(supplies.costPerKG);
+        const totalDailyCost = costOfCoffeeUsed + totalOtherCost;
+        const totalDailyProfit = totalDailyRevenue - totalDailyCost;
+
+        return {
+            lines,
+            revenueMenu,
+            revenueMix,
+            totalDailyRevenue,
+            totalKGUsed,
+            costOfCoffeeUsed,
+            totalOtherCost,
+            totalDailyCost,
+            totalDailyProfit,
+            daysInMonth,
+            totalMonthlyRevenue: totalDailyRevenue * daysInMonth,
+            totalMonthlyProfit: totalDailyProfit * daysInMonth,
+            totalMonthlyKGUsed: totalKGUsed * daysInMonth
+        };
+    }
+
+    /**
+     * The single and double shot fields of earlier versions of the cafe revenue calculator, with the default
+     * values the calculator used to show.
+     * @type {Object<string, number>}
+     */
+    const LEGACY_CAFE_DEFAULTS = { costSingleShot: 45000, costDoubleShot: 60000, otherCostPerShot: 5000, salesSingle: 100, salesDouble: 50 };
+
+    /**
+     * Builds the two espresso items of the default menu from single and double shot fields.
+     * @param {object} fields - The shot fields, see `LEGACY_CAFE_DEFAULTS`, as numbers.
+     * @returns {object[]} The single and double espresso items.
+     */
+    function espressoItems(fields) {
+        return [
+            createMenuItem(Object.assign({}, DEFAULT_MENU[0], {
+                sellPrice: fields.costSingleShot,
+                dailySales: fields.salesSingle,
+                recipe: { singleShots: 1, otherCost: fields.otherCostPerShot }
+            })),
+            createMenuItem(Object.assign({}, DEFAULT_MENU[1], {
+                sellPrice: fields.costDoubleShot,
+                dailySales: fields.salesDouble,
+                recipe: { doubleShots: 1, otherCost: fields.otherCostPerShot }
+            }))
+        ];
+    }
+
+    /**
+     * Builds the two espresso items of the default menu from the single and double shot fields of earlier versions.
+     * @param {object} values - The fields, see `LEGACY_CAFE_DEFAULTS`; missing ones take their default.
+     * @returns {object[]} The single and double espresso items.
+     */
+    function legacyEspressoItems(values) {
+        const fields = {};
+        Object.keys(LEGACY_CAFE_DEFAULTS).forEach(id => { fields[id] = toNumber(values[id], LEGACY_CAFE_DEFAULTS[id]); });
+        return espressoItems(fields);
+    }
+
+    /**
+     * Checks the required fields of a shot-based cafe revenue calculation.
+     * Both the mix purchase price and the single shot price must be positive.
+     * @param {object} input - The cafe input, see `calculateCafeRevenue`.
+     * @returns {string[]} The names of the invalid fields; an empty array means the input is valid.
+     */
+    function validateCafeInput(input) {
+        const invalidFields = [];
+        if (!(toNumber(input.costPerKG, NaN) > 0)) invalidFields.push('costPerKG');
+        if (!(toNumber(input.costSingleShot, NaN) > 0)) invalidFields.push('costSingleShot');
+        return invalidFields;
+    }
+
+    /**
+     * Calculates the cafe's daily revenue, cost and profit from single and double shot sales and projects them to a
+     * month, for scripts that only sell espresso. The two shots are priced as the espresso items of the menu with
+     * `calculateMenuRevenue`.
+     * @param {object} input - The cafe input.
+     * @param {number} input.costPerKG - Purchase price of the coffee mix (toman/kg).
+     * @param {number} input.sellPriceKG - Sell price of the coffee mix (toman/kg).
+     * @param {number} input.costSingleShot - Sell price of a single shot (toman).
+     * @param {number} input.costDoubleShot - Sell price of a double shot (toman).
+     * @param {number} input.gramSingle - Coffee used for a single shot (g).
+     * @param {number} input.gramDouble - Coffee used for a double shot (g).
+     * @param {number} input.otherCostPerShot - Side costs per shot, e.g. cup and sugar (toman).
+     * @param {number} input.salesSingle - Single shots sold per day.
+     * @param {number} input.salesDouble - Double shots sold per day.
+     * @param {number} input.salesMixKG - Coffee mix sold per day (kg).
+     * @param {number} [input.daysInMonth=CoffeeCalc.DAYS_IN_MONTH] - The length of the month to project to.
+     * @returns {object} The figures of `calculateMenuRevenue`, with `revenueSingle` and `revenueDouble`, the daily
+     *          revenue of each shot.
+     */
+    function calculateCafeRevenue(input) {
+        const fields = {};
+        Object.keys(LEGACY_CAFE_DEFAULTS).forEach(id => { fields[id] = toNumber(input[id]); });
+        const result = calculateMenuRevenue({
+            items: espressoItems(fields),
+            supplies: { costPerKG: input.costPerKG, gramSingle: input.gramSingle, gramDouble: input.gramDouble },
+            sellPriceKG: input.sellPriceKG,
+            salesMixKG: input.salesMixKG,
+            daysInMonth: input.daysInMonth
+        });
+        return Object.assign({ revenueSingle: result.lines[0].revenue, revenueDouble: result.lines[1].revenue }, result);
+    }
+
+    /**
+     * Moves the single and double shot fields of earlier versions out of the saved inputs into the espresso items of the menu.
+     * @param {Object<string, string>} inputs - The saved inputs.
+     * @param {object[]|null} menuItems - The saved menu, or null when none is saved and the default menu applies.
+     * @returns {{inputs: Object<string, string>, menuItems: object[]}|null} Copies of the inputs without the shot fields
+     *          and of the menu with its espresso items replaced, or null when the inputs hold none of the shot fields.
+     */
+    function migrateLegacyCafeInputs(inputs, menuItems) {
+        const legacyIds = Object.keys(LEGACY_CAFE_DEFAULTS);
+        if (!legacyIds.some(id => id in inputs)) return null;
+        const migrated = legacyEspressoItems(inputs);
+        const menu = menuItems || DEFAULT_MENU.map(createMenuItem);
+        const rest = Object.assign({}, inputs);
+        legacyIds.forEach(id => delete rest[id]);
+        return { inputs: rest, menuItems: menu.map(item => migrated.find(espresso => espresso.id === item.id) || item) };
+    }
+
+    /**
+     * Checks whether a sales ledger entry was recorded with the single and double shot fields of earlier versions.
+     * @param {*} entry - The ledger entry.
+     * @returns {boolean} True for an entry that `migrateLegacySalesEntry` rewrites.
+     */
+    function isLegacySalesEntry(entry) {
+        return Boolean(entry && entry.prices && typeof entry.prices === 'object' && 'costSingleShot' in entry.prices);
+    }
+
+    /**
+     * Rewrites a sales ledger entry recorded with the single and double shot fields of earlier versions as menu sales.
+     * @param {object} entry - The ledger entry; entries in the current shape are returned as they are.
+     * @returns {object} The entry with its espresso sales as `items`, costed with the prices saved in the entry.
+     */
+    function migrateLegacySalesEntry(entry) {
+        if (!isLegacySalesEntry(entry)) return entry;
+        const lines = legacyEspressoItems(Object.assign({}, entry.prices, entry)).map(item => {
+            const costing = costMenuItem(item, entry.prices);
+            return { id: item.id, name: item.name, count: item.dailySales, sellPrice: item.sellPrice, unitCost: costing.unitCost, coffeeGrams: costing.coffeeGrams };
+        });
+        return {
+            date: entry.date,
+            items: lines,
+            salesMixKG: toNumber(entry.salesMixKG),
+            prices: { costPerKG: toNumber(entry.prices.costPerKG), sellPriceKG: toNumber(entry.prices.sellPriceKG) }
+        };
+    }
+
+    /**
+     * Creates the storage migration that turns the single and double shot fields of earlier versions
+     * (`costSingleShot`, `costDoubleShot`, `otherCostPerShot`, `salesSingle` and `salesDouble`) into the two espresso
+     * items of the default menu, and rewrites the sales ledger entries recorded with those fields as menu sales.
+     * Fields the user never changed take the default values the calculator used to show.
+     * @returns {{version: number, migrate: function(object): void}} The migration, for schema version 3.
+     */
+    function legacyCafeMigration() {
+        return {
+            version: 3,
+            migrate(store) {
+                const migrated = migrateLegacyCafeInputs(store.get('inputs', {}), store.get('menuItems', null));
+                if (migrated) {
+                    store.set('menuItems', migrated.menuItems);
+                    store.set('inputs', migrated.inputs);
+                }
+
+                const ledger = store.get('salesLedger', null);
+                if (!Array.isArray(ledger) || !ledger.some(isLegacySalesEntry)) return;
+                store.set('salesLedger', ledger.map(migrateLegacySalesEntry));
+            }
+        };
+    }
+
+    return {
+        RECIPE_FIELDS,
+        DEFAULT_MENU,
+        createMenuItem,
+        validateMenuItem,
+        validateSupplies,
+        coffeeGrams,
+        costMenuItem,
+        calculateMenuRevenue,
+        validateCafeInput,
+        calculateCafeRevenue,
+        migrateLegacyCafeInputs,
+        migrateLegacySalesEntry,
+        legacyCafeMigration
+    };
+});
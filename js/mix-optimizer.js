@@ -0,0 +1,348 @@
+/**
+ * Pure helpers for the bean mix solver.
+ * `CoffeeCalc.calculateMixPrice` works forward from percentages to a price; the solver works backwards:
+ * it searches the combinations of whole-percent steps that sum to 100 and respect the minimum and maximum
+ * percentage of every bean and the required share of arabica, and ranks the feasible combinations by how
+ * close their price is to a target price. Branches whose price range cannot beat the combinations found so far
+ * are skipped, so the best combinations are found without trying all of them.
+ * In the browser the module is exposed as `window.MixOptimizer`.
+ */
+(function (root, factory) {
+    const api = factory(typeof module === 'object' && module.exports ? require('./calculations') : root.CoffeeCalc);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.MixOptimizer = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (CoffeeCalc) {
+    'use strict';
+
+    const { toNumber } = CoffeeCalc;
+
+    /**
+     * The bean species the arabica constraint distinguishes.
+     * @type {string[]}
+     */
+    const SPECIES = ['arabica', 'robusta'];
+
+    /**
+     * The number of steps, combinations and branches tried, after which the search stops, so a small step with
+     * many beans cannot freeze the page.
+     * @type {number}
+     */
+    const MAX_EVALUATIONS = 2000000;
+
+    /**
+     * Normalizes the solver input read from the form and the bean rows.
+     * @param {object} input - The raw solver input.
+     * @param {Array<{name?: string, price: number|string, species?: string, minPercent?: number|string, maxPercent?: number|string}>} input.beans -
+     *        The candidate beans; an empty minimum means 0 and an empty maximum 100.
+     * @param {number|string} input.targetPrice - The wanted price of the mix (toman/kg).
+     * @param {number|string} [input.step=5] - The percentage step, a divisor of 100.
+     * @param {number|string} [input.arabicaMin=0] - The minimum share of arabica beans (%).
+     * @param {number|string} [input.arabicaMax=100] - The maximum share of arabica beans (%).
+     * @returns {object} The normalized input.
+     */
+    function normalizeSolverInput(input) {
+        return {
+            beans: (input.beans || []).map(bean => ({
+                name: String(bean.name || '').trim(),
+                price: toNumber(bean.price),
+                species: SPECIES.includes(bean.species) ? bean.species : 'arabica',
+                minPercent: toNumber(bean.minPercent, 0),
+                maxPercent: toNumber(bean.maxPercent, 100)
+            })),
+            targetPrice: toNumber(input.targetPrice),
+            step: toNumber(input.step, 5),
+            arabicaMin: toNumber(input.arabicaMin, 0),
+            arabicaMax: toNumber(input.arabicaMax, 100)
+        };
+    }
+
+    /**
+     * Checks the solver input.
+     * @param {object} input - The raw solver input, see `normalizeSolverInput`.
+     * @returns {string[]} The invalid fields: `targetPrice`, `step`, `arabicaMin`, `arabicaMax`, `beans` when there are fewer
+     *          than two beans, and `price-<index>`, `minPercent-<index>` or `maxPercent-<index>` for a bean.
+     *          An empty array means the input is valid.
+     */
+    function validateSolverInput(input) {
+        const normalized = normalizeSolverInput(input);
+        const invalidFields = [];
+        if (!(normalized.targetPrice > 0)) invalidFields.push('targetPrice');
+        if (!(Number.isInteger(normalized.step) && normalized.step > 0 && 100 % normalized.step === 0)) invalidFields.push('step');
+        if (!(normalized.arabicaMin >= 0 && normalized.arabicaMin <= 100)) invalidFields.push('arabicaMin');
+        if (!(normalized.arabicaMax >= normalized.arabicaMin && normalized.arabicaMax <= 100)) invalidFields.push('arabicaMax');
+        if (normalized.beans.length < 2) invalidFields.push('beans');
+        normalized.beans.forEach((bean, index) => {
+            if (!(bean.price > 0)) invalidFields.push(`price-${index}`);
+            if (!(bean.minPercent >= 0 && bean.minPercent <= 100)) invalidFields.push(`minPercent-${index}`);
+            if (!(bean.maxPercent >= bean.minPercent && bean.maxPercent <= 100)) invalidFields.push(`maxPercent-${index}`);
+        });
+        return invalidFields;
+    }
+
+    /**
+     * Counts the combinations of whole steps that sum to 100 and respect the minimum and maximum of every bean and
+     * the share of arabica, without listing them.
+     * @param {object[]} beans - The normalized beans.
+     * @param {number[]} lows - The lowest percentage of every bean, on the step.
+     * @param {number[]} highs - The highest percentage of every bean, on the step.
+     * @param {number} step - The percentage step.
+     * @param {number} arabicaMin - The minimum share of arabica (%).
+     * @param {number} arabicaMax - The maximum share of arabica (%).
+     * @returns {number} The number of feasible combinations.
+     */
+    function countFeasible(beans, lows, highs, step, arabicaMin, arabicaMax) {
+        const size = Math.round(100 / step) + 1;
+        // counts[used * size + arabica] is the number of ways the beans so far use `used` steps, `arabica` of them arabica.
+        let counts = new Float64Array(size * size);
+        counts[0] = 1;
+        beans.forEach((bean, index) => {
+            const next = new Float64Array(size * size);
+            const low = lows[index] / step;
+            const high = highs[index] / step;
+            for (let used = 0; used < size; used++) {
+                for (let arabica = 0; arabica <= used; arabica++) {
+                    const ways = counts[used * size + arabica];
+                    if (ways === 0) continue;
+                    for (let take = low; take <= high && used + take < size; take++) {
+                        next[(used + take) * size + arabica + (bean.species === 'arabica' ? take : 0)] += ways;
+                    }
+                }
+            }
+            counts = next;
+        });
+        let total = 0;
+        for (let arabica = 0; arabica < size; arabica++) {
+            if (arabica * step >= arabicaMin && arabica * step <= arabicaMax) total += counts[(size - 1) * size + arabica];
+        }
+        return total;
+    }
+
+    /**
+     * Finds the feasible combinations closest to the target price.
+     * The search walks the beans in order. A branch is skipped when its remaining percentage cannot be reached with
+     * the minimums and maximums of the beans left, when it cannot meet the share of arabica, or when, once the list
+     * is full, even its cheapest or dearest completion with an allowed share of arabica is no closer to the target
+     * than the last combination kept. With whole-toman step prices the completions only reach a grid of prices, so
+     * a branch that spans the target is skipped too when the grid misses it by as much. The last two
+     * beans are not walked: their prices lie on a line, so their combinations are taken outwards from the one
+     * closest to the target.
+     * @param {object} input - The raw solver input, see `normalizeSolverInput`; it should pass `validateSolverInput`.
+     * @param {number} [limit=10] - The number of combinations to return.
+     * @returns {{combinations: Array<{percentages: number[], price: number, difference: number, arabicaPercent: number}>, feasibleCount: number, truncated: boolean}}
+     *          The best combinations, closest to the target (to the toman) first, cheaper first on a tie and in search
+     *          order (by the percentages of the beans in order) after that; of the combinations as close as the last
+     *          one returned, those found first are kept. `percentages` follow the order of the beans
+     *          and `difference` is the price minus the target. `feasibleCount` is the number of feasible combinations;
+     *          `truncated` is true when the search stopped after `MAX_EVALUATIONS` steps.
+     */
+    function solveMix(input, limit = 10) {
+        const { beans, targetPrice, step, arabicaMin, arabicaMax } = normalizeSolverInput(input);
+        const count = beans.length;
+        const lows = beans.map(bean => Math.ceil(bean.minPercent / step) * step);
+        const highs = beans.map(bean => Math.floor(bean.maxPercent / step) * step);
+        const isArabica = beans.map(bean => bean.species === 'arabica');
+
+        // Sums over the beans from an index to the last one.
+        const restMin = [];
+        const restMax = [];
+        const restArabica = [];
+        const restRobusta = [];
+        for (let index = count; index >= 0; index--) {
+            const last = index === count;
+            restMin[index] = last ? 0 : restMin[index + 1] + lows[index];
+            restMax[index] = last ? 0 : restMax[index + 1] + highs[index];
+            restArabica[index] = last ? { low: 0, high: 0 } : {
+                low: restArabica[index + 1].low + (isArabica[index] ? lows[index] : 0),
+                high: restArabica[index + 1].high + (isArabica[index] ? highs[index] : 0)
+            };
+            restRobusta[index] = last ? { low: 0, high: 0 } : {
+                low: restRobusta[index + 1].low + (isArabica[index] ? 0 : lows[index]),
+                high: restRobusta[index + 1].high + (isArabica[index] ? 0 : highs[index])
+            };
+        }
+        // The beans from an index on of one species, cheapest first.
+        const speciesByPrice = (index, arabica) => beans.map((bean, beanIndex) => beanIndex).slice(index)
+            .filter(beanIndex => isArabica[beanIndex] === arabica)
+            .sort((a, b) => beans[a].price - beans[b].price);
+        // The percentages at which the cheapest or the dearest filling of some beans moves on to the next bean.
+        const fillPoints = order => {
+            const start = order.reduce((total, beanIndex) => total + lows[beanIndex], 0);
+            const points = [start];
+            [order, order.slice().reverse()].forEach(sequence => {
+                let at = start;
+                sequence.forEach(beanIndex => {
+                    at += highs[beanIndex] - lows[beanIndex];
+                    points.push(at);
+                });
+            });
+            return points;
+        };
+        const rest = beans.map((bean, index) => {
+            const arabica = speciesByPrice(index, true);
+            const robusta = speciesByPrice(index, false);
+            return { arabica, robusta, arabicaPoints: fillPoints(arabica), robustaPoints: fillPoints(robusta) };
+        });
+
+        // The price of one step of every bean. When they are whole numbers, two completions that spend the same
+        // percentage on the beans from an index on differ in price by a multiple of the gap of that index.
+        const stepPrices = beans.map(bean => bean.price * step / 100);
+        const onGrid = stepPrices.every(Number.isInteger);
+        const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+        const gaps = beans.map((bean, index) => (onGrid
+            ? stepPrices.slice(index).reduce((gap, stepPrice) => gcd(gap, Math.abs(stepPrice - stepPrices[index])), 0)
+            : 0));
+
+        /**
+         * Prices the cheapest or the dearest way to spend a percentage on some beans above their minimums.
+         */
+        const fillPrice = (order, amount, dearest) => {
+            let extra = amount - order.reduce((total, beanIndex) => total + lows[beanIndex], 0);
+            return (dearest ? order.slice().reverse() : order).reduce((price, beanIndex) => {
+                const add = Math.min(extra, highs[beanIndex] - lows[beanIndex]);
+                extra -= add;
+                return price + beans[beanIndex].price * (lows[beanIndex] + add) / 100;
+            }, 0);
+        };
+
+        /**
+         * Finds the cheapest and the dearest way to spend the remaining percentage on the beans from an index on with
+         * an arabica share between two percentages, ignoring the step, so the price of every real completion lies
+         * between the two. Both are piecewise linear in the arabica share, so they are found at its ends or where
+         * the filling moves on to the next bean.
+         */
+        const completionRange = (index, remaining, arabicaFrom, arabicaTo) => {
+            const { arabica, robusta, arabicaPoints, robustaPoints } = rest[index];
+            let low = Infinity;
+            let high = -Infinity;
+            [arabicaFrom, arabicaTo].concat(arabicaPoints, robustaPoints.map(point => remaining - point))
+                .filter(share => share >= arabicaFrom && share <= arabicaTo)
+                .forEach(share => {
+                    low = Math.min(low, fillPrice(arabica, share, false) + fillPrice(robusta, remaining - share, false));
+                    high = Math.max(high, fillPrice(arabica, share, true) + fillPrice(robusta, remaining - share, true));
+                });
+            return { low, high };
+        };
+
+        /**
+         * Measures how close to the target a price between two bounds can get, on the grid of prices `base` plus a
+         * multiple of `gap` when the gap is known.
+         */
+        const closestDistance = (low, high, base, gap) => {
+            if (gap > 0) {
+                const gridUp = value => base + Math.ceil((value - base) / gap - 1e-9) * gap;
+                const gridDown = value => base + Math.floor((value - base) / gap + 1e-9) * gap;
+                low = gridUp(low);
+                high = gridDown(high);
+                if (targetPrice >= low && targetPrice <= high) {
+                    return Math.min(targetPrice - gridDown(targetPrice), gridUp(targetPrice) - targetPrice);
+                }
+            }
+            return targetPrice < low ? low - targetPrice : targetPrice > high ? targetPrice - high : 0;
+        };
+
+        const combinations = [];
+        const percentages = [];
+        let evaluations = 0;
+        let truncated = false;
+
+        const rank = item => [Math.round(Math.abs(item.difference)), Math.round(item.price)].concat(item.percentages);
+        const isBetter = (a, b) => {
+            for (let index = 0; index < a.length; index++) {
+                if (a[index] !== b[index]) return a[index] < b[index];
+            }
+            return false;
+        };
+        // The distance to the target (to the toman) a combination must stay under to be kept once the list is full;
+        // a combination as far as the last one kept is not looked at, so ties at the limit do not keep the search going.
+        const worstDistance = () => (combinations.length < limit ? Infinity : Math.round(Math.abs(combinations[combinations.length - 1].difference)));
+
+        // Counts a step of the search and stops it at `MAX_EVALUATIONS`.
+        const tick = () => {
+            if (++evaluations > MAX_EVALUATIONS) truncated = true;
+            return !truncated;
+        };
+
+        const consider = (price, arabicaPercent) => {
+            if (!tick() || arabicaPercent < arabicaMin || arabicaPercent > arabicaMax) return;
+            const candidate = { percentages: percentages.slice(), price, difference: price - targetPrice, arabicaPercent };
+            const candidateRank = rank(candidate);
+            const position = combinations.findIndex(item => isBetter(candidateRank, rank(item)));
+            if (position === -1) {
+                if (combinations.length < limit) combinations.push(candidate);
+            } else {
+                combinations.splice(position, 0, candidate);
+                if (combinations.length > limit) combinations.pop();
+            }
+        };
+
+        const canReach = (index, remaining, price, arabica) => {
+            if (remaining < restMin[index] || remaining > restMax[index]) return false;
+            const arabicaFrom = Math.max(restArabica[index].low, remaining - restRobusta[index].high,
+                Math.ceil((arabicaMin - arabica) / step) * step);
+            const arabicaTo = Math.min(restArabica[index].high, remaining - restRobusta[index].low,
+                Math.floor((arabicaMax - arabica) / step) * step);
+            if (arabicaFrom > arabicaTo) return false;
+            const { low, high } = completionRange(index, remaining, arabicaFrom, arabicaTo);
+            const base = price + stepPrices[index] * remaining / step;
+            return Math.round(closestDistance(price + low, price + high, base, gaps[index])) < worstDistance();
+        };
+
+        // The last two beans: the price is linear in the percentage of the first of them.
+        const solvePair = (remaining, price, arabica) => {
+            const first = count - 2;
+            const second = count - 1;
+            const from = Math.max(lows[first], remaining - highs[second]);
+            const to = Math.min(highs[first], remaining - lows[second]);
+            if (from > to) return;
+            const priceAt = percent => price + beans[first].price * percent / 100 + beans[second].price * (remaining - percent) / 100;
+            const take = percent => {
+                percentages[first] = percent;
+                percentages[second] = remaining - percent;
+                consider(priceAt(percent), arabica + (isArabica[first] ? percent : 0) + (isArabica[second] ? remaining - percent : 0));
+            };
+            const slope = (beans[first].price - beans[second].price) / 100;
+            const closest = slope === 0 ? from : (targetPrice - priceAt(0)) / slope;
+            const start = Math.min(to, Math.max(from, Math.floor(closest / step) * step));
+            const within = percent => Math.round(Math.abs(priceAt(percent) - targetPrice)) < worstDistance();
+            // Moving away from the closest percentage only moves the price away from the target.
+            for (let percent = start; percent >= from && within(percent) && !truncated; percent -= step) take(percent);
+            for (let percent = start + step; percent <= to && within(percent) && !truncated; percent += step) take(percent);
+        };
+
+        const walk = (index, remaining, price, arabica) => {
+            if (truncated) return;
+            if (index === count - 2) {
+                solvePair(remaining, price, arabica);
+                return;
+            }
+            const from = Math.max(lows[index], remaining - restMax[index + 1]);
+            const to = Math.min(highs[index], remaining - restMin[index + 1]);
+            for (let percent = from; percent <= to && tick(); percent += step) {
+                const nextPrice = price + beans[index].price * percent / 100;
+                const nextArabica = arabica + (isArabica[index] ? percent : 0);
+                if (!canReach(index + 1, remaining - percent, nextPrice, nextArabica)) continue;
+                percentages[index] = percent;
+                walk(index + 1, remaining - percent, nextPrice, nextArabica);
+            }
+        };
+
+        if (count === 1) {
+            percentages[0] = 100;
+            if (lows[0] <= 100 && highs[0] >= 100) consider(beans[0].price, isArabica[0] ? 100 : 0);
+        } else if (count > 1) {
+            walk(0, 100, 0, 0);
+        }
+        return { combinations, feasibleCount: countFeasible(beans, lows, highs, step, arabicaMin, arabicaMax), truncated };
+    }
+
+    return {
+        SPECIES,
+        MAX_EVALUATIONS,
+        normalizeSolverInput,
+        validateSolverInput,
+        solveMix
+    };
+});
@@ -0,0 +1,165 @@
+/**
+ * Pure helpers for the cafe's overhead costs and the profit calculated after them.
+ * An overhead is a recurring cost such as rent, wages, utilities, equipment depreciation or the
+ * card-terminal fee. It is a fixed amount per month or per day, or a percentage of revenue. Operating
+ * overheads are subtracted from the gross profit to give the operating profit; the others (e.g. taxes
+ * and loan instalments) are subtracted after that to give the net profit.
+ * In the browser the module is exposed as `window.CafeOverheads`.
+ */
+(function (root, factory) {
+    const api = factory(typeof module === 'object' && module.exports ? require('./calculations') : root.CoffeeCalc);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.CafeOverheads = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (CoffeeCalc) {
+    'use strict';
+
+    const { toNumber } = CoffeeCalc;
+
+    /**
+     * How an overhead is charged: a fixed amount per month, a fixed amount per day, or a percentage of revenue.
+     * @type {string[]}
+     */
+    const BASES = ['monthly', 'daily', 'percent'];
+
+    /**
+     * The overheads offered before the user adds their own, all starting at zero.
+     * @type {object[]}
+     */
+    const DEFAULT_OVERHEADS = [
+        { id: 'rent', name: 'اجاره', basis: 'monthly', amount: 0, category: 'operating' },
+        { id: 'wages', name: 'حقوق پرسنل', basis: 'monthly', amount: 0, category: 'operating' },
+        { id: 'utilities', name: 'آب، برق و گاز', basis: 'monthly', amount: 0, category: 'operating' },
+        { id: 'depreciation', name: 'استهلاک تجهیزات', basis: 'monthly', amount: 0, category: 'operating' },
+        { id: 'card-fee', name: 'کارمزد کارتخوان', basis: 'percent', amount: 0, category: 'operating' },
+        { id: 'tax', name: 'مالیات', basis: 'percent', amount: 0, category: 'nonOperating' }
+    ];
+
+    /**
+     * Checks the fields of an overhead before it is saved.
+     * @param {object} fields - The raw overhead fields, see `createOverhead`.
+     * @returns {string[]} The names of the invalid fields; an empty array means the overhead is valid.
+     */
+    function validateOverhead(fields) {
+        const invalidFields = [];
+        const amount = toNumber(fields.amount, NaN);
+        if (!String(fields.name || '').trim()) invalidFields.push('name');
+        if (!(amount >= 0) || (fields.basis === 'percent' && amount > 100)) invalidFields.push('amount');
+        return invalidFields;
+    }
+
+    /**
+     * Builds a normalized overhead from raw form fields.
+     * @param {object} fields - The raw overhead fields.
+     * @param {string} fields.id - A unique id for the overhead.
+     * @param {string} fields.name - The overhead name, e.g. "اجاره".
+     * @param {'monthly'|'daily'|'percent'} [fields.basis='monthly'] - How the overhead is charged, see `BASES`.
+     * @param {number|string} fields.amount - The amount (toman), or the percentage of revenue for `percent`.
+     * @param {'operating'|'nonOperating'} [fields.category='operating'] - Whether the overhead is subtracted before
+     *        the operating profit or only before the net profit.
+     * @returns {object} The overhead.
+     */
+    function createOverhead(fields) {
+        return {
+            id: fields.id,
+            name: String(fields.name || '').trim(),
+            basis: BASES.includes(fields.basis) ? fields.basis : 'monthly',
+            amount: toNumber(fields.amount),
+            category: fields.category === 'nonOperating' ? 'nonOperating' : 'operating'
+        };
+    }
+
+    /**
+     * Calculates what an overhead costs per day.
+     * @param {object} overhead - The overhead.
+     * @param {number} dailyRevenue - The revenue of the day (toman), for percentage overheads.
+     * @param {number} daysInMonth - The length of the month a monthly overhead is spread over.
+     * @returns {number} The daily cost (toman).
+     */
+    function dailyAmount(overhead, dailyRevenue, daysInMonth) {
+        if (overhead.basis === 'percent') return dailyRevenue * overhead.amount / 100;
+        if (overhead.basis === 'daily') return overhead.amount;
+        return daysInMonth > 0 ? overhead.amount / daysInMonth : 0;
+    }
+
+    /**
+     * Adds up the overheads of a whole month.
+     * @param {object[]} overheads - The overheads.
+     * @param {number} monthlyRevenue - The revenue of the month (toman), for percentage overheads.
+     * @param {number} daysInMonth - The length of the month.
+     * @returns {{operating: number, nonOperating: number}} The month's operating and non-operating overheads (toman);
+     *          both zero when the length of the month is missing or not positive.
+     */
+    function monthlyOverheads(overheads, monthlyRevenue, daysInMonth) {
+        const totals = { operating: 0, nonOperating: 0 };
+        if (!(toNumber(daysInMonth) > 0)) return totals;
+        overheads.forEach(overhead => {
+            totals[overhead.category] += dailyAmount(overhead, monthlyRevenue / daysInMonth, daysInMonth) * daysInMonth;
+        });
+        return totals;
+    }
+
+    /**
+     * Calculates the profit of a day after the overheads, and the cups per day needed to break even.
+     * The break-even point keeps the current mix of drinks: every cup brings the average sell price minus the
+     * average drink cost and the percentage overheads, and the contribution of the coffee sold by weight is
+     * counted as it is today.
+     * @param {object} revenue - The daily figures of `MenuCosting.calculateMenuRevenue`.
+     * @param {object[]} overheads - The overheads.
+     * @returns {{grossProfit: number, grossMarginPercent: number|null, operatingOverheads: number, operatingProfit: number,
+     *          nonOperatingOverheads: number, netProfit: number, monthly: {grossProfit: number, operatingProfit: number, netProfit: number},
+     *          cupsPerDay: number, breakEvenCups: number|null}}
+     *          The daily figures (toman) and the same profits for the month. `breakEvenCups` is null when a cup does not
+     *          cover its own costs, so no number of cups breaks even.
+     */
+    function calculateProfit(revenue, overheads) {
+        const dailyRevenue = revenue.totalDailyRevenue;
+        const daysInMonth = revenue.daysInMonth;
+        const sumOf = (category, basisFilter) => overheads
+            .filter(overhead => overhead.category === category && basisFilter(overhead.basis))
+            .reduce((total, overhead) => total + dailyAmount(overhead, dailyRevenue, daysInMonth), 0);
+        const any = () => true;
+
+        const grossProfit = dailyRevenue - revenue.totalDailyCost;
+        const operatingOverheads = sumOf('operating', any);
+        const nonOperatingOverheads = sumOf('nonOperating', any);
+        const operatingProfit = grossProfit - operatingOverheads;
+        const netProfit = operatingProfit - nonOperatingOverheads;
+
+        const fixedDaily = ['operating', 'nonOperating'].reduce((total, category) => total + sumOf(category, basis => basis !== 'percent'), 0);
+        const percentRate = overheads.filter(overhead => overhead.basis === 'percent').reduce((total, overhead) => total + overhead.amount / 100, 0);
+        const cupsPerDay = revenue.lines.reduce((total, line) => total + line.count, 0);
+        const menuRevenue = revenue.lines.reduce((total, line) => total + line.revenue, 0);
+        const menuCost = revenue.lines.reduce((total, line) => total + line.cost, 0);
+        const mixContribution = revenue.revenueMix * (1 - percentRate) - (revenue.totalDailyCost - menuCost);
+        const cupContribution = cupsPerDay > 0 ? (menuRevenue * (1 - percentRate) - menuCost) / cupsPerDay : 0;
+
+        return {
+            grossProfit,
+            grossMarginPercent: dailyRevenue > 0 ? grossProfit / dailyRevenue * 100 : null,
+            operatingOverheads,
+            operatingProfit,
+            nonOperatingOverheads,
+            netProfit,
+            monthly: {
+                grossProfit: grossProfit * daysInMonth,
+                operatingProfit: operatingProfit * daysInMonth,
+                netProfit: netProfit * daysInMonth
+            },
+            cupsPerDay,
+            breakEvenCups: cupContribution > 0 ? Math.max(0, Math.ceil((fixedDaily - mixContribution) / cupContribution)) : null
+        };
+    }
+
+    return {
+        BASES,
+        DEFAULT_OVERHEADS,
+        validateOverhead,
+        createOverhead,
+        dailyAmount,
+        monthlyOverheads,
+        calculateProfit
+    };
+});
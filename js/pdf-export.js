@@ -0,0 +1,293 @@
+/**
+ * Vector PDF export of the price list and the roast report.
+ * A document is described as a title, a few subtitle lines, sections of text lines or tables and a footer,
+ * and drawn with jsPDF on A4 pages with the Vazirmatn font embedded, so the text stays sharp and selectable.
+ * jsPDF shapes the Persian letters and reorders right-to-left text itself; runs of Latin letters and digits
+ * are kept left-to-right with direction marks. Tables continue on the next page under their title and
+ * header, and every page gets the footer and its page number. The module does not depend on the DOM;
+ * the jsPDF constructor and the fonts are passed in. In the browser the module is exposed as `window.PdfExport`.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.PdfExport = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * The name the embedded font is registered under.
+     * @type {string}
+     */
+    const FONT_NAME = 'Vazirmatn';
+
+    /**
+     * The TTF files of the embedded font by style, in `vendor/vazirmatn/fonts/`.
+     * @type {Object<string, string>}
+     */
+    const FONT_FILES = { normal: 'Vazirmatn-Regular.ttf', bold: 'Vazirmatn-Bold.ttf' };
+
+    /**
+     * The page margin (mm).
+     * @type {number}
+     */
+    const MARGIN = 15;
+
+    /**
+     * The accent color used when none is given.
+     * @type {string}
+     */
+    const DEFAULT_ACCENT_COLOR = '#441779';
+
+    /**
+     * The color of body text.
+     * @type {string}
+     */
+    const TEXT_COLOR = '#333333';
+
+    /**
+     * The color of subtitles, notes and the footer.
+     * @type {string}
+     */
+    const MUTED_COLOR = '#777777';
+
+    /**
+     * The color of the lines between table rows and above the footer.
+     * @type {string}
+     */
+    const RULE_COLOR = '#cccccc';
+
+    /**
+     * The space between the text of a table cell and its edges (mm).
+     * @type {number}
+     */
+    const CELL_PADDING = 2;
+
+    /**
+     * The height of the logo at the top of the first page (mm); a wide logo is drawn smaller so that it takes at
+     * most a third of the width.
+     * @type {number}
+     */
+    const LOGO_HEIGHT = 20;
+
+    /**
+     * The jsPDF text options for Persian text: logical right-to-left input, drawn in visual order with mirrored brackets.
+     * @type {object}
+     */
+    const RTL_TEXT = { isInputVisual: false, isOutputVisual: true, isInputRtl: true, isOutputRtl: false, isSymmetricSwapping: true };
+
+    /**
+     * Keeps the runs of Latin letters and digits of a text left-to-right inside right-to-left text,
+     * so that e.g. "021-1234" or "1.5 kg" are not reordered.
+     * @param {string} text - The text.
+     * @returns {string} The text with a LEFT-TO-RIGHT MARK on both sides of every such run.
+     */
+    function isolateLtrRuns(text) {
+        return text.replace(/[A-Za-z0-9@#+](?:[A-Za-z0-9@#+_.,:/\- ]*[A-Za-z0-9_])?/g, run => `\u200E${run}\u200E`);
+    }
+
+    /**
+     * Encodes binary data, e.g. a fetched font file, as base64.
+     * @param {ArrayBuffer} buffer - The data.
+     * @returns {string} The base64 text.
+     */
+    function bufferToBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Creates an A4 portrait document with the font embedded.
+     * @param {Function} jsPDF - The jsPDF constructor.
+     * @param {Object<string, string>} fonts - The TTF files as base64 by style, see `FONT_FILES`.
+     * @param {string} title - The title stored in the document properties.
+     * @returns {object} The jsPDF document.
+     */
+    function createDocument(jsPDF, fonts, title) {
+        const doc = new jsPDF({ unit: 'mm', format: 'a4', orientation: 'portrait', compress: true });
+        Object.keys(FONT_FILES).forEach(style => {
+            doc.addFileToVFS(FONT_FILES[style], fonts[style]);
+            doc.addFont(FONT_FILES[style], FONT_NAME, style);
+        });
+        doc.setFont(FONT_NAME, 'normal');
+        doc.setLanguage('fa');
+        doc.setProperties({ title, creator: 'ابزار قهوه مجید' });
+        return doc;
+    }
+
+    /**
+     * Calculates the line height of a font size.
+     * @param {number} fontSize - The font size (pt).
+     * @returns {number} The line height (mm).
+     */
+    function lineHeight(fontSize) {
+        return fontSize * 0.3528 * 1.5;
+    }
+
+    /**
+     * Splits the width of a table over its columns; the first (rightmost) column holds the names and gets the most.
+     * @param {number} count - The number of columns.
+     * @param {number} width - The width of the table (mm).
+     * @returns {number[]} The width of every column (mm), from right to left.
+     */
+    function columnWidths(count, width) {
+        if (count === 1) return [width];
+        const first = width * (count === 2 ? 0.6 : 0.4);
+        return [first].concat(Array(count - 1).fill((width - first) / (count - 1)));
+    }
+
+    /**
+     * Draws a document on the pages of a jsPDF document created with `createDocument`.
+     * @param {object} doc - The jsPDF document.
+     * @param {object} content - The document.
+     * @param {string} content.title - The title, at the top of the first page.
+     * @param {string[]} [content.subtitle] - Lines under the title, e.g. the date or the contact details.
+     * @param {string} [content.logo] - A PNG or JPEG image as a data URL, drawn opposite the title; other formats are left out.
+     * @param {Array<{title: string, lines?: string[], table?: {headers: string[], rows: string[][]}}>} content.sections - The
+     *        sections, each with text lines or a table whose first column is the widest.
+     * @param {string[]} [content.footer] - Lines at the bottom of every page, above the page number.
+     * @param {object} [options] - The look of the document.
+     * @param {string} [options.accentColor] - The color of the title, the section titles and the table headers, e.g. `#441779`.
+     * @returns {object} The document.
+     */
+    function renderDocument(doc, content, options = {}) {
+        const accent = options.accentColor || DEFAULT_ACCENT_COLOR;
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const pageHeight = doc.internal.pageSize.getHeight();
+        const right = pageWidth - MARGIN;
+        const contentWidth = pageWidth - 2 * MARGIN;
+        const footer = content.footer || [];
+        const footerTop = pageHeight - MARGIN - (footer.length + 1) * lineHeight(9) - 2;
+        let y = MARGIN;
+
+        const setFont = (size, bold) => {
+            doc.setFont(FONT_NAME, bold ? 'bold' : 'normal');
+            doc.setFontSize(size);
+        };
+        const write = (text, x, top, style = {}) => {
+            setFont(style.size || 11, style.bold);
+            doc.setTextColor(style.color || TEXT_COLOR);
+            doc.text(isolateLtrRuns(String(text)), x, top, Object.assign({ align: style.align || 'right', baseline: 'top' }, RTL_TEXT));
+        };
+        const wrap = (text, size, width, bold) => {
+            setFont(size, bold);
+            return doc.splitTextToSize(String(text), width);
+        };
+        const rule = (top, color, width = 0.2) => {
+            doc.setDrawColor(color);
+            doc.setLineWidth(width);
+            doc.line(MARGIN, top, right, top);
+        };
+        const ensureSpace = height => {
+            if (y + height <= footerTop) return false;
+            doc.addPage();
+            y = MARGIN;
+            return true;
+        };
+
+        let logoBottom = y;
+        if (content.logo) {
+            try {
+                const image = doc.getImageProperties(content.logo);
+                const width = Math.min(LOGO_HEIGHT * image.width / image.height, contentWidth / 3);
+                const height = width * image.height / image.width;
+                doc.addImage(content.logo, MARGIN, y, width, height);
+                logoBottom = y + height;
+            } catch (error) {
+                // jsPDF cannot embed this image format; the document is drawn without the logo.
+            }
+        }
+        write(content.title, right, y, { size: 20, bold: true, color: accent });
+        y += lineHeight(20);
+        (content.subtitle || []).forEach(line => {
+            write(line, right, y, { color: MUTED_COLOR });
+            y += lineHeight(11);
+        });
+        y = Math.max(y, logoBottom) + 2;
+        rule(y, accent, 0.6);
+        y += 6;
+
+        content.sections.forEach(section => {
+            const titleHeight = lineHeight(14) + 1;
+            const drawTitle = continued => {
+                write(continued ? `${section.title} (ادامه)` : section.title, right, y, { size: 14, bold: true, color: accent });
+                y += titleHeight;
+            };
+
+            if (section.lines) {
+                const lines = [].concat(...section.lines.map(line => wrap(line, 11, contentWidth)));
+                ensureSpace(titleHeight + lineHeight(11));
+                drawTitle(false);
+                lines.forEach(line => {
+                    if (ensureSpace(lineHeight(11))) drawTitle(true);
+                    write(line, right, y);
+                    y += lineHeight(11);
+                });
+            }
+
+            if (section.table) {
+                const widths = columnWidths(section.table.headers.length, contentWidth);
+                const rowOf = (cells, bold) => {
+                    const wrapped = cells.map((cell, index) => wrap(cell, 10, widths[index] - 2 * CELL_PADDING, bold));
+                    return { wrapped, height: Math.max(...wrapped.map(lines => lines.length)) * lineHeight(10) + 2 * CELL_PADDING };
+                };
+                const drawRow = (row, style, ruleColor) => {
+                    let cellRight = right;
+                    row.wrapped.forEach((lines, index) => {
+                        const x = index === 0 ? cellRight - CELL_PADDING : cellRight - widths[index] / 2;
+                        lines.forEach((line, lineIndex) => {
+                            write(line, x, y + CELL_PADDING + lineIndex * lineHeight(10), Object.assign({ size: 10, align: index === 0 ? 'right' : 'center' }, style));
+                        });
+                        cellRight -= widths[index];
+                    });
+                    y += row.height;
+                    rule(y, ruleColor);
+                };
+                const header = rowOf(section.table.headers, true);
+                const drawHeader = () => drawRow(header, { bold: true, color: accent }, accent);
+                const rows = section.table.rows.map(cells => rowOf(cells, false));
+
+                ensureSpace(titleHeight + header.height + (rows.length > 0 ? rows[0].height : 0));
+                drawTitle(false);
+                drawHeader();
+                rows.forEach(row => {
+                    if (ensureSpace(row.height)) {
+                        drawTitle(true);
+                        drawHeader();
+                    }
+                    drawRow(row, {}, RULE_COLOR);
+                });
+            }
+            y += 6;
+        });
+
+        const pageCount = doc.getNumberOfPages();
+        for (let page = 1; page <= pageCount; page++) {
+            doc.setPage(page);
+            rule(footerTop, RULE_COLOR);
+            let footerY = footerTop + 2;
+            footer.concat(pageCount > 1 ? [`صفحه ${page} از ${pageCount}`] : []).forEach(line => {
+                write(line, pageWidth / 2, footerY, { size: 9, color: MUTED_COLOR, align: 'center' });
+                footerY += lineHeight(9);
+            });
+        }
+        return doc;
+    }
+
+    return {
+        FONT_NAME,
+        FONT_FILES,
+        MARGIN,
+        DEFAULT_ACCENT_COLOR,
+        isolateLtrRuns,
+        bufferToBase64,
+        createDocument,
+        renderDocument
+    };
+});
@@ -0,0 +1,212 @@
+/**
+ * Conversion between the Gregorian and the Persian (Jalaali) calendar.
+ * The arithmetic follows the well-known jalaali-js algorithm (Borkowski's 33-year leap cycle
+ * with the table of break years), which is exact for Jalaali years -61 to 3177.
+ * Dates are exchanged with the rest of the app as Gregorian `YYYY-MM-DD` keys, the format of
+ * `<input type="date">`. In the browser the module is exposed as `window.PersianDate`.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.PersianDate = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * The Persian month names, Farvardin first.
+     * @type {string[]}
+     */
+    const MONTH_NAMES = ['فروردین', 'اردیبهشت', 'خرداد', 'تیر', 'مرداد', 'شهریور', 'مهر', 'آبان', 'آذر', 'دی', 'بهمن', 'اسفند'];
+
+    /**
+     * The Persian weekday names, Saturday first.
+     * @type {string[]}
+     */
+    const WEEKDAY_NAMES = ['شنبه', 'یکشنبه', 'دوشنبه', 'سه‌شنبه', 'چهارشنبه', 'پنجشنبه', 'جمعه'];
+
+    /**
+     * The Jalaali years in which the leap cycle changes.
+     * @type {number[]}
+     */
+    const BREAKS = [-61, 9, 38, 199, 426, 686, 756, 818, 1111, 1181, 1210, 1635, 2060, 2097, 2192, 2262, 2324, 2394, 2456, 3178];
+
+    const div = (a, b) => ~~(a / b);
+    const mod = (a, b) => a - ~~(a / b) * b;
+
+    /**
+     * Works out the leap status of a Jalaali year and the March day of its first day (Nowruz).
+     * @param {number} jy - The Jalaali year.
+     * @returns {{leap: number, gy: number, march: number}} `leap` is 0 for a leap year, otherwise the years since
+     *          the last leap year; `gy` is the Gregorian year Nowruz falls in and `march` its day in March.
+     * @throws {RangeError} If the year is outside the supported range.
+     */
+    function jalCal(jy) {
+        const gy = jy + 621;
+        let leapJ = -14;
+        let jp = BREAKS[0];
+        let jump = 0;
+
+        if (jy < jp || jy >= BREAKS[BREAKS.length - 1]) throw new RangeError(`Invalid Jalaali year ${jy}`);
+
+        for (let i = 1; i < BREAKS.length; i++) {
+            const jm = BREAKS[i];
+            jump = jm - jp;
+            if (jy < jm) break;
+            leapJ += div(jump, 33) * 8 + div(mod(jump, 33), 4);
+            jp = jm;
+        }
+        let n = jy - jp;
+
+        leapJ += div(n, 33) * 8 + div(mod(n, 33) + 3, 4);
+        if (mod(jump, 33) === 4 && jump - n === 4) leapJ += 1;
+
+        const leapG = div(gy, 4) - div((div(gy, 100) + 1) * 3, 4) - 150;
+        const march = 20 + leapJ - leapG;
+
+        if (jump - n < 6) n = n - jump + div(jump + 4, 33) * 33;
+        let leap = mod(mod(n + 1, 33) - 1, 4);
+        if (leap === -1) leap = 4;
+
+        return { leap, gy, march };
+    }
+
+    /**
+     * Converts a Gregorian date to a Julian day number.
+     * @param {number} gy - The Gregorian year.
+     * @param {number} gm - The Gregorian month (1-12).
+     * @param {number} gd - The day of the month.
+     * @returns {number} The Julian day number.
+     */
+    function g2d(gy, gm, gd) {
+        const d = div((gy + div(gm - 8, 6) + 100100) * 1461, 4) + div(153 * mod(gm + 9, 12) + 2, 5) + gd - 34840408;
+        return d - div(div(gy + 100100 + div(gm - 8, 6), 100) * 3, 4) + 752;
+    }
+
+    /**
+     * Converts a Julian day number to a Gregorian date.
+     * @param {number} jdn - The Julian day number.
+     * @returns {{gy: number, gm: number, gd: number}} The Gregorian date.
+     */
+    function d2g(jdn) {
+        let j = 4 * jdn + 139361631;
+        j += div(div(4 * jdn + 183187720, 146097) * 3, 4) * 4 - 3908;
+        const i = div(mod(j, 1461), 4) * 5 + 308;
+        const gd = div(mod(i, 153), 5) + 1;
+        const gm = mod(div(i, 153), 12) + 1;
+        const gy = div(j, 1461) - 100100 + div(8 - gm, 6);
+        return { gy, gm, gd };
+    }
+
+    /**
+     * Converts a Jalaali date to a Julian day number.
+     * @param {number} jy - The Jalaali year.
+     * @param {number} jm - The Jalaali month (1-12).
+     * @param {number} jd - The day of the month.
+     * @returns {number} The Julian day number.
+     */
+    function j2d(jy, jm, jd) {
+        const r = jalCal(jy);
+        return g2d(r.gy, 3, r.march) + (jm - 1) * 31 - div(jm, 7) * (jm - 7) + jd - 1;
+    }
+
+    /**
+     * Converts a Julian day number to a Jalaali date.
+     * @param {number} jdn - The Julian day number.
+     * @returns {{jy: number, jm: number, jd: number}} The Jalaali date.
+     */
+    function d2j(jdn) {
+        const gy = d2g(jdn).gy;
+        let jy = gy - 621;
+        const r = jalCal(jy);
+        let k = jdn - g2d(gy, 3, r.march);
+
+        if (k >= 0) {
+            if (k <= 185) return { jy, jm: 1 + div(k, 31), jd: mod(k, 31) + 1 };
+            k -= 186;
+        } else {
+            jy -= 1;
+            k += 179;
+            if (r.leap === 1) k += 1;
+        }
+        return { jy, jm: 7 + div(k, 30), jd: mod(k, 30) + 1 };
+    }
+
+    // ####################################
+    // Public API
+    // ####################################
+    /**
+     * Converts a Gregorian `YYYY-MM-DD` key to a Jalaali date.
+     * @param {string} dateKey - The Gregorian date key.
+     * @returns {{jy: number, jm: number, jd: number}} The Jalaali date.
+     */
+    function fromDateKey(dateKey) {
+        const [gy, gm, gd] = dateKey.split('-').map(Number);
+        return d2j(g2d(gy, gm, gd));
+    }
+
+    /**
+     * Converts a Jalaali date to a Gregorian `YYYY-MM-DD` key.
+     * @param {number} jy - The Jalaali year.
+     * @param {number} jm - The Jalaali month (1-12).
+     * @param {number} jd - The day of the month.
+     * @returns {string} The Gregorian date key.
+     */
+    function toDateKey(jy, jm, jd) {
+        const { gy, gm, gd } = d2g(j2d(jy, jm, jd));
+        return `${gy}-${String(gm).padStart(2, '0')}-${String(gd).padStart(2, '0')}`;
+    }
+
+    /**
+     * Tells whether a Jalaali year is a leap year (Esfand has 30 days).
+     * @param {number} jy - The Jalaali year.
+     * @returns {boolean} True for a leap year.
+     */
+    function isLeapYear(jy) {
+        return jalCal(jy).leap === 0;
+    }
+
+    /**
+     * Returns the number of days in a Jalaali month.
+     * @param {number} jy - The Jalaali year.
+     * @param {number} jm - The Jalaali month (1-12).
+     * @returns {number} 31 for the first six months, 30 for the next five, and 29 or 30 for Esfand.
+     */
+    function monthLength(jy, jm) {
+        if (jm <= 6) return 31;
+        if (jm <= 11) return 30;
+        return isLeapYear(jy) ? 30 : 29;
+    }
+
+    /**
+     * Returns the Persian weekday of a Gregorian date key.
+     * @param {string} dateKey - The Gregorian date key.
+     * @returns {number} 0 for Saturday up to 6 for Friday, an index into `WEEKDAY_NAMES`.
+     */
+    function weekday(dateKey) {
+        const [gy, gm, gd] = dateKey.split('-').map(Number);
+        return (new Date(Date.UTC(gy, gm - 1, gd)).getUTCDay() + 1) % 7;
+    }
+
+    /**
+     * Formats a Jalaali date as "day month-name year", e.g. "27 مهر 1405".
+     * @param {{jy: number, jm: number, jd: number}} date - The Jalaali date.
+     * @returns {string} The formatted date.
+     */
+    function format(date) {
+        return `${date.jd} ${MONTH_NAMES[date.jm - 1]} ${date.jy}`;
+    }
+
+    return {
+        MONTH_NAMES,
+        WEEKDAY_NAMES,
+        fromDateKey,
+        toDateKey,
+        isLeapYear,
+        monthLength,
+        weekday,
+        format
+    };
+});
@@ -0,0 +1,212 @@
+/**
+ * Pure helpers for the price change history of the price list.
+ * Every save of the price list is compared with the latest recorded state of its items: an item that is new,
+ * or whose purchase price, profit percentage or roast type changed, gets a history entry with the time of the
+ * save, and an item that left the list gets an entry marked as removed. From the entries the list can be
+ * rebuilt as it was at the end of any day, the changes of one item listed, and two days compared. An item that
+ * is removed and added again takes over the id of the removed one, so its history goes on.
+ * In the browser the module is exposed as `window.PriceHistory`.
+ */
+(function (root, factory) {
+    const isNode = typeof module === 'object' && module.exports;
+    const api = factory(
+        isNode ? require('./calculations') : root.CoffeeCalc,
+        isNode ? require('./price-list') : root.PriceList,
+        isNode ? require('./batch-log') : root.RoastBatchLog
+    );
+    if (isNode) {
+        module.exports = api;
+    } else {
+        root.PriceHistory = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (CoffeeCalc, PriceList, RoastBatchLog) {
+    'use strict';
+
+    const { toNumber } = CoffeeCalc;
+
+    /**
+     * The fields of an item whose changes are recorded.
+     * @type {string[]}
+     */
+    const TRACKED_FIELDS = ['purchasePrice', 'profitPercent', 'roastType'];
+
+    /**
+     * Compares history entries by their timestamp, oldest first.
+     * @param {object} a - An entry.
+     * @param {object} b - Another entry.
+     * @returns {number} A negative number when `a` is older, a positive one when it is newer.
+     */
+    function byTimestamp(a, b) {
+        return a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0;
+    }
+
+    /**
+     * Finds the latest entry of every item recorded up to the end of a day.
+     * @param {object[]} history - The history entries.
+     * @param {string} [dateKey] - The day (`YYYY-MM-DD`, local time); every entry counts when it is left out.
+     * @returns {Map<string, object>} The latest entry by item id, including the entries of removed items.
+     */
+    function latestEntries(history, dateKey) {
+        const latest = new Map();
+        history
+            .filter(entry => !dateKey || RoastBatchLog.toDateKey(new Date(entry.timestamp)) <= dateKey)
+            .sort(byTimestamp)
+            .forEach(entry => latest.set(entry.itemId, entry));
+        return latest;
+    }
+
+    /**
+     * Gives the items that are new to the history the id of a removed item with the same name, product type and
+     * roast type, so that an item deleted from the list and added again continues its history.
+     * @param {object[]} history - The history entries so far.
+     * @param {object[]} items - The items of the list, as for `recordChanges`.
+     * @returns {object[]} The items, with the id of the most recently removed matching item in place of the id of every
+     *          item that has no history yet; other items are returned unchanged.
+     */
+    function reuseRemovedIds(history, items) {
+        const latest = latestEntries(history);
+        const takenIds = new Set(items.map(item => item.id));
+        const removed = Array.from(latest.values()).filter(entry => entry.removed).sort(byTimestamp).reverse();
+        return items.map(item => {
+            if (!item.id || latest.has(item.id)) return item;
+            const match = removed.find(entry => !takenIds.has(entry.itemId) && entry.name === item.name
+                && entry.productType === item.productType && entry.roastType === (item.roastType || ''));
+            if (!match) return item;
+            takenIds.add(match.itemId);
+            return Object.assign({}, item, { id: match.itemId });
+        });
+    }
+
+    /**
+     * Records a save of the price list.
+     * @param {object[]} history - The history entries so far.
+     * @param {object[]} items - The items of the list as saved, each with its `id`, `name`, `productType`,
+     *        `purchasePrice`, `profitPercent` and, for coffees, `roastType`; items without an id or a purchase price
+     *        are not priced yet and are left out.
+     * @param {string} timestamp - When the list was saved, as an ISO string.
+     * @returns {object[]} The new entries, without ids: one for every item that is new or has a tracked field changed,
+     *          with `removed: false`, and one with `removed: true` and the last recorded values for every item that
+     *          is no longer in the list. An empty array means nothing changed.
+     */
+    function recordChanges(history, items, timestamp) {
+        const latest = latestEntries(history);
+        const savedIds = new Set();
+        const entryOf = (item, removed) => ({
+            itemId: item.itemId || item.id,
+            timestamp,
+            name: item.name,
+            productType: item.productType,
+            purchasePrice: toNumber(item.purchasePrice),
+            profitPercent: toNumber(item.profitPercent),
+            roastType: item.roastType || '',
+            removed
+        });
+
+        const entries = [];
+        items
+            .filter(item => item.id && toNumber(item.purchasePrice) > 0)
+            .forEach(item => {
+                savedIds.add(item.id);
+                const entry = entryOf(item, false);
+                const previous = latest.get(item.id);
+                if (!previous || previous.removed || TRACKED_FIELDS.some(field => previous[field] !== entry[field])) entries.push(entry);
+            });
+        latest.forEach(previous => {
+            if (!previous.removed && !savedIds.has(previous.itemId)) entries.push(entryOf(previous, true));
+        });
+        return entries;
+    }
+
+    /**
+     * Rebuilds the price list as it was at the end of a day.
+     * @param {object[]} history - The history entries.
+     * @param {string} dateKey - The day (`YYYY-MM-DD`, local time).
+     * @returns {object[]} The latest entry of every item that was in the list then, in the order the items were first recorded.
+     */
+    function stateOn(history, dateKey) {
+        return Array.from(latestEntries(history, dateKey).values()).filter(entry => !entry.removed);
+    }
+
+    /**
+     * Calculates the change between two prices.
+     * @param {number} before - The old price.
+     * @param {number} after - The new price.
+     * @returns {number} The change (%).
+     */
+    function changePercent(before, after) {
+        return before > 0 ? (after - before) / before * 100 : 0;
+    }
+
+    /**
+     * Lists the changes of one item, oldest first.
+     * @param {object[]} history - The history entries.
+     * @param {string} itemId - The item.
+     * @returns {Array<object>} The entries of the item, each with its `sellPrice` (toman/kg, see `PriceList.finalPrice`)
+     *          and `changePercent`, the change of the sell price since the previous entry; null for the first entry and
+     *          for removals.
+     */
+    function itemHistory(history, itemId) {
+        let previous = null;
+        return history
+            .filter(entry => entry.itemId === itemId)
+            .sort(byTimestamp)
+            .map(entry => {
+                const sellPrice = PriceList.finalPrice(entry);
+                const change = previous !== null && !entry.removed ? changePercent(previous, sellPrice) : null;
+                previous = entry.removed ? null : sellPrice;
+                return Object.assign({}, entry, { sellPrice, changePercent: change });
+            });
+    }
+
+    /**
+     * Compares the price list at the end of two days by the sell price of its items.
+     * @param {object[]} history - The history entries.
+     * @param {string} fromDate - The earlier day (`YYYY-MM-DD`).
+     * @param {string} toDate - The later day (`YYYY-MM-DD`).
+     * @returns {{added: object[], removed: object[], raised: object[], lowered: object[]}} The items that were only in the
+     *          later list, only in the earlier one, and that got more or less expensive, each as
+     *          `{itemId, name, productType, roastType, before, after, changePercent}` with the sell prices (toman/kg)
+     *          of both days; `before` is null for added items and `after` for removed ones. Raised and lowered items
+     *          are sorted by the size of their change, largest first.
+     */
+    function diffPrices(history, fromDate, toDate) {
+        const before = new Map(stateOn(history, fromDate).map(entry => [entry.itemId, entry]));
+        const after = new Map(stateOn(history, toDate).map(entry => [entry.itemId, entry]));
+        const diff = { added: [], removed: [], raised: [], lowered: [] };
+        const describe = (entry, beforePrice, afterPrice) => ({
+            itemId: entry.itemId,
+            name: entry.name,
+            productType: entry.productType,
+            roastType: entry.roastType,
+            before: beforePrice,
+            after: afterPrice,
+            changePercent: beforePrice !== null && afterPrice !== null ? changePercent(beforePrice, afterPrice) : null
+        });
+
+        after.forEach((entry, itemId) => {
+            const afterPrice = PriceList.finalPrice(entry);
+            if (!before.has(itemId)) {
+                diff.added.push(describe(entry, null, afterPrice));
+                return;
+            }
+            const beforePrice = PriceList.finalPrice(before.get(itemId));
+            if (afterPrice > beforePrice) diff.raised.push(describe(entry, beforePrice, afterPrice));
+            if (afterPrice < beforePrice) diff.lowered.push(describe(entry, beforePrice, afterPrice));
+        });
+        before.forEach((entry, itemId) => {
+            if (!after.has(itemId)) diff.removed.push(describe(entry, PriceList.finalPrice(entry), null));
+        });
+        diff.raised.sort((a, b) => b.changePercent - a.changePercent);
+        diff.lowered.sort((a, b) => a.changePercent - b.changePercent);
+        return diff;
+    }
+
+    return {
+        TRACKED_FIELDS,
+        reuseRemovedIds,
+        recordChanges,
+        stateOn,
+        itemHistory,
+        diffPrices
+    };
+});
@@ -0,0 +1,217 @@
+/**
+ * Pure helpers for the price list.
+ * An item of the price list is a coffee or powder product with a purchase price (toman/kg) and a profit
+ * percentage added on top of it; coffee items also have a roast type and the package sizes they are sold in.
+ * The helpers price an item per kilogram and per package, apply the bulk changes of the price list to it and
+ * split the list over the pages of an image template.
+ * In the browser the module is exposed as `window.PriceList`.
+ */
+(function (root, factory) {
+    const api = factory(typeof module === 'object' && module.exports ? require('./calculations') : root.CoffeeCalc);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.PriceList = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (CoffeeCalc) {
+    'use strict';
+
+    const { toNumber } = CoffeeCalc;
+
+    /**
+     * The bulk changes: raising (or lowering) every purchase price by a percentage, or setting the profit percentage.
+     * @type {string[]}
+     */
+    const BULK_CHANGES = ['increasePrice', 'setMargin'];
+
+    /**
+     * Calculates the sell price of an item.
+     * @param {{purchasePrice: number|string, profitPercent: number|string}} item - The item.
+     * @returns {number} The purchase price plus the profit percentage (toman/kg).
+     */
+    function finalPrice(item) {
+        return toNumber(item.purchasePrice) * (1 + toNumber(item.profitPercent) / 100);
+    }
+
+    /**
+     * Checks a bulk change.
+     * @param {{type: string, percent: number|string}} change - The change, see `applyBulkChange`.
+     * @returns {string[]} `type` for an unknown change and `percent` when the percentage is missing, would make a
+     *          purchase price zero or negative, or is a negative profit percentage. An empty array means the change is valid.
+     */
+    function validateBulkChange(change) {
+        const invalidFields = [];
+        const percent = toNumber(change.percent, NaN);
+        if (!BULK_CHANGES.includes(change.type)) invalidFields.push('type');
+        if (change.type === 'increasePrice' ? !(percent > -100) : !(percent >= 0)) invalidFields.push('percent');
+        return invalidFields;
+    }
+
+    /**
+     * Applies a bulk change to an item.
+     * @param {object} item - The item.
+     * @param {object} change - The change.
+     * @param {string} change.type - `increasePrice` to change the purchase price by `percent`, rounded to the toman,
+     *        or `setMargin` to set the profit percentage to `percent`.
+     * @param {number|string} change.percent - The percentage.
+     * @returns {object} A copy of the item with the change applied.
+     */
+    function applyBulkChange(item, change) {
+        const percent = toNumber(change.percent);
+        if (change.type === 'increasePrice') {
+            return Object.assign({}, item, { purchasePrice: Math.round(toNumber(item.purchasePrice) * (1 + percent / 100)) });
+        }
+        return Object.assign({}, item, { profitPercent: percent });
+    }
+
+    /**
+     * The package sizes (grams) a new coffee item is sold in.
+     * @type {number[]}
+     */
+    const DEFAULT_PACKAGE_SIZES = [250, 500, 1000];
+
+    /**
+     * Packages lighter than this (grams) get the small-pack premium.
+     * @type {number}
+     */
+    const SMALL_PACK_GRAMS = 1000;
+
+    /**
+     * Builds the package sizes of a new coffee item, without packaging costs or overrides.
+     * @returns {Array<{grams: number, packagingCost: number, overridePrice: number|null}>} The package sizes.
+     */
+    function defaultPackageSizes() {
+        return DEFAULT_PACKAGE_SIZES.map(grams => ({ grams, packagingCost: 0, overridePrice: null }));
+    }
+
+    /**
+     * Checks the package sizes of an item.
+     * @param {Array<{grams: number|string, packagingCost?: number|string, overridePrice?: number|string}>} sizes - The raw sizes.
+     * @returns {string[]} The invalid fields of a size by its index: `grams-<index>` when the weight is not positive or is
+     *          repeated, `packagingCost-<index>` when the cost is negative and `overridePrice-<index>` when an override is given
+     *          but not positive. An empty array means the sizes are valid.
+     */
+    function validatePackageSizes(sizes) {
+        const invalidFields = [];
+        sizes.forEach((size, index) => {
+            const grams = toNumber(size.grams, NaN);
+            if (!(grams > 0) || sizes.slice(0, index).some(other => toNumber(other.grams, NaN) === grams)) invalidFields.push(`grams-${index}`);
+            if (!(toNumber(size.packagingCost, 0) >= 0)) invalidFields.push(`packagingCost-${index}`);
+            if (size.overridePrice !== '' && size.overridePrice !== null && size.overridePrice !== undefined && !(toNumber(size.overridePrice, NaN) > 0)) {
+                invalidFields.push(`overridePrice-${index}`);
+            }
+        });
+        return invalidFields;
+    }
+
+    /**
+     * Normalizes the package sizes of an item: numbers, no override when it is empty, lightest first.
+     * @param {object[]} sizes - The raw sizes, see `validatePackageSizes`.
+     * @returns {Array<{grams: number, packagingCost: number, overridePrice: number|null}>} The package sizes.
+     */
+    function normalizePackageSizes(sizes) {
+        return sizes
+            .map(size => ({
+                grams: toNumber(size.grams),
+                packagingCost: toNumber(size.packagingCost),
+                overridePrice: toNumber(size.overridePrice) > 0 ? toNumber(size.overridePrice) : null
+            }))
+            .sort((a, b) => a.grams - b.grams);
+    }
+
+    /**
+     * Rounds a price to the nearest multiple of a step, e.g. 1,000 or 5,000 toman.
+     * @param {number} price - The price.
+     * @param {number|string} [step=0] - The step; no rounding without a positive step.
+     * @returns {number} The rounded price.
+     */
+    function roundPrice(price, step = 0) {
+        const roundingStep = toNumber(step);
+        return roundingStep > 0 ? Math.round(price / roundingStep) * roundingStep : price;
+    }
+
+    /**
+     * Prices every package size of an item.
+     * A package costs its share of the kilogram price, plus the small-pack premium for packages under
+     * `SMALL_PACK_GRAMS`, plus its packaging cost, rounded to the rounding step. An override replaces the
+     * calculated price as it is.
+     * @param {object} item - The item, with its `sizes`.
+     * @param {object} [options] - The price list settings.
+     * @param {number|string} [options.smallPackPremium=0] - The premium on the coffee of small packages (%).
+     * @param {number|string} [options.roundingStep=0] - The rounding step (toman).
+     * @returns {Array<{grams: number, price: number, calculatedPrice: number, overridden: boolean}>} One entry per size,
+     *          lightest first; `calculatedPrice` is the price without the override.
+     */
+    function packagePrices(item, options = {}) {
+        const premium = toNumber(options.smallPackPremium);
+        const kilogramPrice = finalPrice(item);
+        return normalizePackageSizes(item.sizes || []).map(size => {
+            const coffeePrice = kilogramPrice * size.grams / 1000 * (size.grams < SMALL_PACK_GRAMS ? 1 + premium / 100 : 1);
+            const calculatedPrice = roundPrice(coffeePrice + size.packagingCost, options.roundingStep);
+            return {
+                grams: size.grams,
+                price: size.overridePrice !== null ? size.overridePrice : calculatedPrice,
+                calculatedPrice,
+                overridden: size.overridePrice !== null
+            };
+        });
+    }
+
+    /**
+     * The templates of the price list image. Sizes are CSS pixels; the image is rendered at twice that size,
+     * e.g. a 1080 × 1080 post. `rowsPerPage` is how many rows, counting every section title as one, fit on a page.
+     * @type {Object<string, {label: string, width: number, height: number, rowsPerPage: number}>}
+     */
+    const IMAGE_TEMPLATES = {
+        post: { label: 'پست مربعی اینستاگرام', width: 540, height: 540, rowsPerPage: 9 },
+        story: { label: 'استوری ۹:۱۶', width: 540, height: 960, rowsPerPage: 18 },
+        a4: { label: 'A4 عمودی (چاپ)', width: 794, height: 1123, rowsPerPage: 24 }
+    };
+
+    /**
+     * Splits the sections of the price list over pages. A section that does not fit on the rest of a page is
+     * continued on the next one under its title again; a title is never left at the bottom of a page without rows.
+     * @param {Array<{title: string, rows: Array}>} sections - The sections, e.g. coffees and powders; empty ones are left out.
+     * @param {number} rowsPerPage - The rows that fit on a page, counting every title as one row; at least 2.
+     * @returns {Array<Array<{title: string, rows: Array, continued: boolean}>>} The pages with their part of every
+     *          section: a copy of the section with only the rows on that page, and `continued` set for a part that
+     *          does not start at the first row of its section.
+     */
+    function paginateSections(sections, rowsPerPage) {
+        const pages = [];
+        let page = [];
+        let used = 0;
+        sections.filter(section => section.rows.length > 0).forEach(section => {
+            let start = 0;
+            while (start < section.rows.length) {
+                if (rowsPerPage - used < 2) {
+                    pages.push(page);
+                    page = [];
+                    used = 0;
+                }
+                const count = Math.min(section.rows.length - start, rowsPerPage - used - 1);
+                page.push(Object.assign({}, section, { rows: section.rows.slice(start, start + count), continued: start > 0 }));
+                used += count + 1;
+                start += count;
+            }
+        });
+        if (page.length > 0) pages.push(page);
+        return pages;
+    }
+
+    return {
+        BULK_CHANGES,
+        DEFAULT_PACKAGE_SIZES,
+        SMALL_PACK_GRAMS,
+        IMAGE_TEMPLATES,
+        finalPrice,
+        validateBulkChange,
+        applyBulkChange,
+        defaultPackageSizes,
+        validatePackageSizes,
+        normalizePackageSizes,
+        roundPrice,
+        packagePrices,
+        paginateSections
+    };
+});
@@ -0,0 +1,137 @@
+/**
+ * Pure helpers for forward pricing in the bean mix tool.
+ * A price is projected month by month with a compounded monthly inflation rate. The rate is either typed in
+ * or derived from the green coffee purchase ledger: for every origin bought at two dates far enough apart,
+ * the change between its first and its last purchase price is converted to a monthly rate, and the rates of
+ * the origins are averaged. In the browser the module is exposed as `window.PriceProjection`.
+ */
+(function (root, factory) {
+    const isNode = typeof module === 'object' && module.exports;
+    const api = factory(
+        isNode ? require('./calculations') : root.CoffeeCalc,
+        isNode ? require('./inventory') : root.GreenInventory
+    );
+    if (isNode) {
+        module.exports = api;
+    } else {
+        root.PriceProjection = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (CoffeeCalc, GreenInventory) {
+    'use strict';
+
+    const { toNumber } = CoffeeCalc;
+
+    /**
+     * The longest projection, in months.
+     * @type {number}
+     */
+    const MAX_MONTHS = 12;
+
+    /**
+     * The average length of a month in days, used to turn a price change over any number of days into a monthly rate.
+     * @type {number}
+     */
+    const DAYS_PER_MONTH = 365.2425 / 12;
+
+    /**
+     * The shortest time between the first and the last purchase of an origin for its prices to count towards the
+     * derived rate; a change over a few days would be blown up to an unrealistic monthly rate.
+     * @type {number}
+     */
+    const MIN_SPAN_DAYS = 14;
+
+    /**
+     * Counts the days between two date keys.
+     * @param {string} fromKey - The first day as `YYYY-MM-DD`.
+     * @param {string} toKey - The last day as `YYYY-MM-DD`.
+     * @returns {number} The number of days from the first to the last day.
+     */
+    function daysBetween(fromKey, toKey) {
+        const toUTC = key => {
+            const [y, m, d] = key.split('-').map(Number);
+            return Date.UTC(y, m - 1, d);
+        };
+        return Math.round((toUTC(toKey) - toUTC(fromKey)) / (24 * 60 * 60 * 1000));
+    }
+
+    /**
+     * Derives a monthly inflation rate from the purchase ledger.
+     * The price of an origin at a date is the kilogram-weighted average of its purchases on that day.
+     * @param {object[]} purchases - The purchase ledger, see `GreenInventory.createPurchase`.
+     * @returns {{rate: number|null, origins: Array<{origin: string, fromDate: string, toDate: string, fromPrice: number, toPrice: number, monthlyRate: number}>}}
+     *          The average monthly rate (%) of the origins, or null when no origin was bought at two dates at least
+     *          `MIN_SPAN_DAYS` apart, and the rate of every origin used, sorted by origin name.
+     */
+    function monthlyRateFromPurchases(purchases) {
+        const byOrigin = {};
+        purchases.forEach(purchase => {
+            const kg = toNumber(purchase.kg);
+            const pricePerKg = toNumber(purchase.pricePerKg);
+            if (!purchase.date || !(kg > 0) || !(pricePerKg > 0)) return;
+            const origin = GreenInventory.normalizeOrigin(purchase.origin);
+            const days = byOrigin[origin] = byOrigin[origin] || {};
+            const day = days[purchase.date] = days[purchase.date] || { kg: 0, cost: 0 };
+            day.kg += kg;
+            day.cost += kg * pricePerKg;
+        });
+
+        const origins = Object.keys(byOrigin).sort((a, b) => a.localeCompare(b, 'fa')).map(origin => {
+            const dates = Object.keys(byOrigin[origin]).sort();
+            const fromDate = dates[0];
+            const toDate = dates[dates.length - 1];
+            const span = daysBetween(fromDate, toDate);
+            if (span < MIN_SPAN_DAYS) return null;
+            const fromPrice = byOrigin[origin][fromDate].cost / byOrigin[origin][fromDate].kg;
+            const toPrice = byOrigin[origin][toDate].cost / byOrigin[origin][toDate].kg;
+            const monthlyRate = (Math.pow(toPrice / fromPrice, DAYS_PER_MONTH / span) - 1) * 100;
+            return { origin, fromDate, toDate, fromPrice, toPrice, monthlyRate };
+        }).filter(Boolean);
+
+        return {
+            rate: origins.length > 0 ? origins.reduce((sum, entry) => sum + entry.monthlyRate, 0) / origins.length : null,
+            origins
+        };
+    }
+
+    /**
+     * Checks the projection settings.
+     * @param {object} input - The projection settings.
+     * @param {number|string} input.rate - The monthly inflation rate (%); deflation is allowed down to but not including -100.
+     * @param {number|string} input.months - The number of months, a whole number from 1 to `MAX_MONTHS`.
+     * @returns {string[]} The invalid fields, `rate` and `months`; an empty array means the settings are valid.
+     */
+    function validateProjectionInput(input) {
+        const invalidFields = [];
+        const rate = toNumber(input.rate, NaN);
+        const months = toNumber(input.months, NaN);
+        if (!(rate > -100)) invalidFields.push('rate');
+        if (!(Number.isInteger(months) && months >= 1 && months <= MAX_MONTHS)) invalidFields.push('months');
+        return invalidFields;
+    }
+
+    /**
+     * Projects prices month by month with a compounded monthly rate.
+     * @param {number[]} prices - Today's prices, e.g. the cost and the sell price of a kilogram.
+     * @param {number} rate - The monthly inflation rate (%).
+     * @param {number} months - The number of months.
+     * @returns {Array<{month: number, factor: number, prices: number[]}>} One entry per month from 1, with the
+     *          cumulative growth factor since today and the projected prices in the order of `prices`.
+     */
+    function projectPrices(prices, rate, months) {
+        const rows = [];
+        for (let month = 1; month <= months; month++) {
+            const factor = Math.pow(1 + toNumber(rate) / 100, month);
+            rows.push({ month, factor, prices: prices.map(price => price * factor) });
+        }
+        return rows;
+    }
+
+    return {
+        MAX_MONTHS,
+        DAYS_PER_MONTH,
+        MIN_SPAN_DAYS,
+        monthlyRateFromPurchases,
+        validateProjectionInput,
+        projectPrices
+    };
+});
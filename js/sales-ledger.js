@@ -0,0 +1,201 @@
+/**
+ * Pure helpers for the cafe's daily sales ledger.
+ * Every entry records the drinks of the menu and the coffee mix (kg) sold on one day, together with
+ * the prices and drink costs that were in effect, so old days keep their figures when prices change.
+ * Reports are built per Persian (Jalaali) month with its real length: totals, averages per recorded
+ * day, the best and worst days, an extrapolation for a month still in progress and the average per
+ * weekday. In the browser the module is exposed as `window.SalesLedger`.
+ */
+(function (root, factory) {
+    const isNode = typeof module === 'object' && module.exports;
+    const api = factory(
+        isNode ? require('./calculations') : root.CoffeeCalc,
+        isNode ? require('./persian-date') : root.PersianDate
+    );
+    if (isNode) {
+        module.exports = api;
+    } else {
+        root.SalesLedger = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (CoffeeCalc, PersianDate) {
+    'use strict';
+
+    const { toNumber } = CoffeeCalc;
+
+    /**
+     * Checks the fields of an entry before it is saved.
+     * @param {object} fields - The raw entry fields, see `createSalesEntry`.
+     * @returns {string[]} The invalid fields: `date`, `salesMixKG` or `item-<id>` for a menu item with negative sales.
+     *          An empty array means the entry is valid; a day without sales is valid.
+     */
+    function validateSalesEntry(fields) {
+        const invalidFields = [];
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(fields.date || '')) invalidFields.push('date');
+        (fields.items || []).forEach(item => {
+            if (toNumber(item.count) < 0) invalidFields.push(`item-${item.id}`);
+        });
+        if (toNumber(fields.salesMixKG) < 0) invalidFields.push('salesMixKG');
+        return invalidFields;
+    }
+
+    /**
+     * Builds a normalized entry from raw form fields.
+     * @param {object} fields - The raw entry fields.
+     * @param {string} fields.date - The day as a Gregorian `YYYY-MM-DD` key; a day holds a single entry.
+     * @param {object[]} fields.items - The menu sales of the day, one per menu item with its `id`, `name`, `count`, `sellPrice`,
+     *        `unitCost` (toman) and `coffeeGrams` per drink, e.g. the `lines` of `MenuCosting.calculateMenuRevenue`.
+     * @param {number|string} fields.salesMixKG - Coffee mix sold by weight (kg).
+     * @param {{costPerKG: number, sellPriceKG: number}} fields.prices - The purchase and sell price of the coffee mix (toman/kg).
+     * @returns {object} The entry.
+     */
+    function createSalesEntry(fields) {
+        const prices = fields.prices || {};
+        return {
+            date: fields.date,
+            items: (fields.items || []).map(item => ({
+                id: item.id,
+                name: item.name,
+                count: toNumber(item.count),
+                sellPrice: toNumber(item.sellPrice),
+                unitCost: toNumber(item.unitCost),
+                coffeeGrams: toNumber(item.coffeeGrams)
+            })),
+            salesMixKG: toNumber(fields.salesMixKG),
+            prices: { costPerKG: toNumber(prices.costPerKG), sellPriceKG: toNumber(prices.sellPriceKG) }
+        };
+    }
+
+    /**
+     * Adds an entry to the ledger, replacing the entry already recorded for the same day.
+     * @param {object[]} entries - The ledger.
+     * @param {object} entry - The new entry.
+     * @returns {object[]} A new ledger sorted by date, oldest first.
+     */
+    function upsertEntry(entries, entry) {
+        return entries.filter(item => item.date !== entry.date).concat(entry).sort((a, b) => (a.date < b.date ? -1 : 1));
+    }
+
+    /**
+     * Prices the sales of one day with the prices and costs stored in its entry.
+     * @param {object} entry - The entry.
+     * @returns {{date: string, weekday: number, drinks: number, salesMixKG: number, revenue: number, cost: number, profit: number, kgUsed: number}}
+     *          The day's figures; `drinks` counts the menu items sold and `weekday` is 0 for Saturday up to 6 for Friday.
+     */
+    function dayFigures(entry) {
+        const sum = value => entry.items.reduce((total, item) => total + value(item), 0);
+        const revenue = sum(item => item.count * item.sellPrice) + entry.salesMixKG * entry.prices.sellPriceKG;
+        const cost = sum(item => item.count * item.unitCost) + entry.salesMixKG * entry.prices.costPerKG;
+        return {
+            date: entry.date,
+            weekday: PersianDate.weekday(entry.date),
+            drinks: sum(item => item.count),
+            salesMixKG: entry.salesMixKG,
+            revenue,
+            cost,
+            profit: revenue - cost,
+            kgUsed: sum(item => item.count * item.coffeeGrams) / 1000 + entry.salesMixKG
+        };
+    }
+
+    /**
+     * Lists the Persian months that hold at least one entry.
+     * @param {object[]} entries - The ledger.
+     * @returns {Array<{jy: number, jm: number}>} The months, the most recent first.
+     */
+    function ledgerMonths(entries) {
+        const months = {};
+        entries.forEach(entry => {
+            const { jy, jm } = PersianDate.fromDateKey(entry.date);
+            months[jy * 100 + jm] = { jy, jm };
+        });
+        return Object.keys(months).sort((a, b) => b - a).map(key => months[key]);
+    }
+
+    /**
+     * Builds the report of one Persian month.
+     * The projection adds the average of the recorded days for every day of the month that has not
+     * come yet; days that have passed without an entry count as days without sales. Today counts as passed
+     * only once it has an entry, so a projection made before the day's sales are recorded still includes them.
+     * @param {object[]} entries - The ledger.
+     * @param {number} jy - The Jalaali year.
+     * @param {number} jm - The Jalaali month (1-12).
+     * @param {string} todayKey - Today as a Gregorian `YYYY-MM-DD` key.
+     * @returns {{jy: number, jm: number, daysInMonth: number, elapsedDays: number, isPartial: boolean, days: object[], totals: object, averages: object|null, bestDay: object|null, worstDay: object|null, projected: object}}
+     *          `days` holds the figures of every recorded day (see `dayFigures`), oldest first. `totals` and `projected`
+     *          hold `revenue`, `cost`, `profit`, `kgUsed` and the sales; `averages` the same per recorded day.
+     */
+    function monthReport(entries, jy, jm, todayKey) {
+        const daysInMonth = PersianDate.monthLength(jy, jm);
+        const firstKey = PersianDate.toDateKey(jy, jm, 1);
+        const lastKey = PersianDate.toDateKey(jy, jm, daysInMonth);
+        const days = entries.filter(entry => entry.date >= firstKey && entry.date <= lastKey)
+            .map(dayFigures)
+            .sort((a, b) => (a.date < b.date ? -1 : 1));
+
+        const todayRecorded = days.some(day => day.date === todayKey);
+        let elapsedDays = daysInMonth;
+        if (todayKey < firstKey) elapsedDays = 0;
+        else if (todayKey <= lastKey) elapsedDays = PersianDate.fromDateKey(todayKey).jd - (todayRecorded ? 0 : 1);
+
+        const fields = ['revenue', 'cost', 'profit', 'kgUsed', 'drinks', 'salesMixKG'];
+        const totals = {};
+        fields.forEach(field => { totals[field] = days.reduce((total, day) => total + day[field], 0); });
+
+        let averages = null;
+        const projected = Object.assign({}, totals);
+        if (days.length > 0) {
+            averages = {};
+            fields.forEach(field => {
+                averages[field] = totals[field] / days.length;
+                projected[field] += averages[field] * (daysInMonth - elapsedDays);
+            });
+        }
+
+        const byRevenue = days.slice().sort((a, b) => b.revenue - a.revenue);
+        return {
+            jy,
+            jm,
+            daysInMonth,
+            elapsedDays,
+            isPartial: elapsedDays < daysInMonth,
+            days,
+            totals,
+            averages,
+            bestDay: byRevenue[0] || null,
+            worstDay: byRevenue[byRevenue.length - 1] || null,
+            projected
+        };
+    }
+
+    /**
+     * Averages the ledger per weekday.
+     * @param {object[]} entries - The ledger.
+     * @returns {Array<{weekday: number, name: string, dayCount: number, averageRevenue: number|null, averageProfit: number|null, averageDrinks: number|null}>}
+     *          Seven entries, Saturday first; the averages are null for a weekday without entries.
+     */
+    function weekdayPattern(entries) {
+        const days = entries.map(dayFigures);
+        return PersianDate.WEEKDAY_NAMES.map((name, weekday) => {
+            const matching = days.filter(day => day.weekday === weekday);
+            const average = value => (matching.length === 0 ? null : matching.reduce((total, day) => total + value(day), 0) / matching.length);
+            return {
+                weekday,
+                name,
+                dayCount: matching.length,
+                averageRevenue: average(day => day.revenue),
+                averageProfit: average(day => day.profit),
+                averageDrinks: average(day => day.drinks)
+            };
+        });
+    }
+
+    return {
+        validateSalesEntry,
+        createSalesEntry,
+        upsertEntry,
+        dayFigures,
+        ledgerMonths,
+        monthReport,
+        weekdayPattern
+    };
+});
@@ -0,0 +1,222 @@
+/**
+ * Pure helpers for what-if scenarios of the cafe calculation.
+ * A scenario is a named snapshot of every cafe input: the ingredient prices, the coffee mix sold by
+ * weight, the drink menu with its prices and daily sales, and the overheads. Scenarios are evaluated
+ * with `MenuCosting` and `CafeOverheads`, compared against a baseline, and a sensitivity analysis
+ * moves one variable of a scenario across a range to show how the profit follows.
+ * In the browser the module is exposed as `window.CafeScenarios`.
+ */
+(function (root, factory) {
+    const isNode = typeof module === 'object' && module.exports;
+    const api = factory(
+        isNode ? require('./calculations') : root.CoffeeCalc,
+        isNode ? require('./menu-costing') : root.MenuCosting,
+        isNode ? require('./overheads') : root.CafeOverheads
+    );
+    if (isNode) {
+        module.exports = api;
+    } else {
+        root.CafeScenarios = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (CoffeeCalc, MenuCosting, CafeOverheads) {
+    'use strict';
+
+    const { toNumber } = CoffeeCalc;
+
+    /**
+     * The ids of the cafe inputs stored in a scenario: the ingredient prices of `MenuCosting.costMenuItem`
+     * and the sell price and daily sales of the coffee mix sold by weight.
+     * @type {string[]}
+     */
+    const SCENARIO_INPUT_IDS = ['costPerKG', 'gramSingle', 'gramDouble', 'milkPricePerLiter', 'syrupPricePerLiter', 'cupPrice', 'lidPrice', 'sellPriceKG', 'salesMixKG'];
+
+    /**
+     * The figures of an evaluated scenario, in the order they are compared.
+     * @type {string[]}
+     */
+    const FIGURE_FIELDS = [
+        'dailyRevenue', 'dailyCost', 'dailyOverheads', 'dailyGrossProfit', 'dailyNetProfit',
+        'monthlyRevenue', 'monthlyCost', 'monthlyOverheads', 'monthlyGrossProfit', 'monthlyNetProfit',
+        'breakEvenCups'
+    ];
+
+    /**
+     * Checks the fields of a scenario before it is saved.
+     * @param {object} fields - The raw scenario fields, see `createScenario`.
+     * @returns {string[]} The names of the invalid fields; an empty array means the scenario is valid.
+     */
+    function validateScenario(fields) {
+        return String(fields.name || '').trim() ? [] : ['name'];
+    }
+
+    /**
+     * Builds a normalized scenario from a snapshot of the cafe inputs.
+     * The menu and the overheads are copied, so later edits of the inputs do not change the scenario.
+     * @param {object} fields - The raw scenario fields.
+     * @param {string} fields.id - A unique id for the scenario.
+     * @param {string} fields.name - The scenario name, e.g. "قیمت جدید لاته".
+     * @param {string} [fields.createdAt] - When the snapshot was taken, as an ISO timestamp.
+     * @param {Object<string, number|string>} fields.inputs - The cafe inputs by id, see `SCENARIO_INPUT_IDS`.
+     * @param {Object<string, number>} [fields.powders] - Purchase prices of the price list powders by name (toman/kg).
+     * @param {object[]} fields.menuItems - The drink menu, see `MenuCosting.createMenuItem`.
+     * @param {object[]} fields.overheads - The overheads, see `CafeOverheads.createOverhead`.
+     * @returns {object} The scenario.
+     */
+    function createScenario(fields) {
+        const inputs = {};
+        SCENARIO_INPUT_IDS.forEach(id => { inputs[id] = toNumber((fields.inputs || {})[id]); });
+        const powders = {};
+        Object.keys(fields.powders || {}).forEach(name => { powders[name] = toNumber(fields.powders[name]); });
+        return {
+            id: fields.id,
+            name: String(fields.name || '').trim(),
+            createdAt: fields.createdAt || new Date().toISOString(),
+            inputs,
+            powders,
+            menuItems: (fields.menuItems || []).map(MenuCosting.createMenuItem),
+            overheads: (fields.overheads || []).map(CafeOverheads.createOverhead)
+        };
+    }
+
+    /**
+     * Calculates the daily and monthly figures of a scenario.
+     * @param {object} scenario - The scenario.
+     * @param {number} daysInMonth - The length of the month to project to.
+     * @returns {object} The figures named in `FIGURE_FIELDS` (toman). The cost is the cost of the drinks and the
+     *          coffee sold, the overheads are all operating and non-operating overheads, and `breakEvenCups` is null
+     *          when a cup does not cover its own costs.
+     */
+    function evaluateScenario(scenario, daysInMonth) {
+        const supplies = Object.assign({}, scenario.inputs, { powders: scenario.powders });
+        const revenue = MenuCosting.calculateMenuRevenue({
+            items: scenario.menuItems,
+            supplies,
+            sellPriceKG: scenario.inputs.sellPriceKG,
+            salesMixKG: scenario.inputs.salesMixKG,
+            daysInMonth
+        });
+        const profit = CafeOverheads.calculateProfit(revenue, scenario.overheads);
+        const dailyOverheads = profit.operatingOverheads + profit.nonOperatingOverheads;
+        return {
+            dailyRevenue: revenue.totalDailyRevenue,
+            dailyCost: revenue.totalDailyCost,
+            dailyOverheads,
+            dailyGrossProfit: profit.grossProfit,
+            dailyNetProfit: profit.netProfit,
+            monthlyRevenue: revenue.totalDailyRevenue * revenue.daysInMonth,
+            monthlyCost: revenue.totalDailyCost * revenue.daysInMonth,
+            monthlyOverheads: dailyOverheads * revenue.daysInMonth,
+            monthlyGrossProfit: profit.monthly.grossProfit,
+            monthlyNetProfit: profit.monthly.netProfit,
+            breakEvenCups: profit.breakEvenCups
+        };
+    }
+
+    /**
+     * Evaluates scenarios side by side with the difference of every figure from a baseline.
+     * @param {object} baseline - The scenario the others are compared with.
+     * @param {object[]} scenarios - The scenarios to compare, usually including the baseline itself.
+     * @param {number} daysInMonth - The length of the month to project to.
+     * @returns {Array<{scenario: object, figures: object, deltas: object}>} One column per scenario, in the given order.
+     *          `deltas` holds the scenario's figures minus the baseline's; a delta is null when either figure is null.
+     */
+    function compareScenarios(baseline, scenarios, daysInMonth) {
+        const baseFigures = evaluateScenario(baseline, daysInMonth);
+        return scenarios.map(scenario => {
+            const figures = evaluateScenario(scenario, daysInMonth);
+            const deltas = {};
+            FIGURE_FIELDS.forEach(field => {
+                deltas[field] = figures[field] === null || baseFigures[field] === null ? null : figures[field] - baseFigures[field];
+            });
+            return { scenario, figures, deltas };
+        });
+    }
+
+    /**
+     * Lists the variables of a scenario a sensitivity analysis can move.
+     * @param {object} scenario - The scenario.
+     * @returns {Array<{key: string, itemId?: string}>} The cafe inputs by id (see `SCENARIO_INPUT_IDS`), followed by
+     *          `price:<id>` and `sales:<id>` for the sell price and daily sales of every drink on the menu.
+     */
+    function sensitivityVariables(scenario) {
+        const variables = SCENARIO_INPUT_IDS.map(key => ({ key }));
+        scenario.menuItems.forEach(item => {
+            variables.push({ key: `price:${item.id}`, itemId: item.id });
+            variables.push({ key: `sales:${item.id}`, itemId: item.id });
+        });
+        return variables;
+    }
+
+    /**
+     * Reads a variable of a scenario.
+     * @param {object} scenario - The scenario.
+     * @param {string} key - The variable, see `sensitivityVariables`.
+     * @returns {number} The value, or 0 when the scenario does not have the variable.
+     */
+    function readVariable(scenario, key) {
+        const [kind, itemId] = key.split(':');
+        if (itemId === undefined) return toNumber(scenario.inputs[key]);
+        const item = scenario.menuItems.find(menuItem => menuItem.id === itemId);
+        if (!item) return 0;
+        return kind === 'price' ? item.sellPrice : item.dailySales;
+    }
+
+    /**
+     * Returns a copy of a scenario with one variable changed.
+     * @param {object} scenario - The scenario.
+     * @param {string} key - The variable, see `sensitivityVariables`.
+     * @param {number} value - The new value.
+     * @returns {object} The changed copy; the given scenario is not modified.
+     */
+    function withVariable(scenario, key, value) {
+        const [kind, itemId] = key.split(':');
+        if (itemId === undefined) return Object.assign({}, scenario, { inputs: Object.assign({}, scenario.inputs, { [key]: value }) });
+        const field = kind === 'price' ? 'sellPrice' : 'dailySales';
+        return Object.assign({}, scenario, {
+            menuItems: scenario.menuItems.map(item => (item.id === itemId ? Object.assign({}, item, { [field]: value }) : item))
+        });
+    }
+
+    /**
+     * Moves one variable of a scenario across a range and evaluates every step.
+     * The range is given in percent of the current value, e.g. -30 to +30 in 7 steps for -30%, -20%, ... +30%.
+     * Daily sales are rounded to whole drinks.
+     * @param {object} scenario - The scenario.
+     * @param {string} key - The variable to move, see `sensitivityVariables`.
+     * @param {object} range - The range.
+     * @param {number} range.fromPercent - The first step, in percent of the current value.
+     * @param {number} range.toPercent - The last step, in percent of the current value.
+     * @param {number} range.steps - The number of steps, at least 2.
+     * @param {number} daysInMonth - The length of the month to project to.
+     * @returns {Array<{percent: number, value: number, figures: object, netProfitDelta: number}>} The steps in order;
+     *          `netProfitDelta` is the daily net profit minus that of the unchanged scenario.
+     */
+    function sensitivity(scenario, key, range, daysInMonth) {
+        const current = readVariable(scenario, key);
+        const baseNetProfit = evaluateScenario(scenario, daysInMonth).dailyNetProfit;
+        const steps = Math.max(2, Math.round(toNumber(range.steps, 2)));
+        const fromPercent = toNumber(range.fromPercent);
+        const stepPercent = (toNumber(range.toPercent) - fromPercent) / (steps - 1);
+
+        return Array.from({ length: steps }, (_, index) => {
+            const percent = fromPercent + stepPercent * index;
+            let value = Math.max(0, current * (1 + percent / 100));
+            if (key.startsWith('sales:')) value = Math.round(value);
+            const figures = evaluateScenario(withVariable(scenario, key, value), daysInMonth);
+            return { percent, value, figures, netProfitDelta: figures.dailyNetProfit - baseNetProfit };
+        });
+    }
+
+    return {
+        SCENARIO_INPUT_IDS,
+        FIGURE_FIELDS,
+        validateScenario,
+        createScenario,
+        evaluateScenario,
+        compareScenarios,
+        sensitivityVariables,
+        readVariable,
+        withVariable,
+        sensitivity
+    };
+});
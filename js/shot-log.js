@@ -0,0 +1,158 @@
+/**
+ * Pure helpers for the espresso shot log used to dial in beans.
+ * Every shot records the bean, single or double, dose and yield (g), extraction time (s), grind
+ * setting and a taste note. The brew ratio (yield / dose) and the time are checked against a target
+ * window, and the log is grouped per bean into a dial-in history whose average doses feed the cafe
+ * revenue calculator. In the browser the module is exposed as `window.ShotLog`.
+ */
+(function (root, factory) {
+    const api = factory(typeof module === 'object' && module.exports ? require('./calculations') : root.CoffeeCalc);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.ShotLog = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function (CoffeeCalc) {
+    'use strict';
+
+    const { toNumber } = CoffeeCalc;
+
+    /**
+     * The default target window for a shot: 25–32 seconds at a 1:1.8–1:2.5 brew ratio.
+     * @type {{minSeconds: number, maxSeconds: number, minRatio: number, maxRatio: number}}
+     */
+    const DEFAULT_TARGET = { minSeconds: 25, maxSeconds: 32, minRatio: 1.8, maxRatio: 2.5 };
+
+    /**
+     * Normalizes a bean name so that shots typed slightly differently are grouped together.
+     * @param {string} bean - The bean name.
+     * @returns {string} The trimmed bean name with collapsed whitespace.
+     */
+    function normalizeBean(bean) {
+        return String(bean || '').trim().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Checks the fields of a shot before it is logged.
+     * @param {object} fields - The raw shot fields, see `createShot`.
+     * @returns {string[]} The names of the invalid fields; an empty array means the shot is valid.
+     */
+    function validateShot(fields) {
+        const invalidFields = [];
+        if (!normalizeBean(fields.bean)) invalidFields.push('bean');
+        if (!(toNumber(fields.dose) > 0)) invalidFields.push('dose');
+        if (!(toNumber(fields.yield) > 0)) invalidFields.push('yield');
+        if (!(toNumber(fields.seconds) > 0)) invalidFields.push('seconds');
+        return invalidFields;
+    }
+
+    /**
+     * Builds a normalized shot from raw form fields.
+     * @param {object} fields - The raw shot fields.
+     * @param {string} fields.id - A unique id for the shot.
+     * @param {string} fields.timestamp - When the shot was pulled, as an ISO string.
+     * @param {string} fields.bean - The bean or blend name.
+     * @param {'single'|'double'} [fields.type='double'] - Whether it is a single or a double shot.
+     * @param {number|string} fields.dose - The dry coffee dose (g).
+     * @param {number|string} fields.yield - The espresso in the cup (g).
+     * @param {number|string} fields.seconds - The extraction time (s).
+     * @param {string} [fields.grind] - The grinder setting.
+     * @param {string} [fields.taste] - A taste note.
+     * @returns {object} The shot.
+     */
+    function createShot(fields) {
+        return {
+            id: fields.id,
+            timestamp: fields.timestamp,
+            bean: normalizeBean(fields.bean),
+            type: fields.type === 'single' ? 'single' : 'double',
+            dose: toNumber(fields.dose),
+            yield: toNumber(fields.yield),
+            seconds: toNumber(fields.seconds),
+            grind: String(fields.grind || '').trim(),
+            taste: String(fields.taste || '').trim()
+        };
+    }
+
+    /**
+     * Calculates the brew ratio of a shot.
+     * @param {object} shot - The shot.
+     * @returns {number} The yield divided by the dose, e.g. 2 for 18 g in and 36 g out.
+     */
+    function brewRatio(shot) {
+        return shot.dose > 0 ? shot.yield / shot.dose : 0;
+    }
+
+    /**
+     * Compares a shot with the target window.
+     * @param {object} shot - The shot.
+     * @param {object} [target=DEFAULT_TARGET] - The target window, see `DEFAULT_TARGET`.
+     * @returns {{ratio: number, timeStatus: 'fast'|'slow'|'ok', ratioStatus: 'low'|'high'|'ok', withinTarget: boolean}}
+     *          The brew ratio and whether the time and the ratio are below, above or inside the window.
+     */
+    function checkShot(shot, target = DEFAULT_TARGET) {
+        const ratio = brewRatio(shot);
+        const timeStatus = shot.seconds < target.minSeconds ? 'fast' : (shot.seconds > target.maxSeconds ? 'slow' : 'ok');
+        const ratioStatus = ratio < target.minRatio ? 'low' : (ratio > target.maxRatio ? 'high' : 'ok');
+        return { ratio, timeStatus, ratioStatus, withinTarget: timeStatus === 'ok' && ratioStatus === 'ok' };
+    }
+
+    /**
+     * Averages a numeric field over a list of shots.
+     * @param {object[]} shots - The shots.
+     * @param {string} field - The field to average.
+     * @returns {number|null} The average, or null for an empty list.
+     */
+    function average(shots, field) {
+        if (shots.length === 0) return null;
+        return shots.reduce((total, shot) => total + (field === 'ratio' ? brewRatio(shot) : toNumber(shot[field])), 0) / shots.length;
+    }
+
+    /**
+     * Calculates the average dose of single and double shots, for all beans or for one bean.
+     * @param {object[]} shots - The shot log.
+     * @param {string} [bean] - Only average the shots of this bean.
+     * @returns {{single: number|null, double: number|null}} The average doses (g); null when no such shot was logged.
+     */
+    function averageDoses(shots, bean) {
+        const matching = bean ? shots.filter(shot => shot.bean === normalizeBean(bean)) : shots;
+        return {
+            single: average(matching.filter(shot => shot.type === 'single'), 'dose'),
+            double: average(matching.filter(shot => shot.type === 'double'), 'dose')
+        };
+    }
+
+    /**
+     * Groups the shot log into a dial-in history per bean.
+     * @param {object[]} shots - The shot log.
+     * @returns {Array<{bean: string, shotCount: number, averageDose: {single: number|null, double: number|null}, averageRatio: number, averageSeconds: number, lastGrind: string, lastTimestamp: string}>}
+     *          One entry per bean, the most recently pulled bean first. `lastGrind` is the grind of the latest shot.
+     */
+    function beanHistory(shots) {
+        const byBean = {};
+        shots.forEach(shot => { (byBean[shot.bean] = byBean[shot.bean] || []).push(shot); });
+        return Object.keys(byBean).map(bean => {
+            const beanShots = byBean[bean].slice().sort((a, b) => (a.timestamp < b.timestamp ? 1 : -1));
+            return {
+                bean,
+                shotCount: beanShots.length,
+                averageDose: averageDoses(beanShots),
+                averageRatio: average(beanShots, 'ratio'),
+                averageSeconds: average(beanShots, 'seconds'),
+                lastGrind: beanShots[0].grind,
+                lastTimestamp: beanShots[0].timestamp
+            };
+        }).sort((a, b) => (a.lastTimestamp < b.lastTimestamp ? 1 : -1));
+    }
+
+    return {
+        DEFAULT_TARGET,
+        normalizeBean,
+        validateShot,
+        createShot,
+        brewRatio,
+        checkShot,
+        averageDoses,
+        beanHistory
+    };
+});
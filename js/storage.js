@@ -0,0 +1,354 @@
+/**
+ * Versioned key-value storage for every tool's saved state.
+ * A store keeps all values in memory after `init()` so reads stay synchronous, and writes them
+ * through to a swappable backend: localStorage (namespaced keys) or IndexedDB for larger histories.
+ * Values are stored as JSON. A schema version is kept next to the data and migrations bring older
+ * data up to date on start-up. Corrupt values never throw: they are reported through `onError`
+ * and the caller's default is used instead. In the browser the module is exposed as `window.CoffeeStorage`.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.CoffeeStorage = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * The prefix of every key written to localStorage.
+     * @type {string}
+     */
+    const NAMESPACE = 'majidCoffee:';
+
+    /**
+     * The key holding the schema version of the stored data.
+     * @type {string}
+     */
+    const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+    // ####################################
+    // Backends
+    // ####################################
+    /**
+     * Creates a backend that keeps values in a plain object. Used by the tests.
+     * @param {Object<string, string>} [initial={}] - The initial raw (JSON) values.
+     * @returns {object} The backend: `readAll`, `write`, `remove` and `clear`, all returning promises.
+     */
+    function createMemoryBackend(initial = {}) {
+        const data = Object.assign({}, initial);
+        return {
+            name: 'memory',
+            data,
+            readAll: () => Promise.resolve(Object.assign({}, data)),
+            write: (key, raw) => { data[key] = raw; return Promise.resolve(); },
+            remove: key => { delete data[key]; return Promise.resolve(); },
+            clear: () => { Object.keys(data).forEach(key => delete data[key]); return Promise.resolve(); }
+        };
+    }
+
+    /**
+     * Creates a backend on top of `window.localStorage`. Keys are prefixed with `NAMESPACE`
+     * so the app's data does not collide with anything else stored for the same origin.
+     * @param {Storage} localStorage - The Web Storage object to use.
+     * @returns {object} The backend: `readAll`, `write`, `remove` and `clear`, all returning promises.
+     */
+    function createLocalStorageBackend(localStorage) {
+        const namespacedKeys = () => {
+            const keys = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && key.startsWith(NAMESPACE)) keys.push(key);
+            }
+            return keys;
+        };
+        return {
+            name: 'localStorage',
+            readAll: () => new Promise(resolve => {
+                const values = {};
+                namespacedKeys().forEach(key => { values[key.slice(NAMESPACE.length)] = localStorage.getItem(key); });
+                resolve(values);
+            }),
+            write: (key, raw) => new Promise(resolve => { localStorage.setItem(NAMESPACE + key, raw); resolve(); }),
+            remove: key => new Promise(resolve => { localStorage.removeItem(NAMESPACE + key); resolve(); }),
+            clear: () => new Promise(resolve => { namespacedKeys().forEach(key => localStorage.removeItem(key)); resolve(); })
+        };
+    }
+
+    /**
+     * Creates a backend on top of IndexedDB, for data too large for the localStorage quota.
+     * All values live in one object store keyed by name.
+     * @param {IDBFactory} indexedDB - The IndexedDB factory to use.
+     * @param {string} [dbName='majid-coffee-tools'] - The database name.
+     * @returns {object} The backend: `open`, `readAll`, `write`, `remove` and `clear`, all returning promises.
+     */
+    function createIndexedDbBackend(indexedDB, dbName = 'majid-coffee-tools') {
+        const storeName = 'keyval';
+        let dbPromise = null;
+
+        const open = () => {
+            if (!dbPromise) {
+                dbPromise = new Promise((resolve, reject) => {
+                    const request = indexedDB.open(dbName, 1);
+                    request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+            return dbPromise;
+        };
+
+        const transaction = (mode, action) => open().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const result = action(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        }));
+
+        return {
+            name: 'indexedDB',
+            open,
+            readAll: () => transaction('readonly', objectStore => {
+                const values = {};
+                const request = objectStore.openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    values[cursor.key] = cursor.value;
+                    cursor.continue();
+                };
+                return values;
+            }),
+            write: (key, raw) => transaction('readwrite', objectStore => { objectStore.put(raw, key); }),
+            remove: key => transaction('readwrite', objectStore => { objectStore.delete(key); }),
+            clear: () => transaction('readwrite', objectStore => { objectStore.clear(); })
+        };
+    }
+
+    /**
+     * Picks the best available backend: IndexedDB when it can be opened, otherwise localStorage.
+     * Some browsers block IndexedDB for pages opened from `file://` or in private mode.
+     * @param {Window} win - The browser window.
+     * @returns {Promise<object>} The backend.
+     */
+    function openDefaultBackend(win) {
+        if (!win.indexedDB) return Promise.resolve(createLocalStorageBackend(win.localStorage));
+        const backend = createIndexedDbBackend(win.indexedDB);
+        return backend.open()
+            .then(() => backend)
+            .catch(() => createLocalStorageBackend(win.localStorage));
+    }
+
+    // ####################################
+    // Store
+    // ####################################
+    /**
+     * Returns a deep copy of a JSON value, so callers cannot change the cached state by accident.
+     * @param {*} value - The value to copy.
+     * @returns {*} The copy.
+     */
+    function copy(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Creates a versioned store.
+     * @param {object} options - The store options.
+     * @param {object} options.backend - Where values are persisted, see the `create...Backend` functions.
+     * @param {Array<{version: number, migrate: function(object): (void|Promise<void>)}>} [options.migrations=[]] - Schema
+     *        migrations, each run once when the stored schema version is lower than its `version`. A migration receives
+     *        the store itself (`get`, `set`, `remove`, `keys`, `flush`, `reportError`) and may return a promise, e.g. to
+     *        clean up once its writes are stored; `init` waits for it.
+     * @param {function({key: string, message: string, error: *}): void} [options.onError] - Called for every
+     *        corrupt value and failed write.
+     * @returns {object} The store.
+     */
+    function createStore({ backend, migrations = [], onError = () => {} }) {
+        const cache = {};
+        const pendingWrites = new Set();
+        const schemaVersion = migrations.reduce((max, migration) => Math.max(max, migration.version), 0);
+
+        const reportError = (key, message, error) => onError({ key, message, error });
+
+        const track = (promise, key) => {
+            const tracked = promise
+                .then(() => true, error => {
+                    reportError(key, 'ذخیره داده با خطا مواجه شد.', error);
+                    return false;
+                })
+                .then(written => {
+                    pendingWrites.delete(tracked);
+                    return written;
+                });
+            pendingWrites.add(tracked);
+            return tracked;
+        };
+
+        const store = {
+            backend,
+            schemaVersion,
+
+            /**
+             * Loads every value from the backend and runs the pending migrations.
+             * Values that are not valid JSON are reported and dropped.
+             * @returns {Promise<void>} Resolves when the store is ready for use and the migrations have finished.
+             */
+            init() {
+                return backend.readAll().then(raw => {
+                    Object.keys(raw).forEach(key => {
+                        try {
+                            cache[key] = JSON.parse(raw[key]);
+                        } catch (error) {
+                            reportError(key, 'داده ذخیره شده خراب بود و مقدار پیش‌فرض جایگزین شد.', error);
+                        }
+                    });
+
+                    const storedVersion = Number(cache[SCHEMA_VERSION_KEY]) || 0;
+                    const finishing = migrations
+                        .filter(migration => migration.version > storedVersion)
+                        .sort((a, b) => a.version - b.version)
+                        .map(migration => migration.migrate(store));
+                    if (storedVersion !== schemaVersion) store.set(SCHEMA_VERSION_KEY, schemaVersion);
+                    return Promise.all(finishing).then(() => undefined);
+                });
+            },
+
+            /**
+             * Reads a value.
+             * @param {string} key - The key to read.
+             * @param {*} fallback - Returned when the key is missing or its value is invalid.
+             * @param {function(*): boolean} [isValid] - Checks the shape of the value, e.g. `Array.isArray`.
+             *        An invalid value is reported and the fallback is returned.
+             * @returns {*} A copy of the stored value, or the fallback.
+             */
+            get(key, fallback, isValid) {
+                if (!(key in cache) || cache[key] === null) return fallback;
+                if (isValid && !isValid(cache[key])) {
+                    reportError(key, 'داده ذخیره شده خراب بود و مقدار پیش‌فرض جایگزین شد.', null);
+                    delete cache[key];
+                    return fallback;
+                }
+                return copy(cache[key]);
+            },
+
+            /**
+             * Writes a value. The in-memory copy is updated at once; the backend write happens in the background.
+             * @param {string} key - The key to write.
+             * @param {*} value - Any JSON-serializable value.
+             * @returns {Promise<boolean>} Resolves when the backend has stored the value, with false when the write failed.
+             */
+            set(key, value) {
+                cache[key] = copy(value);
+                return track(backend.write(key, JSON.stringify(value)), key);
+            },
+
+            /**
+             * Deletes a value.
+             * @param {string} key - The key to delete.
+             * @returns {Promise<boolean>} Resolves when the backend has deleted the value, with false when that failed.
+             */
+            remove(key) {
+                delete cache[key];
+                return track(backend.remove(key), key);
+            },
+
+            /**
+             * Lists the stored keys, without the schema version.
+             * @returns {string[]} The keys.
+             */
+            keys() {
+                return Object.keys(cache).filter(key => key !== SCHEMA_VERSION_KEY);
+            },
+
+            /**
+             * Deletes every value, including the schema version.
+             * @returns {Promise<boolean>} Resolves when the backend is empty, with false when clearing it failed.
+             */
+            clear() {
+                Object.keys(cache).forEach(key => delete cache[key]);
+                return track(backend.clear(), '*');
+            },
+
+            /**
+             * Waits for every pending backend write, e.g. before reloading the page.
+             * @returns {Promise<boolean>} Resolves when all writes have finished, with false when any of them failed.
+             */
+            flush() {
+                return Promise.all(Array.from(pendingWrites)).then(results => results.every(Boolean));
+            },
+
+            reportError
+        };
+
+        return store;
+    }
+
+    // ####################################
+    // Migrations
+    // ####################################
+    /**
+     * Creates the migration that moves the data saved by earlier versions of the app, which wrote
+     * raw values under bare keys in localStorage, into the store. Input values are gathered into
+     * one `inputs` object; the theme and the JSON lists keep their names. Corrupt lists are reported
+     * and skipped. The legacy keys are removed only once every write to the store has succeeded, so a failed
+     * write or a closed tab cannot lose the only copy of the data.
+     * @param {Storage} legacyStorage - The localStorage holding the old keys.
+     * @param {object} layout - The keys to migrate.
+     * @param {string[]} layout.inputIds - The ids of the persisted input fields.
+     * @param {string[]} layout.listKeys - The keys holding JSON lists.
+     * @returns {{version: number, migrate: function(object): Promise<void>}} The migration, for schema version 1.
+     */
+    function legacyLocalStorageMigration(legacyStorage, { inputIds, listKeys }) {
+        return {
+            version: 1,
+            migrate(store) {
+                if (!legacyStorage) return Promise.resolve();
+                const copiedKeys = [];
+                const inputs = store.get('inputs', {});
+                inputIds.forEach(id => {
+                    const value = legacyStorage.getItem(id);
+                    if (value === null) return;
+                    inputs[id] = value;
+                    copiedKeys.push(id);
+                });
+                store.set('inputs', inputs);
+
+                const theme = legacyStorage.getItem('theme');
+                if (theme !== null) {
+                    store.set('theme', theme);
+                    copiedKeys.push('theme');
+                }
+
+                listKeys.forEach(key => {
+                    const raw = legacyStorage.getItem(key);
+                    if (raw === null) return;
+                    try {
+                        const list = JSON.parse(raw);
+                        if (!Array.isArray(list)) throw new TypeError(`${key} is not a list`);
+                        store.set(key, list);
+                    } catch (error) {
+                        store.reportError(key, 'داده ذخیره شده خراب بود و مقدار پیش‌فرض جایگزین شد.', error);
+                    }
+                    copiedKeys.push(key);
+                });
+
+                return store.flush().then(written => {
+                    if (written) copiedKeys.forEach(key => legacyStorage.removeItem(key));
+                });
+            }
+        };
+    }
+
+    return {
+        NAMESPACE,
+        SCHEMA_VERSION_KEY,
+        createMemoryBackend,
+        createLocalStorageBackend,
+        createIndexedDbBackend,
+        openDefaultBackend,
+        createStore,
+        legacyLocalStorageMigration
+    };
+});
@@ -0,0 +1,230 @@
+/**
+ * Drift-free countdown timers made of consecutive steps.
+ * A timer never counts callbacks: it stores when it was started and how much time had already
+ * elapsed before the last pause, so the current step and its remaining time are always computed
+ * from the clock. Throttled or suspended tabs therefore catch up as soon as they run again.
+ * Timer states are plain objects, so they can be saved and resumed after a reload.
+ * The scheduler drives any number of named timers with one timeout each, waking up on the next
+ * whole second of the running step. In the browser the module is exposed as `window.TimerScheduler`.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.TimerScheduler = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ####################################
+    // Timer State
+    // ####################################
+    /**
+     * Creates a stopped timer.
+     * @param {number[]} durations - The length of every step (s). Steps of zero seconds are skipped.
+     * @returns {{durations: number[], offsetMs: number, startedAt: number|null}} The timer state.
+     *          `offsetMs` is the time elapsed before the last pause; `startedAt` is the clock time (ms) the timer
+     *          was last started, or null while it is stopped.
+     */
+    function createTimer(durations) {
+        return { durations: durations.map(seconds => Math.max(0, Number(seconds) || 0)), offsetMs: 0, startedAt: null };
+    }
+
+    /**
+     * Tells whether a timer is running.
+     * @param {object} timer - The timer state.
+     * @returns {boolean} True if the timer is running.
+     */
+    function isRunning(timer) {
+        return timer.startedAt !== null && timer.startedAt !== undefined;
+    }
+
+    /**
+     * Starts or resumes a timer. A running timer is returned unchanged.
+     * @param {object} timer - The timer state.
+     * @param {number} now - The current clock time (ms).
+     * @returns {object} The new timer state.
+     */
+    function startTimer(timer, now) {
+        if (isRunning(timer)) return timer;
+        return Object.assign({}, timer, { startedAt: now });
+    }
+
+    /**
+     * Pauses a timer, keeping the time elapsed so far. A stopped timer is returned unchanged.
+     * @param {object} timer - The timer state.
+     * @param {number} now - The current clock time (ms).
+     * @returns {object} The new timer state.
+     */
+    function pauseTimer(timer, now) {
+        if (!isRunning(timer)) return timer;
+        return Object.assign({}, timer, { offsetMs: elapsedMs(timer, now), startedAt: null });
+    }
+
+    /**
+     * Calculates how long a timer has run in total.
+     * @param {object} timer - The timer state.
+     * @param {number} now - The current clock time (ms).
+     * @returns {number} The elapsed time (ms).
+     */
+    function elapsedMs(timer, now) {
+        return timer.offsetMs + (isRunning(timer) ? Math.max(0, now - timer.startedAt) : 0);
+    }
+
+    /**
+     * Calculates the total length of a timer.
+     * @param {object} timer - The timer state.
+     * @returns {number} The total length (ms).
+     */
+    function totalMs(timer) {
+        return timer.durations.reduce((total, seconds) => total + seconds * 1000, 0);
+    }
+
+    /**
+     * Works out where a timer is at a given time.
+     * @param {object} timer - The timer state.
+     * @param {number} now - The current clock time (ms).
+     * @returns {{stepIndex: number, remainingMs: number, remainingSeconds: number, finished: boolean, endsAt: number|null}}
+     *          The current step and the time left in it. Once the timer is finished, `stepIndex` equals the number
+     *          of steps. `endsAt` is the clock time the current step ends (or the timer ended), or null while stopped.
+     */
+    function timerPosition(timer, now) {
+        const elapsed = elapsedMs(timer, now);
+        const origin = isRunning(timer) ? timer.startedAt - timer.offsetMs : null;
+        let stepEnd = 0;
+        for (let stepIndex = 0; stepIndex < timer.durations.length; stepIndex++) {
+            stepEnd += timer.durations[stepIndex] * 1000;
+            if (elapsed < stepEnd) {
+                const remainingMs = stepEnd - elapsed;
+                return {
+                    stepIndex,
+                    remainingMs,
+                    remainingSeconds: Math.ceil(remainingMs / 1000),
+                    finished: false,
+                    endsAt: origin === null ? null : origin + stepEnd
+                };
+            }
+        }
+        return {
+            stepIndex: timer.durations.length,
+            remainingMs: 0,
+            remainingSeconds: 0,
+            finished: true,
+            endsAt: origin === null ? null : origin + stepEnd
+        };
+    }
+
+    // ####################################
+    // Scheduler
+    // ####################################
+    /**
+     * Creates a scheduler that drives named timers and calls back on every second, step change and finish.
+     * @param {object} [clock] - The clock to use; the real one by default. Tests pass a fake clock.
+     * @param {function(): number} [clock.now] - Returns the current time (ms).
+     * @param {function(function, number): *} [clock.setTimeout] - Schedules a callback.
+     * @param {function(*): void} [clock.clearTimeout] - Cancels a scheduled callback.
+     * @returns {object} The scheduler: `run`, `update`, `cancel`, `get`, `refresh` and `now`.
+     */
+    function createScheduler(clock = {}) {
+        const now = clock.now || (() => Date.now());
+        const schedule = clock.setTimeout || ((callback, delay) => setTimeout(callback, delay));
+        const unschedule = clock.clearTimeout || (handle => clearTimeout(handle));
+        const jobs = {};
+
+        const wake = name => {
+            const job = jobs[name];
+            if (!job) return;
+            unschedule(job.handle);
+            job.handle = null;
+
+            const position = timerPosition(job.timer, now());
+            if (!position.finished && position.stepIndex !== job.stepIndex) {
+                const previousIndex = job.stepIndex;
+                job.stepIndex = position.stepIndex;
+                if (job.onStep) job.onStep(position, previousIndex);
+            }
+            if (job.onTick) job.onTick(position);
+            if (position.finished) {
+                delete jobs[name];
+                if (job.onFinish) job.onFinish(position);
+                return;
+            }
+            if (isRunning(job.timer)) {
+                job.handle = schedule(() => wake(name), position.remainingMs % 1000 || 1000);
+            }
+        };
+
+        return {
+            now,
+
+            /**
+             * Starts driving a timer, replacing any timer of the same name.
+             * @param {string} name - The timer name, e.g. "backwash".
+             * @param {object} timer - The timer state; it may already be running (e.g. restored after a reload).
+             * @param {object} [handlers] - The callbacks.
+             * @param {function(object): void} [handlers.onTick] - Called with the position on every wake-up.
+             * @param {function(object, number|null): void} [handlers.onStep] - Called when a new step is reached,
+             *        with the position and the previous step index (null for the first call).
+             * @param {function(object): void} [handlers.onFinish] - Called once when the last step ends.
+             * @returns {void} This function does not return a value.
+             */
+            run(name, timer, handlers = {}) {
+                if (jobs[name]) unschedule(jobs[name].handle);
+                jobs[name] = Object.assign({ timer, stepIndex: null, handle: null }, handlers);
+                wake(name);
+            },
+
+            /**
+             * Replaces the state of a driven timer, e.g. after pausing or resuming it.
+             * @param {string} name - The timer name.
+             * @param {object} timer - The new timer state.
+             * @returns {void} This function does not return a value.
+             */
+            update(name, timer) {
+                if (!jobs[name]) return;
+                jobs[name].timer = timer;
+                wake(name);
+            },
+
+            /**
+             * Stops driving a timer without calling its callbacks.
+             * @param {string} name - The timer name.
+             * @returns {void} This function does not return a value.
+             */
+            cancel(name) {
+                if (!jobs[name]) return;
+                unschedule(jobs[name].handle);
+                delete jobs[name];
+            },
+
+            /**
+             * Returns the state of a driven timer.
+             * @param {string} name - The timer name.
+             * @returns {object|null} The timer state, or null if no timer of that name is driven.
+             */
+            get(name) {
+                return jobs[name] ? jobs[name].timer : null;
+            },
+
+            /**
+             * Re-reads the clock for every timer at once, e.g. when a backgrounded tab becomes visible again.
+             * @returns {void} This function does not return a value.
+             */
+            refresh() {
+                Object.keys(jobs).forEach(wake);
+            }
+        };
+    }
+
+    return {
+        createTimer,
+        isRunning,
+        startTimer,
+        pauseTimer,
+        elapsedMs,
+        totalMs,
+        timerPosition,
+        createScheduler
+    };
+});
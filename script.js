@@ -1,10 +1,11 @@
 /**
  * Initializes the application after the DOM is fully loaded.
  * This function sets up all the event listeners, calculators, and UI interactions.
- * It ensures that all scripts run only after the entire HTML document has been parsed.
+ * It ensures that all scripts run only after the entire HTML document has been parsed, and waits for
+ * the saved data to be loaded from storage before any tool reads it.
  * @event DOMContentLoaded
  */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
 
     // ####################################
     // Element Selections
@@ -15,7 +16,9 @@ document.addEventListener('DOMContentLoaded', () => {
         cafe: document.getElementById('cafe-section'),
         bakwash: document.getElementById('bakwash-section'),
         stopwatch: document.getElementById('stopwatch-section'),
+        shot: document.getElementById('shot-section'),
         mix: document.getElementById('mix-section'),
+        inventory: document.getElementById('inventory-section'),
         priceList: document.getElementById('price-list-section')
     };
 
@@ -25,6 +28,8 @@ document.addEventListener('DOMContentLoaded', () => {
         bakwash: document.getElementById('bakwash-card'),
         mix: document.getElementById('mix-card'),
         stopwatch: document.getElementById('stopwatch-card'),
+        shot: document.getElementById('shot-card'),
+        inventory: document.getElementById('inventory-card'),
         priceList: document.getElementById('price-list-card')
     };
 
@@ -55,27 +60,137 @@ document.addEventListener('DOMContentLoaded', () => {
     setInterval(updateClock, 1000);
     updateClock();
 
+    // ####################################
+    // Storage Logic
+    // ####################################
+    /**
+     * An array of input field IDs to be persisted across sessions.
+     * @type {string[]}
+     */
+    const persistInputIds = [
+        'greenPrice', 'greenPriceSource', 'roastWage', 'lowStockThreshold',
+        'costPerKG', 'sellPriceKG', 'gramSingle', 'gramDouble', 'gramSource',
+        'milkPricePerLiter', 'syrupPricePerLiter', 'cupPrice', 'lidPrice', 'salesMixKG',
+        'brew-recipe',
+        'backwash-machine', 'backwash-group-head',
+        'shot-bean', 'shot-type', 'shot-dose', 'shot-grind',
+        'shotMinSeconds', 'shotMaxSeconds', 'shotMinRatio', 'shotMaxRatio',
+        'mix-roast-loss', 'mix-roast-wage', 'mix-margin', 'mix-pack-250', 'mix-pack-500', 'mix-pack-1000',
+        'mix-inflation-source', 'mix-inflation-rate', 'mix-projection-months',
+        'mix-target-price', 'mix-step', 'mix-arabica-min', 'mix-arabica-max',
+        'brand-name', 'social-id', 'price-rounding-step', 'small-pack-premium',
+        'image-template', 'image-accent-color', 'image-phone', 'image-address', 'price-valid-from', 'image-change-marks'
+    ];
+
+    /**
+     * Input field IDs of earlier versions that are no longer persisted. Their old values are still
+     * migrated, so later migrations can convert them (e.g. the two stopwatch stages into a brew recipe,
+     * or the single and double shot fields into menu items).
+     * @type {string[]}
+     */
+    const legacyInputIds = [
+        'stage1-minutes', 'stage1-seconds', 'stage2-minutes', 'stage2-seconds',
+        'costSingleShot', 'costDoubleShot', 'otherCostPerShot', 'salesSingle', 'salesDouble'
+    ];
+
+    /**
+     * Shows a notice at the top of the page when saved data could not be read or written.
+     * The affected tool keeps working with its default values; the notice only tells the user why.
+     * @param {{key: string, message: string, error: *}} problem - The storage problem.
+     * @returns {void} This function does not return a value.
+     */
+    function showStorageNotice(problem) {
+        const notice = document.getElementById('storage-notice');
+        if (!notice) return;
+        const item = document.createElement('p');
+        item.textContent = `⚠️ ${problem.message} (${problem.key})`;
+        notice.querySelector('.storage-notice-items').appendChild(item);
+        notice.style.display = 'block';
+    }
+
+    const storageNoticeClose = document.querySelector('#storage-notice .close-button');
+    if (storageNoticeClose) {
+        storageNoticeClose.addEventListener('click', () => {
+            document.getElementById('storage-notice').style.display = 'none';
+        });
+    }
+
+    /**
+     * Creates the app's store on a backend.
+     * @param {object} backend - Where values are persisted, see `CoffeeStorage.openDefaultBackend`.
+     * @returns {object} The store, not initialized yet.
+     */
+    function createAppStore(backend) {
+        return CoffeeStorage.createStore({
+            backend,
+            migrations: [
+                CoffeeStorage.legacyLocalStorageMigration(window.localStorage, {
+                    inputIds: persistInputIds.concat(legacyInputIds),
+                    listKeys: Object.keys(CoffeeBackup.LIST_KEYS)
+                }),
+                BrewRecipes.legacyStopwatchMigration(),
+                MenuCosting.legacyCafeMigration()
+            ],
+            onError: showStorageNotice
+        });
+    }
+
+    /**
+     * Initializes the app's store on the first backend that can be read. When the saved data cannot be read,
+     * e.g. because IndexedDB fails in private mode or is over its quota, the problem is reported and the next
+     * backend is tried, so every tool still starts.
+     * @param {object[]} backends - The backends in order of preference; the last one must not fail.
+     * @returns {Promise<object>} The initialized store.
+     */
+    async function initAppStore(backends) {
+        const appStore = createAppStore(backends[0]);
+        try {
+            await appStore.init();
+            return appStore;
+        } catch (error) {
+            if (backends.length === 1) throw error;
+            showStorageNotice({
+                key: backends[0].name,
+                message: backends[1].name === 'localStorage'
+                    ? 'داده‌های ذخیره شده خوانده نشد؛ از این پس داده‌ها در حافظه محلی مرورگر ذخیره می‌شوند.'
+                    : 'داده‌های ذخیره شده خوانده نشد و تغییرات این بار ذخیره نمی‌شوند.',
+                error
+            });
+            return initAppStore(backends.slice(1));
+        }
+    }
+
+    const defaultBackend = await CoffeeStorage.openDefaultBackend(window);
+    /**
+     * The app's versioned store. Every tool reads and writes its saved state through it.
+     * It falls back to localStorage, and then to memory for this session only, when the saved data cannot be read.
+     * @type {object}
+     */
+    const store = await initAppStore([defaultBackend]
+        .concat(defaultBackend.name === 'localStorage' ? [] : [CoffeeStorage.createLocalStorageBackend(window.localStorage)])
+        .concat([CoffeeStorage.createMemoryBackend()]));
+
     // ####################################
     // Theme Switcher Logic
     // ####################################
     /**
-     * Retrieves the stored theme from local storage.
-     * This function checks for a 'theme' key in the browser's local storage and returns its value.
+     * Retrieves the stored theme from the app's store.
+     * This function checks for a 'theme' key in the store and returns its value.
      * This allows the user's theme preference to persist across sessions.
      * @returns {string|null} The stored theme ('light' or 'dark'), or null if no theme is set.
      */
-    const getStoredTheme = () => localStorage.getItem('theme');
+    const getStoredTheme = () => store.get('theme', null);
     /**
-     * Stores the selected theme in local storage.
-     * This function takes a theme as a string and saves it under the 'theme' key in the browser's local storage.
+     * Stores the selected theme in the app's store.
+     * This function takes a theme as a string and saves it under the 'theme' key of the store.
      * @param {string} theme - The theme to store, typically 'light' or 'dark'.
      * @returns {void} This function does not return a value.
      */
-    const setStoredTheme = theme => localStorage.setItem('theme', theme);
+    const setStoredTheme = theme => store.set('theme', theme);
 
     /**
-     * Determines the preferred theme by checking local storage first, then system settings.
-     * If a theme is stored in local storage, it is used. Otherwise, it checks the user's
+     * Determines the preferred theme by checking the store first, then system settings.
+     * If a theme is stored, it is used. Otherwise, it checks the user's
      * operating system's preferred color scheme.
      * @returns {string} The preferred theme, either 'dark' or 'light'.
      */
@@ -131,54 +246,153 @@ document.addEventListener('DOMContentLoaded', () => {
     if (cards.roast) cards.roast.addEventListener('click', () => showSection('calculator-section'));
     if (cards.cafe) cards.cafe.addEventListener('click', () => showSection('cafe-section'));
     if (cards.stopwatch) cards.stopwatch.addEventListener('click', () => showSection('stopwatch-section'));
+    if (cards.shot) cards.shot.addEventListener('click', () => showSection('shot-section'));
     if (cards.mix) cards.mix.addEventListener('click', () => showSection('mix-section'));
     if (cards.bakwash) cards.bakwash.addEventListener('click', () => showSection('bakwash-section'));
+    if (cards.inventory) cards.inventory.addEventListener('click', () => showSection('inventory-section'));
     if (cards.priceList) cards.priceList.addEventListener('click', () => showSection('price-list-section'));
 
     buttons.back.forEach(button => {
         button.addEventListener('click', () => showSection('main-menu'));
     });
 
+    // ####################################
+    // Charts Logic
+    // ####################################
+    /**
+     * The last configuration of every chart by canvas id, so charts can be redrawn when their section
+     * becomes visible, the window is resized or the theme changes.
+     * @type {Object<string, object>}
+     */
+    const chartConfigs = {};
+
+    /**
+     * Reads the chart colors of the current theme from the CSS variables.
+     * @returns {{background: string, text: string, grid: string, font: string, palette: string[]}} The chart theme.
+     */
+    function getChartTheme() {
+        const style = getComputedStyle(document.documentElement);
+        const read = name => style.getPropertyValue(name).trim();
+        return {
+            background: read('--chart-background'),
+            text: read('--text-light'),
+            grid: read('--glass-border-light'),
+            font: 'Vazirmatn, sans-serif',
+            palette: ['--accent-color', '--gold-', '--danger-color', '--text-light', '--secondary-color', '--primary-color'].map(read)
+        };
+    }
+
+    /**
+     * Draws a chart on its canvas at the canvas' displayed size. Hidden canvases are skipped until they are shown.
+     * @param {string} canvasId - The id of the canvas.
+     * @param {number} [pixelRatio=window.devicePixelRatio] - The number of canvas pixels per CSS pixel.
+     * @returns {void} This function does not return a value.
+     */
+    function drawChart(canvasId, pixelRatio = window.devicePixelRatio || 1) {
+        const canvas = document.getElementById(canvasId);
+        const config = chartConfigs[canvasId];
+        if (!canvas || !config || canvas.clientWidth === 0) return;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return;
+
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        canvas.width = Math.round(width * pixelRatio);
+        canvas.height = Math.round(height * pixelRatio);
+        ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+
+        const theme = getChartTheme();
+        CoffeeCharts.drawLineChart(ctx, Object.assign({}, config, {
+            width,
+            height,
+            theme,
+            series: config.series.map((item, index) => Object.assign({ color: theme.palette[index % theme.palette.length] }, item))
+        }));
+    }
+
+    /**
+     * Stores the configuration of a chart and draws it.
+     * @param {string} canvasId - The id of the canvas.
+     * @param {object} config - The chart, see `CoffeeCharts.drawLineChart`; the size, the theme and the series colors are added here.
+     * @returns {void} This function does not return a value.
+     */
+    function renderChart(canvasId, config) {
+        chartConfigs[canvasId] = config;
+        drawChart(canvasId);
+    }
+
+    /**
+     * Redraws every chart, e.g. after its section became visible or the theme changed.
+     * @returns {void} This function does not return a value.
+     */
+    function redrawCharts() {
+        Object.keys(chartConfigs).forEach(canvasId => drawChart(canvasId));
+    }
+
+    /**
+     * Downloads a chart as a PNG image, drawn at twice the CSS size like the other reports.
+     * @param {string} canvasId - The id of the canvas.
+     * @returns {void} This function does not return a value.
+     */
+    function exportChart(canvasId) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas || canvas.clientWidth === 0) return;
+        drawChart(canvasId, 2);
+        const link = document.createElement('a');
+        link.download = `${canvasId}-${RoastBatchLog.toDateKey(new Date())}.png`;
+        link.href = canvas.toDataURL('image/png');
+        link.click();
+        drawChart(canvasId);
+    }
+
+    /**
+     * Formats an amount in toman for a chart axis, in millions from one million up.
+     * @param {number} value - The amount.
+     * @returns {string} The formatted amount.
+     */
+    function formatChartAmount(value) {
+        if (Math.abs(value) < 1000000) return formatCurrency(value);
+        return `${(value / 1000000).toLocaleString('fa-IR', { maximumFractionDigits: 1 })} میلیون`;
+    }
+
+    document.querySelectorAll('[data-export-chart]').forEach(button => {
+        button.addEventListener('click', () => exportChart(button.dataset.exportChart));
+    });
+    Object.values(cards).forEach(card => {
+        if (card) card.addEventListener('click', redrawCharts);
+    });
+    if (themeToggler) themeToggler.addEventListener('click', redrawCharts);
+    window.addEventListener('resize', redrawCharts);
+
     // ####################################
     // Data Persistence Logic
     // ####################################
 
     /**
-     * Saves the value of a specific input field to localStorage.
+     * Saves the value of a specific input field in the store's `inputs` object.
      * @param {string} id - The ID of the input element to save.
      */
     function saveInput(id) {
         const element = document.getElementById(id);
         if (element) {
-            localStorage.setItem(id, element.value);
+            const inputs = store.get('inputs', {}, isPlainObject);
+            inputs[id] = element.value;
+            store.set('inputs', inputs);
         }
     }
 
     /**
-     * Loads the value of a specific input field from localStorage.
+     * Loads the value of a specific input field from the store's `inputs` object.
      * @param {string} id - The ID of the input element to load.
      */
     function loadInput(id) {
         const element = document.getElementById(id);
-        const savedValue = localStorage.getItem(id);
-        if (element && savedValue !== null) {
+        const savedValue = store.get('inputs', {}, isPlainObject)[id];
+        if (element && savedValue !== undefined && savedValue !== null) {
             element.value = savedValue;
         }
     }
 
-    /**
-     * An array of input field IDs to be persisted across sessions.
-     * @type {string[]}
-     */
-    const persistInputIds = [
-        'greenPrice', 'roastWage', 'batchInput', 'batchOutput', 'totalGreen',
-        'costPerKG', 'sellPriceKG', 'costSingleShot', 'costDoubleShot',
-        'gramSingle', 'gramDouble', 'otherCostPerShot',
-        'salesSingle', 'salesDouble', 'salesMixKG',
-        'stage1-minutes', 'stage1-seconds', 'stage2-minutes', 'stage2-seconds',
-        'brand-name', 'social-id'
-    ];
-
     /**
      * Attaches event listeners to persist input fields and loads their initial values.
      */
@@ -193,9 +407,44 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
 
+    /**
+     * The roast levels offered by the batch log and the price list.
+     * @type {string[]}
+     */
+    const roastTypes = ["مدیوم", "شکلاتی", "دارک"];
+
     // ####################################
     // Helper Functions
     // ####################################
+    /**
+     * Generates a short unique id for stored records such as roast batches.
+     * It combines the current timestamp with a random suffix, both in base 36.
+     * @returns {string} The generated id.
+     */
+    function generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+
+    /**
+     * Checks that a stored value is a plain object, e.g. the saved `inputs` map.
+     * @param {*} value - The value to check.
+     * @returns {boolean} True for a non-null, non-array object.
+     */
+    function isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    /**
+     * Escapes a string for safe insertion into HTML built with template literals.
+     * @param {string} text - The text to escape.
+     * @returns {string} The escaped text.
+     */
+    function escapeHTML(text) {
+        return String(text === undefined || text === null ? '' : text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
     /**
      * Formats a number into a Persian currency string.
      * It uses the `toLocaleString` method to format the number with 'fa-IR' locale settings,
@@ -222,6 +471,42 @@ document.addEventListener('DOMContentLoaded', () => {
         const value = parseFloat(input.value);
         return isNaN(value) ? defaultValue : value;
     }
+    // ####################################
+    // Timer Scheduler
+    // ####################################
+    /**
+     * The scheduler shared by the stopwatch and the backwash timer. Remaining times are computed from the clock,
+     * so timers stay accurate when the phone throttles a backgrounded tab.
+     */
+    const timerScheduler = TimerScheduler.createScheduler();
+
+    /**
+     * Saves the state of a timer so that it can be resumed after a reload.
+     * @param {string} name - The timer name, e.g. "backwash".
+     * @param {object|null} state - The timer state (`timer`) and whatever else the section needs to resume it,
+     *        or null to forget the timer.
+     */
+    function saveRunningTimer(name, state) {
+        const timers = store.get('runningTimers', {}, isPlainObject);
+        if (state) timers[name] = state;
+        else delete timers[name];
+        store.set('runningTimers', timers);
+    }
+
+    /**
+     * Loads the saved state of a timer.
+     * @param {string} name - The timer name.
+     * @returns {object|null} The saved state, or null if there is none or it is not a valid timer.
+     */
+    function loadRunningTimer(name) {
+        const state = store.get('runningTimers', {}, isPlainObject)[name];
+        return isPlainObject(state) && isPlainObject(state.timer) && Array.isArray(state.timer.durations) ? state : null;
+    }
+
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) timerScheduler.refresh();
+    });
+
     // #####################################################
 // 🔹 منطق بخش کرنومتر بک‌واش (bakwash-section)
 // #####################################################
@@ -232,11 +517,30 @@ if (sections.bakwash) {
     const backwashStatus = document.getElementById('backwash-status');
     const backwashBeep = document.getElementById('backwash-beep');
 
-    const start10Btn = document.getElementById('backwash-start10');
-    const start5Btn = document.getElementById('backwash-start5');
+    const programButtons = document.getElementById('backwash-program-buttons');
+    const instructionDisplay = document.getElementById('backwash-instruction');
     const resetBtn = document.getElementById('backwash-reset');
+    const programList = document.getElementById('backwash-program-list');
+    const editor = document.getElementById('backwash-editor');
+    const editorTitle = document.getElementById('backwash-editor-title');
+    const programNameInput = document.getElementById('backwash-program-name');
+    const programRoundsInput = document.getElementById('backwash-program-rounds');
+    const phaseRows = document.getElementById('backwash-phase-rows');
+
+    const machineInput = document.getElementById('backwash-machine');
+    const groupHeadInput = document.getElementById('backwash-group-head');
+    const scheduleForm = {
+        machine: document.getElementById('schedule-machine'),
+        task: document.getElementById('schedule-task'),
+        intervalDays: document.getElementById('schedule-interval'),
+        unit: document.getElementById('schedule-interval-unit'),
+        programId: document.getElementById('schedule-program')
+    };
 
-    let backwashTimer = null;
+    let backwashPrograms = [];
+    let editingProgramId = null;
+    let maintenanceLog = [];
+    let maintenanceSchedules = [];
 
     /**
      * Formats a given number of seconds into a "mm:ss" time string.
@@ -263,368 +567,2518 @@ if (sections.bakwash) {
     }
 
     /**
-     * Runs a complete backwash cycle with specified "on" and "off" phases.
-     * This function manages the timer for a backwash sequence, alternating between a running phase and a resting phase
-     * for a set number of rounds. It updates the display and status message throughout the cycle.
-     * @param {number} onTime - The duration in seconds for the "on" phase of each round.
-     * @param {number} offTime - The duration in seconds for the "off" phase of each round.
-     * @param {number} totalRounds - The total number of rounds in the cycle.
-     * @param {string} label - A descriptive label for the cycle being run (e.g., "10-second cycle").
-     * @returns {void} This function does not return a value.
+     * Saves the backwash programs to the store.
+     */
+    function saveBackwashPrograms() {
+        store.set('backwashPrograms', backwashPrograms);
+    }
+
+    /**
+     * Loads the backwash programs from the store. The default programs are used until the user saves their own.
      */
-    function runBackwashCycle(onTime, offTime, totalRounds, label) {
-        clearInterval(backwashTimer);
-        let round = 0;
+    function loadBackwashPrograms() {
+        backwashPrograms = store.get('backwashPrograms', null, Array.isArray)
+            || BackwashPrograms.DEFAULT_PROGRAMS.map(program => BackwashPrograms.createProgram(program));
+    }
 
-        backwashStatus.innerText = `شروع ${label}...`;
+    /**
+     * Shows the instruction of the running phase, or hides the instruction line when there is none.
+     * @param {string} instruction - The instruction to show.
+     * @returns {void} This function does not return a value.
+     */
+    function showBackwashInstruction(instruction) {
+        instructionDisplay.innerText = instruction ? `👈 ${instruction}` : '';
+    }
 
-        function nextRound() {
-            if (round >= totalRounds) {
-                backwashStatus.innerText = `✅ ${label} تمام شد.`;
+    /**
+     * Runs a backwash program from start to finish.
+     * The program is flattened into its timed steps (every phase of every round) and driven by the shared scheduler.
+     * Each step beeps when it starts, counts down on the display and shows its round, on/off state and instruction
+     * in the status lines. The run is saved so a reload resumes it; a run that ended while the page was closed is
+     * still recorded in the maintenance log, with its real end time.
+     * @param {object} program - The program to run, see `BackwashPrograms.createProgram`.
+     * @param {object} [timer] - A saved timer state to resume; a new run is started when omitted.
+     * @returns {void} This function does not return a value.
+     */
+    function runBackwashProgram(program, timer) {
+        const steps = BackwashPrograms.expandProgram(program);
+        const resumed = Boolean(timer);
+        let stepsSeen = 0;
+        timer = timer || TimerScheduler.startTimer(TimerScheduler.createTimer(steps.map(step => step.seconds)), timerScheduler.now());
+        saveRunningTimer('backwash', { timer, program });
+
+        backwashStatus.innerText = `شروع ${program.name}...`;
+
+        timerScheduler.run('backwash', timer, {
+            onStep(position) {
+                const step = steps[position.stepIndex];
+                const stateLabel = step.state === 'on' ? '🔥' : '💧';
+                const phaseLabel = step.label || (step.state === 'on' ? 'روشن' : 'خاموش');
+                if (!resumed || stepsSeen > 0) playBackwashBeep();
+                stepsSeen++;
+                backwashStatus.innerText = `${stateLabel} ${program.name} - دوره ${step.round} از ${step.totalRounds} (${phaseLabel})`;
+                showBackwashInstruction(step.instruction);
+            },
+            onTick(position) {
+                backwashDisplay.innerText = formatTime(position.remainingSeconds);
+            },
+            onFinish(position) {
+                saveRunningTimer('backwash', null);
+                if (stepsSeen > 0) playBackwashBeep();
+                backwashStatus.innerText = `✅ ${program.name} تمام شد.`;
                 backwashDisplay.innerText = "00:00";
-                return;
+                showBackwashInstruction('');
+                recordBackwashRun(program, new Date(position.endsAt));
             }
+        });
+    }
 
-            // 🔥 مرحله روشن
-            playBackwashBeep();
-            let sec = onTime;
-            backwashStatus.innerText = `🔥 ${label} - دوره ${round + 1} (روشن)`;
-            backwashDisplay.innerText = formatTime(sec);
-
-            backwashTimer = setInterval(() => {
-                sec--;
-                backwashDisplay.innerText = formatTime(sec);
-                if (sec <= 0) {
-                    clearInterval(backwashTimer);
-
-                    // 💧 مرحله خاموش
-                    playBackwashBeep();
-                    let rest = offTime;
-                    backwashStatus.innerText = `💧 ${label} - دوره ${round + 1} (خاموش)`;
-                    backwashDisplay.innerText = formatTime(rest);
-
-                    backwashTimer = setInterval(() => {
-                        rest--;
-                        backwashDisplay.innerText = formatTime(rest);
-                        if (rest <= 0) {
-                            clearInterval(backwashTimer);
-                            round++;
-                            nextRound();
-                        }
-                    }, 1000);
-                }
-            }, 1000);
-        }
-
-        nextRound();
+    /**
+     * Renders one start button per program, in the saved order.
+     * @returns {void} This function does not return a value.
+     */
+    function renderProgramButtons() {
+        programButtons.innerHTML = backwashPrograms.map(program =>
+            `<button class="calc-button" data-run-program-id="${escapeHTML(program.id)}">▶️ ${escapeHTML(program.name)}</button>`
+        ).join('');
+
+        programButtons.querySelectorAll('[data-run-program-id]').forEach(button => {
+            button.addEventListener('click', () => {
+                const program = backwashPrograms.find(item => item.id === button.dataset.runProgramId);
+                if (program) runBackwashProgram(program);
+            });
+        });
     }
 
-    // 🎯 دکمه‌ها
-    if (start10Btn) start10Btn.addEventListener('click', () => {
-        runBackwashCycle(10, 10, 5, 'مرحله ۱۰ ثانیه‌ای');
-    });
+    /**
+     * Renders the program list with the buttons to reorder, edit and delete every program.
+     * @returns {void} This function does not return a value.
+     */
+    function renderProgramList() {
+        if (backwashPrograms.length === 0) {
+            programList.innerHTML = '<p>هیچ برنامه‌ای ذخیره نشده است.</p>';
+            return;
+        }
 
-    if (start5Btn) start5Btn.addEventListener('click', () => {
-        runBackwashCycle(5, 5, 10, 'مرحله ۵ ثانیه‌ای');
-    });
+        const rowsHTML = backwashPrograms.map((program, index) => {
+            const id = escapeHTML(program.id);
+            return `<tr>
+                <td>${index + 1}</td>
+                <td>${escapeHTML(program.name)}</td>
+                <td>${program.rounds}</td>
+                <td>${program.phases.length}</td>
+                <td>${formatTime(BackwashPrograms.programDuration(program))}</td>
+                <td>
+                    <button class="calc-button row-action-btn" data-move-program-id="${id}" data-offset="-1" title="بالا">▲</button>
+                    <button class="calc-button row-action-btn" data-move-program-id="${id}" data-offset="1" title="پایین">▼</button>
+                    <button class="calc-button row-action-btn" data-edit-program-id="${id}">ویرایش</button>
+                    <button class="calc-button remove-row-btn" data-program-id="${id}">حذف</button>
+                </td>
+            </tr>`;
+        }).join('');
+
+        programList.innerHTML = `
+            <div class="table-scroll">
+                <table class="data-table">
+                    <thead><tr><th>#</th><th>نام</th><th>دوره</th><th>مراحل</th><th>مدت کل</th><th></th></tr></thead>
+                    <tbody>${rowsHTML}</tbody>
+                </table>
+            </div>
+        `;
 
-    if (resetBtn) resetBtn.addEventListener('click', () => {
-        clearInterval(backwashTimer);
-        backwashStatus.innerText = 'وضعیت: آماده';
-        backwashDisplay.innerText = '00:00';
-        backwashBeep.pause();
-        backwashBeep.currentTime = 0;
-    });
-}
+        programList.querySelectorAll('[data-move-program-id]').forEach(button => {
+            button.addEventListener('click', () => {
+                backwashPrograms = BackwashPrograms.moveProgram(backwashPrograms, button.dataset.moveProgramId, Number(button.dataset.offset));
+                saveBackwashPrograms();
+                renderBackwashPrograms();
+            });
+        });
 
+        programList.querySelectorAll('[data-edit-program-id]').forEach(button => {
+            button.addEventListener('click', () => {
+                openProgramEditor(backwashPrograms.find(program => program.id === button.dataset.editProgramId));
+            });
+        });
+
+        programList.querySelectorAll('[data-program-id]').forEach(button => {
+            button.addEventListener('click', () => {
+                const program = backwashPrograms.find(item => item.id === button.dataset.programId);
+                if (!program || !confirm(`برنامه «${program.name}» حذف شود؟`)) return;
+                backwashPrograms = backwashPrograms.filter(item => item.id !== program.id);
+                saveBackwashPrograms();
+                if (editingProgramId === program.id) closeProgramEditor();
+                renderBackwashPrograms();
+            });
+        });
+    }
 
-    // ####################################
-    // Roast Calculator Logic
-    // ####################################
     /**
-     * Calculates and displays roast analysis results based on user inputs.
-     * This function retrieves data on green bean price, roast wage, batch input/output, and total green coffee.
-     * It calculates key metrics like weight loss percentage, cost of roasted coffee, and total profit,
-     * and then displays these results in the UI. It also handles input validation.
+     * Re-renders every view that depends on the program list.
      * @returns {void} This function does not return a value.
      */
-    function calculateRoast() {
-        const batchInputElement = document.getElementById('batchInput');
-        const batchOutputElement = document.getElementById('batchOutput');
-        const resultsDiv = document.getElementById('results');
-        const generateBtn = document.getElementById('generate-roast-image-btn');
+    function renderBackwashPrograms() {
+        renderProgramButtons();
+        renderProgramList();
+        renderScheduleProgramOptions();
+    }
 
-        batchInputElement.classList.remove('invalid-input');
-        batchOutputElement.classList.remove('invalid-input');
+    /**
+     * Renumbers the phase rows of the editor after a row is added or removed.
+     * @returns {void} This function does not return a value.
+     */
+    function renumberPhaseRows() {
+        phaseRows.querySelectorAll('tr').forEach((row, index) => {
+            row.querySelector('.phase-number').innerText = index + 1;
+        });
+    }
 
-        const batchInput = getInputValue('batchInput', NaN);
-        const batchOutput = getInputValue('batchOutput', NaN);
-        let isValid = true;
-        if (isNaN(batchInput) || batchInput <= 0) { isValid = false; batchInputElement.classList.add('invalid-input'); }
-        if (isNaN(batchOutput) || batchOutput < 0 || batchOutput > batchInput) { isValid = false; batchOutputElement.classList.add('invalid-input'); }
+    /**
+     * Appends an editable phase row to the program editor.
+     * @param {object} [phase] - The phase to show; a 10-second "on" phase is used when omitted.
+     * @returns {void} This function does not return a value.
+     */
+    function addPhaseRow(phase = { label: '', state: 'on', seconds: 10, instruction: '' }) {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td class="phase-number"></td>
+            <td><input type="text" class="phase-label" placeholder="اختیاری" value="${escapeHTML(phase.label)}"></td>
+            <td>
+                <select class="phase-state">
+                    <option value="on"${phase.state === 'on' ? ' selected' : ''}>🔥 روشن</option>
+                    <option value="off"${phase.state === 'off' ? ' selected' : ''}>💧 خاموش</option>
+                </select>
+            </td>
+            <td><input type="number" inputmode="numeric" class="phase-seconds" min="1" value="${phase.seconds}"></td>
+            <td><input type="text" class="phase-instruction" placeholder="مثال: پودر را در فیلتر کور بریزید" value="${escapeHTML(phase.instruction)}"></td>
+            <td><button class="calc-button remove-row-btn">حذف</button></td>
+        `;
+        row.querySelector('.remove-row-btn').addEventListener('click', () => {
+            row.remove();
+            renumberPhaseRows();
+        });
+        phaseRows.appendChild(row);
+        renumberPhaseRows();
+    }
 
-        if (!isValid) {
-            resultsDiv.innerHTML = '<p style="color: red;">!لطفاً فیلدهای مشخص‌شده را با مقادیر معتبر پر کنید</p>';
-            generateBtn.style.display = 'none';
-            return;
+    /**
+     * Opens the program editor, either for an existing program or for a new one.
+     * @param {object} [program] - The program to edit; a new program is started when omitted.
+     * @returns {void} This function does not return a value.
+     */
+    function openProgramEditor(program) {
+        editingProgramId = program ? program.id : null;
+        editorTitle.innerText = program ? `ویرایش «${program.name}»` : 'برنامه جدید';
+        programNameInput.value = program ? program.name : '';
+        programRoundsInput.value = program ? program.rounds : 5;
+        programNameInput.classList.remove('invalid-input');
+        programRoundsInput.classList.remove('invalid-input');
+        phaseRows.innerHTML = '';
+        if (program) {
+            program.phases.forEach(phase => addPhaseRow(phase));
+        } else {
+            addPhaseRow({ label: '', state: 'on', seconds: 10, instruction: '' });
+            addPhaseRow({ label: '', state: 'off', seconds: 10, instruction: '' });
         }
+        editor.style.display = 'block';
+        programNameInput.focus();
+    }
 
-        const greenPrice = getInputValue('greenPrice');
-        const roastWage = getInputValue('roastWage');
-        const totalGreen = getInputValue('totalGreen');
+    /**
+     * Hides the program editor without saving.
+     * @returns {void} This function does not return a value.
+     */
+    function closeProgramEditor() {
+        editingProgramId = null;
+        editor.style.display = 'none';
+    }
 
-        // Corrected logic based on user feedback
-        const totalRawGreenCost = greenPrice * totalGreen;
-        const totalProductionCost = totalRawGreenCost + (roastWage * totalGreen);
+    /**
+     * Validates the editor fields and saves the program, replacing the edited program or appending a new one.
+     * Invalid fields are highlighted.
+     * @returns {void} This function does not return a value.
+     */
+    function saveProgramFromEditor() {
+        const rows = Array.from(phaseRows.querySelectorAll('tr'));
+        const program = BackwashPrograms.createProgram({
+            id: editingProgramId || generateId(),
+            name: programNameInput.value,
+            rounds: programRoundsInput.value,
+            phases: rows.map(row => ({
+                label: row.querySelector('.phase-label').value,
+                state: row.querySelector('.phase-state').value,
+                seconds: row.querySelector('.phase-seconds').value,
+                instruction: row.querySelector('.phase-instruction').value
+            }))
+        });
 
-        const weightLossPercent = ((batchInput - batchOutput) / batchInput) * 100;
-        const totalRoastedOutput = totalGreen * (1 - (weightLossPercent / 100));
+        programNameInput.classList.remove('invalid-input');
+        programRoundsInput.classList.remove('invalid-input');
+        rows.forEach(row => row.querySelector('.phase-seconds').classList.remove('invalid-input'));
 
-        let costOfRoastedCoffee = 0;
-        if (totalRoastedOutput > 0) {
-            costOfRoastedCoffee = totalProductionCost / totalRoastedOutput;
+        const invalidFields = BackwashPrograms.validateProgram(program);
+        if (invalidFields.length > 0) {
+            invalidFields.forEach(field => {
+                if (field === 'name') programNameInput.classList.add('invalid-input');
+                else if (field === 'rounds') programRoundsInput.classList.add('invalid-input');
+                else if (field.startsWith('phase-')) rows[Number(field.slice(6))].querySelector('.phase-seconds').classList.add('invalid-input');
+            });
+            if (invalidFields.includes('phases')) alert('برنامه باید دست‌کم یک مرحله داشته باشد.');
+            return;
         }
 
-        const totalRoastedValue = totalProductionCost; // The "value" is the total cost of production
-
-        // Per user request, "profit" is the difference between total value and raw green cost
-        const profit = totalRoastedValue - totalRawGreenCost;
-
+        const index = backwashPrograms.findIndex(item => item.id === program.id);
+        if (index >= 0) backwashPrograms[index] = program;
+        else backwashPrograms.push(program);
+        saveBackwashPrograms();
+        closeProgramEditor();
+        renderBackwashPrograms();
+    }
 
-        resultsDiv.innerHTML = `
-            <p><strong>درصد افت وزن:</strong> ${weightLossPercent.toFixed(2)} %</p>
-            <p><strong>قیمت تمام شده رُست شده:</strong> ${formatCurrency(costOfRoastedCoffee)} تومان/کیلوگرم</p>
-            <p><strong>مقدار قهوه خروجی در بچ:</strong> ${batchOutput.toFixed(2)} گرم</p>
-            <p><strong>کل قهوه رُست شده امروز:</strong> ${totalRoastedOutput.toFixed(2)} کیلوگرم</p>
-            <hr>
-            <p><strong>قیمت کل دانه سبز:</strong> ${formatCurrency(totalRawGreenCost)} تومان</p>
-            <p><strong>ارزش کل قهوه رُست شده:</strong> ${formatCurrency(totalRoastedValue)} تومان</p>
-            <p style="color: var(--primary-color);"><strong>سود نهایی: ${formatCurrency(profit)} تومان</strong></p>
-        `;
-        generateBtn.style.display = 'block';
+    // ------------------------------------
+    // Maintenance Log & Cleaning Schedules
+    // ------------------------------------
+    /**
+     * Saves the maintenance log and the cleaning schedules to the store.
+     */
+    function saveMaintenance() {
+        store.set('maintenanceLog', maintenanceLog);
+        store.set('maintenanceSchedules', maintenanceSchedules);
     }
-    if (buttons.calculateRoast) buttons.calculateRoast.addEventListener('click', calculateRoast);
 
-    const generateRoastImageBtn = document.getElementById('generate-roast-image-btn');
-    if (generateRoastImageBtn) {
-        generateRoastImageBtn.addEventListener('click', () => {
-            const template = document.getElementById('roast-image-output-template');
-            document.getElementById('roast-report-date').textContent = new Date().toLocaleDateString('fa-IR');
-
-            const inputs = {
-                "قیمت دانه سبز": formatCurrency(getInputValue('greenPrice')) + ' تومان/کیلوگرم',
-                "اجرت رُست": formatCurrency(getInputValue('roastWage')) + ' تومان/کیلوگرم',
-                "مقدار دانه سبز ورودی": getInputValue('batchInput') + ' گرم',
-                "مقدار دانه خروجی": getInputValue('batchOutput') + ' گرم',
-                "کل دانه سبز روز": getInputValue('totalGreen') + ' کیلوگرم',
-            };
+    /**
+     * Loads the maintenance log and the cleaning schedules from the store.
+     */
+    function loadMaintenance() {
+        maintenanceLog = store.get('maintenanceLog', [], Array.isArray);
+        maintenanceSchedules = store.get('maintenanceSchedules', [], Array.isArray);
+    }
 
-            const inputsSummary = document.getElementById('roast-inputs-summary');
-            inputsSummary.innerHTML = '';
-            for (const [key, value] of Object.entries(inputs)) {
-                const p = document.createElement('p');
-                p.innerHTML = `<strong>${key}:</strong> ${value}`;
-                inputsSummary.appendChild(p);
-            }
+    /**
+     * Formats the timestamp of a log entry as a Persian date and time.
+     * @param {string} timestamp - The ISO timestamp.
+     * @returns {string} The formatted date and time.
+     */
+    function formatLogTime(timestamp) {
+        const date = new Date(timestamp);
+        return `${date.toLocaleDateString('fa-IR')} ${date.toLocaleTimeString('fa-IR', { hour: '2-digit', minute: '2-digit' })}`;
+    }
 
-            const resultsText = document.getElementById('results').innerHTML;
-            document.getElementById('roast-outputs-summary').innerHTML = resultsText;
+    /**
+     * Appends a completed task to the maintenance log and refreshes the maintenance views.
+     * @param {object} fields - The entry fields, see `MaintenanceLog.createLogEntry`; the id and timestamp are added here.
+     * @returns {void} This function does not return a value.
+     */
+    function logMaintenance(fields) {
+        maintenanceLog.push(MaintenanceLog.createLogEntry(Object.assign({ id: generateId(), timestamp: new Date().toISOString() }, fields)));
+        saveMaintenance();
+        renderMaintenance();
+    }
 
-            template.style.display = 'block';
-            html2canvas(template, { scale: 2 }).then(canvas => {
-                const link = document.createElement('a');
-                link.download = 'roast-report.png';
-                link.href = canvas.toDataURL('image/png');
-                link.click();
-                template.style.display = 'none';
-            });
+    /**
+     * Records a finished backwash run for the machine and group head entered above the timer.
+     * @param {object} program - The program that was run.
+     * @param {Date} finishedAt - When the run ended.
+     * @returns {void} This function does not return a value.
+     */
+    function recordBackwashRun(program, finishedAt) {
+        logMaintenance({
+            timestamp: finishedAt.toISOString(),
+            machine: machineInput.value,
+            groupHead: groupHeadInput.value,
+            task: program.name,
+            programId: program.id
         });
     }
-    // ####################################
-    // Cafe Revenue Logic
-    // ####################################
+
     /**
-     * Calculates and displays the cafe's daily and monthly revenue and profit.
-     * This function gathers inputs related to coffee costs, sales prices, consumption per shot,
-     * and daily sales volume. It then computes total revenue, costs, and profit for both a single day
-     * and a 30-day month, updating the UI with the detailed financial summary.
+     * Refreshes the backwash program choices of the schedule form, keeping the current choice when it still exists.
      * @returns {void} This function does not return a value.
      */
-    function calculateCafeRevenue() {
-        const costPerKGElement = document.getElementById('costPerKG');
-        const costSingleShotElement = document.getElementById('costSingleShot');
-        const resultsDiv = document.getElementById('cafe-results');
+    function renderScheduleProgramOptions() {
+        const selected = scheduleForm.programId.value;
+        scheduleForm.programId.innerHTML = '<option value="">-</option>' + backwashPrograms.map(program =>
+            `<option value="${escapeHTML(program.id)}">${escapeHTML(program.name)}</option>`
+        ).join('');
+        scheduleForm.programId.value = backwashPrograms.some(program => program.id === selected) ? selected : '';
+    }
+
+    /**
+     * Renders the cleaning schedules with their next due date, the maintenance log (newest first),
+     * the machine suggestions and the due-task warning on the main menu.
+     * @returns {void} This function does not return a value.
+     */
+    function renderMaintenance() {
+        const scheduleContainer = document.getElementById('maintenance-schedule');
+        const logContainer = document.getElementById('maintenance-log');
+        const machineOptions = document.getElementById('maintenance-machine-options');
+        const warning = document.getElementById('maintenance-warning');
+        const statuses = MaintenanceLog.scheduleStatus(maintenanceSchedules, maintenanceLog, RoastBatchLog.toDateKey(new Date()));
+        const dueTasks = MaintenanceLog.findDueTasks(statuses);
+
+        const statusText = item => {
+            if (item.status === 'overdue') return `⛔ ${-item.daysLeft} روز عقب افتاده`;
+            if (item.status === 'due') return '⚠️ امروز';
+            return `✅ ${item.daysLeft} روز دیگر`;
+        };
+
+        scheduleContainer.innerHTML = statuses.length === 0 ? '<p>هنوز برنامه نظافتی تعریف نشده است.</p>' : `
+            <div class="table-scroll">
+                <table class="data-table">
+                    <thead><tr><th>دستگاه</th><th>کار</th><th>تکرار</th><th>آخرین انجام</th><th>موعد بعدی</th><th>وضعیت</th><th></th></tr></thead>
+                    <tbody>${statuses.map(item => `<tr${item.status === 'overdue' ? ' class="low-stock-row"' : ''}>
+                        <td>${escapeHTML(item.schedule.machine)}</td>
+                        <td>${escapeHTML(item.schedule.task)}</td>
+                        <td>هر ${item.schedule.intervalDays} روز</td>
+                        <td>${item.lastDone ? formatLogTime(item.lastDone) : '-'}</td>
+                        <td>${formatDateKey(item.dueDate)}</td>
+                        <td>${statusText(item)}</td>
+                        <td>
+                            <button class="calc-button row-action-btn" data-done-schedule-id="${item.schedule.id}">انجام شد</button>
+                            <button class="calc-button remove-row-btn" data-schedule-id="${item.schedule.id}">حذف</button>
+                        </td>
+                    </tr>`).join('')}</tbody>
+                </table>
+            </div>`;
+
+        scheduleContainer.querySelectorAll('[data-done-schedule-id]').forEach(button => {
+            button.addEventListener('click', () => {
+                const schedule = maintenanceSchedules.find(item => item.id === button.dataset.doneScheduleId);
+                if (schedule) logMaintenance({ machine: schedule.machine, groupHead: groupHeadInput.value, task: schedule.task, scheduleId: schedule.id });
+            });
+        });
+        scheduleContainer.querySelectorAll('[data-schedule-id]').forEach(button => {
+            button.addEventListener('click', () => {
+                maintenanceSchedules = maintenanceSchedules.filter(item => item.id !== button.dataset.scheduleId);
+                saveMaintenance();
+                renderMaintenance();
+            });
+        });
+
+        const entries = maintenanceLog.slice().sort((a, b) => (a.timestamp < b.timestamp ? 1 : -1));
+        logContainer.innerHTML = entries.length === 0 ? '<p>هنوز کاری ثبت نشده است.</p>' : `
+            <div class="table-scroll">
+                <table class="data-table">
+                    <thead><tr><th>زمان</th><th>دستگاه</th><th>گروپ هد</th><th>کار</th><th></th></tr></thead>
+                    <tbody>${entries.map(entry => `<tr><td>${formatLogTime(entry.timestamp)}</td><td>${escapeHTML(entry.machine) || '-'}</td><td>${escapeHTML(entry.groupHead) || '-'}</td><td>${escapeHTML(entry.task)}</td><td><button class="calc-button remove-row-btn" data-log-entry-id="${entry.id}">حذف</button></td></tr>`).join('')}</tbody>
+                </table>
+            </div>`;
+        logContainer.querySelectorAll('[data-log-entry-id]').forEach(button => {
+            button.addEventListener('click', () => {
+                maintenanceLog = maintenanceLog.filter(entry => entry.id !== button.dataset.logEntryId);
+                saveMaintenance();
+                renderMaintenance();
+            });
+        });
+
+        const machines = new Set(maintenanceSchedules.map(item => item.machine).concat(maintenanceLog.map(entry => entry.machine)).filter(Boolean));
+        machineOptions.innerHTML = Array.from(machines).map(machine => `<option value="${escapeHTML(machine)}"></option>`).join('');
+
+        if (warning) {
+            warning.style.display = dueTasks.length > 0 ? 'block' : 'none';
+            warning.innerHTML = dueTasks.length === 0 ? '' : `🧽 <strong>کارهای نظافت دستگاه:</strong> ${dueTasks.map(item => `${escapeHTML(item.schedule.task)} - ${escapeHTML(item.schedule.machine)} (${statusText(item)})`).join('، ')}`;
+        }
+    }
+
+    /**
+     * Validates the schedule form and adds a new cleaning schedule.
+     * Invalid fields are highlighted; on success the task name is cleared.
+     * @returns {void} This function does not return a value.
+     */
+    function addSchedule() {
+        Object.values(scheduleForm).forEach(input => input.classList.remove('invalid-input'));
+
+        const fields = {
+            id: generateId(),
+            machine: scheduleForm.machine.value,
+            task: scheduleForm.task.value,
+            intervalDays: getInputValue('schedule-interval') * Number(scheduleForm.unit.value),
+            programId: scheduleForm.programId.value
+        };
+
+        const invalidFields = MaintenanceLog.validateSchedule(fields);
+        if (invalidFields.length > 0) {
+            invalidFields.forEach(field => scheduleForm[field].classList.add('invalid-input'));
+            return;
+        }
+
+        maintenanceSchedules.push(MaintenanceLog.createSchedule(fields));
+        saveMaintenance();
+        scheduleForm.task.value = '';
+        renderMaintenance();
+    }
+
+    /**
+     * Downloads the maintenance log as a CSV file. A byte order mark is added so spreadsheet programs read the Persian text correctly.
+     * @returns {void} This function does not return a value.
+     */
+    function exportMaintenanceCsv() {
+        const blob = new Blob(['\uFEFF' + MaintenanceLog.toCsv(maintenanceLog)], { type: 'text/csv;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `majid-coffee-maintenance-${RoastBatchLog.toDateKey(new Date())}.csv`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    scheduleForm.programId.addEventListener('change', () => {
+        const program = backwashPrograms.find(item => item.id === scheduleForm.programId.value);
+        if (program && !scheduleForm.task.value.trim()) scheduleForm.task.value = program.name;
+    });
+
+    // 🎯 دکمه‌ها
+    document.getElementById('add-schedule-btn').addEventListener('click', addSchedule);
+    document.getElementById('export-maintenance-csv').addEventListener('click', exportMaintenanceCsv);
+    document.getElementById('backwash-new-program').addEventListener('click', () => openProgramEditor());
+    document.getElementById('backwash-add-phase').addEventListener('click', () => addPhaseRow());
+    document.getElementById('backwash-save-program').addEventListener('click', saveProgramFromEditor);
+    document.getElementById('backwash-cancel-edit').addEventListener('click', closeProgramEditor);
+
+    if (resetBtn) resetBtn.addEventListener('click', () => {
+        timerScheduler.cancel('backwash');
+        saveRunningTimer('backwash', null);
+        backwashStatus.innerText = 'وضعیت: آماده';
+        backwashDisplay.innerText = '00:00';
+        showBackwashInstruction('');
+        backwashBeep.pause();
+        backwashBeep.currentTime = 0;
+    });
+
+    loadBackwashPrograms();
+    loadMaintenance();
+    renderBackwashPrograms();
+    renderMaintenance();
+
+    const savedBackwash = loadRunningTimer('backwash');
+    if (savedBackwash && isPlainObject(savedBackwash.program)) runBackwashProgram(savedBackwash.program, savedBackwash.timer);
+}
+
+
+    // ####################################
+    // Roast Batch Log & Calculator Logic
+    // ####################################
+    const batchForm = {
+        origin: document.getElementById('batch-origin'),
+        roastLevel: document.getElementById('batch-roast-level'),
+        greenWeight: document.getElementById('batch-green-weight'),
+        roastedWeight: document.getElementById('batch-roasted-weight'),
+        startTime: document.getElementById('batch-start-time'),
+        endTime: document.getElementById('batch-end-time'),
+        notes: document.getElementById('batch-notes')
+    };
+    const roastLogDateInput = document.getElementById('roast-log-date');
+    let roastBatches = [];
+
+    /**
+     * Saves the roast batch log to the store.
+     */
+    function saveBatchLog() {
+        store.set('roastBatchLog', roastBatches);
+    }
+
+    /**
+     * Loads the roast batch log from the store.
+     */
+    function loadBatchLog() {
+        roastBatches = store.get('roastBatchLog', [], Array.isArray);
+    }
+
+    /**
+     * Returns the day currently selected in the roast log date picker.
+     * @returns {string} The selected day as `YYYY-MM-DD`, or today if nothing is selected.
+     */
+    function getSelectedRoastDate() {
+        return (roastLogDateInput && roastLogDateInput.value) || RoastBatchLog.toDateKey(new Date());
+    }
+
+    /**
+     * Formats a `YYYY-MM-DD` date key as a Persian calendar date.
+     * @param {string} dateKey - The date key to format.
+     * @returns {string} The formatted date.
+     */
+    function formatDateKey(dateKey) {
+        const [y, m, d] = dateKey.split('-').map(Number);
+        return new Date(y, m - 1, d).toLocaleDateString('fa-IR');
+    }
+
+    /**
+     * Renders the batches of the selected day as a table with the weight loss of every batch,
+     * followed by the day's totals.
+     * @returns {void} This function does not return a value.
+     */
+    function renderBatchLog() {
+        const container = document.getElementById('batch-log');
+        if (!container) return;
+        const dayBatches = RoastBatchLog.batchesForDate(roastBatches, getSelectedRoastDate());
+
+        if (dayBatches.length === 0) {
+            container.innerHTML = '<p>هنوز بچی برای این روز ثبت نشده است.</p>';
+            return;
+        }
+
+        const rowsHTML = dayBatches.map((batch, index) => {
+            const duration = RoastBatchLog.batchDurationMinutes(batch);
+            const timeText = batch.startTime ? `${batch.startTime}${batch.endTime ? ' - ' + batch.endTime : ''}${duration !== null ? ` (${duration} دقیقه)` : ''}` : '-';
+            return `<tr>
+                <td>${index + 1}</td>
+                <td>${escapeHTML(batch.origin)}</td>
+                <td>${escapeHTML(batch.roastLevel) || '-'}</td>
+                <td>${batch.greenWeight}</td>
+                <td>${batch.roastedWeight}</td>
+                <td>${RoastBatchLog.batchWeightLoss(batch).toFixed(2)} %</td>
+                <td>${timeText}</td>
+                <td>${escapeHTML(batch.notes) || '-'}</td>
+                <td><button class="calc-button remove-row-btn" data-batch-id="${batch.id}">حذف</button></td>
+            </tr>`;
+        }).join('');
+
+        const summary = RoastBatchLog.summarizeBatches(dayBatches);
+        container.innerHTML = `
+            <div class="table-scroll">
+                <table class="data-table">
+                    <thead><tr><th>#</th><th>خاستگاه</th><th>رُست</th><th>سبز (گرم)</th><th>رُست شده (گرم)</th><th>افت وزن</th><th>زمان</th><th>یادداشت</th><th></th></tr></thead>
+                    <tbody>${rowsHTML}</tbody>
+                </table>
+            </div>
+            <p><strong>جمع روز:</strong> ${summary.batchCount} بچ، ${summary.totalGreenKg.toFixed(2)} کیلوگرم سبز، ${summary.totalRoastedKg.toFixed(2)} کیلوگرم رُست شده، افت وزن ${summary.weightLossPercent.toFixed(2)} %</p>
+        `;
+
+        container.querySelectorAll('[data-batch-id]').forEach(button => {
+            button.addEventListener('click', () => {
+                roastBatches = roastBatches.filter(batch => batch.id !== button.dataset.batchId);
+                saveBatchLog();
+                renderRoastHistory();
+                renderInventory();
+            });
+        });
+    }
+
+    /**
+     * Renders the average weight loss per origin over the whole log, and the totals of the most recent days.
+     * It also refreshes the origin suggestions of the batch form.
+     * @returns {void} This function does not return a value.
+     */
+    function renderRoastAggregates() {
+        const originContainer = document.getElementById('origin-loss-summary');
+        const dailyContainer = document.getElementById('daily-roast-summary');
+        const originOptions = document.getElementById('batch-origin-options');
+        const origins = RoastBatchLog.averageLossByOrigin(roastBatches);
+
+        if (originOptions) {
+            originOptions.innerHTML = origins.map(item => `<option value="${escapeHTML(item.origin)}"></option>`).join('');
+        }
+
+        if (originContainer) {
+            originContainer.innerHTML = origins.length === 0 ? '<p>هنوز بچی ثبت نشده است.</p>' : `
+                <div class="table-scroll">
+                    <table class="data-table">
+                        <thead><tr><th>خاستگاه</th><th>تعداد بچ</th><th>کل سبز (کیلوگرم)</th><th>میانگین افت وزن</th></tr></thead>
+                        <tbody>${origins.map(item => `<tr><td>${escapeHTML(item.origin)}</td><td>${item.batchCount}</td><td>${item.totalGreenKg.toFixed(2)}</td><td>${item.weightLossPercent.toFixed(2)} %</td></tr>`).join('')}</tbody>
+                    </table>
+                </div>`;
+        }
+
+        renderChart('roast-loss-chart', {
+            title: 'افت وزن هر بچ به تفکیک خاستگاه (٪)',
+            series: origins.map(item => ({
+                name: item.origin,
+                points: roastBatches.filter(batch => batch.origin === item.origin).map(batch => ({
+                    x: CoffeeCharts.dateKeyToDayNumber(batch.date),
+                    y: RoastBatchLog.batchWeightLoss(batch)
+                }))
+            })),
+            xMinStep: 1,
+            formatX: x => formatDateKey(CoffeeCharts.dayNumberToDateKey(x)),
+            formatY: y => `${y.toLocaleString('fa-IR', { maximumFractionDigits: 1 })} %`,
+            emptyText: 'هنوز بچی ثبت نشده است.'
+        });
+
+        if (dailyContainer) {
+            const days = RoastBatchLog.dailyAggregates(roastBatches).slice(0, 14);
+            dailyContainer.innerHTML = days.length === 0 ? '<p>هنوز بچی ثبت نشده است.</p>' : `
+                <div class="table-scroll">
+                    <table class="data-table">
+                        <thead><tr><th>روز</th><th>تعداد بچ</th><th>سبز (کیلوگرم)</th><th>رُست شده (کیلوگرم)</th><th>افت وزن</th></tr></thead>
+                        <tbody>${days.map(day => `<tr><td>${formatDateKey(day.date)}</td><td>${day.batchCount}</td><td>${day.totalGreenKg.toFixed(2)}</td><td>${day.totalRoastedKg.toFixed(2)}</td><td>${day.weightLossPercent.toFixed(2)} %</td></tr>`).join('')}</tbody>
+                    </table>
+                </div>`;
+        }
+    }
+
+    /**
+     * Re-renders every view that depends on the batch log.
+     * @returns {void} This function does not return a value.
+     */
+    function renderRoastHistory() {
+        renderBatchLog();
+        renderRoastAggregates();
+    }
+
+    /**
+     * Validates the batch form and appends a new batch to the log for the selected day.
+     * Invalid fields are highlighted; on success the weights, times and notes are cleared
+     * so the next batch can be entered right away.
+     * @returns {void} This function does not return a value.
+     */
+    function addBatch() {
+        Object.values(batchForm).forEach(input => input.classList.remove('invalid-input'));
+
+        const fields = {
+            id: generateId(),
+            date: getSelectedRoastDate(),
+            origin: batchForm.origin.value,
+            roastLevel: batchForm.roastLevel.value,
+            greenWeight: batchForm.greenWeight.value,
+            roastedWeight: batchForm.roastedWeight.value,
+            startTime: batchForm.startTime.value,
+            endTime: batchForm.endTime.value,
+            notes: batchForm.notes.value
+        };
+
+        const invalidFields = RoastBatchLog.validateBatch(fields);
+        if (invalidFields.length > 0) {
+            invalidFields.forEach(field => batchForm[field].classList.add('invalid-input'));
+            return;
+        }
+
+        roastBatches.push(RoastBatchLog.createBatch(fields));
+        saveBatchLog();
+
+        ['roastedWeight', 'startTime', 'endTime', 'notes'].forEach(field => { batchForm[field].value = ''; });
+        renderRoastHistory();
+        renderInventory();
+    }
+
+    if (sections.roast) {
+        roastTypes.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = type;
+            batchForm.roastLevel.appendChild(option);
+        });
+
+        roastLogDateInput.value = RoastBatchLog.toDateKey(new Date());
+        roastLogDateInput.addEventListener('change', () => {
+            renderBatchLog();
+            document.getElementById('results').innerHTML = '<p>نتایج پس از محاسبه نمایش داده خواهند شد.</p>';
+            document.getElementById('generate-roast-image-btn').style.display = 'none';
+        });
+        document.getElementById('add-batch-btn').addEventListener('click', addBatch);
+
+        loadBatchLog();
+        renderRoastHistory();
+    }
+
+    /**
+     * Calculates and displays roast analysis results for the selected day.
+     * The day's totals (green weight, roasted weight and weight loss) are derived from the logged batches,
+     * combined with the green bean price and roast wage from the form, and passed to `CoffeeCalc.calculateRoast`.
+     * The returned metrics (weight loss percentage, cost of roasted coffee, total profit) are then displayed in the UI.
+     * @returns {void} This function does not return a value.
+     */
+    function calculateRoast() {
+        const resultsDiv = document.getElementById('results');
+        const generateBtn = document.getElementById('generate-roast-image-btn');
+        const generatePdfBtn = document.getElementById('generate-roast-pdf-btn');
+
+        const dayBatches = RoastBatchLog.batchesForDate(roastBatches, getSelectedRoastDate());
+        if (dayBatches.length === 0) {
+            resultsDiv.innerHTML = '<p style="color: red;">!ابتدا بچ‌های رُست این روز را ثبت کنید</p>';
+            generateBtn.style.display = 'none';
+            generatePdfBtn.style.display = 'none';
+            return;
+        }
+
+        const input = RoastBatchLog.toRoastInput(dayBatches, {
+            greenPrice: getInputValue('greenPrice'),
+            roastWage: getInputValue('roastWage')
+        });
+        const result = CoffeeCalc.calculateRoast(input);
+
+        resultsDiv.innerHTML = `
+            <p><strong>درصد افت وزن:</strong> ${result.weightLossPercent.toFixed(2)} %</p>
+            <p><strong>قیمت تمام شده رُست شده:</strong> ${formatCurrency(result.costOfRoastedCoffee)} تومان/کیلوگرم</p>
+            <p><strong>تعداد بچ‌های روز:</strong> ${dayBatches.length}</p>
+            <p><strong>کل دانه سبز روز:</strong> ${input.totalGreen.toFixed(2)} کیلوگرم</p>
+            <p><strong>کل قهوه رُست شده روز:</strong> ${result.totalRoastedOutput.toFixed(2)} کیلوگرم</p>
+            <hr>
+            <p><strong>قیمت کل دانه سبز:</strong> ${formatCurrency(result.totalRawGreenCost)} تومان</p>
+            <p><strong>ارزش کل قهوه رُست شده:</strong> ${formatCurrency(result.totalRoastedValue)} تومان</p>
+            <p style="color: var(--primary-color);"><strong>سود نهایی: ${formatCurrency(result.profit)} تومان</strong></p>
+        `;
+        generateBtn.style.display = 'block';
+        generatePdfBtn.style.display = 'block';
+    }
+    if (buttons.calculateRoast) buttons.calculateRoast.addEventListener('click', calculateRoast);
+
+    // ####################################
+    // PDF Export
+    // ####################################
+    let pdfFonts = null;
+
+    /**
+     * Loads the Vazirmatn fonts embedded in exported PDFs. They are fetched once and kept for later exports.
+     * @returns {Promise<Object<string, string>>} The TTF files as base64 by style, see `PdfExport.FONT_FILES`.
+     */
+    function loadPdfFonts() {
+        if (!pdfFonts) {
+            const styles = Object.keys(PdfExport.FONT_FILES);
+            pdfFonts = Promise.all(styles.map(style =>
+                fetch(`vendor/vazirmatn/fonts/${PdfExport.FONT_FILES[style]}`).then(response => {
+                    if (!response.ok) throw new Error(`Could not load ${PdfExport.FONT_FILES[style]}: ${response.status}`);
+                    return response.arrayBuffer();
+                })
+            )).then(buffers => {
+                const fonts = {};
+                styles.forEach((style, index) => { fonts[style] = PdfExport.bufferToBase64(buffers[index]); });
+                return fonts;
+            }).catch(err => {
+                pdfFonts = null;
+                throw err;
+            });
+        }
+        return pdfFonts;
+    }
+
+    /**
+     * Draws a document as an A4 PDF with the embedded Vazirmatn font and downloads it.
+     * Failures, e.g. fonts that cannot be loaded when the app is opened from the file system, are reported with an alert.
+     * @param {object} content - The document, see `PdfExport.renderDocument`.
+     * @param {string} fileName - The name of the downloaded file.
+     * @param {object} [options] - The look of the document, see `PdfExport.renderDocument`.
+     * @returns {Promise<void>} Resolves when the download has started or the failure has been reported.
+     */
+    function downloadPdf(content, fileName, options) {
+        return loadPdfFonts().then(fonts => {
+            const doc = PdfExport.createDocument(window.jspdf.jsPDF, fonts, content.title);
+            PdfExport.renderDocument(doc, content, options);
+            doc.save(fileName);
+        }).catch(() => {
+            alert('متاسفانه در ایجاد فایل PDF مشکلی پیش آمد.');
+        });
+    }
+
+    /**
+     * Lists the inputs of the roast report of a day.
+     * @param {object} summary - The day's totals, see `RoastBatchLog.summarizeBatches`.
+     * @returns {Object<string, string|number>} The value of every input by its label.
+     */
+    function roastReportInputs(summary) {
+        return {
+            "قیمت دانه سبز": formatCurrency(getInputValue('greenPrice')) + ' تومان/کیلوگرم',
+            "اجرت رُست": formatCurrency(getInputValue('roastWage')) + ' تومان/کیلوگرم',
+            "تعداد بچ": summary.batchCount,
+            "کل دانه سبز روز": summary.totalGreenKg.toFixed(2) + ' کیلوگرم',
+            "کل دانه رُست شده روز": summary.totalRoastedKg.toFixed(2) + ' کیلوگرم',
+        };
+    }
+
+    const generateRoastPdfBtn = document.getElementById('generate-roast-pdf-btn');
+    if (generateRoastPdfBtn) {
+        generateRoastPdfBtn.addEventListener('click', () => {
+            const selectedDate = getSelectedRoastDate();
+            const dayBatches = RoastBatchLog.batchesForDate(roastBatches, selectedDate);
+            const inputs = roastReportInputs(RoastBatchLog.summarizeBatches(dayBatches));
+            downloadPdf({
+                title: 'گزارش روزانه رُست',
+                subtitle: [formatDateKey(selectedDate)],
+                sections: [
+                    { title: 'خلاصه ورودی‌ها', lines: Object.entries(inputs).map(([key, value]) => `${key}: ${value}`) },
+                    { title: 'خلاصه خروجی‌ها', lines: Array.from(document.querySelectorAll('#results p')).map(p => p.textContent.trim()) },
+                    {
+                        title: 'بچ‌های روز',
+                        table: {
+                            headers: ['دانه', 'سبز (گرم)', 'رُست شده (گرم)', 'افت وزن (%)'],
+                            rows: dayBatches.map((batch, index) => [
+                                `${index + 1}. ${batch.origin}${batch.roastLevel ? ` (${batch.roastLevel})` : ''}`,
+                                String(batch.greenWeight),
+                                String(batch.roastedWeight),
+                                RoastBatchLog.batchWeightLoss(batch).toFixed(2)
+                            ])
+                        }
+                    }
+                ],
+                footer: ['تهیه شده با ابزار قهوه مجید']
+            }, `roast-report-${selectedDate}.pdf`);
+        });
+    }
+
+    const generateRoastImageBtn = document.getElementById('generate-roast-image-btn');
+    if (generateRoastImageBtn) {
+        generateRoastImageBtn.addEventListener('click', () => {
+            const template = document.getElementById('roast-image-output-template');
+            const selectedDate = getSelectedRoastDate();
+            const dayBatches = RoastBatchLog.batchesForDate(roastBatches, selectedDate);
+            const summary = RoastBatchLog.summarizeBatches(dayBatches);
+            document.getElementById('roast-report-date').textContent = formatDateKey(selectedDate);
+
+            const inputs = roastReportInputs(summary);
+
+            const inputsSummary = document.getElementById('roast-inputs-summary');
+            inputsSummary.innerHTML = '';
+            for (const [key, value] of Object.entries(inputs)) {
+                const p = document.createElement('p');
+                p.innerHTML = `<strong>${key}:</strong> ${value}`;
+                inputsSummary.appendChild(p);
+            }
+
+            const resultsText = document.getElementById('results').innerHTML;
+            document.getElementById('roast-outputs-summary').innerHTML = resultsText;
+
+            document.getElementById('roast-batches-summary').innerHTML = dayBatches.map((batch, index) =>
+                `<p><strong>${index + 1}. ${escapeHTML(batch.origin)}${batch.roastLevel ? ' (' + escapeHTML(batch.roastLevel) + ')' : ''}:</strong> ${batch.greenWeight} ← ${batch.roastedWeight} گرم، افت ${RoastBatchLog.batchWeightLoss(batch).toFixed(2)} %</p>`
+            ).join('');
+
+            template.style.display = 'block';
+            html2canvas(template, { scale: 2 }).then(canvas => {
+                const link = document.createElement('a');
+                link.download = 'roast-report.png';
+                link.href = canvas.toDataURL('image/png');
+                link.click();
+                template.style.display = 'none';
+            });
+        });
+    }
+    // ####################################
+    // Green Coffee Inventory Logic
+    // ####################################
+    const purchaseForm = {
+        date: document.getElementById('purchase-date'),
+        supplier: document.getElementById('purchase-supplier'),
+        origin: document.getElementById('purchase-origin'),
+        kg: document.getElementById('purchase-kg'),
+        pricePerKg: document.getElementById('purchase-price')
+    };
+    let greenPurchases = [];
+
+    /**
+     * Price inputs whose value can be taken from the inventory's average cost.
+     * Each binding links a `<select>` of origins to the number input it fills.
+     * @type {Array<{select: HTMLSelectElement, priceInput: HTMLInputElement, onChange: Function}>}
+     */
+    let inventoryPriceBindings = [];
+
+    /**
+     * Saves the green coffee purchase ledger to the store.
+     */
+    function savePurchases() {
+        store.set('greenInventory', greenPurchases);
+    }
+
+    /**
+     * Loads the green coffee purchase ledger from the store.
+     */
+    function loadPurchases() {
+        greenPurchases = store.get('greenInventory', [], Array.isArray);
+    }
+
+    /**
+     * Calculates the current stock of every origin from the purchase ledger and the roast batch log.
+     * @returns {object[]} The inventory summary, see `GreenInventory.summarizeInventory`.
+     */
+    function getInventorySummary() {
+        return GreenInventory.summarizeInventory(greenPurchases, roastBatches);
+    }
+
+    /**
+     * Links an origin `<select>` to a price input so that choosing an origin fills in its average cost.
+     * The select keeps a "manual entry" option; while an origin is selected the price follows the inventory.
+     * @param {HTMLSelectElement} select - The select listing the inventory origins.
+     * @param {HTMLInputElement} priceInput - The price input to fill.
+     * @param {Function} [onChange] - Called after the price input has been updated.
+     * @returns {void} This function does not return a value.
+     */
+    function bindInventoryPriceSelect(select, priceInput, onChange = () => {}) {
+        const binding = { select, priceInput, onChange };
+        inventoryPriceBindings.push(binding);
+        populateInventoryPriceSelect(binding, getInventorySummary());
+        select.addEventListener('change', () => applyInventoryPrice(binding, getInventorySummary()));
+    }
+
+    /**
+     * Fills an origin select with the current inventory, keeping its selected origin.
+     * @param {object} binding - The price binding, see `bindInventoryPriceSelect`.
+     * @param {object[]} summary - The inventory summary.
+     * @returns {void} This function does not return a value.
+     */
+    function populateInventoryPriceSelect(binding, summary) {
+        const { select } = binding;
+        const selected = select.value || select.dataset.origin || '';
+        select.innerHTML = '<option value="">قیمت دستی</option>' + summary.map(entry =>
+            `<option value="${escapeHTML(entry.origin)}">از انبار: ${escapeHTML(entry.origin)} (${formatCurrency(entry.averageCost)} تومان)</option>`
+        ).join('');
+        select.value = summary.some(entry => entry.origin === selected) ? selected : '';
+    }
+
+    /**
+     * Writes the average cost of the selected origin into the bound price input.
+     * Nothing happens when "manual entry" is selected.
+     * @param {object} binding - The price binding, see `bindInventoryPriceSelect`.
+     * @param {object[]} summary - The inventory summary.
+     * @returns {void} This function does not return a value.
+     */
+    function applyInventoryPrice(binding, summary) {
+        binding.select.dataset.origin = binding.select.value;
+        const averageCost = GreenInventory.averageCostFor(summary, binding.select.value);
+        if (!binding.select.value || averageCost === null) return;
+        binding.priceInput.value = Math.round(averageCost);
+        binding.onChange();
+    }
+
+    /**
+     * Renders the stock summary, the purchase ledger and the low-stock warning on the main menu,
+     * and refreshes every price select bound to the inventory.
+     * @returns {void} This function does not return a value.
+     */
+    function renderInventory() {
+        const summary = getInventorySummary();
+        const threshold = getInputValue('lowStockThreshold', GreenInventory.DEFAULT_LOW_STOCK_KG);
+        const lowStock = GreenInventory.findLowStock(summary, threshold);
+
+        const summaryContainer = document.getElementById('inventory-summary');
+        if (summaryContainer) {
+            summaryContainer.innerHTML = summary.length === 0 ? '<p>هنوز خریدی ثبت نشده است.</p>' : `
+                <div class="table-scroll">
+                    <table class="data-table">
+                        <thead><tr><th>خاستگاه</th><th>خرید (کیلوگرم)</th><th>مصرف رُست (کیلوگرم)</th><th>موجودی (کیلوگرم)</th><th>میانگین قیمت (تومان)</th></tr></thead>
+                        <tbody>${summary.map(entry => `<tr class="${lowStock.includes(entry) ? 'low-stock-row' : ''}"><td>${escapeHTML(entry.origin)}</td><td>${entry.purchasedKg.toFixed(2)}</td><td>${entry.usedKg.toFixed(2)}</td><td>${entry.remainingKg.toFixed(2)}</td><td>${formatCurrency(entry.averageCost)}</td></tr>`).join('')}</tbody>
+                    </table>
+                </div>`;
+        }
+
+        const ledgerContainer = document.getElementById('purchase-ledger');
+        if (ledgerContainer) {
+            const purchases = greenPurchases.slice().sort((a, b) => b.date.localeCompare(a.date));
+            ledgerContainer.innerHTML = purchases.length === 0 ? '<p>هنوز خریدی ثبت نشده است.</p>' : `
+                <div class="table-scroll">
+                    <table class="data-table">
+                        <thead><tr><th>تاریخ</th><th>تامین‌کننده</th><th>خاستگاه</th><th>مقدار (کیلوگرم)</th><th>قیمت (تومان/کیلوگرم)</th><th></th></tr></thead>
+                        <tbody>${purchases.map(purchase => `<tr><td>${formatDateKey(purchase.date)}</td><td>${escapeHTML(purchase.supplier) || '-'}</td><td>${escapeHTML(purchase.origin)}</td><td>${purchase.kg}</td><td>${formatCurrency(purchase.pricePerKg)}</td><td><button class="calc-button remove-row-btn" data-purchase-id="${purchase.id}">حذف</button></td></tr>`).join('')}</tbody>
+                    </table>
+                </div>`;
+            ledgerContainer.querySelectorAll('[data-purchase-id]').forEach(button => {
+                button.addEventListener('click', () => {
+                    greenPurchases = greenPurchases.filter(purchase => purchase.id !== button.dataset.purchaseId);
+                    savePurchases();
+                    renderInventory();
+                });
+            });
+        }
+
+        renderChart('purchase-price-chart', {
+            title: 'قیمت خرید دانه سبز (تومان/کیلوگرم)',
+            series: summary.map(entry => ({
+                name: entry.origin,
+                points: greenPurchases.filter(purchase => GreenInventory.normalizeOrigin(purchase.origin) === entry.origin).map(purchase => ({
+                    x: CoffeeCharts.dateKeyToDayNumber(purchase.date),
+                    y: purchase.pricePerKg
+                }))
+            })),
+            xMinStep: 1,
+            formatX: x => formatDateKey(CoffeeCharts.dayNumberToDateKey(x)),
+            formatY: formatChartAmount,
+            emptyText: 'هنوز خریدی ثبت نشده است.'
+        });
+
+        const warning = document.getElementById('low-stock-warning');
+        if (warning) {
+            warning.style.display = lowStock.length > 0 ? 'block' : 'none';
+            warning.innerHTML = lowStock.length === 0 ? '' : `⚠️ <strong>کمبود موجودی دانه سبز:</strong> ${lowStock.map(entry => `${escapeHTML(entry.origin)} (${entry.remainingKg.toFixed(1)} کیلوگرم)`).join('، ')}`;
+        }
+
+        inventoryPriceBindings = inventoryPriceBindings.filter(binding => document.body.contains(binding.select));
+        inventoryPriceBindings.forEach(binding => {
+            populateInventoryPriceSelect(binding, summary);
+            applyInventoryPrice(binding, summary);
+        });
+    }
+
+    /**
+     * Validates the purchase form and adds a new purchase to the ledger.
+     * Invalid fields are highlighted; on success the amount and price are cleared.
+     * @returns {void} This function does not return a value.
+     */
+    function addPurchase() {
+        Object.values(purchaseForm).forEach(input => input.classList.remove('invalid-input'));
+
+        const fields = {
+            id: generateId(),
+            date: purchaseForm.date.value,
+            supplier: purchaseForm.supplier.value,
+            origin: purchaseForm.origin.value,
+            kg: purchaseForm.kg.value,
+            pricePerKg: purchaseForm.pricePerKg.value
+        };
+
+        const invalidFields = GreenInventory.validatePurchase(fields);
+        if (invalidFields.length > 0) {
+            invalidFields.forEach(field => purchaseForm[field].classList.add('invalid-input'));
+            return;
+        }
+
+        greenPurchases.push(GreenInventory.createPurchase(fields));
+        savePurchases();
+
+        purchaseForm.kg.value = '';
+        purchaseForm.pricePerKg.value = '';
+        renderInventory();
+    }
+
+    loadPurchases();
+
+    if (sections.inventory) {
+        purchaseForm.date.value = RoastBatchLog.toDateKey(new Date());
+        document.getElementById('add-purchase-btn').addEventListener('click', addPurchase);
+        document.getElementById('lowStockThreshold').addEventListener('input', renderInventory);
+    }
+
+    const greenPriceSource = document.getElementById('greenPriceSource');
+    if (greenPriceSource) {
+        bindInventoryPriceSelect(greenPriceSource, document.getElementById('greenPrice'), () => saveInput('greenPrice'));
+    }
+
+    // ####################################
+    // Drink Menu & Recipe Costing Logic
+    // ####################################
+    const menuItemsContainer = document.getElementById('menu-items');
+    const menuEditor = document.getElementById('menu-editor');
+    const menuPowderSelect = document.getElementById('menu-item-powderName');
+
+    /**
+     * The ids of the ingredient price inputs shared by every drink of the menu.
+     * @type {string[]}
+     */
+    const supplyInputIds = ['costPerKG', 'gramSingle', 'gramDouble', 'milkPricePerLiter', 'syrupPricePerLiter', 'cupPrice', 'lidPrice'];
+
+    let menuItems = [];
+    let editingMenuItemId = null;
+
+    /**
+     * Saves the drink menu to the store.
+     */
+    function saveMenuItems() {
+        store.set('menuItems', menuItems);
+    }
+
+    /**
+     * Loads the drink menu from the store, falling back to the default menu.
+     */
+    function loadMenuItems() {
+        menuItems = store.get('menuItems', null, Array.isArray) || MenuCosting.DEFAULT_MENU.map(MenuCosting.createMenuItem);
+    }
+
+    /**
+     * Reads the ingredient prices from the input fields and the powder purchase prices from the price list.
+     * The required mix cost reads as NaN when it is empty.
+     * @returns {object} The ingredient prices, see `MenuCosting.costMenuItem`.
+     */
+    function getMenuSupplies() {
+        const supplies = { powders: {} };
+        supplyInputIds.forEach(id => { supplies[id] = getInputValue(id, id === 'costPerKG' ? NaN : 0); });
+        store.get('priceListPowderData', [], Array.isArray).forEach(powder => {
+            supplies.powders[powder.name] = parseFloat(powder.purchasePrice) || 0;
+        });
+        return supplies;
+    }
+
+    /**
+     * Validates the ingredient prices and highlights the invalid fields.
+     * @param {object} supplies - The ingredient prices, see `getMenuSupplies`.
+     * @returns {boolean} True when the prices are valid.
+     */
+    function checkMenuSupplies(supplies) {
+        const invalidFields = MenuCosting.validateSupplies(supplies);
+        supplyInputIds.forEach(id => document.getElementById(id).classList.toggle('invalid-input', invalidFields.includes(id)));
+        return invalidFields.length === 0;
+    }
+
+    /**
+     * Describes the cost of a drink per ingredient group, leaving out the groups it does not use.
+     * @param {object} costing - The costing, see `MenuCosting.costMenuItem`.
+     * @returns {string} The description, e.g. "قهوه ۱۲٬۰۰۰، شیر ۱۲٬۰۰۰".
+     */
+    function describeMenuCosts(costing) {
+        const labels = { coffee: 'قهوه', milk: 'شیر', syrup: 'سیروپ', powder: 'پودر', packaging: 'لیوان و درب', other: 'سایر' };
+        const parts = Object.keys(labels).filter(key => costing.costs[key] > 0).map(key => `${labels[key]} ${formatCurrency(costing.costs[key])}`);
+        return parts.join('، ') || '-';
+    }
+
+    /**
+     * Renders the menu with the cost, margin and daily sales of every drink, and the buttons to edit and delete it.
+     * Changing a drink's daily sales saves the menu right away.
+     * @returns {void} This function does not return a value.
+     */
+    function renderMenuItems() {
+        if (!menuItemsContainer) return;
+        if (menuItems.length === 0) {
+            menuItemsContainer.innerHTML = '<p>هیچ نوشیدنی‌ای در منو نیست.</p>';
+            return;
+        }
+
+        const supplies = getMenuSupplies();
+        const rowsHTML = menuItems.map(item => {
+            const costing = MenuCosting.costMenuItem(item, supplies);
+            const id = escapeHTML(item.id);
+            return `<tr${costing.margin < 0 || costing.missingPowder ? ' class="low-stock-row"' : ''}>
+                <td>${escapeHTML(item.name)}</td>
+                <td>${formatCurrency(item.sellPrice)}</td>
+                <td title="${escapeHTML(describeMenuCosts(costing))}">${formatCurrency(costing.unitCost)}${costing.missingPowder ? ' ⚠️ قیمت پودر ثبت نشده' : ''}</td>
+                <td>${costing.marginPercent === null ? '-' : costing.marginPercent.toFixed(1) + ' %'}</td>
+                <td><input type="number" inputmode="numeric" min="0" class="menu-sales-input" data-sales-item-id="${id}" value="${item.dailySales}"></td>
+                <td>${formatCurrency(item.dailySales * costing.margin || 0)}</td>
+                <td>
+                    <button class="calc-button row-action-btn" data-edit-menu-id="${id}">ویرایش</button>
+                    <button class="calc-button remove-row-btn" data-menu-id="${id}">حذف</button>
+                </td>
+            </tr>`;
+        }).join('');
+
+        menuItemsContainer.innerHTML = `
+            <div class="table-scroll">
+                <table class="data-table">
+                    <thead><tr><th>نوشیدنی</th><th>قیمت فروش</th><th>بهای تمام‌شده</th><th>حاشیه سود</th><th>فروش روزانه</th><th>سود روزانه</th><th></th></tr></thead>
+                    <tbody>${rowsHTML}</tbody>
+                </table>
+            </div>
+        `;
+
+        menuItemsContainer.querySelectorAll('[data-sales-item-id]').forEach(input => {
+            input.addEventListener('change', () => {
+                const item = menuItems.find(menuItem => menuItem.id === input.dataset.salesItemId);
+                const count = parseFloat(input.value);
+                input.classList.toggle('invalid-input', !(count >= 0));
+                if (!item || !(count >= 0)) return;
+                item.dailySales = count;
+                saveMenuItems();
+                renderMenuItems();
+            });
+        });
+
+        menuItemsContainer.querySelectorAll('[data-edit-menu-id]').forEach(button => {
+            button.addEventListener('click', () => {
+                openMenuEditor(menuItems.find(item => item.id === button.dataset.editMenuId));
+            });
+        });
+
+        menuItemsContainer.querySelectorAll('[data-menu-id]').forEach(button => {
+            button.addEventListener('click', () => {
+                const item = menuItems.find(menuItem => menuItem.id === button.dataset.menuId);
+                if (!item || !confirm(`«${item.name}» از منو حذف شود؟`)) return;
+                menuItems = menuItems.filter(menuItem => menuItem.id !== item.id);
+                saveMenuItems();
+                if (editingMenuItemId === item.id) closeMenuEditor();
+                renderMenuItems();
+            });
+        });
+    }
+
+    /**
+     * Reads the menu item being edited from the editor fields.
+     * @returns {object} The menu item, see `MenuCosting.createMenuItem`.
+     */
+    function readMenuEditor() {
+        const editedItem = menuItems.find(item => item.id === editingMenuItemId);
+        const recipe = { powderName: menuPowderSelect.value };
+        MenuCosting.RECIPE_FIELDS.forEach(field => { recipe[field] = document.getElementById(`menu-item-${field}`).value; });
+        return MenuCosting.createMenuItem({
+            id: editingMenuItemId || generateId(),
+            name: document.getElementById('menu-item-name').value,
+            sellPrice: document.getElementById('menu-item-sellPrice').value,
+            dailySales: editedItem ? editedItem.dailySales : 0,
+            recipe
+        });
+    }
+
+    /**
+     * Shows the cost and margin of the drink being edited under the editor fields.
+     * @returns {void} This function does not return a value.
+     */
+    function updateMenuCostPreview() {
+        const item = readMenuEditor();
+        const costing = MenuCosting.costMenuItem(item, getMenuSupplies());
+        document.getElementById('menu-item-cost-preview').textContent =
+            `بهای تمام‌شده: ${formatCurrency(costing.unitCost)} تومان (${describeMenuCosts(costing)})`
+            + (costing.marginPercent === null ? '' : ` — حاشیه سود ${costing.marginPercent.toFixed(1)} %`);
+    }
+
+    /**
+     * Opens the menu editor, either for an existing drink or for a new one.
+     * The powder select lists the powders of the price list and the powder the drink already uses.
+     * @param {object} [item] - The drink to edit; a new drink with one cup is started when omitted.
+     * @returns {void} This function does not return a value.
+     */
+    function openMenuEditor(item) {
+        const recipe = item ? item.recipe : MenuCosting.createMenuItem({ recipe: { cups: 1 } }).recipe;
+        editingMenuItemId = item ? item.id : null;
+        document.getElementById('menu-editor-title').innerText = item ? `ویرایش «${item.name}»` : 'نوشیدنی جدید';
+        document.getElementById('menu-item-name').value = item ? item.name : '';
+        document.getElementById('menu-item-sellPrice').value = item ? item.sellPrice : '';
+        MenuCosting.RECIPE_FIELDS.forEach(field => { document.getElementById(`menu-item-${field}`).value = recipe[field]; });
+
+        const powderNames = Object.keys(getMenuSupplies().powders);
+        if (recipe.powderName && !powderNames.includes(recipe.powderName)) powderNames.push(recipe.powderName);
+        menuPowderSelect.innerHTML = '<option value="">بدون پودر</option>'
+            + powderNames.map(name => `<option value="${escapeHTML(name)}">${escapeHTML(name)}</option>`).join('');
+        menuPowderSelect.value = recipe.powderName;
+
+        menuEditor.querySelectorAll('input').forEach(input => input.classList.remove('invalid-input'));
+        updateMenuCostPreview();
+        menuEditor.style.display = 'block';
+        document.getElementById('menu-item-name').focus();
+    }
+
+    /**
+     * Hides the menu editor without saving.
+     * @returns {void} This function does not return a value.
+     */
+    function closeMenuEditor() {
+        editingMenuItemId = null;
+        menuEditor.style.display = 'none';
+    }
+
+    /**
+     * Validates the editor fields and saves the drink, replacing the edited drink or appending a new one.
+     * Invalid fields are highlighted.
+     * @returns {void} This function does not return a value.
+     */
+    function saveMenuItemFromEditor() {
+        const item = readMenuEditor();
+        menuEditor.querySelectorAll('input').forEach(input => input.classList.remove('invalid-input'));
+
+        const invalidFields = MenuCosting.validateMenuItem(item);
+        if (invalidFields.length > 0) {
+            invalidFields.forEach(field => {
+                const input = document.getElementById(`menu-item-${field}`);
+                if (input) input.classList.add('invalid-input');
+            });
+            return;
+        }
+
+        const index = menuItems.findIndex(menuItem => menuItem.id === item.id);
+        if (index >= 0) menuItems[index] = item;
+        else menuItems.push(item);
+        saveMenuItems();
+        closeMenuEditor();
+        renderMenuItems();
+    }
+
+    if (menuItemsContainer) {
+        document.getElementById('menu-new-item').addEventListener('click', () => openMenuEditor());
+        document.getElementById('menu-save-item').addEventListener('click', saveMenuItemFromEditor);
+        document.getElementById('menu-cancel-edit').addEventListener('click', closeMenuEditor);
+        menuEditor.querySelectorAll('input, select').forEach(input => input.addEventListener('input', updateMenuCostPreview));
+        supplyInputIds.forEach(id => document.getElementById(id).addEventListener('input', renderMenuItems));
+        if (cards.cafe) cards.cafe.addEventListener('click', renderMenuItems);
+        loadMenuItems();
+    }
+
+    // ####################################
+    // Overhead Costs Logic
+    // ####################################
+    const overheadList = document.getElementById('overhead-list');
+    const overheadForm = {
+        name: document.getElementById('overhead-name'),
+        basis: document.getElementById('overhead-basis'),
+        amount: document.getElementById('overhead-amount'),
+        category: document.getElementById('overhead-category')
+    };
+
+    let cafeOverheads = [];
+
+    /**
+     * Saves the overhead costs to the store.
+     */
+    function saveOverheads() {
+        store.set('cafeOverheads', cafeOverheads);
+    }
+
+    /**
+     * Loads the overhead costs from the store, falling back to the default overheads.
+     */
+    function loadOverheads() {
+        cafeOverheads = store.get('cafeOverheads', null, Array.isArray) || CafeOverheads.DEFAULT_OVERHEADS.map(CafeOverheads.createOverhead);
+    }
+
+    /**
+     * Renders the overhead costs with an editable amount and a delete button for every overhead.
+     * Changing an amount saves the overheads right away.
+     * @returns {void} This function does not return a value.
+     */
+    function renderOverheads() {
+        if (cafeOverheads.length === 0) {
+            overheadList.innerHTML = '<p>هیچ هزینه سرباری ثبت نشده است.</p>';
+            return;
+        }
+
+        const basisLabels = { monthly: 'ثابت ماهانه (تومان)', daily: 'ثابت روزانه (تومان)', percent: 'درصد از درآمد' };
+        overheadList.innerHTML = `
+            <div class="table-scroll">
+                <table class="data-table">
+                    <thead><tr><th>عنوان</th><th>نحوه محاسبه</th><th>مبلغ یا درصد</th><th>نوع</th><th></th></tr></thead>
+                    <tbody>${cafeOverheads.map(overhead => `<tr>
+                        <td>${escapeHTML(overhead.name)}</td>
+                        <td>${basisLabels[overhead.basis]}</td>
+                        <td><input type="number" inputmode="numeric" min="0" class="overhead-amount-input" data-overhead-amount-id="${escapeHTML(overhead.id)}" value="${overhead.amount}"></td>
+                        <td>${overhead.category === 'operating' ? 'عملیاتی' : 'غیرعملیاتی'}</td>
+                        <td><button class="calc-button remove-row-btn" data-overhead-id="${escapeHTML(overhead.id)}">حذف</button></td>
+                    </tr>`).join('')}</tbody>
+                </table>
+            </div>
+        `;
+
+        overheadList.querySelectorAll('[data-overhead-amount-id]').forEach(input => {
+            input.addEventListener('change', () => {
+                const overhead = cafeOverheads.find(item => item.id === input.dataset.overheadAmountId);
+                if (!overhead) return;
+                const invalid = CafeOverheads.validateOverhead(Object.assign({}, overhead, { amount: input.value })).length > 0;
+                input.classList.toggle('invalid-input', invalid);
+                if (invalid) return;
+                overhead.amount = parseFloat(input.value);
+                saveOverheads();
+            });
+        });
+
+        overheadList.querySelectorAll('[data-overhead-id]').forEach(button => {
+            button.addEventListener('click', () => {
+                cafeOverheads = cafeOverheads.filter(overhead => overhead.id !== button.dataset.overheadId);
+                saveOverheads();
+                renderOverheads();
+            });
+        });
+    }
+
+    /**
+     * Validates the overhead form and appends a new overhead.
+     * Invalid fields are highlighted; on success the name and amount are cleared.
+     * @returns {void} This function does not return a value.
+     */
+    function addOverhead() {
+        Object.values(overheadForm).forEach(input => input.classList.remove('invalid-input'));
+
+        const fields = {
+            id: generateId(),
+            name: overheadForm.name.value,
+            basis: overheadForm.basis.value,
+            amount: overheadForm.amount.value,
+            category: overheadForm.category.value
+        };
+
+        const invalidFields = CafeOverheads.validateOverhead(fields);
+        if (invalidFields.length > 0) {
+            invalidFields.forEach(field => overheadForm[field].classList.add('invalid-input'));
+            return;
+        }
+
+        cafeOverheads.push(CafeOverheads.createOverhead(fields));
+        saveOverheads();
+        overheadForm.name.value = '';
+        overheadForm.amount.value = '';
+        renderOverheads();
+    }
+
+    if (overheadList) {
+        document.getElementById('add-overhead-btn').addEventListener('click', addOverhead);
+        loadOverheads();
+        renderOverheads();
+    }
+
+    // ####################################
+    // Cafe Revenue Logic
+    // ####################################
+    /**
+     * Calculates and displays the cafe's daily and monthly revenue and profit.
+     * The costed menu with every drink's daily sales and the coffee mix sold by weight are passed to
+     * `MenuCosting.calculateMenuRevenue`. The daily totals, the contribution of every drink, the gross, operating
+     * and net profit after the overheads, the cups per day needed to break even and the projection to the current
+     * Persian month, with its real length, are rendered as the detailed financial summary.
+     * @returns {void} This function does not return a value.
+     */
+    function calculateCafeRevenue() {
+        const resultsDiv = document.getElementById('cafe-results');
+        const supplies = getMenuSupplies();
+        const today = PersianDate.fromDateKey(RoastBatchLog.toDateKey(new Date()));
+
+        if (!checkMenuSupplies(supplies)) {
+            resultsDiv.innerHTML = '<p style="color: red;">!لطفاً فیلدهای مشخص‌شده را با مقادیر معتبر پر کنید</p>';
+            return;
+        }
+
+        const result = MenuCosting.calculateMenuRevenue({
+            items: menuItems,
+            supplies,
+            sellPriceKG: getInputValue('sellPriceKG'),
+            salesMixKG: getInputValue('salesMixKG'),
+            daysInMonth: PersianDate.monthLength(today.jy, today.jm)
+        });
+        const soldLines = result.lines.filter(line => line.count > 0);
+        const linesHTML = soldLines.length === 0 ? '' : `
+            <div class="table-scroll">
+                <table class="data-table">
+                    <thead><tr><th>نوشیدنی</th><th>تعداد</th><th>درآمد</th><th>هزینه</th><th>سود</th></tr></thead>
+                    <tbody>${soldLines.map(line => `<tr><td>${escapeHTML(line.name)}</td><td>${line.count}</td><td>${formatCurrency(line.revenue)}</td><td>${formatCurrency(line.cost)}</td><td>${formatCurrency(line.contribution)}</td></tr>`).join('')}</tbody>
+                </table>
+            </div>`;
+
+        const profit = CafeOverheads.calculateProfit(result, cafeOverheads);
+        const breakEvenText = profit.breakEvenCups === null
+            ? '<span style="color: red;">هر فنجان هزینه خودش را پوشش نمی‌دهد؛ قیمت‌ها یا دستور نوشیدنی‌ها را بازبینی کنید.</span>'
+            : `${formatCurrency(profit.breakEvenCups)} فنجان در روز (فروش فعلی ${formatCurrency(profit.cupsPerDay)})`;
+        const marginText = profit.grossMarginPercent === null ? '' : ` (${profit.grossMarginPercent.toFixed(1)}٪)`;
+
+        resultsDiv.innerHTML = `<h3>خلاصه روزانه</h3>${linesHTML}<p><strong>کل درآمد فروش روزانه:</strong> ${formatCurrency(result.totalDailyRevenue)} تومان</p><p><strong>بهای تمام‌شده (مواد + جانبی):</strong> ${formatCurrency(result.totalDailyCost)} تومان</p><p><strong>سود ناخالص روزانه:</strong> ${formatCurrency(profit.grossProfit)} تومان${marginText}</p><p><strong>هزینه‌های سربار عملیاتی:</strong> ${formatCurrency(profit.operatingOverheads)} تومان</p><p><strong>سود عملیاتی روزانه:</strong> ${formatCurrency(profit.operatingProfit)} تومان</p><p><strong>هزینه‌های غیرعملیاتی:</strong> ${formatCurrency(profit.nonOperatingOverheads)} تومان</p><p><strong>سود خالص روزانه:</strong> <span style="color: var(--primary-color); font-weight: bold;">${formatCurrency(profit.netProfit)} تومان</span></p><p><strong>نقطه سر به سر:</strong> ${breakEvenText}</p><p><strong>مقدار قهوه مصرفی روزانه:</strong> <strong>${result.totalKGUsed.toFixed(2)} کیلوگرم</strong></p><hr style="border-top: 1px dashed var(--accent-color); margin: 15px 0;"><h3>خلاصه ماهانه (${PersianDate.MONTH_NAMES[today.jm - 1]}، ${result.daysInMonth} روز)</h3><p><strong>کل درآمد ماهانه:</strong> ${formatCurrency(result.totalMonthlyRevenue)} تومان</p><p><strong>سود ناخالص ماهانه:</strong> ${formatCurrency(profit.monthly.grossProfit)} تومان</p><p><strong>سود عملیاتی ماهانه:</strong> ${formatCurrency(profit.monthly.operatingProfit)} تومان</p><p><strong>سود خالص ماهانه:</strong> <span style="color: var(--primary-color); font-weight: bold;">${formatCurrency(profit.monthly.netProfit)} تومان</span></p><p><strong>مقدار قهوه مصرفی ماهانه:</strong> <strong>${result.totalMonthlyKGUsed.toFixed(2)} کیلوگرم</strong></p>`;
+    }
+    if (buttons.calculateCafe) buttons.calculateCafe.addEventListener('click', calculateCafeRevenue);
+
+    // ####################################
+    // Cafe Scenarios Logic
+    // ####################################
+    const scenarioComparison = document.getElementById('scenario-comparison');
+    const scenarioBaselineSelect = document.getElementById('scenario-baseline');
+    const sensitivityVariableSelect = document.getElementById('sensitivity-variable');
+    const sensitivityResults = document.getElementById('sensitivity-results');
+
+    /**
+     * The compared figures with their labels; for costs and the break-even point a lower value is better.
+     * @type {Array<{field: string, label: string, higherIsBetter: boolean}>}
+     */
+    const scenarioFigureRows = [
+        { field: 'dailyRevenue', label: 'درآمد روزانه', higherIsBetter: true },
+        { field: 'dailyCost', label: 'بهای تمام‌شده روزانه', higherIsBetter: false },
+        { field: 'dailyOverheads', label: 'سربار روزانه', higherIsBetter: false },
+        { field: 'dailyGrossProfit', label: 'سود ناخالص روزانه', higherIsBetter: true },
+        { field: 'dailyNetProfit', label: 'سود خالص روزانه', higherIsBetter: true },
+        { field: 'monthlyRevenue', label: 'درآمد ماهانه', higherIsBetter: true },
+        { field: 'monthlyCost', label: 'بهای تمام‌شده ماهانه', higherIsBetter: false },
+        { field: 'monthlyOverheads', label: 'سربار ماهانه', higherIsBetter: false },
+        { field: 'monthlyGrossProfit', label: 'سود ناخالص ماهانه', higherIsBetter: true },
+        { field: 'monthlyNetProfit', label: 'سود خالص ماهانه', higherIsBetter: true },
+        { field: 'breakEvenCups', label: 'نقطه سر به سر (فنجان در روز)', higherIsBetter: false }
+    ];
+
+    let cafeScenarios = [];
+
+    /**
+     * Saves the scenarios to the store.
+     */
+    function saveScenarios() {
+        store.set('cafeScenarios', cafeScenarios);
+    }
+
+    /**
+     * Loads the scenarios from the store.
+     */
+    function loadScenarios() {
+        cafeScenarios = store.get('cafeScenarios', [], Array.isArray);
+    }
+
+    /**
+     * Returns the length of the current Persian month, the month the cafe figures are projected to.
+     * @returns {number} The number of days.
+     */
+    function currentMonthLength() {
+        const today = PersianDate.fromDateKey(RoastBatchLog.toDateKey(new Date()));
+        return PersianDate.monthLength(today.jy, today.jm);
+    }
+
+    /**
+     * Takes a snapshot of the current cafe inputs, the menu and the overheads.
+     * @param {object} [fields] - The id and name of the scenario; by default the snapshot is the unsaved "current inputs".
+     * @returns {object} The scenario, see `CafeScenarios.createScenario`.
+     */
+    function snapshotCafeInputs(fields = { id: 'current', name: 'ورودی‌های فعلی' }) {
+        const inputs = {};
+        CafeScenarios.SCENARIO_INPUT_IDS.forEach(id => { inputs[id] = getInputValue(id); });
+        return CafeScenarios.createScenario(Object.assign({}, fields, {
+            inputs,
+            powders: getMenuSupplies().powders,
+            menuItems,
+            overheads: cafeOverheads
+        }));
+    }
+
+    /**
+     * Returns the label of a sensitivity variable: the label of its input, or the drink's price or daily sales.
+     * @param {{key: string, itemId?: string}} variable - The variable, see `CafeScenarios.sensitivityVariables`.
+     * @returns {string} The label.
+     */
+    function sensitivityVariableLabel(variable) {
+        if (variable.itemId === undefined) {
+            const label = document.querySelector(`label[for="${variable.key}"]`);
+            return label ? label.textContent.replace('*', '').trim() : variable.key;
+        }
+        const item = menuItems.find(menuItem => menuItem.id === variable.itemId);
+        const name = item ? item.name : variable.itemId;
+        return variable.key.startsWith('price:') ? `قیمت فروش ${name} (تومان)` : `فروش روزانه ${name}`;
+    }
+
+    /**
+     * Fills the sensitivity variable select from the current inputs and menu, keeping the selected variable.
+     * @returns {void} This function does not return a value.
+     */
+    function renderSensitivityOptions() {
+        const selected = sensitivityVariableSelect.value;
+        sensitivityVariableSelect.innerHTML = CafeScenarios.sensitivityVariables(snapshotCafeInputs())
+            .map(variable => `<option value="${escapeHTML(variable.key)}">${escapeHTML(sensitivityVariableLabel(variable))}</option>`)
+            .join('');
+        if (Array.from(sensitivityVariableSelect.options).some(option => option.value === selected)) sensitivityVariableSelect.value = selected;
+    }
+
+    /**
+     * Formats the difference of a figure from the baseline, colored by whether the change is an improvement.
+     * @param {number|null} delta - The difference.
+     * @param {boolean} higherIsBetter - Whether an increase is an improvement.
+     * @returns {string} The HTML, or an empty string when there is no difference.
+     */
+    function formatScenarioDelta(delta, higherIsBetter) {
+        if (delta === null || Math.round(delta) === 0) return '';
+        const className = (delta > 0) === higherIsBetter ? 'delta-better' : 'delta-worse';
+        return `<small class="${className}">${delta > 0 ? '+' : ''}${formatCurrency(delta)}</small>`;
+    }
+
+    /**
+     * Renders the saved scenarios and the current inputs side by side, with the difference of every figure
+     * from the selected baseline and the buttons to load or delete a scenario.
+     * @returns {void} This function does not return a value.
+     */
+    function renderScenarioComparison() {
+        const baselineId = scenarioBaselineSelect.value || 'current';
+        scenarioBaselineSelect.innerHTML = [{ id: 'current', name: 'ورودی‌های فعلی' }].concat(cafeScenarios)
+            .map(scenario => `<option value="${escapeHTML(scenario.id)}">${escapeHTML(scenario.name)}</option>`)
+            .join('');
+        scenarioBaselineSelect.value = cafeScenarios.some(scenario => scenario.id === baselineId) ? baselineId : 'current';
+
+        if (cafeScenarios.length === 0) {
+            scenarioComparison.innerHTML = '<p>هنوز سناریویی ذخیره نشده است.</p>';
+            return;
+        }
+        if (!checkMenuSupplies(getMenuSupplies())) {
+            scenarioComparison.innerHTML = '<p style="color: red;">!برای مقایسه، فیلدهای مشخص‌شده را با مقادیر معتبر پر کنید</p>';
+            return;
+        }
+
+        const current = snapshotCafeInputs();
+        const scenarios = [current].concat(cafeScenarios);
+        const baseline = scenarios.find(scenario => scenario.id === scenarioBaselineSelect.value);
+        const columns = CafeScenarios.compareScenarios(baseline, scenarios, currentMonthLength());
+
+        scenarioComparison.innerHTML = `
+            <div class="table-scroll">
+                <table class="data-table">
+                    <thead><tr><th></th>${columns.map(column => `<th>${escapeHTML(column.scenario.name)}${column.scenario === current ? '' : `<br><small>${formatDateKey(RoastBatchLog.toDateKey(new Date(column.scenario.createdAt)))}</small>`}</th>`).join('')}</tr></thead>
+                    <tbody>${scenarioFigureRows.map(row => `<tr>
+                        <td>${row.label}</td>
+                        ${columns.map(column => `<td>${column.figures[row.field] === null ? '-' : formatCurrency(column.figures[row.field])}<br>${formatScenarioDelta(column.deltas[row.field], row.higherIsBetter)}</td>`).join('')}
+                    </tr>`).join('')}
+                    <tr><td></td>${columns.map(column => (column.scenario === current ? '<td></td>' : `<td>
+                        <button class="calc-button row-action-btn" data-load-scenario-id="${escapeHTML(column.scenario.id)}">بارگذاری</button>
+                        <button class="calc-button remove-row-btn" data-scenario-id="${escapeHTML(column.scenario.id)}">حذف</button>
+                    </td>`)).join('')}</tr></tbody>
+                </table>
+            </div>
+        `;
+
+        scenarioComparison.querySelectorAll('[data-load-scenario-id]').forEach(button => {
+            button.addEventListener('click', () => loadScenario(button.dataset.loadScenarioId));
+        });
+        scenarioComparison.querySelectorAll('[data-scenario-id]').forEach(button => {
+            button.addEventListener('click', () => {
+                const scenario = cafeScenarios.find(item => item.id === button.dataset.scenarioId);
+                if (!scenario || !confirm(`سناریوی «${scenario.name}» حذف شود؟`)) return;
+                cafeScenarios = cafeScenarios.filter(item => item.id !== scenario.id);
+                saveScenarios();
+                renderScenarioComparison();
+            });
+        });
+    }
+
+    /**
+     * Saves the current cafe inputs as a new named scenario.
+     * @returns {void} This function does not return a value.
+     */
+    function saveScenario() {
+        const nameInput = document.getElementById('scenario-name');
+        const fields = { id: generateId(), name: nameInput.value };
+        const invalid = CafeScenarios.validateScenario(fields).length > 0;
+        nameInput.classList.toggle('invalid-input', invalid);
+        if (invalid || !checkMenuSupplies(getMenuSupplies())) return;
+
+        cafeScenarios.push(snapshotCafeInputs(fields));
+        saveScenarios();
+        nameInput.value = '';
+        renderScenarioComparison();
+    }
+
+    /**
+     * Replaces the current cafe inputs, the menu and the overheads with those of a saved scenario.
+     * The powder prices belong to the price list and are not changed.
+     * @param {string} scenarioId - The id of the scenario.
+     * @returns {void} This function does not return a value.
+     */
+    function loadScenario(scenarioId) {
+        const scenario = cafeScenarios.find(item => item.id === scenarioId);
+        if (!scenario || !confirm(`ورودی‌های فعلی با سناریوی «${scenario.name}» جایگزین می‌شوند. ادامه می‌دهید؟`)) return;
+
+        CafeScenarios.SCENARIO_INPUT_IDS.forEach(id => {
+            document.getElementById(id).value = scenario.inputs[id];
+            saveInput(id);
+        });
+        menuItems = scenario.menuItems.map(MenuCosting.createMenuItem);
+        saveMenuItems();
+        renderMenuItems();
+        cafeOverheads = scenario.overheads.map(CafeOverheads.createOverhead);
+        saveOverheads();
+        renderOverheads();
+        calculateCafeRevenue();
+        renderSensitivityOptions();
+        renderScenarioComparison();
+    }
+
+    /**
+     * Moves the selected variable of the current inputs across the chosen range and renders the profit of every step.
+     * @returns {void} This function does not return a value.
+     */
+    function runSensitivity() {
+        const rangeInputs = ['sensitivity-from', 'sensitivity-to', 'sensitivity-steps'].map(id => document.getElementById(id));
+        const [fromPercent, toPercent, steps] = rangeInputs.map(input => parseFloat(input.value));
+        const invalidRange = [isNaN(fromPercent) || fromPercent < -100, isNaN(toPercent) || toPercent <= fromPercent, !(steps >= 2 && steps <= 21)];
+        rangeInputs.forEach((input, index) => input.classList.toggle('invalid-input', invalidRange[index]));
+        if (invalidRange.some(Boolean)) return;
+        if (!checkMenuSupplies(getMenuSupplies())) {
+            sensitivityResults.innerHTML = '<p style="color: red;">!لطفاً فیلدهای مشخص‌شده را با مقادیر معتبر پر کنید</p>';
+            return;
+        }
+
+        const key = sensitivityVariableSelect.value;
+        const rows = CafeScenarios.sensitivity(snapshotCafeInputs(), key, { fromPercent, toPercent, steps }, currentMonthLength());
+        const label = sensitivityVariableSelect.options[sensitivityVariableSelect.selectedIndex].textContent;
+
+        sensitivityResults.innerHTML = `
+            <div class="table-scroll">
+                <table class="data-table">
+                    <thead><tr><th>تغییر</th><th>${escapeHTML(label)}</th><th>سود خالص روزانه</th><th>تفاوت با فعلی</th><th>سود خالص ماهانه</th><th>نقطه سر به سر</th></tr></thead>
+                    <tbody>${rows.map(row => `<tr${Math.abs(row.percent) < 1e-9 ? ' class="sensitivity-current-row"' : ''}>
+                        <td>${row.percent > 0 ? '+' : ''}${row.percent.toLocaleString('fa-IR', { maximumFractionDigits: 1 })}٪</td>
+                        <td>${row.value.toLocaleString('fa-IR', { maximumFractionDigits: 2 })}</td>
+                        <td>${formatCurrency(row.figures.dailyNetProfit)}</td>
+                        <td>${formatScenarioDelta(row.netProfitDelta, true) || '-'}</td>
+                        <td>${formatCurrency(row.figures.monthlyNetProfit)}</td>
+                        <td>${row.figures.breakEvenCups === null ? '-' : formatCurrency(row.figures.breakEvenCups)}</td>
+                    </tr>`).join('')}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    if (scenarioComparison) {
+        document.getElementById('save-scenario-btn').addEventListener('click', saveScenario);
+        document.getElementById('run-sensitivity-btn').addEventListener('click', runSensitivity);
+        scenarioBaselineSelect.addEventListener('change', renderScenarioComparison);
+        sensitivityVariableSelect.addEventListener('focus', renderSensitivityOptions);
+        if (buttons.calculateCafe) buttons.calculateCafe.addEventListener('click', renderScenarioComparison);
+        if (cards.cafe) {
+            cards.cafe.addEventListener('click', () => {
+                renderScenarioComparison();
+                renderSensitivityOptions();
+            });
+        }
+        loadScenarios();
+    }
+
+    // ####################################
+    // Sales Ledger Logic
+    // ####################################
+    if (sections.cafe) {
+        const salesDateInput = document.getElementById('sales-date');
+        const reportMonthSelect = document.getElementById('sales-report-month');
+        let salesEntries = [];
+
+        /**
+         * Saves the sales ledger to the store.
+         */
+        function saveSalesLedger() {
+            store.set('salesLedger', salesEntries);
+        }
+
+        /**
+         * Loads the sales ledger from the store.
+         */
+        function loadSalesLedger() {
+            salesEntries = store.get('salesLedger', [], Array.isArray);
+        }
+
+        /**
+         * Returns the day chosen in the ledger form, or today when none is chosen.
+         * @returns {string} The selected day as a `YYYY-MM-DD` key.
+         */
+        function getSelectedSalesDate() {
+            return salesDateInput.value || RoastBatchLog.toDateKey(new Date());
+        }
+
+        /**
+         * Shows the selected day in the Persian calendar, with its weekday, next to the date picker.
+         * @returns {void} This function does not return a value.
+         */
+        function showSelectedSalesDate() {
+            const dateKey = getSelectedSalesDate();
+            document.getElementById('sales-date-persian').textContent =
+                `${PersianDate.WEEKDAY_NAMES[PersianDate.weekday(dateKey)]} ${formatDateKey(dateKey)}`;
+        }
+
+        /**
+         * Records the daily sales of the menu and of the coffee mix for the selected day, with the current
+         * sell prices and drink costs. An entry already recorded for that day is replaced.
+         * @returns {void} This function does not return a value.
+         */
+        function recordSales() {
+            const supplies = getMenuSupplies();
+            if (!checkMenuSupplies(supplies)) return;
+
+            const result = MenuCosting.calculateMenuRevenue({ items: menuItems, supplies });
+            const fields = {
+                date: getSelectedSalesDate(),
+                items: result.lines,
+                salesMixKG: getInputValue('salesMixKG'),
+                prices: { costPerKG: supplies.costPerKG, sellPriceKG: getInputValue('sellPriceKG') }
+            };
+            const invalidFields = SalesLedger.validateSalesEntry(fields);
+            document.getElementById('salesMixKG').classList.toggle('invalid-input', invalidFields.includes('salesMixKG'));
+            if (invalidFields.length > 0) return;
+
+            const entry = SalesLedger.createSalesEntry(fields);
+            salesEntries = SalesLedger.upsertEntry(salesEntries, entry);
+            saveSalesLedger();
+            const { jy, jm } = PersianDate.fromDateKey(entry.date);
+            renderSalesLedger(`${jy}-${jm}`);
+        }
+
+        /**
+         * Renders the month report of the selected Persian month and the weekday averages of the whole ledger.
+         * The month select lists the current month and every month that holds sales.
+         * @param {string} [monthValue] - The month to show as "year-month", instead of the month selected so far.
+         * @returns {void} This function does not return a value.
+         */
+        function renderSalesLedger(monthValue) {
+            const todayKey = RoastBatchLog.toDateKey(new Date());
+            const today = PersianDate.fromDateKey(todayKey);
+            const months = SalesLedger.ledgerMonths(salesEntries);
+            if (!months.some(month => month.jy === today.jy && month.jm === today.jm)) months.unshift({ jy: today.jy, jm: today.jm });
+            months.sort((a, b) => (b.jy * 100 + b.jm) - (a.jy * 100 + a.jm));
+
+            const selectedMonth = monthValue || reportMonthSelect.value;
+            reportMonthSelect.innerHTML = months.map(month =>
+                `<option value="${month.jy}-${month.jm}">${PersianDate.MONTH_NAMES[month.jm - 1]} ${month.jy}</option>`
+            ).join('');
+            reportMonthSelect.value = months.some(month => `${month.jy}-${month.jm}` === selectedMonth) ? selectedMonth : `${today.jy}-${today.jm}`;
+
+            const [jy, jm] = reportMonthSelect.value.split('-').map(Number);
+            const report = SalesLedger.monthReport(salesEntries, jy, jm, todayKey);
+            const reportContainer = document.getElementById('sales-month-report');
+            const describeDay = day => `${PersianDate.WEEKDAY_NAMES[day.weekday]} ${formatDateKey(day.date)} (${formatCurrency(day.revenue)} تومان)`;
+
+            if (report.days.length === 0) {
+                reportContainer.innerHTML = '<p>هنوز فروشی برای این ماه ثبت نشده است.</p>';
+            } else {
+                const overheads = CafeOverheads.monthlyOverheads(cafeOverheads, report.projected.revenue, report.daysInMonth);
+                reportContainer.innerHTML = `
+                    <div class="table-scroll">
+                        <table class="data-table">
+                            <thead><tr><th>روز</th><th>تاریخ</th><th>نوشیدنی</th><th>میکس (کیلوگرم)</th><th>درآمد</th><th>سود</th><th></th><th></th></tr></thead>
+                            <tbody>${report.days.map(day => `<tr>
+                                <td>${PersianDate.WEEKDAY_NAMES[day.weekday]}</td>
+                                <td>${formatDateKey(day.date)}</td>
+                                <td>${day.drinks}</td>
+                                <td>${day.salesMixKG}</td>
+                                <td>${formatCurrency(day.revenue)}</td>
+                                <td>${formatCurrency(day.profit)}</td>
+                                <td><button class="calc-button row-action-btn" data-edit-sales-date="${day.date}">ویرایش</button></td>
+                                <td><button class="calc-button remove-row-btn" data-sales-date="${day.date}">حذف</button></td>
+                            </tr>`).join('')}</tbody>
+                        </table>
+                    </div>
+                    <p><strong>جمع ${report.days.length} روز ثبت‌شده:</strong> درآمد ${formatCurrency(report.totals.revenue)} تومان، سود ${formatCurrency(report.totals.profit)} تومان، قهوه مصرفی ${report.totals.kgUsed.toFixed(2)} کیلوگرم</p>
+                    <p><strong>میانگین هر روز:</strong> درآمد ${formatCurrency(report.averages.revenue)} تومان، سود ${formatCurrency(report.averages.profit)} تومان، ${report.averages.drinks.toFixed(1)} نوشیدنی</p>
+                    <p><strong>بهترین روز:</strong> ${describeDay(report.bestDay)}</p>
+                    <p><strong>ضعیف‌ترین روز:</strong> ${describeDay(report.worstDay)}</p>
+                    ${report.isPartial ? `<p><strong>پیش‌بینی کل ماه (${report.elapsedDays} از ${report.daysInMonth} روز گذشته):</strong> درآمد ${formatCurrency(report.projected.revenue)} تومان، سود <span style="color: var(--primary-color); font-weight: bold;">${formatCurrency(report.projected.profit)} تومان</span>، قهوه مصرفی ${report.projected.kgUsed.toFixed(2)} کیلوگرم</p>` : `<p><strong>ماه کامل (${report.daysInMonth} روز).</strong></p>`}
+                    <p><strong>سود خالص ماه پس از هزینه‌های سربار:</strong> <span style="color: var(--primary-color); font-weight: bold;">${formatCurrency(report.projected.profit - overheads.operating - overheads.nonOperating)} تومان</span> (سربار عملیاتی ${formatCurrency(overheads.operating)} تومان، غیرعملیاتی ${formatCurrency(overheads.nonOperating)} تومان)</p>
+                `;
+            }
+
+            const dayPoints = value => report.days.map(day => ({ x: PersianDate.fromDateKey(day.date).jd, y: value(day) }));
+            renderChart('sales-chart', {
+                title: `درآمد و سود روزانه ${PersianDate.MONTH_NAMES[jm - 1]} ${jy} (تومان)`,
+                series: [
+                    { name: 'درآمد', points: dayPoints(day => day.revenue) },
+                    { name: 'سود', points: dayPoints(day => day.profit) }
+                ],
+                xDomain: [1, report.daysInMonth],
+                xMinStep: 1,
+                yIncludesZero: true,
+                formatX: x => x.toLocaleString('fa-IR'),
+                formatY: formatChartAmount,
+                emptyText: 'هنوز فروشی برای این ماه ثبت نشده است.'
+            });
+
+            reportContainer.querySelectorAll('[data-sales-date]').forEach(button => {
+                button.addEventListener('click', () => {
+                    salesEntries = salesEntries.filter(entry => entry.date !== button.dataset.salesDate);
+                    saveSalesLedger();
+                    renderSalesLedger();
+                });
+            });
+            reportContainer.querySelectorAll('[data-edit-sales-date]').forEach(button => {
+                button.addEventListener('click', () => {
+                    const entry = salesEntries.find(item => item.date === button.dataset.editSalesDate);
+                    if (!entry) return;
+                    salesDateInput.value = entry.date;
+                    menuItems.forEach(item => {
+                        const line = entry.items.find(recorded => recorded.id === item.id);
+                        item.dailySales = line ? line.count : 0;
+                    });
+                    saveMenuItems();
+                    renderMenuItems();
+                    document.getElementById('salesMixKG').value = entry.salesMixKG;
+                    saveInput('salesMixKG');
+                    showSelectedSalesDate();
+                });
+            });
+
+            const pattern = SalesLedger.weekdayPattern(salesEntries);
+            document.getElementById('sales-weekday-pattern').innerHTML = salesEntries.length === 0 ? '<p>هنوز فروشی ثبت نشده است.</p>' : `
+                <div class="table-scroll">
+                    <table class="data-table">
+                        <thead><tr><th>روز هفته</th><th>تعداد روز</th><th>میانگین نوشیدنی</th><th>میانگین درآمد</th><th>میانگین سود</th></tr></thead>
+                        <tbody>${pattern.map(day => `<tr><td>${day.name}</td><td>${day.dayCount}</td><td>${day.dayCount === 0 ? '-' : day.averageDrinks.toFixed(1)}</td><td>${day.dayCount === 0 ? '-' : formatCurrency(day.averageRevenue)}</td><td>${day.dayCount === 0 ? '-' : formatCurrency(day.averageProfit)}</td></tr>`).join('')}</tbody>
+                    </table>
+                </div>`;
+        }
+
+        salesDateInput.value = RoastBatchLog.toDateKey(new Date());
+        salesDateInput.addEventListener('change', showSelectedSalesDate);
+        reportMonthSelect.addEventListener('change', () => renderSalesLedger());
+        document.getElementById('record-sales-btn').addEventListener('click', recordSales);
+
+        loadSalesLedger();
+        showSelectedSalesDate();
+        renderSalesLedger();
+    }
+
+    // ####################################
+    // Stopwatch Logic
+    // ####################################
+    if (sections.stopwatch) {
+        const stopwatchDisplay = sections.stopwatch.querySelector('.stopwatch-display');
+        const startPauseBtn = sections.stopwatch.querySelector('#start-pause-btn');
+        const resetBtn = sections.stopwatch.querySelector('#reset-btn');
+        const recipeSelect = sections.stopwatch.querySelector('#brew-recipe');
+        const recipeNameInput = sections.stopwatch.querySelector('#brew-recipe-name');
+        const stageRows = sections.stopwatch.querySelector('#brew-stage-rows');
+        const stageIndicator = sections.stopwatch.querySelector('#stage-indicator');
+
+        let brewRecipes = [];
+        let runningRecipe = null;
+        let stopwatchTimer = TimerScheduler.createTimer([]);
+
+        /**
+         * Plays a simple, short beep sound using the Web Audio API.
+         * This function creates a temporary audio context and an oscillator to generate a sine wave,
+         * which is heard as a beep. It's used for audio cues in the stopwatch. Includes error handling.
+         * @returns {void} This function does not return a value.
+         */
+        function playBeep() {
+            try {
+                const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+                const oscillator = audioContext.createOscillator();
+                oscillator.type = 'sine';
+                oscillator.frequency.setValueAtTime(440, audioContext.currentTime);
+                oscillator.connect(audioContext.destination);
+                oscillator.start();
+                oscillator.stop(audioContext.currentTime + 0.5);
+            } catch (e) { console.error("Could not play beep:", e); }
+        }
+
+        /**
+         * Updates the stopwatch's time display.
+         * It takes the remaining seconds of the running stage, calculates the minutes and seconds,
+         * formats them to a "mm:ss" string, and updates the stopwatch's display element.
+         * @param {number} timeRemaining - The remaining seconds of the running stage.
+         * @returns {void} This function does not return a value.
+         */
+        function updateDisplay(timeRemaining) {
+            const minutes = Math.floor(Math.abs(timeRemaining) / 60);
+            const seconds = Math.abs(timeRemaining) % 60;
+            stopwatchDisplay.textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+        }
+
+        /**
+         * Saves the brew recipes to the store.
+         */
+        function saveRecipes() {
+            store.set('brewRecipes', brewRecipes);
+        }
+
+        /**
+         * Loads the brew recipes from the store. The default recipes are used until the user saves their own,
+         * and when a restored backup holds none.
+         */
+        function loadRecipes() {
+            const saved = store.get('brewRecipes', [], Array.isArray);
+            brewRecipes = saved.length > 0 ? saved : BrewRecipes.DEFAULT_RECIPES.map(recipe => BrewRecipes.createRecipe(recipe));
+        }
+
+        /**
+         * Returns the recipe chosen in the recipe dropdown.
+         * @returns {object|null} The selected recipe, or the first one if the selection is missing.
+         */
+        function getSelectedRecipe() {
+            return brewRecipes.find(recipe => recipe.id === recipeSelect.value) || brewRecipes[0] || null;
+        }
+
+        /**
+         * Fills the recipe dropdown, keeping the current selection when it still exists.
+         * @param {string} [selectedId] - The recipe to select instead of the current one.
+         * @returns {void} This function does not return a value.
+         */
+        function renderRecipeOptions(selectedId = recipeSelect.value) {
+            recipeSelect.innerHTML = brewRecipes.map(recipe =>
+                `<option value="${escapeHTML(recipe.id)}">${escapeHTML(recipe.name) || '-'}</option>`
+            ).join('');
+            recipeSelect.value = brewRecipes.some(recipe => recipe.id === selectedId) ? selectedId : (brewRecipes[0] ? brewRecipes[0].id : '');
+        }
+
+        /**
+         * Renders the stages of the selected recipe as editable rows, and its name in the name field.
+         * @returns {void} This function does not return a value.
+         */
+        function renderStageRows() {
+            const recipe = getSelectedRecipe();
+            recipeNameInput.value = recipe ? recipe.name : '';
+            stageRows.innerHTML = '';
+            if (!recipe) return;
+
+            recipe.stages.forEach((stage, index) => {
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${index + 1}</td>
+                    <td><input type="text" class="stage-name-input" placeholder="مثال: شکوفایی" value="${escapeHTML(stage.name)}"></td>
+                    <td><input type="number" inputmode="numeric" class="stage-minutes" min="0" value="${Math.floor(stage.seconds / 60)}"></td>
+                    <td><input type="number" inputmode="numeric" class="stage-seconds" min="0" max="59" value="${stage.seconds % 60}"></td>
+                    <td><input type="number" inputmode="decimal" class="stage-water" min="0" value="${stage.water || ''}" placeholder="0"></td>
+                    <td><input type="text" class="stage-cue-input" placeholder="مثال: آب را دایره‌ای بریزید" value="${escapeHTML(stage.cue)}"></td>
+                    <td><button class="calc-button remove-row-btn">حذف</button></td>
+                `;
+                row.querySelectorAll('input').forEach(input => input.addEventListener('input', updateStagesFromRows));
+                row.querySelector('.remove-row-btn').addEventListener('click', () => {
+                    recipe.stages.splice(index, 1);
+                    saveRecipes();
+                    renderStageRows();
+                    resetIdleTimer();
+                });
+                stageRows.appendChild(row);
+            });
+        }
+
+        /**
+         * Reads the stage rows back into the selected recipe, saves it and shows the new stages on an idle timer.
+         * @returns {void} This function does not return a value.
+         */
+        function updateStagesFromRows() {
+            const recipe = getSelectedRecipe();
+            if (!recipe) return;
+            recipe.stages = Array.from(stageRows.querySelectorAll('tr')).map(row => BrewRecipes.createStage({
+                name: row.querySelector('.stage-name-input').value,
+                seconds: (parseInt(row.querySelector('.stage-minutes').value, 10) || 0) * 60 + (parseInt(row.querySelector('.stage-seconds').value, 10) || 0),
+                water: row.querySelector('.stage-water').value,
+                cue: row.querySelector('.stage-cue-input').value
+            }));
+            saveRecipes();
+            resetIdleTimer();
+        }
+
+        /**
+         * Adds a recipe, selects it and shows its stages.
+         * @param {object} recipe - The recipe to add.
+         * @returns {void} This function does not return a value.
+         */
+        function addRecipe(recipe) {
+            brewRecipes.push(recipe);
+            saveRecipes();
+            renderRecipeOptions(recipe.id);
+            saveInput('brew-recipe');
+            renderStageRows();
+            resetTimer();
+            recipeNameInput.focus();
+        }
+
+        /**
+         * Shows the stage indicator for a running stage: its name and target water, what to do now and what comes next.
+         * @param {number} stageIndex - The index of the running stage.
+         * @returns {void} This function does not return a value.
+         */
+        function showStage(stageIndex) {
+            if (!stageIndicator || !runningRecipe) return;
+            const stage = BrewRecipes.describeStage(runningRecipe, stageIndex);
+            stageIndicator.querySelector('.stage-name').textContent =
+                `${stage.name} (مرحله ${stage.number} از ${stage.total})${stage.targetWater > 0 ? ` - آب تا ${stage.targetWater} گرم` : ''}`;
+            stageIndicator.querySelector('.stage-cue').textContent = stage.cue ? `👈 ${stage.cue}` : '';
+            stageIndicator.querySelector('.stage-next').textContent = stage.nextName ? `بعدی: ${stage.nextName}` : 'مرحله آخر';
+        }
+
+        /**
+         * Saves the stopwatch so that a reload resumes it where it was.
+         * @returns {void} This function does not return a value.
+         */
+        function saveStopwatch() {
+            saveRunningTimer('stopwatch', { timer: stopwatchTimer, recipe: runningRecipe });
+        }
+
+        /**
+         * Hands the stopwatch to the shared scheduler, which updates the display every second, beeps when a stage ends
+         * and moves on to the next stage. The stage indicator is only shown while the timer runs.
+         * No beep is played for stages that ended while the page was closed.
+         * @returns {void} This function does not return a value.
+         */
+        function driveTimer() {
+            let stagesSeen = 0;
+            timerScheduler.run('stopwatch', stopwatchTimer, {
+                onStep(position) {
+                    if (stagesSeen > 0) playBeep();
+                    stagesSeen++;
+                    showStage(position.stepIndex);
+                    if (stageIndicator) stageIndicator.style.display = TimerScheduler.isRunning(stopwatchTimer) ? 'block' : 'none';
+                },
+                onTick(position) {
+                    updateDisplay(position.remainingSeconds);
+                },
+                onFinish() {
+                    if (stagesSeen > 0) playBeep();
+                    stopwatchTimer = TimerScheduler.pauseTimer(stopwatchTimer, timerScheduler.now());
+                    saveRunningTimer('stopwatch', null);
+                    startPauseBtn.textContent = 'شروع';
+                    if (stageIndicator) stageIndicator.style.display = 'none';
+                }
+            });
+        }
+
+        /**
+         * Pauses the stopwatch timer.
+         * This function freezes the elapsed time and updates the start/pause button text to "Continue".
+         * It also hides the stage indicator.
+         * @returns {void} This function does not return a value.
+         */
+        function stopTimer() {
+            stopwatchTimer = TimerScheduler.pauseTimer(stopwatchTimer, timerScheduler.now());
+            timerScheduler.update('stopwatch', stopwatchTimer);
+            startPauseBtn.textContent = 'ادامه';
+            if (stageIndicator) stageIndicator.style.display = 'none';
+            saveStopwatch();
+        }
+
+        /**
+         * Starts the stopwatch timer if it's not already running.
+         * A finished or untouched timer is first reset, so it picks up the current stage durations.
+         * It also updates the UI to reflect that the timer is running (e.g., changes button text to "Pause").
+         * @returns {void} This function does not return a value.
+         */
+        function startTimer() {
+            if (TimerScheduler.isRunning(stopwatchTimer)) return;
+            const position = TimerScheduler.timerPosition(stopwatchTimer, timerScheduler.now());
+            if (position.finished || stopwatchTimer.offsetMs === 0) resetTimer();
+            if (!runningRecipe || BrewRecipes.validateRecipe(runningRecipe).length > 0) {
+                recipeNameInput.classList.toggle('invalid-input', Boolean(runningRecipe) && !runningRecipe.name);
+                return;
+            }
+
+            stopwatchTimer = TimerScheduler.startTimer(stopwatchTimer, timerScheduler.now());
+            startPauseBtn.textContent = 'توقف';
+            driveTimer();
+            saveStopwatch();
+        }
+
+        /**
+         * Toggles the stopwatch between running and paused states.
+         * If the timer is running, it calls `stopTimer()`. If it's paused, it calls `startTimer()`.
+         * @returns {void} This function does not return a value.
+         */
+        function toggleTimer() {
+            if (TimerScheduler.isRunning(stopwatchTimer)) {
+                stopTimer();
+            } else {
+                startTimer();
+            }
+        }
+
+        /**
+         * Resets the stopwatch to its initial state.
+         * It stops the timer, rebuilds the stages from the selected recipe,
+         * and updates the display and button text accordingly.
+         * @returns {void} This function does not return a value.
+         */
+        function resetTimer() {
+            const recipe = getSelectedRecipe();
+            timerScheduler.cancel('stopwatch');
+            runningRecipe = recipe ? BrewRecipes.createRecipe(recipe) : null;
+            stopwatchTimer = TimerScheduler.createTimer(runningRecipe ? runningRecipe.stages.map(stage => stage.seconds) : []);
+            saveRunningTimer('stopwatch', null);
+            startPauseBtn.textContent = 'شروع';
+            recipeNameInput.classList.remove('invalid-input');
+            if (stageIndicator) stageIndicator.style.display = 'none';
+            updateDisplay(TimerScheduler.timerPosition(stopwatchTimer, timerScheduler.now()).remainingSeconds);
+        }
+
+        /**
+         * Resets the stopwatch to the stages of the selected recipe when it has not been started. A running or paused
+         * brew keeps the stages it was started with, so editing the recipe does not stop it; the changes apply when
+         * the next brew starts.
+         * @returns {void} This function does not return a value.
+         */
+        function resetIdleTimer() {
+            if (TimerScheduler.isRunning(stopwatchTimer) || stopwatchTimer.offsetMs > 0) return;
+            resetTimer();
+        }
 
-        costPerKGElement.classList.remove('invalid-input');
-        costSingleShotElement.classList.remove('invalid-input');
+        startPauseBtn.addEventListener('click', toggleTimer);
+        resetBtn.addEventListener('click', resetTimer);
 
-        const costPerKG = getInputValue('costPerKG', NaN);
-        const costSingleShot = getInputValue('costSingleShot', NaN);
+        recipeSelect.addEventListener('change', () => {
+            saveInput('brew-recipe');
+            renderStageRows();
+            resetTimer();
+        });
 
-        let isValid = true;
-        if (isNaN(costPerKG) || costPerKG <= 0) { isValid = false; costPerKGElement.classList.add('invalid-input'); }
-        if (isNaN(costSingleShot) || costSingleShot <= 0) { isValid = false; costSingleShotElement.classList.add('invalid-input'); }
+        recipeNameInput.addEventListener('input', () => {
+            const recipe = getSelectedRecipe();
+            if (!recipe) return;
+            recipe.name = recipeNameInput.value.trim();
+            saveRecipes();
+            renderRecipeOptions();
+            recipeNameInput.classList.remove('invalid-input');
+        });
 
-        if (!isValid) {
-            resultsDiv.innerHTML = '<p style="color: red;">!لطفاً فیلدهای مشخص‌شده را با مقادیر معتبر پر کنید</p>';
-            return;
-        }
+        sections.stopwatch.querySelector('#add-stage-btn').addEventListener('click', () => {
+            const recipe = getSelectedRecipe();
+            if (!recipe) return;
+            recipe.stages.push(BrewRecipes.createStage({ name: `مرحله ${recipe.stages.length + 1}`, seconds: 30 }));
+            saveRecipes();
+            renderStageRows();
+            resetIdleTimer();
+        });
+
+        sections.stopwatch.querySelector('#new-recipe-btn').addEventListener('click', () => {
+            addRecipe(BrewRecipes.createRecipe({ id: generateId(), name: 'دستور جدید', stages: [{ name: 'مرحله ۱', seconds: 30 }] }));
+        });
+
+        sections.stopwatch.querySelector('#duplicate-recipe-btn').addEventListener('click', () => {
+            const recipe = getSelectedRecipe();
+            if (recipe) addRecipe(BrewRecipes.createRecipe(Object.assign({}, recipe, { id: generateId(), name: `${recipe.name} (کپی)` })));
+        });
 
-        const sellPriceKG = getInputValue('sellPriceKG'), costDoubleShot = getInputValue('costDoubleShot'), gramSingle = getInputValue('gramSingle'), gramDouble = getInputValue('gramDouble'), otherCostPerShot = getInputValue('otherCostPerShot'), salesSingle = getInputValue('salesSingle'), salesDouble = getInputValue('salesDouble'), salesMixKG = getInputValue('salesMixKG');
-        const revenueSingle = salesSingle * costSingleShot, revenueDouble = salesDouble * costDoubleShot, revenueMix = salesMixKG * sellPriceKG, totalDailyRevenue = revenueSingle + revenueDouble + revenueMix;
-        const totalGramUsed = (salesSingle * gramSingle) + (salesDouble * gramDouble) + (salesMixKG * 1000), totalKGUsed = totalGramUsed / 1000, costOfCoffeeUsed = totalKGUsed * costPerKG;
-        const totalSalesShots = salesSingle + salesDouble, totalOtherCost = totalSalesShots * otherCostPerShot, totalDailyCost = costOfCoffeeUsed + totalOtherCost, totalDailyProfit = totalDailyRevenue - totalDailyCost;
-        const daysInMonth = 30, totalMonthlyRevenue = totalDailyRevenue * daysInMonth, totalMonthlyProfit = totalDailyProfit * daysInMonth, totalMonthlyKGUsed = totalKGUsed * daysInMonth;
+        sections.stopwatch.querySelector('#delete-recipe-btn').addEventListener('click', () => {
+            const recipe = getSelectedRecipe();
+            if (!recipe) return;
+            if (brewRecipes.length === 1) {
+                alert('دست‌کم یک دستور باید باقی بماند.');
+                return;
+            }
+            if (!confirm(`دستور «${recipe.name}» حذف شود؟`)) return;
+            brewRecipes = brewRecipes.filter(item => item.id !== recipe.id);
+            saveRecipes();
+            renderRecipeOptions();
+            saveInput('brew-recipe');
+            renderStageRows();
+            resetTimer();
+        });
 
-        resultsDiv.innerHTML = `<h3>خلاصه روزانه</h3><p><strong>کل درآمد فروش روزانه:</strong> ${formatCurrency(totalDailyRevenue)} تومان</p><p><strong>کل هزینه (مواد + جانبی):</strong> ${formatCurrency(totalDailyCost)} تومان</p><p><strong>سود خالص روزانه:</strong> <span style="color: var(--primary-color); font-weight: bold;">${formatCurrency(totalDailyProfit)} تومان</span></p><p><strong>مقدار قهوه مصرفی روزانه:</strong> <strong>${totalKGUsed.toFixed(2)} کیلوگرم</strong></p><hr style="border-top: 1px dashed var(--accent-color); margin: 15px 0;"><h3>خلاصه ماهانه (30 روز)</h3><p><strong>کل درآمد ماهانه:</strong> ${formatCurrency(totalMonthlyRevenue)} تومان</p><p><strong>سود خالص ماهانه:</strong> <span style="color: var(--primary-color); font-weight: bold;">${formatCurrency(totalMonthlyProfit)} تومان</span></p><p><strong>مقدار قهوه مصرفی ماهانه:</strong> <strong>${totalKGUsed.toFixed(2)} کیلوگرم</strong></p>`;
+        loadRecipes();
+        renderRecipeOptions(store.get('inputs', {}, isPlainObject)['brew-recipe']);
+        renderStageRows();
+
+        const savedStopwatch = loadRunningTimer('stopwatch');
+        if (savedStopwatch && isPlainObject(savedStopwatch.recipe)) {
+            runningRecipe = savedStopwatch.recipe;
+            stopwatchTimer = savedStopwatch.timer;
+            startPauseBtn.textContent = TimerScheduler.isRunning(stopwatchTimer) ? 'توقف' : 'ادامه';
+            driveTimer();
+        } else {
+            resetTimer();
+        }
     }
-    if (buttons.calculateCafe) buttons.calculateCafe.addEventListener('click', calculateCafeRevenue);
 
     // ####################################
-    // Stopwatch Logic
+    // Espresso Shot Timer & Log Logic
     // ####################################
-    if (sections.stopwatch) {
-        const stopwatchDisplay = sections.stopwatch.querySelector('.stopwatch-display');
-        const startPauseBtn = sections.stopwatch.querySelector('#start-pause-btn');
-        const resetBtn = sections.stopwatch.querySelector('#reset-btn');
-        const stage1MinutesInput = sections.stopwatch.querySelector('#stage1-minutes');
-        const stage1SecondsInput = sections.stopwatch.querySelector('#stage1-seconds');
-        const stage2MinutesInput = sections.stopwatch.querySelector('#stage2-minutes');
-        const stage2SecondsInput = sections.stopwatch.querySelector('#stage2-seconds');
-        const stageIndicator = sections.stopwatch.querySelector('#stage-indicator');
+    if (sections.shot) {
+        const shotDisplay = document.getElementById('shot-display');
+        const shotStartBtn = document.getElementById('shot-start-btn');
+        const gramSourceSelect = document.getElementById('gramSource');
+        const historyFilter = document.getElementById('shot-history-filter');
+        const shotForm = {
+            bean: document.getElementById('shot-bean'),
+            type: document.getElementById('shot-type'),
+            dose: document.getElementById('shot-dose'),
+            yield: document.getElementById('shot-yield'),
+            seconds: document.getElementById('shot-seconds'),
+            grind: document.getElementById('shot-grind'),
+            taste: document.getElementById('shot-taste')
+        };
+
+        /**
+         * The longest shot the count-up timer runs for (s); it stops by itself after that.
+         * @type {number}
+         */
+        const MAX_SHOT_SECONDS = 300;
 
-        let timerInterval = null;
-        let isRunning = false;
-        let currentStage = 1;
-        let timeRemaining = 0;
-        const stageDurations = [0, 0];
+        let shots = [];
+        let shotTimer = TimerScheduler.createTimer([MAX_SHOT_SECONDS]);
 
         /**
-         * Plays a simple, short beep sound using the Web Audio API.
-         * This function creates a temporary audio context and an oscillator to generate a sine wave,
-         * which is heard as a beep. It's used for audio cues in the stopwatch. Includes error handling.
-         * @returns {void} This function does not return a value.
+         * Saves the shot log to the store.
          */
-        function playBeep() {
-            try {
-                const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                const oscillator = audioContext.createOscillator();
-                oscillator.type = 'sine';
-                oscillator.frequency.setValueAtTime(440, audioContext.currentTime);
-                oscillator.connect(audioContext.destination);
-                oscillator.start();
-                oscillator.stop(audioContext.currentTime + 0.5);
-            } catch (e) { console.error("Could not play beep:", e); }
+        function saveShots() {
+            store.set('shotLog', shots);
         }
 
         /**
-         * Updates the stopwatch's time display.
-         * It takes the `timeRemaining` in seconds, calculates the minutes and seconds,
-         * formats them to a "mm:ss" string, and updates the stopwatch's display element.
-         * @returns {void} This function does not return a value.
+         * Loads the shot log from the store.
          */
-        function updateDisplay() {
-            const minutes = Math.floor(Math.abs(timeRemaining) / 60);
-            const seconds = Math.abs(timeRemaining) % 60;
-            stopwatchDisplay.textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+        function loadShots() {
+            shots = store.get('shotLog', [], Array.isArray);
+        }
+
+        /**
+         * Reads the target window from the input fields, falling back to the defaults.
+         * @returns {object} The target window, see `ShotLog.DEFAULT_TARGET`.
+         */
+        function getShotTarget() {
+            return {
+                minSeconds: getInputValue('shotMinSeconds', ShotLog.DEFAULT_TARGET.minSeconds),
+                maxSeconds: getInputValue('shotMaxSeconds', ShotLog.DEFAULT_TARGET.maxSeconds),
+                minRatio: getInputValue('shotMinRatio', ShotLog.DEFAULT_TARGET.minRatio),
+                maxRatio: getInputValue('shotMaxRatio', ShotLog.DEFAULT_TARGET.maxRatio)
+            };
         }
 
         /**
-         * Stops the stopwatch timer.
-         * This function clears the interval, sets the `isRunning` flag to false,
-         * and updates the start/pause button text to "Continue". It also hides the stage indicator.
+         * Shows the elapsed shot time as "mm:ss".
+         * @param {number} seconds - The elapsed time (s).
          * @returns {void} This function does not return a value.
          */
-        function stopTimer() {
-            clearInterval(timerInterval);
-            isRunning = false;
-            startPauseBtn.textContent = 'ادامه';
-            if (stageIndicator) stageIndicator.style.display = 'none';
+        function updateShotDisplay(seconds) {
+            shotDisplay.textContent = `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+        }
+
+        /**
+         * Calculates how many whole seconds the shot has been running.
+         * @returns {number} The elapsed time (s).
+         */
+        function shotElapsedSeconds() {
+            return Math.floor(TimerScheduler.elapsedMs(shotTimer, timerScheduler.now()) / 1000);
         }
 
         /**
-         * Represents a single "tick" of the stopwatch, executed every second.
-         * This function decrements the remaining time and updates the display. When the time for a stage
-         * runs out, it plays a beep and transitions to the next stage or stops the timer if all stages are complete.
+         * Hands the count-up timer to the shared scheduler. The scheduler counts down from `MAX_SHOT_SECONDS`,
+         * so the elapsed time is that limit minus the remaining time.
          * @returns {void} This function does not return a value.
          */
-        function tick() {
-            if (timeRemaining > 0) {
-                timeRemaining--;
-                updateDisplay();
-            }
-            if (timeRemaining <= 0) {
-                playBeep();
-                if (currentStage === 1) {
-                    currentStage = 2;
-                    timeRemaining = stageDurations[1];
-                    if (stageIndicator) stageIndicator.textContent = `مرحله ${currentStage} در حال اجرا`;
-                    updateDisplay();
-                    if (timeRemaining <= 0) stopTimer();
-                } else {
-                    stopTimer();
+        function driveShotTimer() {
+            timerScheduler.run('shot', shotTimer, {
+                onTick(position) {
+                    updateShotDisplay(MAX_SHOT_SECONDS - position.remainingSeconds);
+                },
+                onFinish() {
+                    stopShot();
                 }
-            }
+            });
         }
 
         /**
-         * Starts the stopwatch timer if it's not already running.
-         * It sets up the timer to call the `tick` function every second. It also updates
-         * the UI to reflect that the timer is running (e.g., changes button text to "Pause").
+         * Starts a new shot from zero.
          * @returns {void} This function does not return a value.
          */
-        function startTimer() {
-            if (isRunning) return;
-            if (timeRemaining <= 0) resetTimer();
-            if (timeRemaining <= 0) return;
+        function startShot() {
+            shotTimer = TimerScheduler.startTimer(TimerScheduler.createTimer([MAX_SHOT_SECONDS]), timerScheduler.now());
+            shotStartBtn.textContent = 'توقف شات';
+            driveShotTimer();
+            saveRunningTimer('shot', { timer: shotTimer });
+        }
 
-            if (stageIndicator) {
-                stageIndicator.textContent = `مرحله ${currentStage} در حال اجرا`;
-                stageIndicator.style.display = 'block';
-            }
-            isRunning = true;
-            startPauseBtn.textContent = 'توقف';
-            timerInterval = setInterval(tick, 1000);
+        /**
+         * Stops the shot and copies its time into the shot form.
+         * @returns {void} This function does not return a value.
+         */
+        function stopShot() {
+            const seconds = Math.min(shotElapsedSeconds(), MAX_SHOT_SECONDS);
+            shotTimer = TimerScheduler.pauseTimer(shotTimer, timerScheduler.now());
+            timerScheduler.cancel('shot');
+            saveRunningTimer('shot', null);
+            updateShotDisplay(seconds);
+            shotForm.seconds.value = seconds;
+            shotStartBtn.textContent = 'شروع شات';
         }
 
         /**
-         * Toggles the stopwatch between running and paused states.
-         * If the timer is running, it calls `stopTimer()`. If it's paused, it calls `startTimer()`.
+         * Fills the cafe calculator's grams per single and double shot with the average doses of the
+         * source chosen under them: all logged shots or the shots of one bean. Nothing happens for manual entry,
+         * or for a shot type without logged shots. The menu is costed again with the new doses.
          * @returns {void} This function does not return a value.
          */
-        function toggleTimer() {
-            if (isRunning) {
-                stopTimer();
-            } else {
-                startTimer();
-            }
+        function applyShotDoses() {
+            const source = gramSourceSelect.value;
+            if (!source) return;
+            const doses = ShotLog.averageDoses(shots, source === 'all' ? undefined : source.slice('bean:'.length));
+            [['gramSingle', doses.single], ['gramDouble', doses.double]].forEach(([id, dose]) => {
+                if (dose === null) return;
+                document.getElementById(id).value = Math.round(dose * 10) / 10;
+                saveInput(id);
+            });
+            renderMenuItems();
         }
 
         /**
-         * Resets the stopwatch to its initial state.
-         * It stops the timer, resets the current stage and time remaining based on the input fields,
-         * and updates the display and button text accordingly.
+         * Renders the per-bean dial-in history, the shot table (optionally for one bean) and refreshes the bean
+         * suggestions, the history filter and the dose sources of the cafe calculator.
          * @returns {void} This function does not return a value.
          */
-        function resetTimer() {
-            stopTimer();
-            currentStage = 1;
-            stageDurations[0] = (parseInt(stage1MinutesInput.value, 10) || 0) * 60 + (parseInt(stage1SecondsInput.value, 10) || 0);
-            stageDurations[1] = (parseInt(stage2MinutesInput.value, 10) || 0) * 60 + (parseInt(stage2SecondsInput.value, 10) || 0);
-            timeRemaining = stageDurations[0];
-            startPauseBtn.textContent = 'شروع';
-            if (stageIndicator) stageIndicator.style.display = 'none';
-            updateDisplay();
+        function renderShots() {
+            const history = ShotLog.beanHistory(shots);
+            const target = getShotTarget();
+            const formatDose = dose => (dose === null ? '-' : dose.toFixed(1));
+            const formatRatio = ratio => `1:${ratio.toFixed(2)}`;
+
+            document.getElementById('shot-bean-options').innerHTML = history.map(entry => `<option value="${escapeHTML(entry.bean)}"></option>`).join('');
+
+            const filterValue = historyFilter.value;
+            historyFilter.innerHTML = '<option value="">همه دانه‌ها</option>' + history.map(entry =>
+                `<option value="${escapeHTML(entry.bean)}">${escapeHTML(entry.bean)}</option>`
+            ).join('');
+            historyFilter.value = history.some(entry => entry.bean === filterValue) ? filterValue : '';
+
+            const sourceValue = gramSourceSelect.value || gramSourceSelect.dataset.source || '';
+            const describeDoses = doses => `تک ${formatDose(doses.single)} / دبل ${formatDose(doses.double)} گرم`;
+            gramSourceSelect.innerHTML = '<option value="">ورود دستی</option>'
+                + (shots.length > 0 ? `<option value="all">میانگین همه شات‌ها (${describeDoses(ShotLog.averageDoses(shots))})</option>` : '')
+                + history.map(entry => `<option value="bean:${escapeHTML(entry.bean)}">میانگین ${escapeHTML(entry.bean)} (${describeDoses(entry.averageDose)})</option>`).join('');
+            gramSourceSelect.value = Array.from(gramSourceSelect.options).some(option => option.value === sourceValue) ? sourceValue : '';
+            gramSourceSelect.dataset.source = gramSourceSelect.value;
+
+            const historyContainer = document.getElementById('shot-bean-history');
+            historyContainer.innerHTML = history.length === 0 ? '<p>هنوز شاتی ثبت نشده است.</p>' : `
+                <div class="table-scroll">
+                    <table class="data-table">
+                        <thead><tr><th>دانه</th><th>تعداد شات</th><th>دوز تک</th><th>دوز دبل</th><th>میانگین نسبت</th><th>میانگین زمان</th><th>آخرین آسیاب</th></tr></thead>
+                        <tbody>${history.map(entry => `<tr><td>${escapeHTML(entry.bean)}</td><td>${entry.shotCount}</td><td>${formatDose(entry.averageDose.single)}</td><td>${formatDose(entry.averageDose.double)}</td><td>${formatRatio(entry.averageRatio)}</td><td>${entry.averageSeconds.toFixed(1)} ثانیه</td><td>${escapeHTML(entry.lastGrind) || '-'}</td></tr>`).join('')}</tbody>
+                    </table>
+                </div>`;
+
+            const flagText = check => {
+                const flags = [];
+                if (check.timeStatus === 'fast') flags.push('سریع');
+                if (check.timeStatus === 'slow') flags.push('کند');
+                if (check.ratioStatus === 'low') flags.push('نسبت کم');
+                if (check.ratioStatus === 'high') flags.push('نسبت زیاد');
+                return flags.length === 0 ? '✅' : `⚠️ ${flags.join('، ')}`;
+            };
+            const visibleShots = shots
+                .filter(shot => !historyFilter.value || shot.bean === historyFilter.value)
+                .sort((a, b) => (a.timestamp < b.timestamp ? 1 : -1));
+            const logContainer = document.getElementById('shot-log');
+            logContainer.innerHTML = visibleShots.length === 0 ? '<p>هنوز شاتی ثبت نشده است.</p>' : `
+                <div class="table-scroll">
+                    <table class="data-table">
+                        <thead><tr><th>زمان ثبت</th><th>دانه</th><th>نوع</th><th>دوز</th><th>خروجی</th><th>زمان</th><th>نسبت</th><th>آسیاب</th><th>طعم</th><th>وضعیت</th><th></th></tr></thead>
+                        <tbody>${visibleShots.map(shot => {
+                            const check = ShotLog.checkShot(shot, target);
+                            return `<tr${check.withinTarget ? '' : ' class="low-stock-row"'}>
+                                <td>${new Date(shot.timestamp).toLocaleString('fa-IR', { dateStyle: 'short', timeStyle: 'short' })}</td>
+                                <td>${escapeHTML(shot.bean)}</td>
+                                <td>${shot.type === 'single' ? 'تک' : 'دبل'}</td>
+                                <td>${shot.dose}</td>
+                                <td>${shot.yield}</td>
+                                <td>${shot.seconds}</td>
+                                <td>${formatRatio(check.ratio)}</td>
+                                <td>${escapeHTML(shot.grind) || '-'}</td>
+                                <td>${escapeHTML(shot.taste) || '-'}</td>
+                                <td>${flagText(check)}</td>
+                                <td><button class="calc-button remove-row-btn" data-shot-id="${shot.id}">حذف</button></td>
+                            </tr>`;
+                        }).join('')}</tbody>
+                    </table>
+                </div>`;
+            logContainer.querySelectorAll('[data-shot-id]').forEach(button => {
+                button.addEventListener('click', () => {
+                    shots = shots.filter(shot => shot.id !== button.dataset.shotId);
+                    saveShots();
+                    renderShots();
+                    applyShotDoses();
+                });
+            });
         }
 
-        startPauseBtn.addEventListener('click', toggleTimer);
-        resetBtn.addEventListener('click', resetTimer);
+        /**
+         * Validates the shot form and logs a new shot.
+         * Invalid fields are highlighted; on success the yield, time and taste note are cleared
+         * while the bean, dose and grind are kept for the next shot.
+         * @returns {void} This function does not return a value.
+         */
+        function addShot() {
+            Object.values(shotForm).forEach(input => input.classList.remove('invalid-input'));
+
+            const fields = {
+                id: generateId(),
+                timestamp: new Date().toISOString(),
+                bean: shotForm.bean.value,
+                type: shotForm.type.value,
+                dose: shotForm.dose.value,
+                yield: shotForm.yield.value,
+                seconds: shotForm.seconds.value,
+                grind: shotForm.grind.value,
+                taste: shotForm.taste.value
+            };
+
+            const invalidFields = ShotLog.validateShot(fields);
+            if (invalidFields.length > 0) {
+                invalidFields.forEach(field => shotForm[field].classList.add('invalid-input'));
+                return;
+            }
+
+            shots.push(ShotLog.createShot(fields));
+            saveShots();
+            ['yield', 'seconds', 'taste'].forEach(field => { shotForm[field].value = ''; });
+            renderShots();
+            applyShotDoses();
+        }
+
+        shotStartBtn.addEventListener('click', () => {
+            if (TimerScheduler.isRunning(shotTimer)) stopShot();
+            else startShot();
+        });
+
+        document.getElementById('shot-reset-btn').addEventListener('click', () => {
+            timerScheduler.cancel('shot');
+            saveRunningTimer('shot', null);
+            shotTimer = TimerScheduler.createTimer([MAX_SHOT_SECONDS]);
+            shotStartBtn.textContent = 'شروع شات';
+            updateShotDisplay(0);
+        });
 
-        [stage1MinutesInput, stage1SecondsInput, stage2MinutesInput, stage2SecondsInput].forEach(input => {
-            input.addEventListener('input', resetTimer);
+        document.getElementById('add-shot-btn').addEventListener('click', addShot);
+        historyFilter.addEventListener('change', renderShots);
+        ['shotMinSeconds', 'shotMaxSeconds', 'shotMinRatio', 'shotMaxRatio'].forEach(id => {
+            document.getElementById(id).addEventListener('input', renderShots);
+        });
+        gramSourceSelect.addEventListener('change', () => {
+            gramSourceSelect.dataset.source = gramSourceSelect.value;
+            applyShotDoses();
         });
 
-        resetTimer();
+        loadShots();
+        renderShots();
+
+        const savedShot = loadRunningTimer('shot');
+        if (savedShot && TimerScheduler.isRunning(savedShot.timer)) {
+            shotTimer = savedShot.timer;
+            shotStartBtn.textContent = 'توقف شات';
+            driveShotTimer();
+        }
     }
 
     // ####################################
@@ -640,15 +3094,15 @@ if (sections.bakwash) {
 
         /**
          * Creates and adds a new row to the bean mix calculator UI.
-         * Each row contains input fields for bean name, price, percentage, and weight.
-         * It also includes a "Remove" button. The function ensures a maximum of 5 rows can be added.
+         * Each row contains input fields for bean name, price, percentage, and weight. The price can be typed in
+         * or taken from the green coffee inventory's average cost through the row's origin select. The species and the
+         * minimum and maximum percentage of the bean are the constraints of the mix solver. A bean bought green is
+         * roasted before it goes into the mix, so its roast loss and roasting fee are added to its cost on the shelf.
+         * It also includes a "Remove" button.
+         * @param {object|null} [data] - The saved values of the row, see `readBeanRows`.
          * @returns {void} This function does not return a value.
          */
         function createBeanRow(data = null) {
-            if (beanRowsContainer.children.length >= 5) {
-                addBeanBtn.style.display = 'none';
-                return;
-            }
             beanRowCount++;
             const rowWrapper = document.createElement('div');
             rowWrapper.className = 'bean-row-wrapper';
@@ -658,11 +3112,19 @@ if (sections.bakwash) {
             }
 
             rowWrapper.innerHTML += `
-                <div class="bean-row cafe-grid four-cols">
-                    <div class="input-group"><input type="text" class="bean-name" placeholder="نوع دانه ${beanRowCount}"></div>
-                    <div class="input-group"><input type="number" inputmode="numeric" class="bean-price" placeholder="قیمت (تومان/کیلو)"></div>
-                    <div class="input-group"><input type="number" inputmode="numeric" class="bean-percentage" placeholder="درصد (%)" min="0" max="100"></div>
-                    <div class="input-group"><input type="number" inputmode="numeric" class="bean-weight" placeholder="وزن (گرم)"></div>
+                <div class="bean-row-fields">
+                    <div class="bean-row cafe-grid four-cols">
+                        <div class="input-group"><input type="text" class="bean-name" placeholder="نوع دانه ${beanRowCount}"></div>
+                        <div class="input-group"><input type="number" inputmode="numeric" class="bean-price" placeholder="قیمت (تومان/کیلو)"><select class="bean-price-source inventory-price-select" aria-label="قیمت از انبار"></select></div>
+                        <div class="input-group"><input type="number" inputmode="numeric" class="bean-percentage" placeholder="درصد (%)" min="0" max="100"></div>
+                        <div class="input-group"><input type="number" inputmode="numeric" class="bean-weight" placeholder="وزن (گرم)"></div>
+                    </div>
+                    <div class="bean-constraints cafe-grid four-cols">
+                        <div class="input-group"><select class="bean-state" aria-label="وضعیت قیمت"><option value="roasted">قیمت دانه رُست‌شده</option><option value="green">قیمت دانه سبز</option></select></div>
+                        <div class="input-group"><select class="bean-species" aria-label="گونه"><option value="arabica">عربیکا</option><option value="robusta">روبوستا</option></select></div>
+                        <div class="input-group"><input type="number" inputmode="numeric" class="bean-min-percentage" placeholder="حداقل درصد در پیشنهاد" min="0" max="100"></div>
+                        <div class="input-group"><input type="number" inputmode="numeric" class="bean-max-percentage" placeholder="حداکثر درصد در پیشنهاد" min="0" max="100"></div>
+                    </div>
                 </div>
                 <button class="calc-button remove-bean-btn" style="background: var(--danger-color); font-size: 0.9rem; padding: 0.5rem; width: auto; margin-top: -1rem; align-self: center;">حذف</button>
             `;
@@ -674,13 +3136,22 @@ if (sections.bakwash) {
                 rowWrapper.querySelector('.bean-price').value = data.price || '';
                 rowWrapper.querySelector('.bean-percentage').value = data.percentage || '';
                 rowWrapper.querySelector('.bean-weight').value = data.weight || '';
+                rowWrapper.querySelector('.bean-state').value = data.state === 'green' ? 'green' : 'roasted';
+                rowWrapper.querySelector('.bean-species').value = MixOptimizer.SPECIES.includes(data.species) ? data.species : 'arabica';
+                rowWrapper.querySelector('.bean-min-percentage').value = data.minPercent || '';
+                rowWrapper.querySelector('.bean-max-percentage').value = data.maxPercent || '';
             }
 
+            const priceSourceSelect = rowWrapper.querySelector('.bean-price-source');
+            const nameInput = rowWrapper.querySelector('.bean-name');
+            priceSourceSelect.dataset.origin = (data && data.priceSource) || '';
+            bindInventoryPriceSelect(priceSourceSelect, rowWrapper.querySelector('.bean-price'), () => {
+                if (!nameInput.value) nameInput.value = priceSourceSelect.value;
+                saveBeanMixData();
+            });
+
             rowWrapper.querySelector('.remove-bean-btn').addEventListener('click', () => {
                 rowWrapper.remove();
-                if (beanRowsContainer.children.length < 5) {
-                    addBeanBtn.style.display = 'block';
-                }
                 updateTotalPercentage();
                 saveBeanMixData();
             });
@@ -691,11 +3162,76 @@ if (sections.bakwash) {
             });
 
             // Also save on other input changes
-            ['.bean-name', '.bean-price', '.bean-weight'].forEach(selector => {
+            ['.bean-name', '.bean-price', '.bean-weight', '.bean-state', '.bean-species', '.bean-min-percentage', '.bean-max-percentage'].forEach(selector => {
                 rowWrapper.querySelector(selector).addEventListener('input', saveBeanMixData);
             });
         }
 
+        /**
+         * Reads the shelf pricing fields of the mix tool and highlights the invalid ones.
+         * @param {object[]} beans - The price, percentage, weight and state of every bean row.
+         * @returns {{input: object, invalidFields: string[]}} The input of `CoffeeCalc.calculateMixShelfPrice` and its invalid fields.
+         */
+        function readMixShelfInput(beans) {
+            const formInputs = {
+                roastLossPercent: document.getElementById('mix-roast-loss'),
+                roastWage: document.getElementById('mix-roast-wage'),
+                marginPercent: document.getElementById('mix-margin')
+            };
+            const packagingInputs = {};
+            CoffeeCalc.BAG_SIZES.forEach(grams => { packagingInputs[grams] = document.getElementById(`mix-pack-${grams}`); });
+            const input = {
+                beans,
+                roastLossPercent: formInputs.roastLossPercent.value,
+                roastWage: formInputs.roastWage.value,
+                marginPercent: formInputs.marginPercent.value,
+                packaging: {}
+            };
+            CoffeeCalc.BAG_SIZES.forEach(grams => { input.packaging[grams] = packagingInputs[grams].value; });
+
+            const invalidFields = CoffeeCalc.validateMixShelfInput(input);
+            Object.keys(formInputs).forEach(field => formInputs[field].classList.toggle('invalid-input', invalidFields.includes(field)));
+            CoffeeCalc.BAG_SIZES.forEach(grams => packagingInputs[grams].classList.toggle('invalid-input', invalidFields.includes(`packaging-${grams}`)));
+            return { input, invalidFields };
+        }
+
+        /**
+         * Prices the mix from the purchase prices to the shelf with `CoffeeCalc.calculateMixShelfPrice`, using the roast
+         * loss, roasting fee, margin and packaging fields of the mix tool.
+         * @param {object[]} beans - The price, percentage, weight and state of every bean row.
+         * @returns {string} The HTML of the roasted cost per kilogram and the bag prices, or of the error.
+         */
+        function mixShelfPriceHTML(beans) {
+            const { input, invalidFields } = readMixShelfInput(beans);
+            if (invalidFields.length > 0) {
+                return '<p style="color: var(--danger-color);">!برای قیمت فروش بسته‌ها، فیلدهای مشخص‌شده را با مقادیر معتبر پر کنید</p>';
+            }
+
+            const result = CoffeeCalc.calculateMixShelfPrice(input);
+            if (result.roastedCostPerKg === null) return '';
+            const greenCount = beans.filter(bean => bean.state === 'green').length;
+            const bagName = grams => (grams >= 1000 ? `${(grams / 1000).toLocaleString('fa-IR')} کیلوگرم` : `${grams.toLocaleString('fa-IR')} گرم`);
+
+            return `
+                <hr>
+                <p><strong>بهای تمام‌شده هر کیلو میکس رُست‌شده:</strong> ${formatCurrency(result.roastedCostPerKg)} تومان/کیلوگرم</p>
+                ${greenCount > 0 ? `<p style="font-size: 0.9rem;">(${greenCount.toLocaleString('fa-IR')} دانه با قیمت سبز، با افت وزن ${Number(input.roastLossPercent).toLocaleString('fa-IR')}٪ و اجرت رُست به قیمت رُست‌شده تبدیل شد.)</p>` : ''}
+                <div class="table-scroll">
+                    <table class="data-table">
+                        <thead><tr><th>بسته</th><th>قهوه</th><th>بسته‌بندی</th><th>بهای تمام‌شده</th><th>قیمت پیشنهادی فروش</th><th>سود هر بسته</th></tr></thead>
+                        <tbody>${result.bags.map(bag => `<tr>
+                            <td>${bagName(bag.grams)}</td>
+                            <td>${formatCurrency(bag.coffeeCost)}</td>
+                            <td>${formatCurrency(bag.packagingCost)}</td>
+                            <td>${formatCurrency(bag.totalCost)}</td>
+                            <td><strong>${formatCurrency(bag.retailPrice)}</strong></td>
+                            <td>${formatCurrency(bag.profit)}</td>
+                        </tr>`).join('')}</tbody>
+                    </table>
+                </div>
+            `;
+        }
+
         /**
          * Calculates and updates the total percentage of all beans in the mix calculator.
          * It reads the percentage value from each bean row, sums them up, and displays the total.
@@ -713,24 +3249,36 @@ if (sections.bakwash) {
         }
 
         /**
-         * Saves the current state of the bean mix calculator to localStorage.
+         * Reads the values of the bean rows.
+         * @returns {object[]} One entry per row, in the order of the rows.
          */
-        function saveBeanMixData() {
+        function readBeanRows() {
             const rows = beanRowsContainer.querySelectorAll('.bean-row-wrapper');
-            const data = Array.from(rows).map(row => ({
+            return Array.from(rows).map(row => ({
                 name: row.querySelector('.bean-name').value,
                 price: row.querySelector('.bean-price').value,
                 percentage: row.querySelector('.bean-percentage').value,
                 weight: row.querySelector('.bean-weight').value,
+                priceSource: row.querySelector('.bean-price-source').value,
+                state: row.querySelector('.bean-state').value,
+                species: row.querySelector('.bean-species').value,
+                minPercent: row.querySelector('.bean-min-percentage').value,
+                maxPercent: row.querySelector('.bean-max-percentage').value
             }));
-            localStorage.setItem('beanMixData', JSON.stringify(data));
         }
 
         /**
-         * Loads the bean mix calculator data from localStorage and populates the UI.
+         * Saves the current state of the bean mix calculator to the store.
+         */
+        function saveBeanMixData() {
+            store.set('beanMixData', readBeanRows());
+        }
+
+        /**
+         * Loads the bean mix calculator data from the store and populates the UI.
          */
         function loadBeanMixData() {
-            const data = JSON.parse(localStorage.getItem('beanMixData'));
+            const data = store.get('beanMixData', [], Array.isArray);
             if (data && data.length > 0) {
                 beanRowsContainer.innerHTML = ''; // Clear existing rows
                 data.forEach(rowData => createBeanRow(rowData));
@@ -745,47 +3293,33 @@ if (sections.bakwash) {
 
         /**
          * Calculates the final price of the coffee bean mix based on weight and percentage.
-         * It processes each bean row to calculate the price per kilogram based on two methods:
+         * It collects the price, percentage and weight of each bean row and lets `CoffeeCalc.calculateMixPrice`
+         * compute the price per kilogram based on two methods:
          * 1. Based on the total weight and cost of the beans entered.
          * 2. Based on the percentage composition if the percentages sum to 100.
-         * The results are then displayed in the UI.
+         * The results are then displayed in the UI, followed by the cost-to-shelf chain, see `mixShelfPriceHTML`.
          * @returns {void} This function does not return a value.
          */
         function calculateMixPrice() {
             const rows = beanRowsContainer.querySelectorAll('.bean-row-wrapper');
-            let totalPercentage = 0;
-            let totalWeight = 0;
-            let totalCostFromWeight = 0;
-            let finalPriceFromPercentage = 0;
-
-            rows.forEach(row => {
-                const percentage = parseFloat(row.querySelector('.bean-percentage').value) || 0;
-                const price = parseFloat(row.querySelector('.bean-price').value) || 0;
-                const weight = parseFloat(row.querySelector('.bean-weight').value) || 0;
-
-                totalPercentage += percentage;
-
-                if (weight > 0 && price > 0) {
-                    totalWeight += weight;
-                    totalCostFromWeight += (weight / 1000) * price;
-                }
-
-                if (percentage > 0 && price > 0) {
-                    finalPriceFromPercentage += (percentage / 100) * price;
-                }
-            });
+            const beans = Array.from(rows).map(row => ({
+                price: row.querySelector('.bean-price').value,
+                percentage: row.querySelector('.bean-percentage').value,
+                weight: row.querySelector('.bean-weight').value,
+                state: row.querySelector('.bean-state').value
+            }));
+            const result = CoffeeCalc.calculateMixPrice(beans);
 
             let resultHTML = '';
 
             // Calculation based on weight
-            if (totalWeight > 0) {
-                const pricePerKgFromWeight = totalCostFromWeight / (totalWeight / 1000);
-                resultHTML += `<p><strong>قیمت نهایی (بر اساس وزن):</strong> ${formatCurrency(pricePerKgFromWeight)} تومان/کیلوگرم</p>`;
+            if (result.pricePerKgFromWeight !== null) {
+                resultHTML += `<p><strong>میانگین قیمت خرید دانه‌ها (بر اساس وزن):</strong> ${formatCurrency(result.pricePerKgFromWeight)} تومان/کیلوگرم</p>`;
             }
 
             // Calculation based on percentage
-            if (Math.round(totalPercentage) === 100) {
-                resultHTML += `<p><strong>قیمت نهایی (بر اساس درصد):</strong> ${formatCurrency(finalPriceFromPercentage)} تومان/کیلوگرم</p>`;
+            if (result.isPercentageComplete) {
+                resultHTML += `<p><strong>میانگین قیمت خرید دانه‌ها (بر اساس درصد):</strong> ${formatCurrency(result.priceFromPercentage)} تومان/کیلوگرم</p>`;
             } else {
                 resultHTML += `<p style="font-size: 0.9rem; color: var(--danger-color);">(برای محاسبه بر اساس درصد، مجموع درصدها باید 100 باشد)</p>`;
             }
@@ -793,38 +3327,401 @@ if (sections.bakwash) {
             if (resultHTML === '') {
                 mixResults.innerHTML = `<p style="color: var(--danger-color);">لطفاً مقادیر را برای محاسبه وارد کنید.</p>`;
             } else {
-                mixResults.innerHTML = resultHTML;
+                mixResults.innerHTML = resultHTML + mixShelfPriceHTML(beans);
+                recordActiveBlendPrice();
+            }
+        }
 
-                const oneMonthButton = document.createElement('button');
-                oneMonthButton.textContent = 'قیمت نهایی برای خرید یک ماهه';
-                oneMonthButton.className = 'calc-button';
-                oneMonthButton.style.marginTop = '1rem';
+        /**
+         * Proposes the percentage combinations of the bean rows closest to the target price.
+         * The rows' prices, species and percentage limits and the solver form go to `MixOptimizer.solveMix`;
+         * invalid fields are highlighted. Every proposal can be applied to the rows' percentages.
+         * @returns {void} This function does not return a value.
+         */
+        function solveMixPercentages() {
+            const solutionsContainer = document.getElementById('mix-solutions');
+            const rows = Array.from(beanRowsContainer.querySelectorAll('.bean-row-wrapper'));
+            const formInputs = {
+                targetPrice: document.getElementById('mix-target-price'),
+                step: document.getElementById('mix-step'),
+                arabicaMin: document.getElementById('mix-arabica-min'),
+                arabicaMax: document.getElementById('mix-arabica-max')
+            };
+            const rowInputs = {
+                price: '.bean-price',
+                minPercent: '.bean-min-percentage',
+                maxPercent: '.bean-max-percentage'
+            };
+            const input = {
+                beans: rows.map(row => ({
+                    name: row.querySelector('.bean-name').value || row.querySelector('.bean-name').placeholder,
+                    price: row.querySelector('.bean-price').value,
+                    species: row.querySelector('.bean-species').value,
+                    minPercent: row.querySelector('.bean-min-percentage').value,
+                    maxPercent: row.querySelector('.bean-max-percentage').value
+                })),
+                targetPrice: formInputs.targetPrice.value,
+                step: formInputs.step.value,
+                arabicaMin: formInputs.arabicaMin.value,
+                arabicaMax: formInputs.arabicaMax.value
+            };
 
-                oneMonthButton.addEventListener('click', () => {
-                    const priceWithIncreasePerc = priceFromPercentage * 1.06;
-                    const priceWithIncreaseWeight = pricePerKgFromWeight * 1.06;
+            const invalidFields = MixOptimizer.validateSolverInput(input);
+            Object.keys(formInputs).forEach(field => formInputs[field].classList.toggle('invalid-input', invalidFields.includes(field)));
+            rows.forEach((row, index) => {
+                Object.keys(rowInputs).forEach(field => {
+                    row.querySelector(rowInputs[field]).classList.toggle('invalid-input', invalidFields.includes(`${field}-${index}`));
+                });
+            });
+            if (invalidFields.includes('beans')) {
+                solutionsContainer.innerHTML = '<p style="color: var(--danger-color);">برای پیشنهاد ترکیب دست‌کم دو دانه لازم است.</p>';
+                return;
+            }
+            if (invalidFields.length > 0) {
+                solutionsContainer.innerHTML = '<p style="color: var(--danger-color);">!لطفاً فیلدهای مشخص‌شده را با مقادیر معتبر پر کنید</p>';
+                return;
+            }
 
-                    const increaseHTML = `<hr><p style="color: var(--primary-color);">با 6% افزایش:</p>`;
-                    let increaseResults = '';
-                    if (pricePerKgFromWeight > 0) {
-                       increaseResults += `<p><strong>بر اساس وزن:</strong> ${formatCurrency(priceWithIncreaseWeight)} تومان/کیلوگرم</p>`;
-                    }
-                     if (Math.round(totalPercentage) === 100) {
-                       increaseResults += `<p><strong>بر اساس درصد:</strong> ${formatCurrency(priceWithIncreasePerc)} تومان/کیلوگرم</p>`;
-                    }
+            const result = MixOptimizer.solveMix(input);
+            if (result.combinations.length === 0) {
+                solutionsContainer.innerHTML = result.truncated
+                    ? '<p style="color: var(--danger-color);">تعداد ترکیب‌ها بیش از حد است؛ گام درصد را بزرگ‌تر کنید.</p>'
+                    : '<p style="color: var(--danger-color);">هیچ ترکیبی با این شرط‌ها ممکن نیست؛ حداقل و حداکثرها یا سهم عربیکا را بازبینی کنید.</p>';
+                return;
+            }
+
+            solutionsContainer.innerHTML = `
+                <div class="table-scroll">
+                    <table class="data-table">
+                        <thead><tr><th>#</th>${input.beans.map(bean => `<th>${escapeHTML(bean.name)}</th>`).join('')}<th>عربیکا</th><th>قیمت (تومان/کیلو)</th><th>اختلاف با هدف</th><th></th></tr></thead>
+                        <tbody>${result.combinations.map((combination, index) => `<tr>
+                            <td>${index + 1}</td>
+                            ${combination.percentages.map(percent => `<td>${percent} %</td>`).join('')}
+                            <td>${combination.arabicaPercent} %</td>
+                            <td>${formatCurrency(combination.price)}</td>
+                            <td>${combination.difference > 0 ? '+' : ''}${formatCurrency(combination.difference)}</td>
+                            <td><button class="calc-button row-action-btn" data-mix-solution="${index}">اعمال</button></td>
+                        </tr>`).join('')}</tbody>
+                    </table>
+                </div>
+                <p>${result.feasibleCount.toLocaleString('fa-IR')} ترکیب ممکن وجود دارد.${result.truncated ? ' جستجو به دلیل تعداد زیاد ترکیب‌ها متوقف شد؛ برای نتیجه کامل گام درصد را بزرگ‌تر کنید.' : ''}</p>
+            `;
+
+            solutionsContainer.querySelectorAll('[data-mix-solution]').forEach(button => {
+                button.addEventListener('click', () => {
+                    const combination = result.combinations[Number(button.dataset.mixSolution)];
+                    rows.forEach((row, index) => {
+                        row.querySelector('.bean-percentage').value = combination.percentages[index];
+                    });
+                    updateTotalPercentage();
+                    saveBeanMixData();
+                    calculateMixPrice();
+                });
+            });
+        }
+
+        let blendLibrary = [];
+        let activeBlendId = '';
+
+        /**
+         * Saves the blend library and the id of the loaded blend to the store.
+         */
+        function saveBlendLibrary() {
+            store.set('blendLibrary', blendLibrary);
+            store.set('activeBlendId', activeBlendId);
+        }
+
+        /**
+         * Loads the blend library and the id of the loaded blend from the store.
+         */
+        function loadBlendLibrary() {
+            blendLibrary = store.get('blendLibrary', [], Array.isArray);
+            activeBlendId = store.get('activeBlendId', '', value => typeof value === 'string');
+            if (!blendLibrary.some(blend => blend.id === activeBlendId)) activeBlendId = '';
+        }
+
+        /**
+         * Returns the current price (toman/kg) of a blend row: the inventory's average cost when the row is linked
+         * to an origin that is still in stock, otherwise the typed-in price.
+         * @param {object[]} summary - The inventory summary.
+         * @returns {function(object): number} The price of a row.
+         */
+        function blendComponentPrice(summary) {
+            return component => {
+                const averageCost = component.priceSource ? GreenInventory.averageCostFor(summary, component.priceSource) : null;
+                return averageCost !== null ? averageCost : parseFloat(component.price) || 0;
+            };
+        }
+
+        /**
+         * Tells whether the bean rows still hold exactly the rows of a blend.
+         * @param {object} blend - The blend.
+         * @returns {boolean} True when nothing was changed since the blend was loaded or saved.
+         */
+        function rowsMatchBlend(blend) {
+            const rows = BlendLibrary.createBlend({ components: readBeanRows() }).components;
+            return JSON.stringify(rows) === JSON.stringify(blend.components);
+        }
+
+        /**
+         * Formats the change between the last price of a blend and a new price as a table cell;
+         * a higher cost is marked as worse.
+         * @param {number|null} lastPrice - The last price (toman/kg).
+         * @param {number|null} price - The new price (toman/kg).
+         * @returns {string} The HTML of the cell.
+         */
+        function blendPriceChangeCell(lastPrice, price) {
+            const change = BlendLibrary.priceChange(lastPrice, price);
+            if (!change || Math.round(change.amount) === 0) return '<td>-</td>';
+            const className = change.amount > 0 ? 'delta-worse' : 'delta-better';
+            const sign = change.amount > 0 ? '+' : '';
+            return `<td class="${className}">${sign}${formatCurrency(change.amount)} (${sign}${change.percent.toLocaleString('fa-IR', { maximumFractionDigits: 1 })}٪)</td>`;
+        }
+
+        /**
+         * Renders the saved blends with their last calculated price and their price at today's inventory costs,
+         * so a blend whose cost has moved stands out.
+         * @returns {void} This function does not return a value.
+         */
+        function renderBlendLibrary() {
+            const container = document.getElementById('blend-library');
+            if (blendLibrary.length === 0) {
+                container.innerHTML = '<p>هنوز میکسی ذخیره نشده است.</p>';
+                return;
+            }
+
+            const priceOf = blendComponentPrice(getInventorySummary());
+            const blends = blendLibrary.slice().sort((a, b) => a.name.localeCompare(b.name, 'fa'));
+            container.innerHTML = `
+                <div class="table-scroll">
+                    <table class="data-table">
+                        <thead><tr><th>نام میکس</th><th>تعداد دانه</th><th>آخرین قیمت محاسبه‌شده</th><th>قیمت با هزینه‌های فعلی</th><th>تغییر</th><th></th></tr></thead>
+                        <tbody>${blends.map(blend => {
+                            const currentPrice = BlendLibrary.blendPrice(blend.components, priceOf);
+                            return `<tr${blend.id === activeBlendId ? ' class="active-blend-row"' : ''}>
+                                <td>${escapeHTML(blend.name)}</td>
+                                <td>${blend.components.length}</td>
+                                <td>${blend.lastPrice !== null ? `${formatCurrency(blend.lastPrice)} (${formatDateKey(blend.lastPriceDate)})` : '-'}</td>
+                                <td>${currentPrice !== null ? formatCurrency(currentPrice) : '-'}</td>
+                                ${blendPriceChangeCell(blend.lastPrice, currentPrice)}
+                                <td>
+                                    <button class="calc-button row-action-btn" data-load-blend-id="${escapeHTML(blend.id)}">بارگذاری</button>
+                                    <button class="calc-button row-action-btn" data-duplicate-blend-id="${escapeHTML(blend.id)}">کپی</button>
+                                    <button class="calc-button remove-row-btn" data-blend-id="${escapeHTML(blend.id)}">حذف</button>
+                                </td>
+                            </tr>`;
+                        }).join('')}</tbody>
+                    </table>
+                </div>
+            `;
+
+            container.querySelectorAll('[data-load-blend-id]').forEach(button => {
+                button.addEventListener('click', () => loadBlend(button.dataset.loadBlendId));
+            });
+            container.querySelectorAll('[data-duplicate-blend-id]').forEach(button => {
+                button.addEventListener('click', () => duplicateBlend(button.dataset.duplicateBlendId));
+            });
+            container.querySelectorAll('[data-blend-id]').forEach(button => {
+                button.addEventListener('click', () => {
+                    const blend = blendLibrary.find(item => item.id === button.dataset.blendId);
+                    if (!blend || !confirm(`میکس «${blend.name}» حذف شود؟`)) return;
+                    blendLibrary = blendLibrary.filter(item => item.id !== blend.id);
+                    if (activeBlendId === blend.id) activeBlendId = '';
+                    saveBlendLibrary();
+                    renderBlendLibrary();
+                });
+            });
+        }
+
+        /**
+         * Saves the bean rows under the name typed in. A blend with the same name is updated, otherwise a new
+         * blend is added. The price of the rows is stored as the blend's last price.
+         * @returns {void} This function does not return a value.
+         */
+        function saveBlend() {
+            const nameInput = document.getElementById('blend-name');
+            const components = readBeanRows();
+            const invalidFields = BlendLibrary.validateBlend({ name: nameInput.value, components });
+            nameInput.classList.toggle('invalid-input', invalidFields.includes('name'));
+            if (invalidFields.includes('components')) {
+                mixResults.innerHTML = '<p style="color: var(--danger-color);">برای ذخیره میکس دست‌کم یک دانه با نام یا قیمت لازم است.</p>';
+            }
+            if (invalidFields.length > 0) return;
+
+            const name = nameInput.value.trim();
+            const existing = blendLibrary.find(blend => blend.name === name);
+            const price = BlendLibrary.blendPrice(components);
+            const blend = BlendLibrary.createBlend({
+                id: existing ? existing.id : generateId(),
+                name,
+                components,
+                lastPrice: price !== null ? price : existing && existing.lastPrice,
+                lastPriceDate: price !== null ? RoastBatchLog.toDateKey(new Date()) : existing && existing.lastPriceDate
+            });
+            blendLibrary = existing ? blendLibrary.map(item => (item.id === blend.id ? blend : item)) : blendLibrary.concat(blend);
+            activeBlendId = blend.id;
+            saveBlendLibrary();
+            renderBlendLibrary();
+        }
+
+        /**
+         * Replaces the bean rows with those of a saved blend.
+         * @param {string} blendId - The id of the blend.
+         * @returns {void} This function does not return a value.
+         */
+        function loadBlend(blendId) {
+            const blend = blendLibrary.find(item => item.id === blendId);
+            if (!blend || !confirm(`دانه‌های فعلی با میکس «${blend.name}» جایگزین می‌شوند. ادامه می‌دهید؟`)) return;
+
+            beanRowsContainer.innerHTML = '';
+            beanRowCount = 0;
+            blend.components.forEach(component => createBeanRow(component));
+            if (blend.components.length === 0) createBeanRow();
+            updateTotalPercentage();
+            saveBeanMixData();
+            document.getElementById('blend-name').value = blend.name;
+            activeBlendId = blend.id;
+            saveBlendLibrary();
+            renderBlendLibrary();
+            calculateMixPrice();
+        }
+
+        /**
+         * Adds a copy of a saved blend under a new name.
+         * @param {string} blendId - The id of the blend.
+         * @returns {void} This function does not return a value.
+         */
+        function duplicateBlend(blendId) {
+            const blend = blendLibrary.find(item => item.id === blendId);
+            if (!blend) return;
+            let name = `${blend.name} (کپی)`;
+            for (let index = 2; blendLibrary.some(item => item.name === name); index++) {
+                name = `${blend.name} (کپی ${index.toLocaleString('fa-IR')})`;
+            }
+            blendLibrary.push(BlendLibrary.duplicateBlend(blend, generateId(), name));
+            saveBlendLibrary();
+            renderBlendLibrary();
+        }
+
+        /**
+         * Stores the price just calculated as the last price of the loaded blend and shows how it moved.
+         * Nothing is recorded when the rows were changed after the blend was loaded; the blend has to be saved again.
+         * @returns {void} This function does not return a value.
+         */
+        function recordActiveBlendPrice() {
+            const blend = blendLibrary.find(item => item.id === activeBlendId);
+            if (!blend || !rowsMatchBlend(blend)) return;
+            const price = BlendLibrary.blendPrice(blend.components);
+            if (price === null) return;
+
+            const change = BlendLibrary.priceChange(blend.lastPrice, price);
+            if (change && Math.round(change.amount) !== 0) {
+                const direction = change.amount > 0 ? 'افزایش' : 'کاهش';
+                mixResults.insertAdjacentHTML('beforeend', `<p>قیمت میکس «${escapeHTML(blend.name)}» نسبت به ${formatDateKey(blend.lastPriceDate)} ${formatCurrency(Math.abs(change.amount))} تومان (${Math.abs(change.percent).toLocaleString('fa-IR', { maximumFractionDigits: 1 })}٪) ${direction} یافته است.</p>`);
+            }
+            blendLibrary = blendLibrary.map(item => (item.id === blend.id ? BlendLibrary.recordPrice(item, price, RoastBatchLog.toDateKey(new Date())) : item));
+            saveBlendLibrary();
+            renderBlendLibrary();
+        }
+
+        const inflationSourceSelect = document.getElementById('mix-inflation-source');
+        const inflationRateInput = document.getElementById('mix-inflation-rate');
+
+        /**
+         * Fills the inflation rate from the purchase ledger while "from purchases" is selected; the rate can only
+         * be typed in when "manual" is selected.
+         * @returns {object|null} The derived rate, see `PriceProjection.monthlyRateFromPurchases`, or null for a manual rate.
+         */
+        function applyInflationSource() {
+            const fromPurchases = inflationSourceSelect.value === 'purchases';
+            inflationRateInput.disabled = fromPurchases;
+            if (!fromPurchases) return null;
+            const derived = PriceProjection.monthlyRateFromPurchases(greenPurchases);
+            inflationRateInput.value = derived.rate === null ? '' : derived.rate.toFixed(2);
+            return derived;
+        }
 
-                    mixResults.innerHTML += increaseHTML + increaseResults;
-                    oneMonthButton.remove();
-                }, { once: true });
+        /**
+         * Projects the price of the current mix over the chosen number of months with `PriceProjection.projectPrices`
+         * and renders a table for forward quotes. Besides the average purchase price of the beans, the roasted cost
+         * and the sell price of a kilogram are projected when the shelf pricing fields are valid.
+         * @returns {void} This function does not return a value.
+         */
+        function projectMixPrice() {
+            const projectionContainer = document.getElementById('mix-projection');
+            const monthsInput = document.getElementById('mix-projection-months');
+            const derived = applyInflationSource();
+            if (derived && derived.rate === null) {
+                inflationRateInput.classList.add('invalid-input');
+                projectionContainer.innerHTML = `<p style="color: var(--danger-color);">برای محاسبه نرخ از خریدها، دست‌کم یک دانه باید در دو تاریخ با فاصله حداقل ${PriceProjection.MIN_SPAN_DAYS.toLocaleString('fa-IR')} روز در انبار خریداری شده باشد.</p>`;
+                return;
+            }
+            const invalidFields = PriceProjection.validateProjectionInput({ rate: inflationRateInput.value, months: monthsInput.value });
+            inflationRateInput.classList.toggle('invalid-input', invalidFields.includes('rate'));
+            monthsInput.classList.toggle('invalid-input', invalidFields.includes('months'));
+            if (invalidFields.length > 0) {
+                projectionContainer.innerHTML = '<p style="color: var(--danger-color);">!لطفاً فیلدهای مشخص‌شده را با مقادیر معتبر پر کنید</p>';
+                return;
+            }
 
-                mixResults.appendChild(oneMonthButton);
+            const beans = readBeanRows();
+            const averagePrice = BlendLibrary.blendPrice(beans);
+            if (averagePrice === null) {
+                projectionContainer.innerHTML = '<p style="color: var(--danger-color);">ابتدا قیمت و درصد (یا وزن) دانه‌های میکس را وارد کنید.</p>';
+                return;
             }
+            const columns = [{ label: 'میانگین قیمت خرید دانه‌ها', price: averagePrice }];
+            const shelf = readMixShelfInput(beans);
+            if (shelf.invalidFields.length === 0) {
+                const shelfResult = CoffeeCalc.calculateMixShelfPrice(shelf.input);
+                const kilogramBag = shelfResult.bags.find(bag => bag.grams === 1000);
+                columns.push({ label: 'بهای تمام‌شده هر کیلو رُست‌شده', price: shelfResult.roastedCostPerKg });
+                columns.push({ label: 'قیمت فروش بسته ۱ کیلوگرمی', price: kilogramBag.retailPrice });
+            }
+
+            const rate = parseFloat(inflationRateInput.value);
+            const rows = PriceProjection.projectPrices(columns.map(column => column.price), rate, parseInt(monthsInput.value, 10));
+            const today = PersianDate.fromDateKey(RoastBatchLog.toDateKey(new Date()));
+            const monthLabel = month => {
+                const index = today.jm - 1 + month;
+                return `${PersianDate.MONTH_NAMES[index % 12]} ${(today.jy + Math.floor(index / 12)).toLocaleString('fa-IR', { useGrouping: false })}`;
+            };
+            const rateSource = derived
+                ? `میانگین نرخ ماهانه خریدهای انبار: ${derived.origins.map(entry => `${escapeHTML(entry.origin)} از ${formatDateKey(entry.fromDate)} تا ${formatDateKey(entry.toDate)} (${entry.monthlyRate.toLocaleString('fa-IR', { maximumFractionDigits: 1 })}٪)`).join('، ')}`
+                : 'نرخ تورم دستی';
+
+            projectionContainer.innerHTML = `
+                <p>نرخ تورم ماهانه: <strong>${rate.toLocaleString('fa-IR', { maximumFractionDigits: 2 })}٪</strong> — ${rateSource}</p>
+                <div class="table-scroll">
+                    <table class="data-table">
+                        <thead><tr><th>ماه</th>${columns.map(column => `<th>${column.label}</th>`).join('')}<th>تغییر نسبت به امروز</th></tr></thead>
+                        <tbody>
+                            <tr class="active-blend-row"><td>امروز</td>${columns.map(column => `<td>${formatCurrency(column.price)}</td>`).join('')}<td>-</td></tr>
+                            ${rows.map(row => `<tr>
+                                <td>${row.month.toLocaleString('fa-IR')} (${monthLabel(row.month)})</td>
+                                ${row.prices.map(price => `<td>${formatCurrency(price)}</td>`).join('')}
+                                <td>${row.factor >= 1 ? '+' : ''}${((row.factor - 1) * 100).toLocaleString('fa-IR', { maximumFractionDigits: 1 })}٪</td>
+                            </tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
         }
 
-        addBeanBtn.addEventListener('click', createBeanRow);
+        addBeanBtn.addEventListener('click', () => createBeanRow());
         calculateMixBtn.addEventListener('click', calculateMixPrice);
+        document.getElementById('solve-mix-btn').addEventListener('click', solveMixPercentages);
+        document.getElementById('save-blend-btn').addEventListener('click', saveBlend);
+        if (cards.mix) {
+            cards.mix.addEventListener('click', renderBlendLibrary);
+            cards.mix.addEventListener('click', applyInflationSource);
+        }
+        inflationSourceSelect.addEventListener('change', applyInflationSource);
+        document.getElementById('project-mix-btn').addEventListener('click', projectMixPrice);
 
         loadBeanMixData();
+        loadBlendLibrary();
+        renderBlendLibrary();
     }
 
     // ####################################
@@ -845,8 +3742,11 @@ if (sections.bakwash) {
         const modalProfitPercentInput = document.getElementById('modal-profit-percent');
         const modalConfirmBtn = document.getElementById('modal-confirm-btn');
         const closeModalBtn = roastModal.querySelector('.close-button');
+        const packageSizesGroup = document.getElementById('package-sizes-group');
+        const modalPackageSizes = document.getElementById('modal-package-sizes');
 
         let currentRowForModal = null;
+        let priceListHistory = store.get('priceListHistory', [], Array.isArray);
 
         const coffeeTypes = [
             "ویتنام","برزیل","چری","کلمبیا","اندونزی","PB","اوگاندا",
@@ -858,8 +3758,6 @@ if (sections.bakwash) {
         const powderTypes = [
             "شکلات داغ","شکلات سفید","چای ماسالا","ثعلب","کاپوچینو","کافی میکس"
         ];
-        const roastTypes = ["مدیوم", "شکلاتی", "دارک"];
-
         // Populate modal roast types
         roastTypes.forEach(type => {
             const option = document.createElement('option');
@@ -869,48 +3767,90 @@ if (sections.bakwash) {
         });
 
         /**
-         * Saves the current state of the price list to localStorage.
+         * Saves the current state of the price list to the store and records the rows that were added, removed
+         * or changed since the last save in the price history, see `PriceHistory.recordChanges`. A row added again
+         * after it was removed takes over the id of the removed one, see `PriceHistory.reuseRemovedIds`.
+         */
+        function savePriceListData() {
+            const coffeeRows = Array.from(coffeeListContainer.querySelectorAll('.price-list-dynamic-row'));
+            const powderRows = Array.from(powderListContainer.querySelectorAll('.price-list-dynamic-row'));
+
+            const items = PriceHistory.reuseRemovedIds(priceListHistory,
+                coffeeRows.map(row => Object.assign({ productType: 'coffee' }, readRowItem(row)))
+                    .concat(powderRows.map(row => Object.assign({ productType: 'powder' }, readRowItem(row)))));
+            coffeeRows.concat(powderRows).forEach((row, index) => {
+                row.dataset.id = items[index].id;
+            });
+
+            store.set('priceListCoffeeData', coffeeRows.map(readRowItem));
+            store.set('priceListPowderData', powderRows.map(readRowItem));
+
+            const changes = PriceHistory.recordChanges(priceListHistory, items, new Date().toISOString());
+            if (changes.length > 0) {
+                priceListHistory = priceListHistory.concat(changes.map(entry => Object.assign({ id: generateId() }, entry)));
+                store.set('priceListHistory', priceListHistory);
+            }
+        }
+
+        /**
+         * Reads the item of a price list row from its data attributes.
+         * @param {HTMLElement} row - The price list row.
+         * @returns {object} The id, name, purchase price and profit percentage, and for coffee rows the roast type and the package sizes.
          */
-        function savePriceListData() {
-            const coffeeRows = coffeeListContainer.querySelectorAll('.price-list-dynamic-row');
-            const powderRows = powderListContainer.querySelectorAll('.price-list-dynamic-row');
-
-            const coffeeData = Array.from(coffeeRows).map(row => ({
-                name: row.querySelector('span').textContent,
+        function readRowItem(row) {
+            const item = {
+                id: row.dataset.id,
+                name: row.querySelector('.row-name').textContent,
                 purchasePrice: row.dataset.purchasePrice,
-                profitPercent: row.dataset.profitPercent,
-                roastType: row.dataset.roastType,
-            }));
+                profitPercent: row.dataset.profitPercent
+            };
+            if (row.dataset.productType === 'coffee') {
+                item.roastType = row.dataset.roastType;
+                item.sizes = row.dataset.sizes ? JSON.parse(row.dataset.sizes) : PriceList.defaultPackageSizes();
+            }
+            return item;
+        }
 
-            const powderData = Array.from(powderRows).map(row => ({
-                name: row.querySelector('span').textContent,
-                purchasePrice: row.dataset.purchasePrice,
-                profitPercent: row.dataset.profitPercent,
-            }));
+        /**
+         * Reads the price list settings that apply to every row.
+         * @returns {{smallPackPremium: number, roundingStep: number}} The settings, see `PriceList.packagePrices`.
+         */
+        function getPriceListOptions() {
+            return {
+                smallPackPremium: getInputValue('small-pack-premium', 0),
+                roundingStep: getInputValue('price-rounding-step', 0)
+            };
+        }
 
-            localStorage.setItem('priceListCoffeeData', JSON.stringify(coffeeData));
-            localStorage.setItem('priceListPowderData', JSON.stringify(powderData));
+        /**
+         * Formats a package size for the price list, e.g. "۲۵۰ گرم" or "۱ کیلو".
+         * @param {number} grams - The package size (g).
+         * @returns {string} The label.
+         */
+        function packageSizeLabel(grams) {
+            return grams >= 1000 ? `${(grams / 1000).toLocaleString('fa-IR')} کیلو` : `${grams.toLocaleString('fa-IR')} گرم`;
         }
 
         /**
-         * Loads the price list data from localStorage and populates the UI.
+         * Loads the price list data from the store and populates the UI.
+         * The list is saved again right away, so rows stored before they had ids keep the ids given to them now
+         * and rows not in the price history yet are recorded in it.
          */
         function loadPriceListData() {
-            const coffeeData = JSON.parse(localStorage.getItem('priceListCoffeeData'));
-            const powderData = JSON.parse(localStorage.getItem('priceListPowderData'));
+            const coffeeData = store.get('priceListCoffeeData', [], Array.isArray);
+            const powderData = store.get('priceListPowderData', [], Array.isArray);
 
-            if (coffeeData) {
-                coffeeData.forEach(data => createCoffeeRow(data.name, data));
-            }
-            if (powderData) {
-                powderData.forEach(data => createPowderRow(data.name, data));
-            }
+            coffeeData.forEach(data => createCoffeeRow(data.name, data));
+            powderData.forEach(data => createPowderRow(data.name, data));
+            savePriceListData();
         }
 
         /**
          * Displays a modal dialog for entering coffee or powder product details.
          * This function makes the modal visible and populates it with information about the selected product.
          * It adjusts the modal's fields based on whether the product is a coffee bean or a powder.
+         * A row that already has a price is edited: the modal is prefilled with its purchase price,
+         * profit percentage, roast type and package sizes.
          * @param {HTMLElement} rowElement - The list row element that the modal is for.
          * @param {string} coffeeType - The name of the coffee or powder type.
          * @param {string} [productType='coffee'] - The type of product, either 'coffee' or 'powder'.
@@ -920,8 +3860,8 @@ if (sections.bakwash) {
             currentRowForModal = rowElement;
             currentRowForModal.dataset.productType = productType; // Store the type
             modalTitle.textContent = `اطلاعات: ${coffeeType}`;
-            modalPurchasePriceInput.value = '';
-            modalProfitPercentInput.value = '';
+            modalPurchasePriceInput.value = rowElement.dataset.purchasePrice || '';
+            modalProfitPercentInput.value = rowElement.dataset.profitPercent || '';
 
             // Show or hide the roast type selector based on the product type
             const roastTypeGroup = document.getElementById('roast-type-group');
@@ -929,8 +3869,11 @@ if (sections.bakwash) {
                 roastTypeGroup.style.display = 'none';
             } else {
                 roastTypeGroup.style.display = 'block';
-                modalRoastTypeSelect.selectedIndex = 0;
+                modalRoastTypeSelect.value = rowElement.dataset.roastType || '';
+                if (modalRoastTypeSelect.selectedIndex === -1) modalRoastTypeSelect.selectedIndex = 0;
+                renderModalPackageSizes(readRowItem(rowElement).sizes);
             }
+            packageSizesGroup.style.display = productType === 'powder' ? 'none' : 'block';
 
             roastModal.style.display = 'block';
         }
@@ -962,28 +3905,337 @@ if (sections.bakwash) {
                 return;
             }
 
-            // Store raw values in data attributes
-            currentRowForModal.dataset.purchasePrice = purchasePrice;
-            currentRowForModal.dataset.profitPercent = profitPercent;
-
-            const finalPrice = purchasePrice * (1 + (profitPercent / 100));
-            currentRowForModal.querySelector('.price-display').textContent = `${formatCurrency(finalPrice)} تومان`;
-
-            // Only handle roast type for coffee products
+            const values = { purchasePrice, profitPercent };
+            // Only handle roast type and package sizes for coffee products
             if (currentRowForModal.dataset.productType === 'coffee') {
-                const roastType = modalRoastTypeSelect.value;
-                currentRowForModal.dataset.roastType = roastType;
-                const roastDisplay = currentRowForModal.querySelector('.roast-display');
-                if (roastDisplay) {
-                    roastDisplay.textContent = `(${roastType})`;
-                }
+                values.roastType = modalRoastTypeSelect.value;
+                values.sizes = readModalPackageSizes();
+                if (values.sizes === null) return;
             }
+            setRowValues(currentRowForModal, values);
 
             hideModal();
             savePriceListData();
         }
 
+        /**
+         * Stores the price values of a row in its data attributes and shows its sell price and roast type.
+         * @param {HTMLElement} row - The price list row.
+         * @param {{purchasePrice: number|string, profitPercent: number|string, roastType?: string}} values - The values;
+         *        the roast type is only given for coffee rows.
+         * @returns {void} This function does not return a value.
+         */
+        function setRowValues(row, values) {
+            row.dataset.purchasePrice = values.purchasePrice;
+            row.dataset.profitPercent = values.profitPercent;
+            if (values.roastType !== undefined) row.dataset.roastType = values.roastType;
+            if (values.sizes !== undefined) row.dataset.sizes = JSON.stringify(PriceList.normalizePackageSizes(values.sizes));
+            renderRowPrices(row);
+        }
+
+        /**
+         * Shows the sell price per kilogram of a row and, for coffee rows, its roast type and the price of every
+         * package size, following the rounding step and the small-pack premium. Overridden package prices are starred.
+         * @param {HTMLElement} row - The price list row.
+         * @returns {void} This function does not return a value.
+         */
+        function renderRowPrices(row) {
+            if (row.dataset.purchasePrice === undefined) return;
+            const item = readRowItem(row);
+            const options = getPriceListOptions();
+            row.querySelector('.price-display').textContent = `${kilogramPriceText(item, options)} تومان`;
+            if (row.dataset.productType !== 'coffee') return;
+            row.querySelector('.roast-display').textContent = `(${item.roastType})`;
+            row.querySelector('.sizes-display').textContent = PriceList.packagePrices(item, options)
+                .map(pack => `${packageSizeLabel(pack.grams)}: ${formatCurrency(pack.price)}${pack.overridden ? '*' : ''}`)
+                .join(' · ');
+        }
+
+        /**
+         * Fills the package size editor of the modal.
+         * @param {object[]} sizes - The package sizes of the row.
+         * @returns {void} This function does not return a value.
+         */
+        function renderModalPackageSizes(sizes) {
+            modalPackageSizes.innerHTML = '';
+            sizes.forEach(addModalPackageSize);
+        }
+
+        /**
+         * Adds a package size to the modal's editor.
+         * @param {{grams?: number, packagingCost?: number, overridePrice?: number|null}} [size] - The size to show.
+         * @returns {void} This function does not return a value.
+         */
+        function addModalPackageSize(size = {}) {
+            const sizeRow = document.createElement('div');
+            sizeRow.className = 'package-size-row';
+            sizeRow.innerHTML = `
+                <input type="number" inputmode="numeric" class="package-grams" placeholder="وزن (گرم)" aria-label="وزن (گرم)">
+                <input type="number" inputmode="numeric" class="package-packaging" placeholder="بسته‌بندی (تومان)" aria-label="هزینه بسته‌بندی (تومان)">
+                <input type="number" inputmode="numeric" class="package-override" placeholder="قیمت دستی (اختیاری)" aria-label="قیمت دستی (اختیاری)">
+                <button class="calc-button remove-row-btn">حذف</button>
+            `;
+            sizeRow.querySelector('.package-grams').value = size.grams || '';
+            sizeRow.querySelector('.package-packaging').value = size.packagingCost || '';
+            sizeRow.querySelector('.package-override').value = size.overridePrice || '';
+            sizeRow.querySelector('.remove-row-btn').addEventListener('click', () => sizeRow.remove());
+            modalPackageSizes.appendChild(sizeRow);
+        }
+
+        /**
+         * Reads and checks the package sizes of the modal's editor; invalid fields are highlighted.
+         * @returns {object[]|null} The raw package sizes, or null when one of them is invalid.
+         */
+        function readModalPackageSizes() {
+            const sizeRows = Array.from(modalPackageSizes.querySelectorAll('.package-size-row'));
+            const fields = { grams: '.package-grams', packagingCost: '.package-packaging', overridePrice: '.package-override' };
+            const sizes = sizeRows.map(sizeRow => ({
+                grams: sizeRow.querySelector(fields.grams).value,
+                packagingCost: sizeRow.querySelector(fields.packagingCost).value,
+                overridePrice: sizeRow.querySelector(fields.overridePrice).value
+            }));
+            const invalidFields = PriceList.validatePackageSizes(sizes);
+            sizeRows.forEach((sizeRow, index) => {
+                Object.keys(fields).forEach(field => {
+                    sizeRow.querySelector(fields[field]).classList.toggle('invalid-input', invalidFields.includes(`${field}-${index}`));
+                });
+            });
+            return invalidFields.length > 0 ? null : sizes;
+        }
+
+        /**
+         * Adds the controls shared by coffee and powder rows: a checkbox that selects the row for the bulk changes,
+         * a handle to drag the row to another place in its list, a click on the row to edit it in the modal,
+         * and the delete button.
+         * @param {HTMLElement} row - The price list row; its name, price and roast elements are already in it.
+         * @param {string} name - The name of the product.
+         * @param {string} productType - The type of product, either 'coffee' or 'powder'.
+         * @returns {void} This function does not return a value.
+         */
+        function addRowControls(row, name, productType) {
+            row.dataset.productType = productType;
+            const tools = document.createElement('span');
+            tools.className = 'row-tools';
+            tools.innerHTML = `<span class="drag-handle" title="جابجایی" aria-label="جابجایی">⋮⋮</span><input type="checkbox" class="row-select" aria-label="انتخاب برای تغییر گروهی">`;
+            row.prepend(tools);
+
+            const historyBtn = document.createElement('button');
+            historyBtn.textContent = 'تاریخچه';
+            historyBtn.className = 'calc-button row-action-btn';
+            historyBtn.onclick = () => renderPriceItemHistory(row.dataset.id, name);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = 'حذف';
+            removeBtn.className = 'calc-button remove-row-btn';
+            removeBtn.onclick = () => {
+                row.remove();
+                savePriceListData();
+            };
+
+            const buttons = document.createElement('span');
+            buttons.className = 'row-buttons';
+            buttons.append(historyBtn, removeBtn);
+            row.append(buttons);
+
+            row.addEventListener('click', event => {
+                if (event.target.closest('button, input, .drag-handle')) return;
+                showModal(row, name, productType);
+            });
+            enableRowDragging(row, tools.querySelector('.drag-handle'));
+        }
+
+        /**
+         * Lets a row be dragged up or down its list by a handle. Pointer events are used, so dragging works with
+         * a mouse and on touch screens; the new order is saved when the row is dropped.
+         * @param {HTMLElement} row - The price list row.
+         * @param {HTMLElement} handle - The drag handle of the row.
+         * @returns {void} This function does not return a value.
+         */
+        function enableRowDragging(row, handle) {
+            handle.addEventListener('pointerdown', event => {
+                event.preventDefault();
+                if (handle.setPointerCapture) handle.setPointerCapture(event.pointerId);
+                row.classList.add('dragging');
+
+                const onMove = moveEvent => {
+                    const container = row.parentElement;
+                    const next = Array.from(container.children).find(other => {
+                        if (other === row) return false;
+                        const rect = other.getBoundingClientRect();
+                        return moveEvent.clientY < rect.top + rect.height / 2;
+                    });
+                    if (next !== row.nextElementSibling) container.insertBefore(row, next || null);
+                };
+                const onEnd = () => {
+                    handle.removeEventListener('pointermove', onMove);
+                    handle.removeEventListener('pointerup', onEnd);
+                    handle.removeEventListener('pointercancel', onEnd);
+                    row.classList.remove('dragging');
+                    savePriceListData();
+                };
+                handle.addEventListener('pointermove', onMove);
+                handle.addEventListener('pointerup', onEnd);
+                handle.addEventListener('pointercancel', onEnd);
+            });
+        }
+
+        /**
+         * Applies a bulk change from the bulk form to the selected rows of both lists, or to every row with a price
+         * when none is selected.
+         * @param {string} type - The change, see `PriceList.applyBulkChange`.
+         * @param {HTMLInputElement} percentInput - The input holding the percentage.
+         * @returns {void} This function does not return a value.
+         */
+        function applyBulkChange(type, percentInput) {
+            const change = { type, percent: percentInput.value };
+            const invalid = PriceList.validateBulkChange(change).length > 0;
+            percentInput.classList.toggle('invalid-input', invalid);
+            if (invalid) return;
+
+            const rows = Array.from(sections.priceList.querySelectorAll('.price-list-dynamic-row'))
+                .filter(row => row.dataset.purchasePrice !== undefined);
+            const selected = rows.filter(row => row.querySelector('.row-select').checked);
+            const targets = selected.length > 0 ? selected : rows;
+            if (targets.length === 0) return;
+            const description = type === 'increasePrice'
+                ? `قیمت خرید ${targets.length.toLocaleString('fa-IR')} ردیف ${Number(change.percent).toLocaleString('fa-IR')}٪ تغییر کند`
+                : `درصد سود ${targets.length.toLocaleString('fa-IR')} ردیف ${Number(change.percent).toLocaleString('fa-IR')}٪ شود`;
+            if (!confirm(`${description}${selected.length > 0 ? '' : ' (هیچ ردیفی انتخاب نشده؛ همه ردیف‌ها)'}؟`)) return;
+
+            targets.forEach(row => {
+                const item = { purchasePrice: row.dataset.purchasePrice, profitPercent: row.dataset.profitPercent };
+                setRowValues(row, PriceList.applyBulkChange(item, change));
+                row.querySelector('.row-select').checked = false;
+            });
+            document.getElementById('bulk-select-all').checked = false;
+            savePriceListData();
+        }
+
+        /**
+         * Formats the change between two prices of the price history as a table cell; a price increase is marked as worse.
+         * @param {number} before - The old price.
+         * @param {number} after - The new price.
+         * @param {number|null} percent - The change (%), null when there is nothing to compare.
+         * @returns {string} The HTML of the cell, '-' when the price did not change.
+         */
+        function priceHistoryChangeCell(before, after, percent) {
+            if (percent === null || Math.round(after - before) === 0) return '<td>-</td>';
+            const sign = after > before ? '+' : '';
+            return `<td class="${after > before ? 'delta-worse' : 'delta-better'}">${sign}${formatCurrency(after - before)} (${sign}${percent.toLocaleString('fa-IR', { maximumFractionDigits: 1 })}٪)</td>`;
+        }
+
+        /**
+         * Shows the recorded changes of a price list row, newest first.
+         * @param {string} itemId - The id of the row.
+         * @param {string} name - The name of the row's product.
+         * @returns {void} This function does not return a value.
+         */
+        function renderPriceItemHistory(itemId, name) {
+            const container = document.getElementById('price-item-history');
+            const entries = PriceHistory.itemHistory(priceListHistory, itemId).reverse();
+            if (entries.length === 0) {
+                container.innerHTML = `<p>برای «${escapeHTML(name)}» هنوز قیمتی ثبت نشده است.</p>`;
+                return;
+            }
+            const isCoffee = entries[0].productType === 'coffee';
+            container.innerHTML = `
+                <p>تاریخچه قیمت «${escapeHTML(name)}»</p>
+                <div class="table-scroll">
+                    <table class="data-table">
+                        <thead><tr><th>تاریخ</th><th>قیمت خرید</th><th>درصد سود</th>${isCoffee ? '<th>نوع رست</th>' : ''}<th>قیمت فروش (هر کیلو)</th><th>تغییر</th></tr></thead>
+                        <tbody>${entries.map((entry, index) => entry.removed
+                            ? `<tr><td>${formatLogTime(entry.timestamp)}</td><td colspan="${isCoffee ? 5 : 4}">از لیست حذف شد</td></tr>`
+                            : `<tr>
+                                <td>${formatLogTime(entry.timestamp)}</td>
+                                <td>${formatCurrency(entry.purchasePrice)}</td>
+                                <td>${entry.profitPercent.toLocaleString('fa-IR')}٪</td>
+                                ${isCoffee ? `<td>${escapeHTML(entry.roastType)}</td>` : ''}
+                                <td>${formatCurrency(entry.sellPrice)}</td>
+                                ${priceHistoryChangeCell(index + 1 < entries.length ? entries[index + 1].sellPrice : 0, entry.sellPrice, entry.changePercent)}
+                            </tr>`).join('')}</tbody>
+                    </table>
+                </div>
+            `;
+        }
+
+        /**
+         * Lists the items of the price list that were added, removed, raised or lowered between the two dates of the
+         * comparison form, see `PriceHistory.diffPrices`.
+         * @returns {void} This function does not return a value.
+         */
+        function renderPriceDiff() {
+            const fromInput = document.getElementById('price-diff-from');
+            const toInput = document.getElementById('price-diff-to');
+            const invalid = !fromInput.value || !toInput.value || fromInput.value > toInput.value;
+            fromInput.classList.toggle('invalid-input', invalid);
+            toInput.classList.toggle('invalid-input', invalid);
+            const container = document.getElementById('price-diff');
+            if (invalid) {
+                container.innerHTML = '<p>لطفاً دو تاریخ را وارد کنید؛ تاریخ اول نباید بعد از تاریخ دوم باشد.</p>';
+                return;
+            }
+
+            const diff = PriceHistory.diffPrices(priceListHistory, fromInput.value, toInput.value);
+            const rows = [
+                ['raised', 'افزایش قیمت'],
+                ['lowered', 'کاهش قیمت'],
+                ['added', 'اضافه شده'],
+                ['removed', 'حذف شده']
+            ].map(([key, label]) => diff[key].map(item => `<tr>
+                    <td>${escapeHTML(item.name)}${item.roastType ? ` (${escapeHTML(item.roastType)})` : ''}</td>
+                    <td>${label}</td>
+                    <td>${item.before !== null ? formatCurrency(item.before) : '-'}</td>
+                    <td>${item.after !== null ? formatCurrency(item.after) : '-'}</td>
+                    ${priceHistoryChangeCell(item.before, item.after, item.changePercent)}
+                </tr>`).join('')).join('');
+            if (!rows) {
+                container.innerHTML = `<p>از ${formatDateKey(fromInput.value)} تا ${formatDateKey(toInput.value)} قیمتی تغییر نکرده است.</p>`;
+                return;
+            }
+            container.innerHTML = `
+                <p>تغییرات از پایان ${formatDateKey(fromInput.value)} تا پایان ${formatDateKey(toInput.value)} (قیمت فروش هر کیلو)</p>
+                <div class="table-scroll">
+                    <table class="data-table">
+                        <thead><tr><th>محصول</th><th>تغییر</th><th>قیمت قبلی</th><th>قیمت جدید</th><th>درصد تغییر</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            `;
+        }
+
+        /**
+         * The labels of the price changes marked in the image and the PDF, by the kind of change of `PriceHistory.diffPrices`.
+         * @type {Object<string, string>}
+         */
+        const PRICE_CHANGE_MARKS = { added: 'جدید', raised: 'افزایش قیمت', lowered: 'کاهش قیمت' };
+
+        /**
+         * Finds the items whose price changed in the period chosen for the image and the PDF.
+         * @returns {Map<string, {kind: string, label: string}>} The kind of change and its label by item id; empty when
+         *          changes are not marked.
+         */
+        function priceChangeMarks() {
+            const marks = new Map();
+            const days = getInputValue('image-change-marks', 0);
+            if (!(days > 0)) return marks;
+            const today = RoastBatchLog.toDateKey(new Date());
+            const diff = PriceHistory.diffPrices(priceListHistory, MaintenanceLog.addDays(today, -days), today);
+            Object.keys(PRICE_CHANGE_MARKS).forEach(kind => {
+                diff[kind].forEach(item => marks.set(item.itemId, { kind, label: PRICE_CHANGE_MARKS[kind] }));
+            });
+            return marks;
+        }
+
         modalConfirmBtn.addEventListener('click', handleModalConfirm);
+        document.getElementById('modal-add-size-btn').addEventListener('click', () => addModalPackageSize());
+        const renderAllRowPrices = () => sections.priceList.querySelectorAll('.price-list-dynamic-row').forEach(renderRowPrices);
+        ['price-rounding-step', 'small-pack-premium'].forEach(id => document.getElementById(id).addEventListener('input', renderAllRowPrices));
+        if (cards.priceList) cards.priceList.addEventListener('click', renderAllRowPrices);
+        document.getElementById('bulk-price-btn').addEventListener('click', () => applyBulkChange('increasePrice', document.getElementById('bulk-price-percent')));
+        document.getElementById('bulk-margin-btn').addEventListener('click', () => applyBulkChange('setMargin', document.getElementById('bulk-margin-percent')));
+        document.getElementById('bulk-select-all').addEventListener('change', event => {
+            sections.priceList.querySelectorAll('.row-select').forEach(checkbox => { checkbox.checked = event.target.checked; });
+        });
         closeModalBtn.addEventListener('click', hideModal);
         window.addEventListener('click', (event) => {
             if (event.target === roastModal) hideModal();
@@ -999,8 +4251,10 @@ if (sections.bakwash) {
         function createCoffeeRow(coffeeType, data = null) {
             const row = document.createElement('div');
             row.className = 'price-list-dynamic-row';
+            row.dataset.id = (data && data.id) || generateId();
 
             const coffeeName = document.createElement('span');
+            coffeeName.className = 'row-name';
             coffeeName.textContent = coffeeType;
 
             const priceDisplay = document.createElement('span');
@@ -1009,24 +4263,16 @@ if (sections.bakwash) {
             const roastDisplay = document.createElement('span');
             roastDisplay.className = 'roast-display';
 
-            const removeBtn = document.createElement('button');
-            removeBtn.textContent = 'حذف';
-            removeBtn.className = 'calc-button remove-row-btn';
-            removeBtn.onclick = () => {
-                row.remove();
-                savePriceListData();
-            };
+            const sizesDisplay = document.createElement('span');
+            sizesDisplay.className = 'sizes-display';
 
-            row.append(coffeeName, priceDisplay, roastDisplay, removeBtn);
+            row.append(coffeeName, priceDisplay, roastDisplay);
+            addRowControls(row, coffeeType, 'coffee');
+            row.append(sizesDisplay);
             coffeeListContainer.appendChild(row);
 
             if (data) {
-                row.dataset.purchasePrice = data.purchasePrice;
-                row.dataset.profitPercent = data.profitPercent;
-                row.dataset.roastType = data.roastType;
-                const finalPrice = data.purchasePrice * (1 + (data.profitPercent / 100));
-                priceDisplay.textContent = `${formatCurrency(finalPrice)} تومان`;
-                roastDisplay.textContent = `(${data.roastType})`;
+                setRowValues(row, Object.assign({ sizes: PriceList.defaultPackageSizes() }, data));
             } else {
                 showModal(row, coffeeType);
             }
@@ -1042,93 +4288,257 @@ if (sections.bakwash) {
         function createPowderRow(powderType, data = null) {
             const row = document.createElement('div');
             row.className = 'price-list-dynamic-row';
+            row.dataset.id = (data && data.id) || generateId();
             const powderName = document.createElement('span');
+            powderName.className = 'row-name';
             powderName.textContent = powderType;
             const priceDisplay = document.createElement('span');
             priceDisplay.className = 'price-display';
-            const removeBtn = document.createElement('button');
-            removeBtn.textContent = 'حذف';
-            removeBtn.className = 'calc-button remove-row-btn';
-            removeBtn.onclick = () => {
-                row.remove();
-                savePriceListData();
-            };
-            row.append(powderName, priceDisplay, removeBtn);
+            row.append(powderName, priceDisplay);
+            addRowControls(row, powderType, 'powder');
             powderListContainer.appendChild(row);
 
             if (data) {
-                row.dataset.purchasePrice = data.purchasePrice;
-                row.dataset.profitPercent = data.profitPercent;
-                const finalPrice = data.purchasePrice * (1 + (data.profitPercent / 100));
-                priceDisplay.textContent = `${formatCurrency(finalPrice)} تومان`;
+                setRowValues(row, data);
             } else {
                 showModal(row, powderType, 'powder');
             }
         }
-        function generateImage() {
-            const brandName = document.getElementById('brand-name').value || 'کافه شما';
-            const socialId = document.getElementById('social-id').value || '@your_cafe';
 
-            document.getElementById('image-brand-name').textContent = brandName;
-            document.getElementById('image-social-id').textContent = socialId;
+        /**
+         * Reads an uploaded image of the price list image, the logo or the background.
+         * @param {string} id - `logo` or `background`.
+         * @returns {string|null} The image as a data URL, or null when none is uploaded.
+         */
+        function getImageAsset(id) {
+            const asset = store.get('priceListImages', [], Array.isArray).find(entry => entry.id === id);
+            return asset ? asset.dataUrl : null;
+        }
 
-            const imageTemplate = document.getElementById('image-output-template');
-            const imageCoffeeList = imageTemplate.querySelector('#image-coffee-list');
-            const imagePowderList = imageTemplate.querySelector('#image-powder-list');
+        /**
+         * Stores or removes an uploaded image of the price list image and updates its status.
+         * @param {string} id - `logo` or `background`.
+         * @param {string|null} dataUrl - The image as a data URL, or null to remove it.
+         * @returns {void} This function does not return a value.
+         */
+        function setImageAsset(id, dataUrl) {
+            const assets = store.get('priceListImages', [], Array.isArray).filter(entry => entry.id !== id);
+            if (dataUrl) assets.push({ id, dataUrl });
+            store.set('priceListImages', assets);
+            renderImageAssets();
+        }
 
-            imageCoffeeList.innerHTML = '<h3>دانه‌های قهوه</h3>';
-            imagePowderList.innerHTML = '<h3>محصولات پودری</h3>';
-
-            let hasContent = false;
-            coffeeListContainer.querySelectorAll('.price-list-dynamic-row').forEach(row => {
-                const coffee = row.querySelector('span').textContent;
-                const roast = row.dataset.roastType;
-                const price = parseFloat(row.dataset.purchasePrice);
-                const percent = parseFloat(row.dataset.profitPercent);
-
-                if (coffee && roast && !isNaN(price) && !isNaN(percent)) {
-                    hasContent = true;
-                    const finalPrice = price * (1 + (percent / 100));
-                    const item = document.createElement('div');
-                    item.className = 'image-item-row';
-                    item.innerHTML = `<span class="item-name">${coffee} (${roast})</span><span class="item-price">${formatCurrency(finalPrice)} تومان</span>`;
-                    imageCoffeeList.appendChild(item);
-                }
+        /**
+         * Shows whether a logo and a background image are uploaded, with their remove buttons.
+         * @returns {void} This function does not return a value.
+         */
+        function renderImageAssets() {
+            ['logo', 'background'].forEach(id => {
+                const uploaded = getImageAsset(id) !== null;
+                document.getElementById(`image-${id}-status`).textContent = uploaded ? 'انتخاب شده' : 'انتخاب نشده';
+                document.getElementById(`remove-image-${id}-btn`).style.display = uploaded ? '' : 'none';
+            });
+        }
+
+        /**
+         * Reads the image picked in a file input and stores it as the logo or the background.
+         * @param {string} id - `logo` or `background`.
+         * @param {HTMLInputElement} input - The file input.
+         * @returns {void} This function does not return a value.
+         */
+        function uploadImageAsset(id, input) {
+            const file = input.files[0];
+            input.value = '';
+            if (!file) return;
+            if (!file.type.startsWith('image/')) {
+                alert('لطفا یک فایل تصویری انتخاب کنید.');
+                return;
+            }
+            const reader = new FileReader();
+            reader.onload = () => setImageAsset(id, reader.result);
+            reader.readAsDataURL(file);
+        }
+
+        /**
+         * Applies the chosen template and the branding to the image template: size, accent color, background,
+         * logo, brand name, social ID, "valid from" date and contact details.
+         * @param {HTMLElement} imageTemplate - The image template.
+         * @param {string} templateId - The template, a key of `PriceList.IMAGE_TEMPLATES`.
+         * @returns {void} This function does not return a value.
+         */
+        function applyImageBranding(imageTemplate, templateId) {
+            const template = PriceList.IMAGE_TEMPLATES[templateId];
+            Object.keys(PriceList.IMAGE_TEMPLATES).forEach(id => imageTemplate.classList.toggle(`template-${id}`, id === templateId));
+            imageTemplate.style.width = `${template.width}px`;
+            imageTemplate.style.height = `${template.height}px`;
+            imageTemplate.style.setProperty('--primary-color', document.getElementById('image-accent-color').value);
+
+            const background = getImageAsset('background');
+            imageTemplate.classList.toggle('has-background', background !== null);
+            imageTemplate.style.backgroundImage = background ? `url("${background}")` : '';
+
+            const logo = getImageAsset('logo');
+            const logoImage = document.getElementById('image-logo');
+            logoImage.style.display = logo ? 'block' : 'none';
+            if (logo) logoImage.src = logo;
+
+            const branding = priceListBranding();
+            document.getElementById('image-brand-name').textContent = branding.brandName;
+            document.getElementById('image-social-id').textContent = branding.socialId;
+            document.getElementById('image-valid-from').textContent = branding.validFrom;
+            document.getElementById('image-contact').textContent = branding.contact;
+        }
+
+        /**
+         * Reads the branding texts of the price list shared by the image and the PDF.
+         * @returns {{brandName: string, socialId: string, validFrom: string, contact: string}} The brand name and social ID
+         *          (with placeholders when empty), the "valid from" line in the Persian calendar and the phone and address
+         *          line, both empty when not filled in.
+         */
+        function priceListBranding() {
+            const validFrom = document.getElementById('price-valid-from').value;
+            const phone = document.getElementById('image-phone').value.trim();
+            const address = document.getElementById('image-address').value.trim();
+            return {
+                brandName: document.getElementById('brand-name').value || 'کافه شما',
+                socialId: document.getElementById('social-id').value || '@your_cafe',
+                validFrom: validFrom ? `قیمت‌ها معتبر از ${PersianDate.format(PersianDate.fromDateKey(validFrom))}` : '',
+                contact: [phone && `تلفن: ${phone}`, address && `آدرس: ${address}`].filter(Boolean).join(' | ')
+            };
+        }
+
+        /**
+         * Collects the items of the price list that can be priced.
+         * @returns {{coffeeItems: object[], powderItems: object[], sizeColumns: number[]}} The coffees with a roast type and
+         *          the powders that have a name, a purchase price and a profit percentage, see `readRowItem`, and the package
+         *          sizes (g) of all coffees, lightest first.
+         */
+        function collectPriceListItems() {
+            const hasPrice = item => item.name && !isNaN(parseFloat(item.purchasePrice)) && !isNaN(parseFloat(item.profitPercent));
+            const coffeeItems = Array.from(coffeeListContainer.querySelectorAll('.price-list-dynamic-row')).map(readRowItem)
+                .filter(item => hasPrice(item) && item.roastType);
+            const powderItems = Array.from(powderListContainer.querySelectorAll('.price-list-dynamic-row')).map(readRowItem).filter(hasPrice);
+            const sizeColumns = [...new Set([].concat(...coffeeItems.map(item => PriceList.normalizePackageSizes(item.sizes).map(size => size.grams))))].sort((a, b) => a - b);
+            return { coffeeItems, powderItems, sizeColumns };
+        }
+
+        /**
+         * Labels the price columns of the coffees.
+         * @param {number[]} sizeColumns - The package sizes (g) of the columns.
+         * @returns {string[]} A label per size, or a single per-kilogram column when no coffee has package sizes.
+         */
+        function coffeeColumnHeaders(sizeColumns) {
+            return sizeColumns.length > 0 ? sizeColumns.map(packageSizeLabel) : ['هر کیلو'];
+        }
+
+        /**
+         * Formats the rounded sell price of an item per kilogram.
+         * @param {object} item - The item, see `readRowItem`.
+         * @param {object} options - The price list settings, see `getPriceListOptions`.
+         * @returns {string} The formatted price (toman).
+         */
+        function kilogramPriceText(item, options) {
+            return formatCurrency(PriceList.roundPrice(PriceList.finalPrice(item), options.roundingStep));
+        }
+
+        /**
+         * Prices a coffee for the columns of `coffeeColumnHeaders`.
+         * @param {object} item - The coffee, see `readRowItem`.
+         * @param {number[]} sizeColumns - The package sizes (g) of the columns.
+         * @param {object} options - The price list settings, see `getPriceListOptions`.
+         * @returns {string[]} The formatted price of every column; '-' for a size the coffee is not sold in.
+         */
+        function coffeePriceCells(item, sizeColumns, options) {
+            if (sizeColumns.length === 0) return [kilogramPriceText(item, options)];
+            const packs = PriceList.packagePrices(item, options);
+            return sizeColumns.map(grams => {
+                const pack = packs.find(entry => entry.grams === grams);
+                return pack ? formatCurrency(pack.price) : '-';
             });
-            if (imageCoffeeList.children.length <= 1) imageCoffeeList.innerHTML = '';
+        }
 
+        /**
+         * Names the downloaded price list files after the brand.
+         * @returns {string} The file name without its extension.
+         */
+        function priceListFileName() {
+            return `${priceListBranding().brandName.replace(/\s+/g, '-')}-price-list`;
+        }
 
-            powderListContainer.querySelectorAll('.price-list-dynamic-row').forEach(row => {
-                const powder = row.querySelector('span').textContent;
-                const price = parseFloat(row.dataset.purchasePrice);
-                const percent = parseFloat(row.dataset.profitPercent);
+        /**
+         * Renders one page of the price list into the image template.
+         * @param {HTMLElement} imageTemplate - The image template.
+         * @param {object[]} page - The parts of the sections on the page, see `PriceList.paginateSections`.
+         * @param {number[]} sizeColumns - The package sizes (g) shown as columns of the coffee table, the same on every page.
+         * @param {string} pageLabel - The page number shown in the footer, empty for a single page.
+         * @param {Map<string, {kind: string, label: string}>} changeMarks - The items marked as new or changed, see `priceChangeMarks`.
+         * @returns {void} This function does not return a value.
+         */
+        function renderImagePage(imageTemplate, page, sizeColumns, pageLabel, changeMarks) {
+            const options = getPriceListOptions();
+            const imageCoffeeList = imageTemplate.querySelector('#image-coffee-list');
+            const imagePowderList = imageTemplate.querySelector('#image-powder-list');
+            imageCoffeeList.innerHTML = '';
+            imagePowderList.innerHTML = '';
+            imageCoffeeList.style.display = 'none';
+            imagePowderList.style.display = 'none';
+            const markOf = item => {
+                const mark = changeMarks.get(item.id);
+                return mark ? ` <span class="price-change-mark mark-${mark.kind}">${mark.label}</span>` : '';
+            };
 
-                if (powder && !isNaN(price) && !isNaN(percent)) {
-                    hasContent = true;
-                    const finalPrice = price * (1 + (percent / 100));
-                    const item = document.createElement('div');
-                    item.className = 'image-item-row';
-                    item.innerHTML = `<span class="item-name">${powder}</span><span class="item-price">${formatCurrency(finalPrice)} تومان</span>`;
-                    imagePowderList.appendChild(item);
+            page.forEach(part => {
+                const title = `<h3>${part.title}${part.continued ? ' (ادامه)' : ''}</h3>`;
+                if (part.id === 'coffee') {
+                    const headers = coffeeColumnHeaders(sizeColumns);
+                    imageCoffeeList.innerHTML = `${title}<table class="image-price-table"><thead><tr><th></th>${headers.map(header => `<th>${header}</th>`).join('')}</tr></thead><tbody>${part.rows.map(item =>
+                        `<tr><td class="item-name">${escapeHTML(item.name)} (${escapeHTML(item.roastType)})${markOf(item)}</td>${coffeePriceCells(item, sizeColumns, options).map(cell => `<td class="item-price">${cell}</td>`).join('')}</tr>`
+                    ).join('')}</tbody></table><p>قیمت‌ها به تومان</p>`;
+                    imageCoffeeList.style.display = '';
+                } else {
+                    imagePowderList.innerHTML = title + part.rows.map(item =>
+                        `<div class="image-item-row"><span class="item-name">${escapeHTML(item.name)}${markOf(item)}</span><span class="item-price">${kilogramPriceText(item, options)} تومان</span></div>`
+                    ).join('');
+                    imagePowderList.style.display = '';
                 }
             });
+            document.getElementById('image-page-number').textContent = pageLabel;
+        }
 
-            if (imagePowderList.children.length <= 1) imagePowderList.innerHTML = '';
+        /**
+         * Renders the price list with the chosen template and downloads it as PNG images, one per page.
+         * A list too long for one page is split over several pages, see `PriceList.paginateSections`.
+         * @returns {void} This function does not return a value.
+         */
+        function generateImage() {
+            const { coffeeItems, powderItems, sizeColumns } = collectPriceListItems();
 
+            const templateId = PriceList.IMAGE_TEMPLATES[document.getElementById('image-template').value] ? document.getElementById('image-template').value : 'post';
+            const pages = PriceList.paginateSections([
+                { id: 'coffee', title: 'دانه‌های قهوه', rows: coffeeItems },
+                { id: 'powder', title: 'محصولات پودری', rows: powderItems }
+            ], PriceList.IMAGE_TEMPLATES[templateId].rowsPerPage);
 
-            if (!hasContent) {
+            if (pages.length === 0) {
                 alert('لطفا حداقل یک مورد را برای ایجاد تصویر وارد کنید.');
                 return;
             }
 
-            imageTemplate.style.display = 'block';
-
-            html2canvas(imageTemplate, { useCORS: true, scale: 2 }).then(canvas => {
-                const image = canvas.toDataURL('image/png');
-                const link = document.createElement('a');
-                link.href = image;
-                link.download = `${brandName.replace(/\s+/g, '-')}-price-list.png`;
-                link.click();
+            const imageTemplate = document.getElementById('image-output-template');
+            const fileName = priceListFileName();
+            const changeMarks = priceChangeMarks();
+            applyImageBranding(imageTemplate, templateId);
+            imageTemplate.style.display = 'flex';
+
+            pages.reduce((previous, page, index) => previous.then(() => {
+                renderImagePage(imageTemplate, page, sizeColumns, pages.length > 1 ? `صفحه ${index + 1} از ${pages.length}` : '', changeMarks);
+                return html2canvas(imageTemplate, { useCORS: true, scale: 2 }).then(canvas => {
+                    const link = document.createElement('a');
+                    link.href = canvas.toDataURL('image/png');
+                    link.download = pages.length > 1 ? `${fileName}-${index + 1}.png` : `${fileName}.png`;
+                    link.click();
+                });
+            }), Promise.resolve()).then(() => {
                 imageTemplate.style.display = 'none';
             }).catch(err => {
                 console.error("Error generating image:", err);
@@ -1137,6 +4547,51 @@ if (sections.bakwash) {
             });
         }
 
+        /**
+         * Downloads the price list as a print-ready A4 PDF with the branding of the image.
+         * A list too long for one page continues on the next pages.
+         * @returns {void} This function does not return a value.
+         */
+        function generatePdf() {
+            const { coffeeItems, powderItems, sizeColumns } = collectPriceListItems();
+            if (coffeeItems.length === 0 && powderItems.length === 0) {
+                alert('لطفا حداقل یک مورد را برای ایجاد فایل PDF وارد کنید.');
+                return;
+            }
+
+            const options = getPriceListOptions();
+            const branding = priceListBranding();
+            const changeMarks = priceChangeMarks();
+            const nameCell = (item, name) => (changeMarks.has(item.id) ? `${name} • ${changeMarks.get(item.id).label}` : name);
+            const sections = [];
+            if (coffeeItems.length > 0) {
+                sections.push({
+                    title: 'دانه‌های قهوه (قیمت‌ها به تومان)',
+                    table: {
+                        headers: [''].concat(coffeeColumnHeaders(sizeColumns)),
+                        rows: coffeeItems.map(item => [nameCell(item, `${item.name} (${item.roastType})`)].concat(coffeePriceCells(item, sizeColumns, options)))
+                    }
+                });
+            }
+            if (powderItems.length > 0) {
+                sections.push({
+                    title: 'محصولات پودری',
+                    table: {
+                        headers: ['', 'قیمت (تومان)'],
+                        rows: powderItems.map(item => [nameCell(item, item.name), kilogramPriceText(item, options)])
+                    }
+                });
+            }
+
+            downloadPdf({
+                title: branding.brandName,
+                subtitle: [branding.socialId, branding.validFrom].filter(Boolean),
+                logo: getImageAsset('logo'),
+                sections,
+                footer: [branding.contact, 'تهیه شده با ابزار قهوه مجید'].filter(Boolean)
+            }, `${priceListFileName()}.pdf`, { accentColor: document.getElementById('image-accent-color').value });
+        }
+
         coffeeSearchInput.addEventListener('input', (e) => {
             const searchTerm = e.target.value;
             const lowerCaseSearchTerm = searchTerm.toLowerCase();
@@ -1210,26 +4665,184 @@ if (sections.bakwash) {
             }
         });
 
+        const imageTemplateSelect = document.getElementById('image-template');
+        imageTemplateSelect.innerHTML = Object.entries(PriceList.IMAGE_TEMPLATES)
+            .map(([id, template]) => `<option value="${id}">${template.label}</option>`).join('');
+        ['logo', 'background'].forEach(id => {
+            document.getElementById(`image-${id}-file`).addEventListener('change', event => uploadImageAsset(id, event.target));
+            document.getElementById(`remove-image-${id}-btn`).addEventListener('click', () => setImageAsset(id, null));
+        });
+        renderImageAssets();
+
         generateImageBtn.addEventListener('click', generateImage);
+        sections.priceList.querySelector('#generate-pdf-btn').addEventListener('click', generatePdf);
+        const todayKey = RoastBatchLog.toDateKey(new Date());
+        document.getElementById('price-diff-from').value = MaintenanceLog.addDays(todayKey, -30);
+        document.getElementById('price-diff-to').value = todayKey;
+        document.getElementById('price-diff-btn').addEventListener('click', renderPriceDiff);
         loadPriceListData();
     }
 
     // Initialize all functionalities
     initializePersistentInputs();
+    renderInventory();
+    renderMenuItems();
     setInterval(updateClock, 1000);
     updateClock();
 
+    // ####################################
+    // Offline Support
+    // ####################################
+    // The service worker precaches the app shell so the app installs to the home screen and works offline.
+    // Service workers are only available over http(s), not when index.html is opened from the file system.
+    // When registration fails the app simply keeps working online, so the failure is not reported.
+    if ('serviceWorker' in navigator && location.protocol.startsWith('http')) {
+        navigator.serviceWorker.register('sw.js').catch(() => {});
+    }
+
     // ####################################
     // Reset All Data Logic
     // ####################################
     const resetAllDataBtn = document.getElementById('reset-all-data-btn');
     if (resetAllDataBtn) {
-        resetAllDataBtn.addEventListener('click', () => {
+        resetAllDataBtn.addEventListener('click', async () => {
             if (confirm('آیا مطمئن هستید که می‌خواهید تمام داده‌های ذخیره شده را پاک کنید؟')) {
+                await store.clear();
                 localStorage.clear();
                 alert('تمام داده‌ها با موفقیت پاک شدند.');
                 location.reload();
             }
         });
     }
-});
\ No newline at end of file
+
+    // ####################################
+    // Backup & Restore Logic
+    // ####################################
+    /**
+     * Reads every tool's saved state from the store into a backup data object.
+     * @returns {object} The saved state, see `CoffeeBackup.emptyData`.
+     */
+    function collectBackupData() {
+        const data = CoffeeBackup.emptyData();
+        data.inputs = store.get('inputs', {}, isPlainObject);
+        data.theme = getStoredTheme();
+        data.activeBlendId = store.get('activeBlendId', null, value => typeof value === 'string') || null;
+        Object.keys(CoffeeBackup.LIST_KEYS).forEach(key => {
+            data[key] = store.get(key, [], Array.isArray);
+        });
+        return data;
+    }
+
+    /**
+     * Writes a backup data object back to the store, replacing the saved inputs, theme, selected blend and lists.
+     * @param {object} data - The data to store, see `CoffeeBackup.emptyData`.
+     * @returns {Promise<boolean>} Resolves when every value has been written, with false when a write failed.
+     */
+    function storeBackupData(data) {
+        const inputs = {};
+        Object.entries(data.inputs).forEach(([id, value]) => {
+            if (persistInputIds.includes(id)) inputs[id] = value;
+        });
+        store.set('inputs', inputs);
+        if (data.theme) {
+            setStoredTheme(data.theme);
+        } else {
+            store.remove('theme');
+        }
+        if (data.activeBlendId) {
+            store.set('activeBlendId', data.activeBlendId);
+        } else {
+            store.remove('activeBlendId');
+        }
+        Object.keys(CoffeeBackup.LIST_KEYS).forEach(key => {
+            store.set(key, data[key]);
+        });
+        return store.flush();
+    }
+
+    /**
+     * Downloads every tool's saved state as a versioned JSON backup file.
+     * @returns {void} This function does not return a value.
+     */
+    function exportBackup() {
+        const backup = CoffeeBackup.createBackup(collectBackupData());
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `majid-coffee-backup-${RoastBatchLog.toDateKey(new Date())}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    const restoreModal = document.getElementById('restore-modal');
+    const importBackupFile = document.getElementById('import-backup-file');
+    let pendingBackup = null;
+
+    /**
+     * Reads the selected backup file and, if it is valid, asks whether to merge it or replace the current data.
+     * Invalid files are reported with an alert and nothing is changed.
+     * @param {File} file - The selected backup file.
+     * @returns {void} This function does not return a value.
+     */
+    function openBackupFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                pendingBackup = CoffeeBackup.readBackup(reader.result, persistInputIds.concat(legacyInputIds));
+            } catch (err) {
+                alert(err instanceof CoffeeBackup.BackupError ? err.message : 'متاسفانه در خواندن فایل پشتیبان مشکلی پیش آمد.');
+                return;
+            }
+
+            const counts = CoffeeBackup.describeData(pendingBackup.data);
+            const createdAt = pendingBackup.createdAt ? new Date(pendingBackup.createdAt).toLocaleString('fa-IR') : 'نامشخص';
+            document.getElementById('restore-summary').innerHTML = `
+                <p><strong>تاریخ پشتیبان:</strong> ${createdAt}</p>
+                <p><strong>مقادیر ذخیره شده:</strong> ${counts.inputs}</p>
+                <p><strong>بچ‌های رُست:</strong> ${counts.roastBatchLog}</p>
+                <p><strong>خریدهای انبار:</strong> ${counts.greenInventory}</p>
+                <p><strong>دانه‌های میکس:</strong> ${counts.beanMixData}</p>
+                <p><strong>لیست قیمت:</strong> ${counts.priceListCoffeeData} دانه، ${counts.priceListPowderData} پودری</p>
+            `;
+            restoreModal.style.display = 'block';
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Stores the pending backup, merged with or replacing the current data, and reloads the page.
+     * When the data cannot be stored, the page is not reloaded and the problem is shown in the storage notice.
+     * @param {'merge'|'replace'} mode - How to combine the backup with the current data.
+     * @returns {Promise<void>} Resolves once the data has been stored or the failure shown.
+     */
+    async function restoreBackup(mode) {
+        if (!pendingBackup) return;
+        if (mode === 'replace' && !confirm('تمام داده‌های فعلی با داده‌های فایل پشتیبان جایگزین می‌شوند. ادامه می‌دهید؟')) return;
+        const data = CoffeeBackup.combineData(collectBackupData(), pendingBackup.data, mode);
+        pendingBackup = null;
+        restoreModal.style.display = 'none';
+        try {
+            if (!(await storeBackupData(data))) throw new Error('A value of the backup could not be written.');
+        } catch (error) {
+            showStorageNotice({ key: 'backup', message: 'بازیابی فایل پشتیبان کامل ذخیره نشد و ممکن است بخشی از داده‌ها ناقص باشد؛ دوباره تلاش کنید.', error });
+            return;
+        }
+        alert('داده‌ها با موفقیت بازیابی شدند.');
+        location.reload();
+    }
+
+    if (restoreModal) {
+        document.getElementById('export-backup-btn').addEventListener('click', exportBackup);
+        document.getElementById('import-backup-btn').addEventListener('click', () => importBackupFile.click());
+        importBackupFile.addEventListener('change', () => {
+            if (importBackupFile.files.length > 0) openBackupFile(importBackupFile.files[0]);
+            importBackupFile.value = '';
+        });
+        document.getElementById('restore-merge-btn').addEventListener('click', () => restoreBackup('merge'));
+        document.getElementById('restore-replace-btn').addEventListener('click', () => restoreBackup('replace'));
+        restoreModal.querySelector('.close-button').addEventListener('click', () => {
+            restoreModal.style.display = 'none';
+            pendingBackup = null;
+        });
+    }
+});
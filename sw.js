@@ -0,0 +1,89 @@
+/**
+ * Service worker that makes the app work offline.
+ * On install it precaches the whole app shell (pages, scripts, styles, the vendored html2canvas,
+ * jsPDF, Vazirmatn font and beep sound, and the menu icons). Requests are then answered from the cache first,
+ * falling back to the network; page navigations fall back to the cached `index.html`.
+ * Bump `CACHE_NAME` whenever a precached file changes so clients pick up the new version.
+ */
+const CACHE_NAME = 'majid-coffee-v23';
+
+/**
+ * Every file the app needs to run without a connection, relative to the service worker.
+ * @type {string[]}
+ */
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'manifest.webmanifest',
+    'js/calculations.js',
+    'js/persian-date.js',
+    'js/charts.js',
+    'js/batch-log.js',
+    'js/inventory.js',
+    'js/backup.js',
+    'js/storage.js',
+    'js/timer-scheduler.js',
+    'js/brew-recipes.js',
+    'js/shot-log.js',
+    'js/menu-costing.js',
+    'js/overheads.js',
+    'js/scenarios.js',
+    'js/mix-optimizer.js',
+    'js/blends.js',
+    'js/price-projection.js',
+    'js/price-list.js',
+    'js/price-history.js',
+    'js/pdf-export.js',
+    'js/backwash-programs.js',
+    'js/maintenance.js',
+    'js/sales-ledger.js',
+    'vendor/html2canvas/html2canvas.min.js',
+    'vendor/jspdf/jspdf.umd.min.js',
+    'vendor/vazirmatn/Vazirmatn-font-face.css',
+    'vendor/vazirmatn/fonts/Vazirmatn-Regular.woff2',
+    'vendor/vazirmatn/fonts/Vazirmatn-Medium.woff2',
+    'vendor/vazirmatn/fonts/Vazirmatn-SemiBold.woff2',
+    'vendor/vazirmatn/fonts/Vazirmatn-Bold.woff2',
+    'vendor/vazirmatn/fonts/Vazirmatn-Regular.ttf',
+    'vendor/vazirmatn/fonts/Vazirmatn-Bold.ttf',
+    'sounds/beep.wav',
+    'image/chilled_7924438.png',
+    'image/coffee_14861810.png',
+    'image/cup_10205429.png',
+    'image/harvest_13888666.png',
+    'image/sack_7924545.png',
+    'image/stopwatch_6929413.png'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => {
+            if (cached) return cached;
+            return fetch(request).catch(() => {
+                if (request.mode === 'navigate') return caches.match('index.html');
+                return Response.error();
+            });
+        })
+    );
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CoffeeBackup = require('../js/backup');
+
+test('createBackup wraps the data in a versioned envelope', () => {
+    const backup = CoffeeBackup.createBackup({ inputs: { greenPrice: '500000' } }, new Date('2025-01-01T10:00:00Z'));
+
+    assert.strictEqual(backup.format, CoffeeBackup.BACKUP_FORMAT);
+    assert.strictEqual(backup.version, CoffeeBackup.BACKUP_VERSION);
+    assert.strictEqual(backup.createdAt, '2025-01-01T10:00:00.000Z');
+    assert.deepStrictEqual(backup.data.inputs, { greenPrice: '500000' });
+    assert.deepStrictEqual(backup.data.roastBatchLog, []);
+});
+
+test('readBackup round-trips a current backup', () => {
+    const backup = CoffeeBackup.createBackup({ theme: 'dark', activeBlendId: 'house', greenInventory: [{ id: '1', origin: 'کنیا' }] });
+    const restored = CoffeeBackup.readBackup(JSON.stringify(backup));
+
+    assert.strictEqual(restored.data.theme, 'dark');
+    assert.strictEqual(restored.data.activeBlendId, 'house');
+    assert.deepStrictEqual(restored.data.greenInventory, [{ id: '1', origin: 'کنیا' }]);
+});
+
+test('readBackup migrates a plain localStorage dump', () => {
+    const dump = {
+        theme: 'light',
+        greenPrice: '450000',
+        unrelated: 'x',
+        beanMixData: JSON.stringify([{ name: 'برزیل', price: '500000', percentage: '100', weight: '' }])
+    };
+    const restored = CoffeeBackup.readBackup(JSON.stringify(dump), ['greenPrice', 'roastWage']);
+
+    assert.strictEqual(restored.version, CoffeeBackup.BACKUP_VERSION);
+    assert.strictEqual(restored.data.theme, 'light');
+    assert.deepStrictEqual(restored.data.inputs, { greenPrice: '450000' });
+    assert.strictEqual(restored.data.beanMixData[0].name, 'برزیل');
+});
+
+test('readBackup converts the shot fields and the sales ledger of a version 1 backup to the menu', () => {
+    const restored = CoffeeBackup.readBackup(JSON.stringify({
+        format: CoffeeBackup.BACKUP_FORMAT,
+        version: 1,
+        createdAt: '2025-06-01T08:00:00.000Z',
+        data: {
+            inputs: { costSingleShot: '50000', salesSingle: '80', costPerKG: '600000' },
+            salesLedger: [
+                {
+                    date: '2025-05-31', salesSingle: 10, salesDouble: 5, salesMixKG: 1,
+                    prices: { costPerKG: 600000, sellPriceKG: 850000, costSingleShot: 45000, costDoubleShot: 60000, gramSingle: 18, gramDouble: 20, otherCostPerShot: 5000 }
+                },
+                { date: '2025-06-01', items: [], salesMixKG: 0, prices: { costPerKG: 600000, sellPriceKG: 850000 } }
+            ]
+        }
+    }));
+
+    assert.strictEqual(restored.version, CoffeeBackup.BACKUP_VERSION);
+    assert.strictEqual(restored.createdAt, '2025-06-01T08:00:00.000Z');
+    assert.deepStrictEqual(restored.data.inputs, { costPerKG: '600000' });
+    assert.deepStrictEqual([restored.data.menuItems[0].sellPrice, restored.data.menuItems[0].dailySales], [50000, 80]);
+    assert.deepStrictEqual(restored.data.salesLedger[0].items.map(item => [item.id, item.count]), [['espresso-single', 10], ['espresso-double', 5]]);
+    assert.deepStrictEqual(restored.data.salesLedger[0].prices, { costPerKG: 600000, sellPriceKG: 850000 });
+    assert.deepStrictEqual(restored.data.salesLedger[1].items, []);
+});
+
+test('readBackup rejects invalid files', () => {
+    assert.throws(() => CoffeeBackup.readBackup('{oops'), CoffeeBackup.BackupError);
+    assert.throws(() => CoffeeBackup.readBackup('[1, 2]'), CoffeeBackup.BackupError);
+    assert.throws(() => CoffeeBackup.readBackup(JSON.stringify({ beanMixData: '{oops' })), CoffeeBackup.BackupError);
+    assert.throws(() => CoffeeBackup.readBackup('{"foo":1}'), CoffeeBackup.BackupError);
+    assert.throws(() => CoffeeBackup.readBackup(JSON.stringify({ foo: 1, name: 'x' }), ['greenPrice']), /یک فایل پشتیبان نیست/);
+    assert.throws(() => CoffeeBackup.readBackup(JSON.stringify({
+        format: CoffeeBackup.BACKUP_FORMAT, version: CoffeeBackup.BACKUP_VERSION + 1, data: {}
+    })), /نسخه جدیدتری/);
+    assert.throws(() => CoffeeBackup.readBackup(JSON.stringify({
+        format: CoffeeBackup.BACKUP_FORMAT, version: CoffeeBackup.BACKUP_VERSION, data: { roastBatchLog: {} }
+    })), /roastBatchLog/);
+});
+
+test('readBackup rejects inputs that are not an object and list entries that are not objects', () => {
+    const backupWith = data => JSON.stringify({ format: CoffeeBackup.BACKUP_FORMAT, version: CoffeeBackup.BACKUP_VERSION, data });
+    assert.throws(() => CoffeeBackup.readBackup(backupWith({ inputs: null })), /inputs/);
+    assert.throws(() => CoffeeBackup.readBackup(backupWith({ inputs: ['1'] })), /inputs/);
+    assert.throws(() => CoffeeBackup.readBackup(backupWith({ roastBatchLog: [{ id: 'a' }, null] })), /roastBatchLog/);
+    assert.throws(() => CoffeeBackup.readBackup(backupWith({ greenInventory: ['x'] })), /greenInventory/);
+    assert.deepStrictEqual(CoffeeBackup.readBackup(backupWith({ roastBatchLog: [{ id: 'a' }] })).data.inputs, {});
+});
+
+test('combineData merges lists by identity or replaces everything', () => {
+    const current = {
+        inputs: { greenPrice: '1', roastWage: '2' },
+        theme: 'dark',
+        activeBlendId: 'house',
+        roastBatchLog: [{ id: 'a', origin: 'old' }, { id: 'b', origin: 'kept' }],
+        priceListPowderData: [{ name: 'ثعلب', purchasePrice: 1 }]
+    };
+    const incoming = {
+        inputs: { greenPrice: '9' },
+        roastBatchLog: [{ id: 'a', origin: 'new' }, { id: 'c', origin: 'added' }]
+    };
+
+    const merged = CoffeeBackup.combineData(current, incoming, 'merge');
+    assert.deepStrictEqual(merged.inputs, { greenPrice: '9', roastWage: '2' });
+    assert.strictEqual(merged.theme, 'dark');
+    assert.strictEqual(merged.activeBlendId, 'house');
+    assert.strictEqual(CoffeeBackup.combineData(current, Object.assign({ activeBlendId: 'espresso' }, incoming), 'merge').activeBlendId, 'espresso');
+    assert.deepStrictEqual(merged.roastBatchLog.map(batch => batch.origin), ['kept', 'new', 'added']);
+    assert.strictEqual(merged.priceListPowderData.length, 1);
+
+    const replaced = CoffeeBackup.combineData(current, incoming, 'replace');
+    assert.deepStrictEqual(replaced.inputs, { greenPrice: '9' });
+    assert.deepStrictEqual(replaced.priceListPowderData, []);
+    assert.strictEqual(replaced.activeBlendId, null);
+});
+
+test('readBackup turns the stopwatch stages of a localStorage dump into a selected brew recipe', () => {
+    const dump = { 'stage1-minutes': '3', 'stage1-seconds': '30', 'stage2-minutes': '0', 'stage2-seconds': '45', greenPrice: '450000' };
+    const restored = CoffeeBackup.readBackup(JSON.stringify(dump), ['greenPrice', 'brew-recipe', 'stage1-minutes', 'stage1-seconds', 'stage2-minutes', 'stage2-seconds']);
+
+    assert.deepStrictEqual(restored.data.inputs, { greenPrice: '450000', 'brew-recipe': 'migrated-two-stage' });
+    const recipe = restored.data.brewRecipes.find(item => item.id === 'migrated-two-stage');
+    assert.deepStrictEqual(recipe.stages.map(stage => stage.seconds), [210, 45]);
+    assert.ok(restored.data.brewRecipes.length > 1);
+    assert.throws(() => CoffeeBackup.readBackup(JSON.stringify({
+        format: CoffeeBackup.BACKUP_FORMAT, version: CoffeeBackup.BACKUP_VERSION, data: { activeBlendId: 5 }
+    })), /activeBlendId/);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BackwashPrograms = require('../js/backwash-programs');
+
+const detergentProgram = BackwashPrograms.createProgram({
+    id: 'p1',
+    name: '  شستشو با پودر ',
+    rounds: '2',
+    phases: [
+        { label: 'پودر', state: 'on', seconds: '10', instruction: ' پودر را در فیلتر کور بریزید ' },
+        { state: 'off', seconds: 5 },
+        { state: 'bogus', seconds: 3 }
+    ]
+});
+
+test('createProgram normalizes the editor fields', () => {
+    assert.strictEqual(detergentProgram.name, 'شستشو با پودر');
+    assert.strictEqual(detergentProgram.rounds, 2);
+    assert.deepStrictEqual(detergentProgram.phases[0], {
+        label: 'پودر', state: 'on', seconds: 10, instruction: 'پودر را در فیلتر کور بریزید'
+    });
+    assert.strictEqual(detergentProgram.phases[2].state, 'on');
+});
+
+test('validateProgram reports the invalid fields', () => {
+    assert.deepStrictEqual(BackwashPrograms.validateProgram(detergentProgram), []);
+    assert.deepStrictEqual(BackwashPrograms.validateProgram({ name: ' ', rounds: 0, phases: [] }), ['name', 'rounds', 'phases']);
+    assert.deepStrictEqual(BackwashPrograms.validateProgram({ name: 'x', rounds: 1, phases: [{ seconds: 5 }, { seconds: 0 }] }), ['phase-1']);
+});
+
+test('expandProgram repeats the phases for every round', () => {
+    const steps = BackwashPrograms.expandProgram(detergentProgram);
+    assert.strictEqual(steps.length, 6);
+    assert.deepStrictEqual(steps.map(step => [step.round, step.phaseIndex, step.state]), [
+        [1, 0, 'on'], [1, 1, 'off'], [1, 2, 'on'], [2, 0, 'on'], [2, 1, 'off'], [2, 2, 'on']
+    ]);
+    assert.strictEqual(steps[3].instruction, 'پودر را در فیلتر کور بریزید');
+    assert.strictEqual(BackwashPrograms.programDuration(detergentProgram), 36);
+});
+
+test('the default programs match the original fixed cycles', () => {
+    const [tenSeconds, fiveSeconds] = BackwashPrograms.DEFAULT_PROGRAMS;
+    assert.strictEqual(BackwashPrograms.programDuration(tenSeconds), 100);
+    assert.strictEqual(BackwashPrograms.programDuration(fiveSeconds), 100);
+    BackwashPrograms.DEFAULT_PROGRAMS.forEach(program => {
+        assert.deepStrictEqual(BackwashPrograms.validateProgram(program), []);
+    });
+});
+
+test('moveProgram reorders the list without changing it in place', () => {
+    const programs = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+    assert.deepStrictEqual(BackwashPrograms.moveProgram(programs, 'c', -1).map(p => p.id), ['a', 'c', 'b']);
+    assert.deepStrictEqual(BackwashPrograms.moveProgram(programs, 'a', -1).map(p => p.id), ['a', 'b', 'c']);
+    assert.deepStrictEqual(programs.map(p => p.id), ['a', 'b', 'c']);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RoastBatchLog = require('../js/batch-log');
+const CoffeeCalc = require('../js/calculations');
+
+const batches = [
+    RoastBatchLog.createBatch({ id: 'a', date: '2025-01-10', origin: 'برزیل', greenWeight: '1000', roastedWeight: '850', startTime: '09:00', endTime: '09:14' }),
+    RoastBatchLog.createBatch({ id: 'b', date: '2025-01-10', origin: 'اتیوپی', greenWeight: 2000, roastedWeight: 1680 }),
+    RoastBatchLog.createBatch({ id: 'c', date: '2025-01-11', origin: 'برزیل', greenWeight: 3000, roastedWeight: 2520, notes: '  دارک تر  ' })
+];
+
+test('createBatch normalizes the form fields', () => {
+    assert.deepStrictEqual(batches[2], {
+        id: 'c', date: '2025-01-11', origin: 'برزیل', roastLevel: '', greenWeight: 3000, roastedWeight: 2520,
+        startTime: '', endTime: '', notes: 'دارک تر'
+    });
+});
+
+test('validateBatch reports the invalid fields', () => {
+    assert.deepStrictEqual(RoastBatchLog.validateBatch({ origin: 'کنیا', greenWeight: 1000, roastedWeight: 840 }), []);
+    assert.deepStrictEqual(RoastBatchLog.validateBatch({ origin: ' ', greenWeight: 0, roastedWeight: 0 }), ['origin', 'greenWeight']);
+    assert.deepStrictEqual(RoastBatchLog.validateBatch({ origin: 'کنیا', greenWeight: 1000, roastedWeight: 1100 }), ['roastedWeight']);
+});
+
+test('batchWeightLoss and batchDurationMinutes describe a single batch', () => {
+    assert.strictEqual(RoastBatchLog.batchWeightLoss(batches[0]), 15);
+    assert.strictEqual(RoastBatchLog.batchDurationMinutes(batches[0]), 14);
+    assert.strictEqual(RoastBatchLog.batchDurationMinutes({ startTime: '23:50', endTime: '00:05' }), 15);
+    assert.strictEqual(RoastBatchLog.batchDurationMinutes(batches[1]), null);
+});
+
+test('summarizeBatches weighs the loss by green weight', () => {
+    const summary = RoastBatchLog.summarizeBatches(RoastBatchLog.batchesForDate(batches, '2025-01-10'));
+    assert.strictEqual(summary.batchCount, 2);
+    assert.strictEqual(summary.totalGreenKg, 3);
+    assert.strictEqual(summary.totalRoastedKg, 2.53);
+    assert.ok(Math.abs(summary.weightLossPercent - (470 / 3000) * 100) < 1e-9);
+});
+
+test('dailyAggregates and averageLossByOrigin group the log', () => {
+    assert.deepStrictEqual(RoastBatchLog.dailyAggregates(batches).map(day => [day.date, day.batchCount]), [
+        ['2025-01-11', 1], ['2025-01-10', 2]
+    ]);
+
+    const origins = RoastBatchLog.averageLossByOrigin(batches);
+    const brazil = origins.find(item => item.origin === 'برزیل');
+    assert.strictEqual(origins.length, 2);
+    assert.strictEqual(brazil.batchCount, 2);
+    assert.ok(Math.abs(brazil.weightLossPercent - 15.75) < 1e-9);
+});
+
+test('toRoastInput feeds the day totals into calculateRoast', () => {
+    const dayBatches = RoastBatchLog.batchesForDate(batches, '2025-01-10');
+    const input = RoastBatchLog.toRoastInput(dayBatches, { greenPrice: 500000, roastWage: 20000 });
+    const result = CoffeeCalc.calculateRoast(input);
+
+    assert.strictEqual(input.totalGreen, 3);
+    assert.ok(Math.abs(result.totalRoastedOutput - 2.53) < 1e-9);
+    assert.strictEqual(result.totalRawGreenCost, 1500000);
+});
+
+test('toDateKey formats a local date', () => {
+    assert.strictEqual(RoastBatchLog.toDateKey(new Date(2025, 0, 5)), '2025-01-05');
+});
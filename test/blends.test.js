@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BlendLibrary = require('../js/blends');
+
+const components = [
+    { name: 'برزیل', price: '800000', percentage: '70', weight: '', priceSource: 'برزیل', species: 'arabica' },
+    { name: 'روبوستا', price: 400000, percentage: 30, weight: '' }
+];
+const blend = BlendLibrary.createBlend({ id: 'house', name: ' اسپرسو هاوس ', components });
+
+test('createBlend and validateBlend keep the mix rows as the tool saves them', () => {
+    assert.strictEqual(blend.name, 'اسپرسو هاوس');
+    assert.deepStrictEqual(blend.components[1], {
+        name: 'روبوستا', price: '400000', percentage: '30', weight: '', priceSource: '', state: '', species: '', minPercent: '', maxPercent: ''
+    });
+    assert.strictEqual(blend.lastPrice, null);
+    assert.strictEqual(blend.lastPriceDate, null);
+    assert.deepStrictEqual(BlendLibrary.validateBlend(blend), []);
+    assert.deepStrictEqual(BlendLibrary.validateBlend({ name: '', components: [{ name: ' ', price: '' }] }), ['name', 'components']);
+    assert.deepStrictEqual(BlendLibrary.createBlend({ id: 'x', name: 'x', components: [], lastPrice: 0, lastPriceDate: '2026-10-19' }).lastPriceDate, null);
+});
+
+test('duplicateBlend copies the rows and the last price under a new name', () => {
+    const priced = BlendLibrary.recordPrice(blend, 680000, '2026-10-19');
+    const copy = BlendLibrary.duplicateBlend(priced, 'copy', 'اسپرسو هاوس (کپی)');
+    assert.strictEqual(copy.id, 'copy');
+    assert.strictEqual(copy.name, 'اسپرسو هاوس (کپی)');
+    assert.deepStrictEqual(copy.components, blend.components);
+    assert.notStrictEqual(copy.components[0], blend.components[0]);
+    assert.strictEqual(copy.lastPrice, 680000);
+    assert.strictEqual(copy.lastPriceDate, '2026-10-19');
+    assert.strictEqual(blend.lastPrice, null);
+});
+
+test('blendPrice and priceChange follow the prices of the components', () => {
+    assert.strictEqual(BlendLibrary.blendPrice(blend.components), 680000);
+    assert.strictEqual(BlendLibrary.blendPrice(blend.components, component => (component.priceSource ? 900000 : Number(component.price))), 750000);
+    assert.strictEqual(BlendLibrary.blendPrice([{ price: 800000, percentage: 50, weight: 600 }, { price: 400000, percentage: 20, weight: 400 }]), 640000);
+    assert.strictEqual(BlendLibrary.blendPrice([{ price: 800000, percentage: 50 }]), null);
+
+    assert.deepStrictEqual(BlendLibrary.priceChange(680000, 750000), { amount: 70000, percent: 70000 / 680000 * 100 });
+    assert.strictEqual(BlendLibrary.priceChange(null, 750000), null);
+    assert.strictEqual(BlendLibrary.priceChange(680000, null), null);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BrewRecipes = require('../js/brew-recipes');
+const CoffeeStorage = require('../js/storage');
+
+const v60 = BrewRecipes.createRecipe({
+    id: 'r1',
+    name: ' V60 ',
+    stages: [
+        { name: 'شکوفایی', seconds: '45', water: '50', cue: ' بریزید ' },
+        { name: '', seconds: 30, water: 100 },
+        { name: 'خالی شدن', seconds: 60 }
+    ]
+});
+
+test('createRecipe normalizes the editor fields', () => {
+    assert.strictEqual(v60.name, 'V60');
+    assert.deepStrictEqual(v60.stages[0], { name: 'شکوفایی', seconds: 45, water: 50, cue: 'بریزید' });
+    assert.deepStrictEqual(v60.stages[2], { name: 'خالی شدن', seconds: 60, water: 0, cue: '' });
+});
+
+test('validateRecipe requires a name and at least one timed stage', () => {
+    assert.deepStrictEqual(BrewRecipes.validateRecipe(v60), []);
+    assert.deepStrictEqual(BrewRecipes.validateRecipe({ name: ' ', stages: [{ seconds: 0 }] }), ['name', 'stages']);
+    assert.deepStrictEqual(BrewRecipes.validateRecipe({ name: 'x', stages: [{ seconds: 10, water: -5 }] }), ['stage-0']);
+    BrewRecipes.DEFAULT_RECIPES.forEach(recipe => assert.deepStrictEqual(BrewRecipes.validateRecipe(recipe), []));
+});
+
+test('describeStage shows the cumulative water and the next stage', () => {
+    assert.deepStrictEqual(BrewRecipes.cumulativeWater(v60.stages), [50, 150, 150]);
+    assert.deepStrictEqual(BrewRecipes.describeStage(v60, 1), {
+        name: 'مرحله 2', number: 2, total: 3, targetWater: 150, cue: '', nextName: 'خالی شدن'
+    });
+    assert.strictEqual(BrewRecipes.describeStage(v60, 2).nextName, null);
+    assert.strictEqual(BrewRecipes.totalSeconds(v60), 135);
+});
+
+test('legacyStopwatchMigration turns the two stage inputs into a selected recipe', async () => {
+    const backend = CoffeeStorage.createMemoryBackend({
+        schemaVersion: '1',
+        inputs: JSON.stringify({ 'stage1-minutes': '3', 'stage1-seconds': '15', 'stage2-minutes': '0', 'stage2-seconds': '45', greenPrice: '500' })
+    });
+    const store = CoffeeStorage.createStore({ backend, migrations: [{ version: 1, migrate() {} }, BrewRecipes.legacyStopwatchMigration()] });
+    await store.init();
+
+    const recipes = store.get('brewRecipes', []);
+    const migrated = recipes[recipes.length - 1];
+    assert.strictEqual(recipes.length, BrewRecipes.DEFAULT_RECIPES.length + 1);
+    assert.deepStrictEqual(migrated.stages.map(stage => stage.seconds), [195, 45]);
+    assert.deepStrictEqual(store.get('inputs', {}), { greenPrice: '500', 'brew-recipe': migrated.id });
+    assert.strictEqual(store.get('schemaVersion'), 2);
+});
+
+test('legacyStopwatchMigration leaves stores without stage inputs alone', async () => {
+    const store = CoffeeStorage.createStore({ backend: CoffeeStorage.createMemoryBackend(), migrations: [BrewRecipes.legacyStopwatchMigration()] });
+    await store.init();
+    assert.strictEqual(store.get('brewRecipes', null), null);
+});
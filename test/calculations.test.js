@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CoffeeCalc = require('../js/calculations');
+
+test('calculateRoast applies the sample weight loss to the whole day', () => {
+    const result = CoffeeCalc.calculateRoast({
+        greenPrice: 500000, roastWage: 20000, batchInput: 1000, batchOutput: 850, totalGreen: 15
+    });
+
+    assert.strictEqual(result.weightLossPercent, 15);
+    assert.strictEqual(result.totalRawGreenCost, 7500000);
+    assert.strictEqual(result.totalProductionCost, 7800000);
+    assert.strictEqual(result.totalRoastedOutput, 12.75);
+    assert.ok(Math.abs(result.costOfRoastedCoffee - 7800000 / 12.75) < 1e-6);
+    assert.strictEqual(result.totalRoastedValue, 7800000);
+    assert.strictEqual(result.profit, 300000);
+});
+
+test('calculateRoast accepts numeric strings and returns a zero cost without output', () => {
+    const result = CoffeeCalc.calculateRoast({
+        greenPrice: '400000', roastWage: '0', batchInput: '1000', batchOutput: '1000', totalGreen: ''
+    });
+
+    assert.strictEqual(result.weightLossPercent, 0);
+    assert.strictEqual(result.totalRoastedOutput, 0);
+    assert.strictEqual(result.costOfRoastedCoffee, 0);
+});
+
+test('validateRoastInput reports the invalid batch fields', () => {
+    assert.deepStrictEqual(CoffeeCalc.validateRoastInput({ batchInput: 1000, batchOutput: 850 }), []);
+    assert.deepStrictEqual(CoffeeCalc.validateRoastInput({ batchInput: 0, batchOutput: 0 }), ['batchInput']);
+    assert.deepStrictEqual(CoffeeCalc.validateRoastInput({ batchInput: 1000, batchOutput: 1200 }), ['batchOutput']);
+    assert.deepStrictEqual(CoffeeCalc.validateRoastInput({}), ['batchInput', 'batchOutput']);
+});
+
+test('calculateMixPrice prices a mix by weight and by percentage', () => {
+    const result = CoffeeCalc.calculateMixPrice([
+        { price: 800000, percentage: 70, weight: 700 },
+        { price: 500000, percentage: 30, weight: 300 }
+    ]);
+
+    assert.strictEqual(result.totalPercentage, 100);
+    assert.strictEqual(result.totalWeight, 1000);
+    assert.strictEqual(result.pricePerKgFromWeight, 710000);
+    assert.strictEqual(result.priceFromPercentage, 710000);
+    assert.strictEqual(result.isPercentageComplete, true);
+});
+
+test('calculateMixPrice returns null prices when they cannot be calculated', () => {
+    const result = CoffeeCalc.calculateMixPrice([
+        { price: '800000', percentage: '60', weight: '' },
+        { price: '', percentage: '20', weight: '500' }
+    ]);
+
+    assert.strictEqual(result.totalPercentage, 80);
+    assert.strictEqual(result.pricePerKgFromWeight, null);
+    assert.strictEqual(result.priceFromPercentage, null);
+    assert.strictEqual(result.isPercentageComplete, false);
+});
+
+test('calculateMixShelfPrice roasts the green components and prices every bag size', () => {
+    const result = CoffeeCalc.calculateMixShelfPrice({
+        beans: [
+            { price: 800000, percentage: 50, weight: '', state: 'green' },
+            { price: '500000', percentage: '50', weight: '', state: 'roasted' }
+        ],
+        roastLossPercent: 20,
+        roastWage: 20000,
+        marginPercent: 20,
+        packaging: { 250: 10000, 500: '15000' }
+    });
+
+    assert.deepStrictEqual(result.roastedPrices, [1025000, 500000]);
+    assert.strictEqual(result.roastedCostPerKg, 762500);
+    assert.deepStrictEqual(result.bags.map(bag => bag.grams), CoffeeCalc.BAG_SIZES);
+    assert.deepStrictEqual(result.bags[0], { grams: 250, coffeeCost: 190625, packagingCost: 10000, totalCost: 200625, retailPrice: 250781.25, profit: 50156.25 });
+    assert.strictEqual(result.bags[1].totalCost, 396250);
+    assert.strictEqual(result.bags[2].packagingCost, 0);
+    assert.strictEqual(result.bags[2].retailPrice, 953125);
+});
+
+test('calculateMixShelfPrice has no bags without a mix cost, and validateMixShelfInput checks the settings', () => {
+    const result = CoffeeCalc.calculateMixShelfPrice({ beans: [{ price: 800000, percentage: 60 }], roastLossPercent: 15, roastWage: 0, marginPercent: 30 });
+    assert.strictEqual(result.roastedCostPerKg, null);
+    assert.deepStrictEqual(result.bags, []);
+
+    assert.deepStrictEqual(CoffeeCalc.validateMixShelfInput({ roastLossPercent: '18', roastWage: '20000', marginPercent: 0, packaging: { 250: '' } }), []);
+    assert.deepStrictEqual(
+        CoffeeCalc.validateMixShelfInput({ roastLossPercent: 100, roastWage: -1, marginPercent: '', packaging: { 500: -5 } }),
+        ['roastLossPercent', 'roastWage', 'marginPercent', 'packaging-500']
+    );
+});
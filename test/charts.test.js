@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CoffeeCharts = require('../js/charts');
+
+test('dateKeyToDayNumber and dayNumberToDateKey convert dates for a linear axis', () => {
+    assert.strictEqual(CoffeeCharts.dateKeyToDayNumber('1970-01-02'), 1);
+    assert.strictEqual(CoffeeCharts.dateKeyToDayNumber('2026-03-01') - CoffeeCharts.dateKeyToDayNumber('2026-02-28'), 1);
+    assert.strictEqual(CoffeeCharts.dayNumberToDateKey(CoffeeCharts.dateKeyToDayNumber('2026-10-19')), '2026-10-19');
+    assert.strictEqual(CoffeeCharts.dayNumberToDateKey(CoffeeCharts.dateKeyToDayNumber('2024-02-29') + 0.4), '2024-02-29');
+});
+
+test('niceTicks covers a range with round steps', () => {
+    assert.deepStrictEqual(CoffeeCharts.niceTicks(1.2, 13.8, 3), { min: 0, max: 15, step: 5, ticks: [0, 5, 10, 15] });
+    assert.deepStrictEqual(CoffeeCharts.niceTicks(0.1, 0.7, 3).ticks, [0, 0.2, 0.4, 0.6, 0.8]);
+    assert.deepStrictEqual(CoffeeCharts.niceTicks(15, 16.5, 10).ticks, [15, 15.2, 15.4, 15.6, 15.8, 16, 16.2, 16.4, 16.6]);
+    assert.deepStrictEqual(CoffeeCharts.niceTicks(1, 3, 10, 1).ticks, [1, 2, 3]);
+    assert.deepStrictEqual(CoffeeCharts.niceTicks(20, 20, 4), { min: 18, max: 22, step: 1, ticks: [18, 19, 20, 21, 22] });
+    assert.deepStrictEqual(CoffeeCharts.niceTicks(20380, 20380, 4, 1).ticks, [20379, 20380, 20381]);
+});
+
+test('createScale and seriesBounds place the points', () => {
+    const rightToLeft = CoffeeCharts.createScale(0, 10, 300, 100);
+    assert.strictEqual(rightToLeft(0), 300);
+    assert.strictEqual(rightToLeft(5), 200);
+    assert.strictEqual(CoffeeCharts.createScale(4, 4, 0, 50)(4), 25);
+
+    assert.strictEqual(CoffeeCharts.seriesBounds([{ points: [] }]), null);
+    assert.deepStrictEqual(CoffeeCharts.seriesBounds([
+        { points: [{ x: 3, y: 15 }, { x: 1, y: 18 }] },
+        { points: [{ x: 5, y: 12 }] }
+    ]), { minX: 1, maxX: 5, minY: 12, maxY: 18 });
+});
+
+test('drawLineChart draws the title, the legend and a placeholder without points', () => {
+    const texts = [];
+    const ctx = new Proxy({ measureText: text => ({ width: text.length * 6 }), fillText: text => texts.push(text) }, {
+        get: (target, name) => (name in target ? target[name] : () => {}),
+        set: () => true
+    });
+    const options = {
+        width: 600,
+        height: 280,
+        title: 'افت وزن',
+        formatX: x => `d${x}`,
+        formatY: y => `${y}%`,
+        emptyText: 'داده‌ای نیست',
+        theme: { background: '#000', text: '#fff', grid: '#333', font: 'sans-serif' }
+    };
+
+    CoffeeCharts.drawLineChart(ctx, Object.assign({}, options, { series: [{ name: 'برزیل', color: '#0f0', points: [] }] }));
+    assert.deepStrictEqual(texts, ['افت وزن', 'برزیل', 'داده‌ای نیست']);
+
+    texts.length = 0;
+    CoffeeCharts.drawLineChart(ctx, Object.assign({}, options, {
+        series: [{ name: 'برزیل', color: '#0f0', points: [{ x: 1, y: 14 }, { x: 3, y: 16 }] }],
+        xDomain: [1, 3],
+        xMinStep: 1
+    }));
+    assert.ok(texts.includes('16%'));
+    assert.ok(['d1', 'd2', 'd3'].every(label => texts.includes(label)));
+});
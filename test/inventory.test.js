@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const GreenInventory = require('../js/inventory');
+
+const purchases = [
+    GreenInventory.createPurchase({ id: '1', date: '2025-01-01', supplier: 'الف', origin: 'برزیل', kg: '10', pricePerKg: '500000' }),
+    GreenInventory.createPurchase({ id: '2', date: '2025-02-01', supplier: 'ب', origin: ' برزیل ', kg: 30, pricePerKg: 600000 }),
+    GreenInventory.createPurchase({ id: '3', date: '2025-01-15', origin: 'کنیا', kg: 3, pricePerKg: 900000 })
+];
+const batches = [
+    { origin: 'برزیل', greenWeight: 20000 },
+    { origin: 'برزیل', greenWeight: 16000 },
+    { origin: 'اتیوپی', greenWeight: 1000 }
+];
+
+test('validatePurchase reports the invalid fields', () => {
+    assert.deepStrictEqual(GreenInventory.validatePurchase({ date: '2025-01-01', origin: 'کنیا', kg: 1, pricePerKg: 1 }), []);
+    assert.deepStrictEqual(GreenInventory.validatePurchase({ date: '', origin: ' ', kg: 0, pricePerKg: '' }), ['date', 'origin', 'kg', 'pricePerKg']);
+});
+
+test('summarizeInventory deducts roasted batches and weighs the cost by kilograms', () => {
+    const summary = GreenInventory.summarizeInventory(purchases, batches);
+    const brazil = summary.find(entry => entry.origin === 'برزیل');
+
+    assert.strictEqual(summary.length, 2);
+    assert.strictEqual(brazil.purchasedKg, 40);
+    assert.strictEqual(brazil.usedKg, 36);
+    assert.strictEqual(brazil.remainingKg, 4);
+    assert.strictEqual(brazil.averageCost, 575000);
+    assert.strictEqual(brazil.lastPurchaseDate, '2025-02-01');
+});
+
+test('findLowStock lists the origins under the threshold, lowest first', () => {
+    const summary = GreenInventory.summarizeInventory(purchases, batches);
+    assert.deepStrictEqual(GreenInventory.findLowStock(summary).map(entry => entry.origin), ['کنیا', 'برزیل']);
+    assert.deepStrictEqual(GreenInventory.findLowStock(summary, 3.5).map(entry => entry.origin), ['کنیا']);
+});
+
+test('averageCostFor looks up one origin', () => {
+    const summary = GreenInventory.summarizeInventory(purchases, []);
+    assert.strictEqual(GreenInventory.averageCostFor(summary, 'کنیا'), 900000);
+    assert.strictEqual(GreenInventory.averageCostFor(summary, 'یمن'), null);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MaintenanceLog = require('../js/maintenance');
+
+const at = (y, m, d, h = 9, min = 0) => new Date(y, m - 1, d, h, min).toISOString();
+
+const detergent = MaintenanceLog.createSchedule({ id: 's1', machine: ' دستگاه اصلی ', task: 'بک‌واش با پودر', intervalDays: '1', programId: 'p1' });
+const gasket = MaintenanceLog.createSchedule({ id: 's2', machine: 'دستگاه اصلی', task: 'بررسی واشر', intervalDays: 7 });
+const descale = MaintenanceLog.createSchedule({ id: 's3', machine: 'دستگاه اصلی', task: 'رسوب‌زدایی', intervalDays: 28 });
+
+const log = [
+    MaintenanceLog.createLogEntry({ id: 'a', timestamp: at(2025, 1, 8), machine: 'دستگاه اصلی', groupHead: '1', task: 'پودر', programId: 'p1' }),
+    MaintenanceLog.createLogEntry({ id: 'b', timestamp: at(2025, 1, 9, 22), machine: 'دستگاه دوم', groupHead: '1', task: 'پودر', programId: 'p1' }),
+    MaintenanceLog.createLogEntry({ id: 'c', timestamp: at(2025, 1, 5, 18, 30), machine: 'دستگاه اصلی', task: 'بررسی واشر', scheduleId: 's2', notes: 'واشر "گروپ ۲" عوض شد' })
+];
+
+test('createSchedule and validateSchedule handle the form fields', () => {
+    assert.deepStrictEqual(detergent, { id: 's1', machine: 'دستگاه اصلی', task: 'بک‌واش با پودر', intervalDays: 1, programId: 'p1' });
+    assert.deepStrictEqual(MaintenanceLog.validateSchedule(gasket), []);
+    assert.deepStrictEqual(MaintenanceLog.validateSchedule({ machine: ' ', task: '', intervalDays: 0 }), ['machine', 'task', 'intervalDays']);
+});
+
+test('addDays and daysBetween work across month ends', () => {
+    assert.strictEqual(MaintenanceLog.addDays('2025-01-30', 3), '2025-02-02');
+    assert.strictEqual(MaintenanceLog.daysBetween('2025-02-02', '2025-01-30'), -3);
+});
+
+test('entryCompletes matches schedule ids and program runs on the same machine', () => {
+    assert.strictEqual(MaintenanceLog.entryCompletes(detergent, log[0]), true);
+    assert.strictEqual(MaintenanceLog.entryCompletes(detergent, log[1]), false);
+    assert.strictEqual(MaintenanceLog.entryCompletes(gasket, log[2]), true);
+    assert.strictEqual(MaintenanceLog.entryCompletes(detergent, log[2]), false);
+});
+
+test('scheduleStatus orders the tasks by urgency', () => {
+    const statuses = MaintenanceLog.scheduleStatus([descale, gasket, detergent], log, '2025-01-10');
+    assert.deepStrictEqual(statuses.map(item => [item.schedule.id, item.dueDate, item.status]), [
+        ['s1', '2025-01-09', 'overdue'],
+        ['s3', '2025-01-10', 'due'],
+        ['s2', '2025-01-12', 'ok']
+    ]);
+    assert.strictEqual(statuses[0].lastDone, log[0].timestamp);
+    assert.strictEqual(statuses[1].lastDone, null);
+    assert.deepStrictEqual(MaintenanceLog.findDueTasks(statuses).map(item => item.schedule.id), ['s1', 's3']);
+});
+
+test('toCsv lists the log oldest first and escapes quotes', () => {
+    const lines = MaintenanceLog.toCsv(log).split('\r\n');
+    assert.strictEqual(lines.length, 4);
+    assert.strictEqual(lines[0], '"تاریخ","ساعت","دستگاه","گروپ هد","کار","یادداشت"');
+    assert.strictEqual(lines[1], '"2025-01-05","18:30","دستگاه اصلی","","بررسی واشر","واشر ""گروپ ۲"" عوض شد"');
+    assert.ok(lines[3].startsWith('"2025-01-09","22:00","دستگاه دوم","1"'));
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MenuCosting = require('../js/menu-costing');
+const CoffeeStorage = require('../js/storage');
+
+const supplies = {
+    costPerKG: 600000, gramSingle: 18, gramDouble: 20,
+    milkPricePerLiter: 60000, syrupPricePerLiter: 400000, cupPrice: 3000, lidPrice: 1000,
+    powders: { 'شکلات داغ': 500000 }
+};
+const latte = MenuCosting.createMenuItem({
+    id: 'latte', name: ' لاته ', sellPrice: '85000', dailySales: '40',
+    recipe: { doubleShots: 1, milkMl: '200', syrupMl: 10, cups: 1, lids: 1, otherCost: 500 }
+});
+
+test('createMenuItem and validateMenuItem handle the editor fields', () => {
+    assert.strictEqual(latte.name, 'لاته');
+    assert.deepStrictEqual(latte.recipe, {
+        powderName: '', singleShots: 0, doubleShots: 1, coffeeGrams: 0, milkMl: 200, syrupMl: 10,
+        powderGrams: 0, cups: 1, lids: 1, otherCost: 500
+    });
+    assert.deepStrictEqual(MenuCosting.validateMenuItem(latte), []);
+    assert.deepStrictEqual(MenuCosting.validateMenuItem({ name: '', sellPrice: 0, dailySales: -1, recipe: { milkMl: -5, powderGrams: 20 } }),
+        ['name', 'sellPrice', 'dailySales', 'milkMl', 'powderGrams']);
+    MenuCosting.DEFAULT_MENU.forEach(item => assert.deepStrictEqual(MenuCosting.validateMenuItem(MenuCosting.createMenuItem(item)), []));
+    assert.deepStrictEqual(MenuCosting.validateSupplies(supplies), []);
+    assert.deepStrictEqual(MenuCosting.validateSupplies({ costPerKG: '', cupPrice: -1 }), ['costPerKG', 'cupPrice']);
+});
+
+test('costMenuItem adds up the ingredients and the margin of a drink', () => {
+    const costing = MenuCosting.costMenuItem(latte, supplies);
+    assert.strictEqual(costing.coffeeGrams, 20);
+    assert.deepStrictEqual(costing.costs, { coffee: 12000, milk: 12000, syrup: 4000, powder: 0, packaging: 4000, other: 500 });
+    assert.strictEqual(costing.unitCost, 32500);
+    assert.strictEqual(costing.margin, 52500);
+    assert.strictEqual(costing.marginPercent, 52500 / 85000 * 100);
+
+    const chocolate = MenuCosting.createMenuItem({ id: 'c', name: 'شکلات', sellPrice: 75000, recipe: { powderName: 'شکلات داغ', powderGrams: 30 } });
+    assert.strictEqual(MenuCosting.costMenuItem(chocolate, supplies).costs.powder, 15000);
+    const chai = MenuCosting.createMenuItem({ id: 'm', name: 'چای', sellPrice: 70000, recipe: { powderName: 'چای ماسالا', powderGrams: 25 } });
+    assert.strictEqual(MenuCosting.costMenuItem(chai, supplies).missingPowder, true);
+});
+
+test('calculateMenuRevenue builds the daily and monthly summary from the menu', () => {
+    const espresso = MenuCosting.createMenuItem({ id: 'e', name: 'اسپرسو', sellPrice: 45000, dailySales: 100, recipe: { singleShots: 1, cups: 1 } });
+    const result = MenuCosting.calculateMenuRevenue({ items: [espresso, latte], supplies, sellPriceKG: 850000, salesMixKG: 1, daysInMonth: 31 });
+
+    assert.deepStrictEqual(result.lines.map(line => [line.id, line.count, line.unitCost, line.contribution]), [
+        ['e', 100, 13800, 100 * 31200],
+        ['latte', 40, 32500, 40 * 52500]
+    ]);
+    assert.strictEqual(result.totalDailyRevenue, 4500000 + 3400000 + 850000);
+    assert.strictEqual(result.totalKGUsed, 1.8 + 0.8 + 1);
+    assert.strictEqual(result.costOfCoffeeUsed, 3.6 * 600000);
+    assert.strictEqual(result.totalOtherCost, 100 * 3000 + 40 * 20500);
+    assert.strictEqual(result.totalDailyProfit, result.totalDailyRevenue - result.totalDailyCost);
+    assert.strictEqual(result.totalMonthlyProfit, result.totalDailyProfit * 31);
+});
+
+test('calculateCafeRevenue prices single and double shot sales through the menu', () => {
+    const result = MenuCosting.calculateCafeRevenue({
+        costPerKG: 600000, sellPriceKG: 850000, costSingleShot: 45000, costDoubleShot: 60000,
+        gramSingle: 18, gramDouble: 20, otherCostPerShot: 5000,
+        salesSingle: 100, salesDouble: 50, salesMixKG: 1
+    });
+
+    assert.deepStrictEqual([result.revenueSingle, result.revenueDouble, result.revenueMix], [4500000, 3000000, 850000]);
+    assert.strictEqual(result.totalDailyRevenue, 4500000 + 3000000 + 850000);
+    assert.strictEqual(Math.round(result.totalKGUsed * 1000), 3800);
+    assert.strictEqual(Math.round(result.totalOtherCost), 750000);
+    assert.strictEqual(Math.round(result.totalDailyCost), 3.8 * 600000 + 750000);
+    assert.strictEqual(result.totalDailyProfit, result.totalDailyRevenue - result.totalDailyCost);
+    assert.strictEqual(result.daysInMonth, 30);
+    assert.strictEqual(result.totalMonthlyRevenue, result.totalDailyRevenue * 30);
+
+    const farvardin = MenuCosting.calculateCafeRevenue({ costPerKG: 600000, costSingleShot: 45000, salesSingle: 10, daysInMonth: 31 });
+    assert.strictEqual(farvardin.daysInMonth, 31);
+    assert.strictEqual(farvardin.totalMonthlyRevenue, 450000 * 31);
+});
+
+test('validateCafeInput requires a mix cost and a single shot price', () => {
+    assert.deepStrictEqual(MenuCosting.validateCafeInput({ costPerKG: 600000, costSingleShot: 45000 }), []);
+    assert.deepStrictEqual(MenuCosting.validateCafeInput({ costPerKG: NaN, costSingleShot: -1 }), ['costPerKG', 'costSingleShot']);
+});
+
+test('legacyCafeMigration turns the shot fields and the old ledger entries into menu sales', async () => {
+    const backend = CoffeeStorage.createMemoryBackend({
+        schemaVersion: '2',
+        inputs: JSON.stringify({ costSingleShot: '50000', costDoubleShot: '70000', otherCostPerShot: '4000', salesSingle: '80', salesDouble: '30', costPerKG: '600000' }),
+        salesLedger: JSON.stringify([{
+            date: '2026-10-18', salesSingle: 10, salesDouble: 5, salesMixKG: 1,
+            prices: { costPerKG: 600000, sellPriceKG: 850000, costSingleShot: 45000, costDoubleShot: 60000, gramSingle: 18, gramDouble: 20, otherCostPerShot: 5000 }
+        }])
+    });
+    const store = CoffeeStorage.createStore({ backend, migrations: [{ version: 2, migrate() {} }, MenuCosting.legacyCafeMigration()] });
+    await store.init();
+
+    const menu = store.get('menuItems', []);
+    assert.strictEqual(menu.length, MenuCosting.DEFAULT_MENU.length);
+    assert.deepStrictEqual([menu[0].sellPrice, menu[0].dailySales, menu[0].recipe.otherCost, menu[0].recipe.cups], [50000, 80, 4000, 0]);
+    assert.deepStrictEqual([menu[1].sellPrice, menu[1].dailySales, menu[1].recipe.doubleShots], [70000, 30, 1]);
+    assert.deepStrictEqual(store.get('inputs', {}), { costPerKG: '600000' });
+
+    const [entry] = store.get('salesLedger', []);
+    assert.deepStrictEqual(entry.prices, { costPerKG: 600000, sellPriceKG: 850000 });
+    assert.deepStrictEqual(entry.items.map(item => [item.id, item.count, item.sellPrice, item.unitCost, item.coffeeGrams]), [
+        ['espresso-single', 10, 45000, 18 * 600 + 5000, 18],
+        ['espresso-double', 5, 60000, 20 * 600 + 5000, 20]
+    ]);
+    assert.strictEqual(store.get('schemaVersion'), 3);
+});
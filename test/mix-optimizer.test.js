@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MixOptimizer = require('../js/mix-optimizer');
+
+const beans = [
+    { name: 'برزیل', price: '800000', species: 'arabica' },
+    { name: 'کلمبیا', price: 1000000, species: 'arabica', maxPercent: 40 },
+    { name: 'روبوستا هند', price: 400000, species: 'robusta', minPercent: '10' }
+];
+
+test('validateSolverInput checks the target, the step and every bean', () => {
+    assert.deepStrictEqual(MixOptimizer.validateSolverInput({ beans, targetPrice: 700000, step: 5 }), []);
+    assert.deepStrictEqual(MixOptimizer.validateSolverInput({ beans: [beans[0]], targetPrice: 0, step: 7, arabicaMin: 60, arabicaMax: 50 }),
+        ['targetPrice', 'step', 'arabicaMax', 'beans']);
+    assert.deepStrictEqual(MixOptimizer.validateSolverInput({
+        beans: [{ price: '' }, { price: 500000, minPercent: 60, maxPercent: 50 }, { price: 500000, minPercent: -5 }],
+        targetPrice: 500000
+    }), ['price-0', 'maxPercent-1', 'minPercent-2']);
+    assert.strictEqual(MixOptimizer.normalizeSolverInput({ beans: [{ species: 'liberica' }] }).beans[0].species, 'arabica');
+});
+
+test('solveMix ranks the feasible combinations by their distance to the target price', () => {
+    const result = MixOptimizer.solveMix({ beans, targetPrice: 700000, step: 10, arabicaMin: 30 }, 3);
+    assert.strictEqual(result.truncated, false);
+    result.combinations.forEach(combination => {
+        assert.strictEqual(combination.percentages.reduce((total, percent) => total + percent, 0), 100);
+        assert.ok(combination.percentages[1] <= 40 && combination.percentages[2] >= 10);
+        assert.ok(combination.arabicaPercent >= 30);
+    });
+    // Two combinations hit 700,000 exactly; of those 20,000 away, the cheaper ones (680,000) come first.
+    assert.deepStrictEqual(result.combinations.map(combination => combination.percentages), [[30, 30, 40], [60, 10, 30], [10, 40, 50]]);
+    assert.deepStrictEqual(result.combinations.map(combination => Math.round(combination.difference)), [0, 0, -20000]);
+
+    const expensive = MixOptimizer.solveMix({ beans, targetPrice: 2000000, step: 10 }, 1);
+    assert.deepStrictEqual(expensive.combinations[0].percentages, [50, 40, 10]);
+    assert.strictEqual(Math.round(expensive.combinations[0].difference), 400000 + 400000 + 40000 - 2000000);
+
+    // Steps of 10 with at most 40% Colombia and at least 10% robusta leave 5 + 4 + ... combinations.
+    let count = 0;
+    for (let colombia = 0; colombia <= 40; colombia += 10) {
+        for (let robusta = 10; robusta <= 100 - colombia; robusta += 10) count++;
+    }
+    assert.strictEqual(MixOptimizer.solveMix({ beans, targetPrice: 700000, step: 10 }).feasibleCount, count);
+    assert.strictEqual(MixOptimizer.solveMix({ beans, targetPrice: 700000, step: 10, arabicaMin: 100 }).feasibleCount, 0);
+});
+
+test('solveMix finds an exact mix of many beans at a step of one percent', () => {
+    const many = [
+        { price: 800000, species: 'arabica' },
+        { price: 1000000, species: 'arabica' },
+        { price: 1200000, species: 'arabica' },
+        { price: 950000, species: 'arabica' },
+        { price: 400000, species: 'robusta' },
+        { price: 550000, species: 'robusta' }
+    ];
+    const result = MixOptimizer.solveMix({ beans: many, targetPrice: 700000, step: 1, arabicaMin: 40 }, 5);
+    assert.strictEqual(result.truncated, false);
+    assert.deepStrictEqual(result.combinations.map(combination => Math.round(combination.difference)), [0, 0, 0, 0, 0]);
+    result.combinations.forEach(combination => {
+        assert.strictEqual(combination.percentages.reduce((total, percent) => total + percent, 0), 100);
+        assert.ok(combination.arabicaPercent >= 40);
+    });
+    // Far more combinations exist than the search could try one by one.
+    assert.ok(result.feasibleCount > MixOptimizer.MAX_EVALUATIONS);
+});
+
+test('solveMix stops early on many beans at a step of one percent when many combinations tie', () => {
+    const eight = [800000, 1000000, 1200000, 950000, 400000, 550000, 900000, 1100000]
+        .map((price, index) => ({ price, species: index === 4 || index === 5 ? 'robusta' : 'arabica' }));
+    // Round prices: thousands of combinations hit 900,000 exactly, and none of them can come closer than 167 to 733,333.
+    [[900000, 0], [733333, 167], [300000, 260000]].forEach(([targetPrice, distance]) => {
+        const started = Date.now();
+        const result = MixOptimizer.solveMix({ beans: eight, targetPrice, step: 1, arabicaMin: 40 });
+        assert.ok(Date.now() - started < 3000);
+        assert.strictEqual(result.truncated, false);
+        assert.strictEqual(result.combinations.length, 10);
+        assert.strictEqual(Math.round(Math.abs(result.combinations[0].difference)), distance);
+    });
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CafeOverheads = require('../js/overheads');
+
+const overheads = [
+    CafeOverheads.createOverhead({ id: 'rent', name: ' اجاره ', basis: 'monthly', amount: '30000000' }),
+    CafeOverheads.createOverhead({ id: 'bread', name: 'نان', basis: 'daily', amount: 100000 }),
+    CafeOverheads.createOverhead({ id: 'card', name: 'کارمزد', basis: 'percent', amount: 1 }),
+    CafeOverheads.createOverhead({ id: 'tax', name: 'مالیات', basis: 'percent', amount: 9, category: 'nonOperating' })
+];
+// 100 cups at 50,000 with a cost of 20,000, and 1 kg of mix sold at 800,000 bought at 600,000.
+const revenue = {
+    lines: [{ count: 100, revenue: 5000000, cost: 2000000 }],
+    revenueMix: 800000,
+    totalDailyRevenue: 5800000,
+    totalDailyCost: 2600000,
+    daysInMonth: 30
+};
+
+test('createOverhead and validateOverhead handle the form fields', () => {
+    assert.deepStrictEqual(overheads[0], { id: 'rent', name: 'اجاره', basis: 'monthly', amount: 30000000, category: 'operating' });
+    assert.strictEqual(CafeOverheads.createOverhead({ basis: 'weekly' }).basis, 'monthly');
+    assert.deepStrictEqual(CafeOverheads.validateOverhead(overheads[0]), []);
+    assert.deepStrictEqual(CafeOverheads.validateOverhead({ name: '', basis: 'percent', amount: 120 }), ['name', 'amount']);
+    CafeOverheads.DEFAULT_OVERHEADS.forEach(overhead => assert.deepStrictEqual(CafeOverheads.validateOverhead(overhead), []));
+});
+
+test('dailyAmount and monthlyOverheads spread every basis over the month', () => {
+    assert.strictEqual(CafeOverheads.dailyAmount(overheads[0], 5800000, 30), 1000000);
+    assert.strictEqual(CafeOverheads.dailyAmount(overheads[0], 5800000, 31), 30000000 / 31);
+    assert.strictEqual(CafeOverheads.dailyAmount(overheads[1], 5800000, 30), 100000);
+    assert.strictEqual(CafeOverheads.dailyAmount(overheads[2], 5800000, 30), 58000);
+    assert.deepStrictEqual(CafeOverheads.monthlyOverheads(overheads, 174000000, 30), {
+        operating: 30000000 + 3000000 + 1740000,
+        nonOperating: 15660000
+    });
+    assert.deepStrictEqual(CafeOverheads.monthlyOverheads(overheads, 174000000, 0), { operating: 0, nonOperating: 0 });
+    assert.deepStrictEqual(CafeOverheads.monthlyOverheads(overheads, 174000000, undefined), { operating: 0, nonOperating: 0 });
+});
+
+test('calculateProfit separates gross, operating and net profit and finds the break-even cups', () => {
+    const profit = CafeOverheads.calculateProfit(revenue, overheads);
+    assert.strictEqual(profit.grossProfit, 3200000);
+    assert.strictEqual(profit.grossMarginPercent, 3200000 / 5800000 * 100);
+    assert.strictEqual(profit.operatingOverheads, 1000000 + 100000 + 58000);
+    assert.strictEqual(profit.operatingProfit, 3200000 - 1158000);
+    assert.strictEqual(profit.nonOperatingOverheads, 522000);
+    assert.strictEqual(profit.netProfit, 3200000 - 1158000 - 522000);
+    assert.strictEqual(profit.monthly.netProfit, profit.netProfit * 30);
+    assert.strictEqual(profit.cupsPerDay, 100);
+    // Fixed 1,100,000 a day less the mix's 800,000 × 0.9 − 600,000 = 120,000, over 50,000 × 0.9 − 20,000 = 25,000 per cup.
+    assert.strictEqual(profit.breakEvenCups, Math.ceil(980000 / 25000));
+
+    const losing = CafeOverheads.calculateProfit(Object.assign({}, revenue, { lines: [{ count: 10, revenue: 100000, cost: 200000 }] }), overheads);
+    assert.strictEqual(losing.breakEvenCups, null);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { jsPDF } = require('../vendor/jspdf/jspdf.umd.min.js');
+const PdfExport = require('../js/pdf-export');
+
+/**
+ * Creates a document with the vendored fonts and records every text drawn on it with its page number.
+ * @returns {{doc: object, drawn: Array<{page: number, text: string}>}} The document and the recorded texts.
+ */
+function recordingDocument() {
+    const fonts = {};
+    Object.keys(PdfExport.FONT_FILES).forEach(style => {
+        fonts[style] = PdfExport.bufferToBase64(fs.readFileSync(path.join(__dirname, '../vendor/vazirmatn/fonts', PdfExport.FONT_FILES[style])));
+    });
+    const doc = PdfExport.createDocument(jsPDF, fonts, 'لیست قیمت');
+    const drawn = [];
+    const text = doc.text.bind(doc);
+    doc.text = (value, ...rest) => {
+        drawn.push({ page: doc.getCurrentPageInfo().pageNumber, text: value.replace(/\u200E/g, '') });
+        return text(value, ...rest);
+    };
+    return { doc, drawn };
+}
+
+test('isolateLtrRuns marks the Latin and digit runs of a text and leaves Persian text alone', () => {
+    assert.strictEqual(PdfExport.isolateLtrRuns('@majid_coffee'), '\u200E@majid_coffee\u200E');
+    assert.strictEqual(PdfExport.isolateLtrRuns('تلفن: 021-1234 | وزن 1.5 kg'), 'تلفن: \u200E021-1234\u200E | وزن \u200E1.5 kg\u200E');
+    assert.strictEqual(PdfExport.isolateLtrRuns('قهوه ۱٬۲۵۰٬۰۰۰ تومان'), 'قهوه ۱٬۲۵۰٬۰۰۰ تومان');
+});
+
+test('renderDocument continues a long table on the next pages under its title and header and numbers every page', () => {
+    const { doc, drawn } = recordingDocument();
+    const rows = Array.from({ length: 60 }, (_, index) => [`قهوه ${index + 1}`, '۲۸۵٬۰۰۰', '۵۵۰٬۰۰۰']);
+    PdfExport.renderDocument(doc, {
+        title: 'کافه مجید',
+        subtitle: ['@majid_coffee'],
+        sections: [
+            { title: 'دانه‌های قهوه', table: { headers: ['', '۲۵۰ گرم', '۵۰۰ گرم'], rows } },
+            { title: 'یادداشت', lines: ['قیمت‌ها به تومان'] }
+        ],
+        footer: ['تهیه شده با ابزار قهوه مجید']
+    });
+
+    const pageCount = doc.getNumberOfPages();
+    assert.ok(pageCount >= 3);
+    const onPage = page => drawn.filter(entry => entry.page === page).map(entry => entry.text);
+    assert.deepStrictEqual(onPage(1).slice(0, 3), ['کافه مجید', '@majid_coffee', 'دانه‌های قهوه']);
+    for (let page = 2; page <= pageCount; page++) {
+        assert.ok(onPage(page).includes(`صفحه ${page} از ${pageCount}`));
+        assert.ok(onPage(page).includes('تهیه شده با ابزار قهوه مجید'));
+    }
+    assert.deepStrictEqual(onPage(2).slice(0, 3), ['دانه‌های قهوه (ادامه)', '', '۲۵۰ گرم']);
+    assert.strictEqual(drawn.filter(entry => /^قهوه \d+$/.test(entry.text)).length, 60);
+    assert.strictEqual(drawn.filter(entry => entry.text === 'یادداشت').length, 1);
+
+    assert.ok(doc.getFontList()[PdfExport.FONT_NAME]);
+    assert.strictEqual(Buffer.from(doc.output('arraybuffer')).subarray(0, 5).toString(), '%PDF-');
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PersianDate = require('../js/persian-date');
+
+test('fromDateKey and toDateKey convert between the calendars', () => {
+    assert.deepStrictEqual(PersianDate.fromDateKey('2025-03-21'), { jy: 1404, jm: 1, jd: 1 });
+    assert.deepStrictEqual(PersianDate.fromDateKey('2025-03-20'), { jy: 1403, jm: 12, jd: 30 });
+    assert.deepStrictEqual(PersianDate.fromDateKey('2000-01-01'), { jy: 1378, jm: 10, jd: 11 });
+    assert.strictEqual(PersianDate.toDateKey(1405, 7, 27), '2026-10-19');
+    assert.strictEqual(PersianDate.toDateKey(1404, 12, 29), '2026-03-20');
+});
+
+test('monthLength follows the leap years for Esfand', () => {
+    assert.strictEqual(PersianDate.isLeapYear(1403), true);
+    assert.strictEqual(PersianDate.isLeapYear(1404), false);
+    assert.deepStrictEqual([1, 6, 7, 11].map(month => PersianDate.monthLength(1404, month)), [31, 31, 30, 30]);
+    assert.strictEqual(PersianDate.monthLength(1403, 12), 30);
+    assert.strictEqual(PersianDate.monthLength(1404, 12), 29);
+});
+
+test('weekday counts from Saturday and format spells the month', () => {
+    assert.strictEqual(PersianDate.weekday('2026-03-21'), 0);
+    assert.strictEqual(PersianDate.weekday('2025-03-21'), 6);
+    assert.strictEqual(PersianDate.WEEKDAY_NAMES[PersianDate.weekday('2026-10-19')], 'دوشنبه');
+    assert.strictEqual(PersianDate.format({ jy: 1405, jm: 7, jd: 27 }), '27 مهر 1405');
+});
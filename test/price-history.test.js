@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PriceHistory = require('../js/price-history');
+
+const at = (y, m, d, h = 9) => new Date(y, m - 1, d, h).toISOString();
+
+const brazil = { id: 'b', name: 'برزیل', productType: 'coffee', purchasePrice: '800000', profitPercent: '25', roastType: 'مدیوم' };
+const kenya = { id: 'k', name: 'کنیا', productType: 'coffee', purchasePrice: '1000000', profitPercent: '20', roastType: 'لایت' };
+const chocolate = { id: 'c', name: 'شکلات داغ', productType: 'powder', purchasePrice: '400000', profitPercent: '50' };
+
+/**
+ * Records a sequence of saves of the price list.
+ * @param {Array<[string, object[]]>} saves - The time and the items of every save.
+ * @returns {object[]} The history entries.
+ */
+function record(saves) {
+    return saves.reduce((history, [timestamp, items]) => history.concat(PriceHistory.recordChanges(history, items, timestamp)), []);
+}
+
+const history = record([
+    [at(2025, 1, 1), [brazil, kenya, { id: 'n', name: 'یمن', productType: 'coffee' }]],
+    [at(2025, 1, 1, 18), [brazil, kenya]],
+    [at(2025, 1, 10), [Object.assign({}, brazil, { purchasePrice: 880000 }), kenya, chocolate]],
+    [at(2025, 1, 20), [Object.assign({}, brazil, { purchasePrice: 880000, roastType: 'دارک' }), chocolate]],
+    [at(2025, 2, 1), [Object.assign({}, brazil, { purchasePrice: 880000, roastType: 'دارک' }), Object.assign({}, chocolate, { profitPercent: 25 })]]
+]);
+
+test('recordChanges records new, changed and removed items and skips unpriced and unchanged ones', () => {
+    assert.strictEqual(history.length, 7);
+    assert.deepStrictEqual(history[0], {
+        itemId: 'b', timestamp: at(2025, 1, 1), name: 'برزیل', productType: 'coffee',
+        purchasePrice: 800000, profitPercent: 25, roastType: 'مدیوم', removed: false
+    });
+    assert.deepStrictEqual(history.slice(2).map(entry => [entry.itemId, entry.removed]),
+        [['b', false], ['c', false], ['b', false], ['k', true], ['c', false]]);
+    assert.strictEqual(history[5].purchasePrice, 1000000);
+    assert.strictEqual(history[3].roastType, '');
+
+    assert.deepStrictEqual(PriceHistory.recordChanges(history, [Object.assign({}, kenya, { id: 'k' })], at(2025, 2, 2)).map(entry => [entry.itemId, entry.removed]),
+        [['k', false], ['b', true], ['c', true]]);
+});
+
+test('stateOn rebuilds the list at the end of a day', () => {
+    assert.deepStrictEqual(PriceHistory.stateOn(history, '2024-12-31'), []);
+    assert.deepStrictEqual(PriceHistory.stateOn(history, '2025-01-15').map(entry => [entry.itemId, entry.purchasePrice]),
+        [['b', 880000], ['k', 1000000], ['c', 400000]]);
+    assert.deepStrictEqual(PriceHistory.stateOn(history, '2025-01-20').map(entry => entry.itemId), ['b', 'c']);
+});
+
+test('itemHistory lists the sell price of every change of an item with the change since the previous one', () => {
+    const entries = PriceHistory.itemHistory(history, 'b');
+    assert.deepStrictEqual(entries.map(entry => [entry.sellPrice, entry.changePercent, entry.roastType]),
+        [[1000000, null, 'مدیوم'], [1100000, 10, 'مدیوم'], [1100000, 0, 'دارک']]);
+    assert.deepStrictEqual(PriceHistory.itemHistory(history, 'k').map(entry => [entry.removed, entry.changePercent]),
+        [[false, null], [true, null]]);
+    assert.deepStrictEqual(PriceHistory.itemHistory(history, 'x'), []);
+});
+
+test('diffPrices lists the added, removed, raised and lowered items between two days', () => {
+    const diff = PriceHistory.diffPrices(history, '2025-01-05', '2025-02-01');
+    assert.deepStrictEqual(diff.added.map(item => [item.itemId, item.before, item.after, item.changePercent]), [['c', null, 500000, null]]);
+    assert.deepStrictEqual(diff.removed.map(item => [item.itemId, item.before, item.after]), [['k', 1200000, null]]);
+    assert.deepStrictEqual(diff.raised, [{
+        itemId: 'b', name: 'برزیل', productType: 'coffee', roastType: 'دارک', before: 1000000, after: 1100000, changePercent: 10
+    }]);
+    assert.deepStrictEqual(diff.lowered, []);
+
+    const later = PriceHistory.diffPrices(history, '2025-01-10', '2025-02-01');
+    assert.deepStrictEqual(later.lowered.map(item => [item.itemId, item.before, item.after, Math.round(item.changePercent * 100) / 100]),
+        [['c', 600000, 500000, -16.67]]);
+    assert.deepStrictEqual(later.raised, []);
+    assert.deepStrictEqual(PriceHistory.diffPrices(history, '2025-02-01', '2025-02-01'), { added: [], removed: [], raised: [], lowered: [] });
+});
+
+test('reuseRemovedIds gives an item added again the id of the removed one so its history goes on', () => {
+    const readded = [
+        Object.assign({}, kenya, { id: 'k2' }),
+        Object.assign({}, kenya, { id: 'k3' }),
+        Object.assign({}, kenya, { id: 'k4', roastType: 'مدیوم' }),
+        Object.assign({}, brazil, { purchasePrice: 900000, roastType: 'دارک' }),
+        Object.assign({}, chocolate, { id: 'c2' })
+    ];
+    assert.deepStrictEqual(PriceHistory.reuseRemovedIds(history, readded).map(item => item.id), ['k', 'k3', 'k4', 'b', 'c2']);
+
+    const items = PriceHistory.reuseRemovedIds(history, [
+        Object.assign({}, brazil, { purchasePrice: 880000, roastType: 'دارک' }),
+        Object.assign({}, chocolate, { profitPercent: 25 }),
+        Object.assign({}, kenya, { id: 'k2', purchasePrice: 1100000 })
+    ]);
+    const later = history.concat(PriceHistory.recordChanges(history, items, at(2025, 2, 10)));
+    assert.deepStrictEqual(PriceHistory.itemHistory(later, 'k').map(entry => entry.removed), [false, true, false]);
+    const diff = PriceHistory.diffPrices(later, '2025-01-15', '2025-02-10');
+    assert.deepStrictEqual(diff.raised.map(item => item.itemId), ['k']);
+    assert.deepStrictEqual(diff.added.concat(diff.removed).map(item => item.itemId), []);
+});
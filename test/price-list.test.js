@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PriceList = require('../js/price-list');
+
+const item = { name: 'برزیل', purchasePrice: '800000', profitPercent: '25', roastType: 'مدیوم' };
+
+test('finalPrice adds the profit percentage to the purchase price', () => {
+    assert.strictEqual(PriceList.finalPrice(item), 1000000);
+    assert.strictEqual(PriceList.finalPrice({ purchasePrice: 500000, profitPercent: '' }), 500000);
+});
+
+test('applyBulkChange raises the purchase price or sets the margin without touching the item', () => {
+    assert.deepStrictEqual(PriceList.applyBulkChange(item, { type: 'increasePrice', percent: '12.5' }),
+        { name: 'برزیل', purchasePrice: 900000, profitPercent: '25', roastType: 'مدیوم' });
+    assert.strictEqual(PriceList.applyBulkChange({ purchasePrice: 333333 }, { type: 'increasePrice', percent: -10 }).purchasePrice, 300000);
+    assert.deepStrictEqual(PriceList.applyBulkChange(item, { type: 'setMargin', percent: '30' }),
+        { name: 'برزیل', purchasePrice: '800000', profitPercent: 30, roastType: 'مدیوم' });
+    assert.strictEqual(item.purchasePrice, '800000');
+});
+
+test('validateBulkChange checks the type and the percentage', () => {
+    assert.deepStrictEqual(PriceList.validateBulkChange({ type: 'increasePrice', percent: '-20' }), []);
+    assert.deepStrictEqual(PriceList.validateBulkChange({ type: 'setMargin', percent: 0 }), []);
+    assert.deepStrictEqual(PriceList.validateBulkChange({ type: 'increasePrice', percent: -100 }), ['percent']);
+    assert.deepStrictEqual(PriceList.validateBulkChange({ type: 'setMargin', percent: -1 }), ['percent']);
+    assert.deepStrictEqual(PriceList.validateBulkChange({ type: 'discount', percent: '' }), ['type', 'percent']);
+});
+
+test('packagePrices adds the small-pack premium and the packaging, rounds, and keeps overrides', () => {
+    const coffee = Object.assign({}, item, {
+        sizes: [
+            { grams: '1000', packagingCost: '30000', overridePrice: '' },
+            { grams: 250, packagingCost: 12000, overridePrice: null },
+            { grams: 500, packagingCost: '', overridePrice: '600000' }
+        ]
+    });
+    assert.deepStrictEqual(PriceList.packagePrices(coffee, { smallPackPremium: 10, roundingStep: 5000 }), [
+        { grams: 250, price: 285000, calculatedPrice: 285000, overridden: false },
+        { grams: 500, price: 600000, calculatedPrice: 550000, overridden: true },
+        { grams: 1000, price: 1030000, calculatedPrice: 1030000, overridden: false }
+    ]);
+    assert.strictEqual(PriceList.packagePrices(coffee)[0].price, 262000);
+    assert.deepStrictEqual(PriceList.packagePrices({ purchasePrice: 800000, profitPercent: 0 }), []);
+    assert.deepStrictEqual(PriceList.defaultPackageSizes().map(size => size.grams), PriceList.DEFAULT_PACKAGE_SIZES);
+});
+
+test('roundPrice rounds to the nearest step and validatePackageSizes checks every size', () => {
+    assert.strictEqual(PriceList.roundPrice(1234500, 1000), 1235000);
+    assert.strictEqual(PriceList.roundPrice(1232499, 5000), 1230000);
+    assert.strictEqual(PriceList.roundPrice(1234.5, ''), 1234.5);
+
+    assert.deepStrictEqual(PriceList.validatePackageSizes([{ grams: 250, packagingCost: '', overridePrice: '' }]), []);
+    assert.deepStrictEqual(PriceList.validatePackageSizes([
+        { grams: 250 },
+        { grams: '250', packagingCost: -1 },
+        { grams: 0, overridePrice: '0' }
+    ]), ['grams-1', 'packagingCost-1', 'grams-2', 'overridePrice-2']);
+});
+
+test('paginateSections fills every page and repeats the title of a section continued on the next page', () => {
+    const coffees = { title: 'دانه‌ها', rows: ['a', 'b', 'c', 'd', 'e'] };
+    const powders = { title: 'پودری', rows: ['x', 'y'] };
+    assert.deepStrictEqual(PriceList.paginateSections([coffees, { title: 'خالی', rows: [] }, powders], 4), [
+        [{ title: 'دانه‌ها', rows: ['a', 'b', 'c'], continued: false }],
+        [{ title: 'دانه‌ها', rows: ['d', 'e'], continued: true }],
+        [{ title: 'پودری', rows: ['x', 'y'], continued: false }]
+    ]);
+    assert.deepStrictEqual(PriceList.paginateSections([coffees, powders], 8), [[
+        { title: 'دانه‌ها', rows: ['a', 'b', 'c', 'd', 'e'], continued: false },
+        { title: 'پودری', rows: ['x'], continued: false }
+    ], [
+        { title: 'پودری', rows: ['y'], continued: true }
+    ]]);
+    assert.deepStrictEqual(PriceList.paginateSections([{ title: 'خالی', rows: [] }], 9), []);
+});
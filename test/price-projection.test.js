@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PriceProjection = require('../js/price-projection');
+
+test('monthlyRateFromPurchases averages the monthly rate of every origin bought at two dates', () => {
+    const monthDays = PriceProjection.DAYS_PER_MONTH;
+    const result = PriceProjection.monthlyRateFromPurchases([
+        { date: '2026-01-01', origin: 'برزیل', kg: 10, pricePerKg: 800000 },
+        { date: '2026-01-01', origin: ' برزیل ', kg: 30, pricePerKg: 1000000 },
+        { date: '2026-03-02', origin: 'برزیل', kg: 20, pricePerKg: 1045000 },
+        { date: '2026-02-10', origin: 'اتیوپی', kg: 5, pricePerKg: 1200000 },
+        { date: '2026-01-11', origin: 'اتیوپی', kg: 5, pricePerKg: 1000000 },
+        { date: '2026-01-01', origin: 'کلمبیا', kg: 5, pricePerKg: 900000 },
+        { date: '2026-01-10', origin: 'کلمبیا', kg: 5, pricePerKg: 990000 }
+    ]);
+
+    const brazil = Math.pow(1045000 / 950000, monthDays / 60) - 1;
+    const ethiopia = Math.pow(1.2, monthDays / 30) - 1;
+    assert.deepStrictEqual(result.origins.map(entry => entry.origin), ['اتیوپی', 'برزیل']);
+    assert.deepStrictEqual(result.origins[1], {
+        origin: 'برزیل', fromDate: '2026-01-01', toDate: '2026-03-02', fromPrice: 950000, toPrice: 1045000, monthlyRate: brazil * 100
+    });
+    assert.ok(Math.abs(result.rate - (brazil + ethiopia) * 50) < 1e-9);
+});
+
+test('monthlyRateFromPurchases has no rate without an origin bought over enough time', () => {
+    assert.deepStrictEqual(PriceProjection.monthlyRateFromPurchases([]), { rate: null, origins: [] });
+    assert.strictEqual(PriceProjection.monthlyRateFromPurchases([
+        { date: '2026-01-01', origin: 'برزیل', kg: 10, pricePerKg: 800000 },
+        { date: '2026-01-05', origin: 'برزیل', kg: 10, pricePerKg: 900000 },
+        { date: '2026-03-01', origin: 'اتیوپی', kg: 0, pricePerKg: 900000 }
+    ]).rate, null);
+});
+
+test('projectPrices compounds the monthly rate and validateProjectionInput checks the settings', () => {
+    const rows = PriceProjection.projectPrices([1000000, 1250000], 10, 3);
+    assert.deepStrictEqual(rows.map(row => row.month), [1, 2, 3]);
+    assert.deepStrictEqual(rows[0].prices, [1100000, 1375000]);
+    assert.ok(Math.abs(rows[2].factor - 1.331) < 1e-12);
+    assert.ok(Math.abs(rows[2].prices[0] - 1331000) < 1e-6);
+    assert.deepStrictEqual(PriceProjection.projectPrices([500000], -2, 1)[0].prices, [490000]);
+
+    assert.deepStrictEqual(PriceProjection.validateProjectionInput({ rate: '3.5', months: '12' }), []);
+    assert.deepStrictEqual(PriceProjection.validateProjectionInput({ rate: '', months: 13 }), ['rate', 'months']);
+    assert.deepStrictEqual(PriceProjection.validateProjectionInput({ rate: -100, months: 1.5 }), ['rate', 'months']);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SalesLedger = require('../js/sales-ledger');
+
+const prices = { costPerKG: 600000, sellPriceKG: 850000 };
+const espresso = count => ({ id: 'espresso-single', name: 'اسپرسو تک', count, sellPrice: 45000, unitCost: 15800, coffeeGrams: 18 });
+const latte = count => ({ id: 'latte', name: 'لاته', count, sellPrice: 85000, unitCost: 35000, coffeeGrams: 20 });
+// Mehr 1405 has 30 days; 1 Mehr is 2026-09-23, a Wednesday.
+const entries = [
+    SalesLedger.createSalesEntry({ date: '2026-09-23', items: [espresso('10'), latte(0)], salesMixKG: '', prices }),
+    SalesLedger.createSalesEntry({ date: '2026-09-24', items: [espresso(20), latte(10)], salesMixKG: 1, prices }),
+    SalesLedger.createSalesEntry({ date: '2026-09-30', items: [espresso(30)], salesMixKG: 0, prices }),
+    SalesLedger.createSalesEntry({ date: '2026-09-22', items: [espresso(99)], salesMixKG: 0, prices })
+];
+
+test('createSalesEntry, validateSalesEntry and upsertEntry keep one entry per day', () => {
+    assert.deepStrictEqual(entries[0], { date: '2026-09-23', items: [espresso(10), latte(0)], salesMixKG: 0, prices });
+    assert.deepStrictEqual(SalesLedger.validateSalesEntry(entries[0]), []);
+    assert.deepStrictEqual(SalesLedger.validateSalesEntry({ date: '', items: [espresso(-1)], salesMixKG: -2 }), ['date', 'item-espresso-single', 'salesMixKG']);
+
+    const replacement = SalesLedger.createSalesEntry({ date: '2026-09-24', items: [espresso(1)], prices });
+    const ledger = SalesLedger.upsertEntry(entries, replacement);
+    assert.deepStrictEqual(ledger.map(entry => entry.date), ['2026-09-22', '2026-09-23', '2026-09-24', '2026-09-30']);
+    assert.strictEqual(ledger[2].items[0].count, 1);
+});
+
+test('dayFigures prices a day with its own prices and drink costs', () => {
+    const day = SalesLedger.dayFigures(entries[1]);
+    assert.strictEqual(day.revenue, 20 * 45000 + 10 * 85000 + 850000);
+    assert.strictEqual(day.cost, 20 * 15800 + 10 * 35000 + 600000);
+    assert.strictEqual(day.profit, day.revenue - day.cost);
+    assert.strictEqual(day.drinks, 30);
+    assert.strictEqual(day.kgUsed, (20 * 18 + 10 * 20) / 1000 + 1);
+    assert.strictEqual(SalesLedger.dayFigures(entries[2]).weekday, 4);
+});
+
+test('monthReport totals a Persian month and extrapolates the days still to come', () => {
+    const report = SalesLedger.monthReport(entries, 1405, 7, '2026-10-02');
+    const total = 450000 + 2600000 + 1350000;
+    assert.strictEqual(report.daysInMonth, 30);
+    // Today (10 Mehr) has no entry yet, so it is still to come.
+    assert.strictEqual(report.elapsedDays, 9);
+    assert.strictEqual(report.isPartial, true);
+    assert.deepStrictEqual(report.days.map(day => day.date), ['2026-09-23', '2026-09-24', '2026-09-30']);
+    assert.strictEqual(report.totals.revenue, total);
+    assert.strictEqual(report.averages.revenue, total / 3);
+    assert.strictEqual(report.projected.revenue, total + total / 3 * 21);
+    assert.strictEqual(report.bestDay.date, '2026-09-24');
+    assert.strictEqual(report.worstDay.date, '2026-09-23');
+
+    const recordedToday = SalesLedger.monthReport(entries, 1405, 7, '2026-09-30');
+    assert.strictEqual(recordedToday.elapsedDays, 8);
+    assert.strictEqual(recordedToday.isPartial, true);
+    assert.strictEqual(recordedToday.projected.revenue, total + total / 3 * 22);
+
+    const closed = SalesLedger.monthReport(entries, 1405, 7, '2026-11-01');
+    assert.strictEqual(closed.isPartial, false);
+    assert.strictEqual(closed.projected.revenue, closed.totals.revenue);
+
+    const empty = SalesLedger.monthReport(entries, 1405, 8, '2026-10-02');
+    assert.strictEqual(empty.averages, null);
+    assert.strictEqual(empty.bestDay, null);
+    assert.strictEqual(empty.projected.revenue, 0);
+});
+
+test('ledgerMonths and weekdayPattern group the ledger', () => {
+    assert.deepStrictEqual(SalesLedger.ledgerMonths(entries), [{ jy: 1405, jm: 7 }, { jy: 1405, jm: 6 }]);
+
+    const pattern = SalesLedger.weekdayPattern(entries);
+    assert.strictEqual(pattern.length, 7);
+    assert.strictEqual(pattern[0].name, 'شنبه');
+    assert.deepStrictEqual(pattern.map(day => day.dayCount), [0, 0, 0, 1, 2, 1, 0]);
+    assert.strictEqual(pattern[4].averageDrinks, (10 + 30) / 2);
+    assert.strictEqual(pattern[0].averageRevenue, null);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CafeScenarios = require('../js/scenarios');
+
+const inputs = {
+    costPerKG: '600000', gramSingle: 18, gramDouble: 20, milkPricePerLiter: 60000, syrupPricePerLiter: 400000,
+    cupPrice: 3000, lidPrice: 1000, sellPriceKG: 800000, salesMixKG: 1
+};
+// 100 espressos at 45,000 costing 18 g × 600 + 3,000 = 13,800, and 1 kg of mix with a margin of 200,000.
+const baseline = CafeScenarios.createScenario({
+    id: 'base',
+    name: ' فعلی ',
+    createdAt: '2026-10-19T08:00:00.000Z',
+    inputs,
+    menuItems: [{ id: 'espresso', name: 'اسپرسو', sellPrice: 45000, dailySales: 100, recipe: { singleShots: 1, cups: 1 } }],
+    overheads: [{ id: 'rent', name: 'اجاره', basis: 'monthly', amount: 30000000 }]
+});
+
+test('createScenario copies a normalized snapshot and validateScenario needs a name', () => {
+    assert.strictEqual(baseline.name, 'فعلی');
+    assert.strictEqual(baseline.inputs.costPerKG, 600000);
+    assert.deepStrictEqual(Object.keys(baseline.inputs), CafeScenarios.SCENARIO_INPUT_IDS);
+    assert.strictEqual(baseline.menuItems[0].recipe.milkMl, 0);
+    assert.strictEqual(baseline.overheads[0].category, 'operating');
+    assert.deepStrictEqual(CafeScenarios.validateScenario(baseline), []);
+    assert.deepStrictEqual(CafeScenarios.validateScenario({ name: '  ' }), ['name']);
+});
+
+test('evaluateScenario and compareScenarios give the figures and their deltas from the baseline', () => {
+    const figures = CafeScenarios.evaluateScenario(baseline, 30);
+    assert.strictEqual(figures.dailyRevenue, 5300000);
+    assert.strictEqual(figures.dailyCost, 1980000);
+    assert.strictEqual(figures.dailyOverheads, 1000000);
+    assert.strictEqual(figures.dailyGrossProfit, 3320000);
+    assert.strictEqual(figures.dailyNetProfit, 2320000);
+    assert.strictEqual(figures.monthlyNetProfit, 69600000);
+    assert.strictEqual(figures.breakEvenCups, Math.ceil(800000 / 31200));
+
+    const pricier = CafeScenarios.withVariable(baseline, 'price:espresso', 50000);
+    const [base, other] = CafeScenarios.compareScenarios(baseline, [baseline, pricier], 30);
+    CafeScenarios.FIGURE_FIELDS.forEach(field => assert.strictEqual(base.deltas[field], 0));
+    assert.strictEqual(other.deltas.dailyRevenue, 500000);
+    assert.strictEqual(other.deltas.dailyCost, 0);
+    assert.strictEqual(other.deltas.monthlyNetProfit, 15000000);
+    assert.strictEqual(baseline.menuItems[0].sellPrice, 45000);
+});
+
+test('sensitivity moves one variable across a percentage range', () => {
+    assert.deepStrictEqual(CafeScenarios.sensitivityVariables(baseline).slice(-2).map(variable => variable.key), ['price:espresso', 'sales:espresso']);
+    assert.strictEqual(CafeScenarios.readVariable(baseline, 'costPerKG'), 600000);
+    assert.strictEqual(CafeScenarios.readVariable(baseline, 'sales:espresso'), 100);
+    assert.strictEqual(CafeScenarios.readVariable(baseline, 'sales:missing'), 0);
+
+    const steps = CafeScenarios.sensitivity(baseline, 'costPerKG', { fromPercent: -10, toPercent: 10, steps: 3 }, 30);
+    assert.deepStrictEqual(steps.map(step => step.percent), [-10, 0, 10]);
+    assert.deepStrictEqual(steps.map(step => step.value), [540000, 600000, 660000]);
+    // 60,000 toman/kg less on 1.8 kg of shots and 1 kg of mix.
+    assert.strictEqual(Math.round(steps[0].netProfitDelta), 168000);
+    assert.strictEqual(steps[1].netProfitDelta, 0);
+
+    const sales = CafeScenarios.sensitivity(baseline, 'sales:espresso', { fromPercent: -25, toPercent: 25, steps: 2 }, 30);
+    assert.deepStrictEqual(sales.map(step => step.value), [75, 125]);
+    assert.strictEqual(sales[1].netProfitDelta, 25 * 31200);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ShotLog = require('../js/shot-log');
+
+const shots = [
+    ShotLog.createShot({ id: 'a', timestamp: '2025-01-10T08:00:00.000Z', bean: ' اتیوپی  یرگاچف ', type: 'double', dose: '18', yield: '36', seconds: '28', grind: '12', taste: ' متعادل ' }),
+    ShotLog.createShot({ id: 'b', timestamp: '2025-01-10T08:05:00.000Z', bean: 'اتیوپی یرگاچف', type: 'double', dose: 20, yield: 30, seconds: 35, grind: '11' }),
+    ShotLog.createShot({ id: 'c', timestamp: '2025-01-10T08:10:00.000Z', bean: 'اتیوپی یرگاچف', type: 'single', dose: 9, yield: 20, seconds: 22, grind: '11' }),
+    ShotLog.createShot({ id: 'd', timestamp: '2025-01-09T08:00:00.000Z', bean: 'برزیل', type: 'other', dose: 19, yield: 38, seconds: 30 })
+];
+
+test('createShot and validateShot handle the form fields', () => {
+    assert.deepStrictEqual(shots[0], {
+        id: 'a', timestamp: '2025-01-10T08:00:00.000Z', bean: 'اتیوپی یرگاچف', type: 'double',
+        dose: 18, yield: 36, seconds: 28, grind: '12', taste: 'متعادل'
+    });
+    assert.strictEqual(shots[3].type, 'double');
+    assert.deepStrictEqual(ShotLog.validateShot(shots[0]), []);
+    assert.deepStrictEqual(ShotLog.validateShot({ bean: ' ', dose: 0, yield: '', seconds: -1 }), ['bean', 'dose', 'yield', 'seconds']);
+});
+
+test('checkShot flags the time and the ratio against the target window', () => {
+    assert.deepStrictEqual(ShotLog.checkShot(shots[0]), { ratio: 2, timeStatus: 'ok', ratioStatus: 'ok', withinTarget: true });
+    assert.deepStrictEqual(ShotLog.checkShot(shots[1]), { ratio: 1.5, timeStatus: 'slow', ratioStatus: 'low', withinTarget: false });
+    const fast = ShotLog.checkShot(shots[2], { minSeconds: 20, maxSeconds: 30, minRatio: 1.5, maxRatio: 2 });
+    assert.strictEqual(fast.timeStatus, 'ok');
+    assert.strictEqual(fast.ratioStatus, 'high');
+});
+
+test('averageDoses averages single and double shots separately', () => {
+    assert.deepStrictEqual(ShotLog.averageDoses(shots), { single: 9, double: 19 });
+    assert.deepStrictEqual(ShotLog.averageDoses(shots, 'برزیل'), { single: null, double: 19 });
+});
+
+test('beanHistory groups the log per bean, latest first', () => {
+    const history = ShotLog.beanHistory(shots);
+    assert.deepStrictEqual(history.map(entry => [entry.bean, entry.shotCount]), [['اتیوپی یرگاچف', 3], ['برزیل', 1]]);
+    assert.deepStrictEqual(history[0].averageDose, { single: 9, double: 19 });
+    assert.strictEqual(history[0].averageSeconds, 85 / 3);
+    assert.strictEqual(history[0].lastGrind, '11');
+    assert.ok(Math.abs(history[0].averageRatio - (2 + 1.5 + 20 / 9) / 3) < 1e-9);
+});
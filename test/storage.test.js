@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CoffeeStorage = require('../js/storage');
+
+/**
+ * A minimal in-memory implementation of the Web Storage API.
+ */
+function createFakeLocalStorage(initial = {}) {
+    const data = Object.assign({}, initial);
+    return {
+        data,
+        get length() { return Object.keys(data).length; },
+        key: index => Object.keys(data)[index] || null,
+        getItem: key => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); },
+        removeItem: key => { delete data[key]; }
+    };
+}
+
+test('a store reads and writes JSON values through its backend', async () => {
+    const backend = CoffeeStorage.createMemoryBackend();
+    const store = CoffeeStorage.createStore({ backend });
+    await store.init();
+
+    store.set('roastBatchLog', [{ id: 'a' }]);
+    assert.strictEqual(await store.flush(), true);
+
+    assert.strictEqual(backend.data.roastBatchLog, '[{"id":"a"}]');
+    assert.deepStrictEqual(store.get('roastBatchLog', []), [{ id: 'a' }]);
+    assert.deepStrictEqual(store.get('missing', 'fallback'), 'fallback');
+
+    const copy = store.get('roastBatchLog', []);
+    copy.push({ id: 'b' });
+    assert.strictEqual(store.get('roastBatchLog', []).length, 1);
+});
+
+test('corrupt and invalid values fall back to the default and are reported', async () => {
+    const problems = [];
+    const backend = CoffeeStorage.createMemoryBackend({ beanMixData: '{oops', priceListCoffeeData: '"text"' });
+    const store = CoffeeStorage.createStore({ backend, onError: problem => problems.push(problem.key) });
+    await store.init();
+
+    assert.deepStrictEqual(store.get('beanMixData', []), []);
+    assert.deepStrictEqual(store.get('priceListCoffeeData', [], Array.isArray), []);
+    assert.deepStrictEqual(problems, ['beanMixData', 'priceListCoffeeData']);
+});
+
+test('failed writes are reported instead of thrown', async () => {
+    const problems = [];
+    const backend = CoffeeStorage.createMemoryBackend();
+    backend.write = () => Promise.reject(new Error('QuotaExceededError'));
+    const store = CoffeeStorage.createStore({ backend, onError: problem => problems.push(problem.key) });
+    await store.init();
+
+    store.set('roastBatchLog', []);
+    assert.strictEqual(await store.flush(), false);
+    assert.deepStrictEqual(problems, ['roastBatchLog']);
+});
+
+test('migrations run once and record the schema version', async () => {
+    const backend = CoffeeStorage.createMemoryBackend();
+    let runs = 0;
+    const migrations = [{ version: 1, migrate: store => { runs++; store.set('theme', 'dark'); } }];
+
+    const first = CoffeeStorage.createStore({ backend, migrations });
+    await first.init();
+    await first.flush();
+    const second = CoffeeStorage.createStore({ backend, migrations });
+    await second.init();
+
+    assert.strictEqual(runs, 1);
+    assert.strictEqual(second.get('theme', null), 'dark');
+    assert.strictEqual(second.get(CoffeeStorage.SCHEMA_VERSION_KEY, 0), 1);
+    assert.deepStrictEqual(second.keys(), ['theme']);
+});
+
+test('the legacy migration moves bare localStorage keys into the namespaced store', async () => {
+    const localStorage = createFakeLocalStorage({
+        greenPrice: '450000',
+        theme: 'light',
+        beanMixData: '[{"name":"برزیل"}]',
+        priceListPowderData: '{corrupt',
+        unrelated: 'kept'
+    });
+    const problems = [];
+    const store = CoffeeStorage.createStore({
+        backend: CoffeeStorage.createLocalStorageBackend(localStorage),
+        migrations: [CoffeeStorage.legacyLocalStorageMigration(localStorage, {
+            inputIds: ['greenPrice', 'roastWage'],
+            listKeys: ['beanMixData', 'priceListPowderData']
+        })],
+        onError: problem => problems.push(problem.key)
+    });
+    await store.init();
+    await store.flush();
+
+    assert.deepStrictEqual(store.get('inputs', {}), { greenPrice: '450000' });
+    assert.strictEqual(store.get('theme', null), 'light');
+    assert.deepStrictEqual(store.get('beanMixData', []), [{ name: 'برزیل' }]);
+    assert.deepStrictEqual(store.get('priceListPowderData', []), []);
+    assert.deepStrictEqual(problems, ['priceListPowderData']);
+    assert.deepStrictEqual(Object.keys(localStorage.data).sort(), [
+        'majidCoffee:beanMixData', 'majidCoffee:inputs', 'majidCoffee:schemaVersion', 'majidCoffee:theme', 'unrelated'
+    ]);
+});
+
+test('the legacy migration keeps the bare keys when the store cannot write them', async () => {
+    const localStorage = createFakeLocalStorage({ greenPrice: '450000', theme: 'light', beanMixData: '[{"name":"برزیل"}]' });
+    const backend = CoffeeStorage.createMemoryBackend();
+    backend.write = () => Promise.reject(new Error('QuotaExceededError'));
+    const store = CoffeeStorage.createStore({
+        backend,
+        migrations: [CoffeeStorage.legacyLocalStorageMigration(localStorage, { inputIds: ['greenPrice'], listKeys: ['beanMixData'] })]
+    });
+    await store.init();
+
+    assert.deepStrictEqual(Object.keys(localStorage.data).sort(), ['beanMixData', 'greenPrice', 'theme']);
+});
+
+test('clear only removes the namespaced keys', async () => {
+    const localStorage = createFakeLocalStorage({ 'majidCoffee:theme': '"dark"', other: 'x' });
+    const store = CoffeeStorage.createStore({ backend: CoffeeStorage.createLocalStorageBackend(localStorage) });
+    await store.init();
+    await store.clear();
+
+    assert.deepStrictEqual(localStorage.data, { other: 'x' });
+    assert.deepStrictEqual(store.keys(), []);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TimerScheduler = require('../js/timer-scheduler');
+
+/**
+ * A fake clock whose timeouts only fire when the test advances the time.
+ */
+function createFakeClock(start = 1000000) {
+    let time = start;
+    let timeouts = [];
+    let nextHandle = 1;
+    return {
+        now: () => time,
+        setTimeout: (callback, delay) => { const handle = nextHandle++; timeouts.push({ handle, at: time + delay, callback }); return handle; },
+        clearTimeout: handle => { timeouts = timeouts.filter(timeout => timeout.handle !== handle); },
+        pending: () => timeouts.length,
+        advance(ms, { throttled = false } = {}) {
+            const target = time + ms;
+            if (throttled) {
+                time = target;
+                return;
+            }
+            for (;;) {
+                timeouts.sort((a, b) => a.at - b.at);
+                const next = timeouts[0];
+                if (!next || next.at > target) break;
+                timeouts.shift();
+                time = next.at;
+                next.callback();
+            }
+            time = target;
+        }
+    };
+}
+
+test('timerPosition computes the step and remaining time from the clock', () => {
+    const timer = TimerScheduler.startTimer(TimerScheduler.createTimer([10, 0, 5]), 0);
+    assert.deepStrictEqual(TimerScheduler.timerPosition(timer, 0), { stepIndex: 0, remainingMs: 10000, remainingSeconds: 10, finished: false, endsAt: 10000 });
+    assert.strictEqual(TimerScheduler.timerPosition(timer, 9001).remainingSeconds, 1);
+    assert.deepStrictEqual(TimerScheduler.timerPosition(timer, 10000), { stepIndex: 2, remainingMs: 5000, remainingSeconds: 5, finished: false, endsAt: 15000 });
+    assert.deepStrictEqual(TimerScheduler.timerPosition(timer, 60000), { stepIndex: 3, remainingMs: 0, remainingSeconds: 0, finished: true, endsAt: 15000 });
+    assert.strictEqual(TimerScheduler.totalMs(timer), 15000);
+});
+
+test('pauseTimer keeps the elapsed time and startTimer resumes from it', () => {
+    let timer = TimerScheduler.startTimer(TimerScheduler.createTimer([60]), 1000);
+    timer = TimerScheduler.pauseTimer(timer, 21000);
+    assert.strictEqual(TimerScheduler.isRunning(timer), false);
+    assert.strictEqual(TimerScheduler.timerPosition(timer, 999999).remainingSeconds, 40);
+
+    timer = TimerScheduler.startTimer(timer, 500000);
+    assert.strictEqual(TimerScheduler.timerPosition(timer, 510000).remainingSeconds, 30);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(timer)), timer);
+});
+
+test('the scheduler ticks every second and reports steps and the finish', () => {
+    const clock = createFakeClock();
+    const scheduler = TimerScheduler.createScheduler(clock);
+    const events = [];
+    scheduler.run('t', TimerScheduler.startTimer(TimerScheduler.createTimer([2, 1]), clock.now()), {
+        onStep: (position, previous) => events.push(`step ${previous}->${position.stepIndex}`),
+        onTick: position => events.push(position.remainingSeconds),
+        onFinish: () => events.push('finish')
+    });
+    clock.advance(5000);
+    assert.deepStrictEqual(events, ['step null->0', 2, 1, 'step 0->1', 1, 0, 'finish']);
+    assert.strictEqual(scheduler.get('t'), null);
+    assert.strictEqual(clock.pending(), 0);
+});
+
+test('a throttled timer catches up from the clock instead of drifting', () => {
+    const clock = createFakeClock();
+    const scheduler = TimerScheduler.createScheduler(clock);
+    const steps = [];
+    let finishedAt = null;
+    const start = clock.now();
+    scheduler.run('t', TimerScheduler.startTimer(TimerScheduler.createTimer([10, 10, 10]), start), {
+        onStep: position => steps.push(position.stepIndex),
+        onFinish: position => { finishedAt = position.endsAt; }
+    });
+
+    clock.advance(15500, { throttled: true });
+    scheduler.refresh();
+    assert.deepStrictEqual(steps, [0, 1]);
+
+    clock.advance(60000, { throttled: true });
+    scheduler.refresh();
+    assert.strictEqual(finishedAt, start + 30000);
+});
+
+test('a paused timer is not scheduled until it is updated again', () => {
+    const clock = createFakeClock();
+    const scheduler = TimerScheduler.createScheduler(clock);
+    const ticks = [];
+    scheduler.run('t', TimerScheduler.startTimer(TimerScheduler.createTimer([5]), clock.now()), {
+        onTick: position => ticks.push(position.remainingSeconds)
+    });
+    clock.advance(2000);
+    scheduler.update('t', TimerScheduler.pauseTimer(scheduler.get('t'), clock.now()));
+    assert.strictEqual(clock.pending(), 0);
+
+    clock.advance(60000);
+    scheduler.update('t', TimerScheduler.startTimer(scheduler.get('t'), clock.now()));
+    clock.advance(1000);
+    assert.deepStrictEqual(ticks, [5, 4, 3, 3, 3, 2]);
+
+    scheduler.cancel('t');
+    assert.strictEqual(clock.pending(), 0);
+});